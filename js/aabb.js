@@ -0,0 +1,164 @@
+/**
+ * Axis-aligned bounding box used by the acceleration structures
+ */
+import { Vector3 } from './math.js';
+
+/**
+ * Axis-aligned bounding box described by its minimum and maximum corners
+ */
+export class AABB {
+  /**
+   * Creates a bounding box. With no arguments the box is empty
+   * (min at +Infinity, max at -Infinity) so that any union grows it.
+   * @param {Vector3} min - Minimum corner
+   * @param {Vector3} max - Maximum corner
+   */
+  constructor(min, max) {
+    this.min = min || new Vector3(Infinity, Infinity, Infinity);
+    this.max = max || new Vector3(-Infinity, -Infinity, -Infinity);
+  }
+
+  /**
+   * Create a copy of this box
+   * @returns {AABB} A new box with the same extents
+   */
+  clone() {
+    return new AABB(
+      new Vector3(this.min.x, this.min.y, this.min.z),
+      new Vector3(this.max.x, this.max.y, this.max.z)
+    );
+  }
+
+  /**
+   * Check whether the box contains no volume at all
+   * @returns {boolean} True if the box has never been grown
+   */
+  isEmpty() {
+    return this.min.x > this.max.x || this.min.y > this.max.y || this.min.z > this.max.z;
+  }
+
+  /**
+   * Grow the box in place so that it contains a point
+   * @param {Vector3} point - Point to include
+   * @returns {AABB} This box, for chaining
+   */
+  expandByPoint(point) {
+    this.min = new Vector3(
+      Math.min(this.min.x, point.x),
+      Math.min(this.min.y, point.y),
+      Math.min(this.min.z, point.z)
+    );
+    this.max = new Vector3(
+      Math.max(this.max.x, point.x),
+      Math.max(this.max.y, point.y),
+      Math.max(this.max.z, point.z)
+    );
+    return this;
+  }
+
+  /**
+   * Grow the box in place so that it contains another box
+   * @param {AABB} box - Box to include
+   * @returns {AABB} This box, for chaining
+   */
+  expandByBox(box) {
+    if (box.isEmpty()) {
+      return this;
+    }
+    this.expandByPoint(box.min);
+    return this.expandByPoint(box.max);
+  }
+
+  /**
+   * Create a new box that contains both boxes
+   * @param {AABB} a - First box
+   * @param {AABB} b - Second box
+   * @returns {AABB} The union of the two boxes
+   */
+  static union(a, b) {
+    return a.clone().expandByBox(b);
+  }
+
+  /**
+   * Get the center of the box
+   * @returns {Vector3} Center point
+   */
+  centroid() {
+    return new Vector3(
+      (this.min.x + this.max.x) * 0.5,
+      (this.min.y + this.max.y) * 0.5,
+      (this.min.z + this.max.z) * 0.5
+    );
+  }
+
+  /**
+   * Get the surface area of the box (used by the SAH cost model)
+   * @returns {number} Surface area, or 0 for an empty box
+   */
+  surfaceArea() {
+    if (this.isEmpty()) {
+      return 0;
+    }
+    const dx = this.max.x - this.min.x;
+    const dy = this.max.y - this.min.y;
+    const dz = this.max.z - this.min.z;
+    return 2 * (dx * dy + dy * dz + dz * dx);
+  }
+
+  /**
+   * Check whether this box fully contains another box
+   * @param {AABB} box - Box to test
+   * @returns {boolean} True if the other box lies inside this one
+   */
+  containsBox(box) {
+    return box.min.x >= this.min.x && box.max.x <= this.max.x &&
+      box.min.y >= this.min.y && box.max.y <= this.max.y &&
+      box.min.z >= this.min.z && box.max.z <= this.max.z;
+  }
+
+  /**
+   * Slab test against a ray. The test is conservative: the interval is padded
+   * slightly so that grazing hits on the enclosed geometry are never culled.
+   * @param {Ray} ray - The ray to test
+   * @param {number} tMax - Only hits closer than this distance are of interest
+   * @returns {number} Entry distance along the ray, or Infinity on a miss
+   */
+  intersectRay(ray, tMax = Infinity) {
+    const EPSILON = 1e-9;
+    let tNear = -Infinity;
+    let tFar = tMax;
+
+    for (const axis of ['x', 'y', 'z']) {
+      const origin = ray.origin[axis];
+      const direction = ray.direction[axis];
+      const min = this.min[axis] - EPSILON;
+      const max = this.max[axis] + EPSILON;
+
+      if (direction === 0) {
+        // Parallel to this slab: hit only if the origin lies between the planes
+        if (origin < min || origin > max) {
+          return Infinity;
+        }
+        continue;
+      }
+
+      const invDirection = 1 / direction;
+      let t0 = (min - origin) * invDirection;
+      let t1 = (max - origin) * invDirection;
+      if (t0 > t1) {
+        [t0, t1] = [t1, t0];
+      }
+
+      tNear = Math.max(tNear, t0);
+      tFar = Math.min(tFar, t1);
+      if (tNear > tFar) {
+        return Infinity;
+      }
+    }
+
+    if (tFar < 0) {
+      return Infinity; // Box is entirely behind the ray
+    }
+    return tNear;
+  }
+}
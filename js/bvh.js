@@ -0,0 +1,539 @@
+/**
+ * Bounding volume hierarchy for accelerating ray intersection queries
+ */
+import { AABB } from './aabb.js';
+
+/**
+ * Relative cost of visiting an interior node compared to one primitive test
+ */
+const TRAVERSAL_COST = 0.125;
+
+/**
+ * A refitted subtree is rebuilt once its surface area grows past this multiple
+ * of the area it had when it was last built
+ */
+const REBUILD_AREA_RATIO = 2.0;
+
+/**
+ * Binary BVH built with the surface area heuristic (SAH).
+ *
+ * The hierarchy is generic over its primitives: by default it works with
+ * Geometry objects (using `getBoundingBox()` and `intersect()`), but callers can
+ * supply their own accessors, e.g. to index the triangles of a mesh.
+ * Primitives without a bounding box (such as infinite planes) are kept in a
+ * separate `unbounded` list that is tested for every ray.
+ *
+ * After the initial build the hierarchy can be edited incrementally with
+ * `insert`, `remove` and `update`, which refit the bounds of the affected nodes
+ * and only rebuild a subtree once refitting has degraded it too much.
+ */
+export class BVH {
+  /**
+   * Creates and builds a BVH
+   * @param {Array} primitives - Primitives to organize
+   * @param {Object} options - Build options
+   * @param {Function} options.getBounds - Returns the AABB of a primitive, or null if unbounded
+   * @param {Function} options.intersect - Intersects a primitive: (primitive, ray) => Intersection|null
+   * @param {number} options.maxLeafSize - Leaves are always created at or below this size (default: 4)
+   * @param {number} options.binCount - Number of SAH bins per axis (default: 12)
+   */
+  constructor(primitives, options = {}) {
+    this.getPrimitiveBounds = options.getBounds || ((primitive) => primitive.getBoundingBox());
+    this.intersectPrimitive = options.intersect || ((primitive, ray) => primitive.intersect(ray));
+    this.maxLeafSize = options.maxLeafSize || 4;
+    this.binCount = options.binCount || 12;
+    this.build(primitives);
+  }
+
+  /**
+   * (Re)build the whole hierarchy from a list of primitives
+   * @param {Array} primitives - Primitives to organize
+   */
+  build(primitives) {
+    this.root = null;
+    this.unbounded = [];
+    this.primitiveCount = primitives.length;
+    this.nextIndex = primitives.length;
+    this.leafOf = null;
+    this.subtreeRebuilds = 0;
+
+    const items = [];
+    primitives.forEach((primitive, index) => {
+      const item = this._createItem(primitive, index);
+      if (item.bounds) {
+        items.push(item);
+      } else {
+        this.unbounded.push(item);
+      }
+    });
+
+    if (items.length > 0) {
+      this.root = this._buildNode(items, null);
+    }
+  }
+
+  /**
+   * Create the bookkeeping record for a primitive
+   * @param {*} primitive - The primitive
+   * @param {number} index - Order of the primitive, used to break ties between equal hits
+   * @returns {Object} Item with primitive, index, bounds (null if unbounded) and centroid
+   * @private
+   */
+  _createItem(primitive, index) {
+    const bounds = this.getPrimitiveBounds(primitive);
+    return { primitive, index, bounds, centroid: bounds ? bounds.centroid() : null };
+  }
+
+  /**
+   * Recursively build a node for a set of items
+   * @param {Array<Object>} items - Items with primitive, index, bounds and centroid
+   * @param {Object|null} parent - Parent node
+   * @returns {Object} The created node
+   * @private
+   */
+  _buildNode(items, parent) {
+    const bounds = new AABB();
+    const centroidBounds = new AABB();
+    for (const item of items) {
+      bounds.expandByBox(item.bounds);
+      centroidBounds.expandByPoint(item.centroid);
+    }
+
+    const node = { bounds, buildArea: bounds.surfaceArea(), parent, items: null, left: null, right: null };
+
+    if (items.length <= this.maxLeafSize) {
+      node.items = items;
+      if (this.leafOf) {
+        for (const item of items) {
+          this.leafOf.set(item.primitive, node);
+        }
+      }
+      return node;
+    }
+
+    const split = this._findBestSplit(items, bounds, centroidBounds);
+    let leftItems;
+    let rightItems;
+
+    if (split && split.cost < items.length) {
+      leftItems = [];
+      rightItems = [];
+      for (const item of items) {
+        if (this._binIndex(item.centroid, centroidBounds, split.axis) <= split.bin) {
+          leftItems.push(item);
+        } else {
+          rightItems.push(item);
+        }
+      }
+    } else {
+      // SAH prefers a leaf, or all centroids coincide: split by order instead
+      const middle = Math.floor(items.length / 2);
+      leftItems = items.slice(0, middle);
+      rightItems = items.slice(middle);
+    }
+
+    node.left = this._buildNode(leftItems, node);
+    node.right = this._buildNode(rightItems, node);
+    return node;
+  }
+
+  /**
+   * Find the cheapest binned SAH split for a set of items
+   * @param {Array<Object>} items - Items to split
+   * @param {AABB} bounds - Bounds of all items
+   * @param {AABB} centroidBounds - Bounds of the item centroids
+   * @returns {{axis: string, bin: number, cost: number}|null} Best split, or null if none exists
+   * @private
+   */
+  _findBestSplit(items, bounds, centroidBounds) {
+    const parentArea = bounds.surfaceArea();
+    let best = null;
+
+    for (const axis of ['x', 'y', 'z']) {
+      if (centroidBounds.max[axis] - centroidBounds.min[axis] <= 0) {
+        continue;
+      }
+
+      const bins = Array.from({ length: this.binCount }, () => ({ bounds: new AABB(), count: 0 }));
+      for (const item of items) {
+        const bin = bins[this._binIndex(item.centroid, centroidBounds, axis)];
+        bin.bounds.expandByBox(item.bounds);
+        bin.count++;
+      }
+
+      // Sweep from the right to accumulate the area and count of each suffix
+      const rightArea = new Array(this.binCount).fill(0);
+      const rightCount = new Array(this.binCount).fill(0);
+      const accumulated = new AABB();
+      let count = 0;
+      for (let i = this.binCount - 1; i > 0; i--) {
+        accumulated.expandByBox(bins[i].bounds);
+        count += bins[i].count;
+        rightArea[i] = accumulated.surfaceArea();
+        rightCount[i] = count;
+      }
+
+      // Sweep from the left and evaluate the split after each bin
+      const leftBounds = new AABB();
+      let leftCount = 0;
+      for (let i = 0; i < this.binCount - 1; i++) {
+        leftBounds.expandByBox(bins[i].bounds);
+        leftCount += bins[i].count;
+        if (leftCount === 0 || rightCount[i + 1] === 0) {
+          continue;
+        }
+
+        const cost = TRAVERSAL_COST +
+          (leftBounds.surfaceArea() * leftCount + rightArea[i + 1] * rightCount[i + 1]) / parentArea;
+        if (!best || cost < best.cost) {
+          best = { axis, bin: i, cost };
+        }
+      }
+    }
+
+    return best;
+  }
+
+  /**
+   * Map a centroid to its SAH bin along an axis
+   * @param {Vector3} centroid - Centroid to classify
+   * @param {AABB} centroidBounds - Bounds of all centroids being binned
+   * @param {string} axis - 'x', 'y' or 'z'
+   * @returns {number} Bin index
+   * @private
+   */
+  _binIndex(centroid, centroidBounds, axis) {
+    const extent = centroidBounds.max[axis] - centroidBounds.min[axis];
+    const relative = (centroid[axis] - centroidBounds.min[axis]) / extent;
+    return Math.min(this.binCount - 1, Math.floor(relative * this.binCount));
+  }
+
+  /**
+   * Get the map from primitives to the leaves holding them, creating it on first use.
+   * Hierarchies that are never edited (such as mesh BVHs) never pay for it.
+   * @returns {Map} Map of primitive to leaf node
+   * @private
+   */
+  _getLeafMap() {
+    if (!this.leafOf) {
+      this.leafOf = new Map();
+      const stack = this.root ? [this.root] : [];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.items) {
+          for (const item of node.items) {
+            this.leafOf.set(item.primitive, node);
+          }
+        } else {
+          stack.push(node.left, node.right);
+        }
+      }
+    }
+    return this.leafOf;
+  }
+
+  /**
+   * Add a primitive to the hierarchy.
+   * The primitive is placed in the leaf whose bounds grow the least; an
+   * overfull leaf is rebuilt into a small subtree.
+   * @param {*} primitive - Primitive to add
+   */
+  insert(primitive) {
+    const item = this._createItem(primitive, this.nextIndex++);
+    this.primitiveCount++;
+
+    if (!item.bounds) {
+      this.unbounded.push(item);
+      return;
+    }
+
+    const leafOf = this._getLeafMap();
+    if (!this.root) {
+      this.root = this._buildNode([item], null);
+      return;
+    }
+
+    // Descend towards the child whose surface area increases the least
+    let node = this.root;
+    while (!node.items) {
+      const leftGrowth = AABB.union(node.left.bounds, item.bounds).surfaceArea() - node.left.bounds.surfaceArea();
+      const rightGrowth = AABB.union(node.right.bounds, item.bounds).surfaceArea() - node.right.bounds.surfaceArea();
+      node = leftGrowth <= rightGrowth ? node.left : node.right;
+    }
+
+    node.items.push(item);
+    leafOf.set(primitive, node);
+
+    const degraded = this._refitFrom(node);
+    if (degraded) {
+      this._rebuildSubtree(degraded);
+    } else if (node.items.length > this.maxLeafSize * 2) {
+      this._rebuildSubtree(node);
+    }
+  }
+
+  /**
+   * Remove a primitive from the hierarchy. Leaves that become empty are
+   * collapsed into their sibling.
+   * @param {*} primitive - Primitive to remove
+   * @returns {boolean} Whether the primitive was found
+   */
+  remove(primitive) {
+    const unboundedIndex = this.unbounded.findIndex(item => item.primitive === primitive);
+    if (unboundedIndex !== -1) {
+      this.unbounded.splice(unboundedIndex, 1);
+      this.primitiveCount--;
+      return true;
+    }
+
+    const leafOf = this._getLeafMap();
+    const leaf = leafOf.get(primitive);
+    if (!leaf) {
+      return false;
+    }
+
+    leaf.items = leaf.items.filter(item => item.primitive !== primitive);
+    leafOf.delete(primitive);
+    this.primitiveCount--;
+
+    if (leaf.items.length > 0) {
+      this._refitFrom(leaf);
+      return true;
+    }
+
+    // Replace the parent of the empty leaf with the leaf's sibling
+    const parent = leaf.parent;
+    if (!parent) {
+      this.root = null;
+      return true;
+    }
+
+    const sibling = parent.left === leaf ? parent.right : parent.left;
+    this._replaceNode(parent, sibling);
+    if (sibling.parent) {
+      this._refitFrom(sibling.parent);
+    }
+    return true;
+  }
+
+  /**
+   * Notify the hierarchy that a primitive has moved or changed size.
+   * The bounds along the path to the root are refitted; if that leaves a
+   * subtree much larger than when it was built, that subtree is rebuilt.
+   * @param {*} primitive - Primitive whose bounds changed
+   * @returns {boolean} Whether the primitive was found
+   */
+  update(primitive) {
+    if (this.unbounded.some(item => item.primitive === primitive)) {
+      return true; // Unbounded primitives are always tested; nothing to refit
+    }
+
+    const leaf = this._getLeafMap().get(primitive);
+    if (!leaf) {
+      return false;
+    }
+
+    const item = leaf.items.find(candidate => candidate.primitive === primitive);
+    item.bounds = this.getPrimitiveBounds(primitive);
+    item.centroid = item.bounds.centroid();
+
+    const degraded = this._refitFrom(leaf);
+    if (degraded) {
+      this._rebuildSubtree(degraded);
+    }
+    return true;
+  }
+
+  /**
+   * Remove every primitive from the hierarchy
+   */
+  clear() {
+    this.build([]);
+  }
+
+  /**
+   * Recompute bounds from a node up to the root
+   * @param {Object} node - First node to refit
+   * @returns {Object|null} The highest node whose area outgrew its build-time area, if any
+   * @private
+   */
+  _refitFrom(node) {
+    let degraded = null;
+    for (let current = node; current; current = current.parent) {
+      const bounds = new AABB();
+      if (current.items) {
+        for (const item of current.items) {
+          bounds.expandByBox(item.bounds);
+        }
+      } else {
+        bounds.expandByBox(current.left.bounds);
+        bounds.expandByBox(current.right.bounds);
+      }
+      current.bounds = bounds;
+
+      if (bounds.surfaceArea() > current.buildArea * REBUILD_AREA_RATIO) {
+        degraded = current;
+      }
+    }
+    return degraded;
+  }
+
+  /**
+   * Rebuild the subtree below a node with the SAH builder and splice it back in
+   * @param {Object} node - Root of the subtree to rebuild
+   * @private
+   */
+  _rebuildSubtree(node) {
+    const items = [];
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (current.items) {
+        items.push(...current.items);
+      } else {
+        stack.push(current.left, current.right);
+      }
+    }
+
+    const rebuilt = this._buildNode(items, node.parent);
+    this._replaceNode(node, rebuilt);
+    this.subtreeRebuilds++;
+    if (rebuilt.parent) {
+      this._refitFrom(rebuilt.parent);
+    }
+  }
+
+  /**
+   * Put a node in the place of another one in the tree
+   * @param {Object} oldNode - Node to replace
+   * @param {Object} newNode - Node taking its place
+   * @private
+   */
+  _replaceNode(oldNode, newNode) {
+    const parent = oldNode.parent;
+    newNode.parent = parent;
+    if (!parent) {
+      this.root = newNode;
+    } else if (parent.left === oldNode) {
+      parent.left = newNode;
+    } else {
+      parent.right = newNode;
+    }
+  }
+
+  /**
+   * Get the bounds of everything in the hierarchy (unbounded primitives excluded)
+   * @returns {AABB} Bounds of the bounded primitives; empty if there are none
+   */
+  getBounds() {
+    return this.root ? this.root.bounds.clone() : new AABB();
+  }
+
+  /**
+   * Find the nearest intersection along a ray.
+   * Ties are resolved in favour of the primitive that came first in the input
+   * list, which matches a brute-force loop over the same list.
+   * @param {Ray} ray - The ray to trace
+   * @param {RenderStats} stats - Optional statistics to count primitive tests in
+   * @returns {Intersection|null} The nearest intersection or null if none found
+   */
+  intersect(ray, stats = null) {
+    let nearest = null;
+    let nearestDistance = Infinity;
+    let nearestIndex = Infinity;
+
+    const consider = (item) => {
+      if (stats) stats.intersectionTests++;
+      const intersection = this.intersectPrimitive(item.primitive, ray);
+      if (!intersection) {
+        return;
+      }
+      if (intersection.distance < nearestDistance ||
+          (intersection.distance === nearestDistance && item.index < nearestIndex)) {
+        nearest = intersection;
+        nearestDistance = intersection.distance;
+        nearestIndex = item.index;
+      }
+    };
+
+    for (const item of this.unbounded) {
+      consider(item);
+    }
+
+    if (!this.root || this.root.bounds.intersectRay(ray, nearestDistance) === Infinity) {
+      return nearest;
+    }
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+
+      if (node.items) {
+        for (const item of node.items) {
+          consider(item);
+        }
+        continue;
+      }
+
+      const leftDistance = node.left.bounds.intersectRay(ray, nearestDistance);
+      const rightDistance = node.right.bounds.intersectRay(ray, nearestDistance);
+
+      // Push the farther child first so the nearer one is visited next
+      if (leftDistance <= rightDistance) {
+        if (rightDistance !== Infinity) stack.push(node.right);
+        if (leftDistance !== Infinity) stack.push(node.left);
+      } else {
+        if (leftDistance !== Infinity) stack.push(node.left);
+        if (rightDistance !== Infinity) stack.push(node.right);
+      }
+    }
+
+    return nearest;
+  }
+
+  /**
+   * Check whether anything intersects a ray closer than a given distance.
+   * Stops at the first hit, which makes it cheaper than `intersect` for shadow rays.
+   * @param {Ray} ray - The ray to trace
+   * @param {number} maxDistance - Only hits closer than this count
+   * @param {RenderStats} stats - Optional statistics to count primitive tests in
+   * @returns {boolean} True if the ray is blocked
+   */
+  intersectsAny(ray, maxDistance = Infinity, stats = null) {
+    const blocks = (item) => {
+      if (stats) stats.intersectionTests++;
+      const intersection = this.intersectPrimitive(item.primitive, ray);
+      return intersection !== null && intersection.distance < maxDistance;
+    };
+
+    for (const item of this.unbounded) {
+      if (blocks(item)) {
+        return true;
+      }
+    }
+
+    if (!this.root) {
+      return false;
+    }
+
+    const stack = [this.root];
+    while (stack.length > 0) {
+      const node = stack.pop();
+      if (node.bounds.intersectRay(ray, maxDistance) === Infinity) {
+        continue;
+      }
+
+      if (node.items) {
+        for (const item of node.items) {
+          if (blocks(item)) {
+            return true;
+          }
+        }
+      } else {
+        stack.push(node.right, node.left);
+      }
+    }
+
+    return false;
+  }
+}
@@ -0,0 +1,318 @@
+/**
+ * Camera paths
+ * Animate a camera through timed keyframes. Each keyframe gives the camera
+ * position, the point it looks at and optionally the field of view and focus
+ * distance. Positions, fields of view and focus distances are interpolated
+ * with uniform Catmull-Rom splines through the keyframes, and orientations
+ * with quaternion slerp, so the camera moves and turns smoothly. Evenly
+ * spaced keyframes give an even speed.
+ *
+ * Path documents (see toJSON):
+ *   {
+ *     loop: boolean,                          // the last keyframe leads back into the first
+ *     keyframes: [{ time, position: [x, y, z], target: [x, y, z],
+ *                   fov, focusDistance }]      // fov and focusDistance optional
+ *   }
+ */
+import { Vector3, Quaternion, add, scale, subtract, length } from './math.js';
+import { Camera } from './camera.js';
+import { AABB } from './aabb.js';
+
+/**
+ * Interpolate between p1 and p2 with a uniform Catmull-Rom spline
+ * @param {number} p0 - Value before p1
+ * @param {number} p1 - Value at t = 0
+ * @param {number} p2 - Value at t = 1
+ * @param {number} p3 - Value after p2
+ * @param {number} t - Interpolation parameter in [0, 1]
+ * @returns {number} Interpolated value
+ * @private
+ */
+function catmullRom(p0, p1, p2, p3, t) {
+  const t2 = t * t;
+  const t3 = t2 * t;
+  return 0.5 * (
+    2 * p1 +
+    (p2 - p0) * t +
+    (2 * p0 - 5 * p1 + 4 * p2 - p3) * t2 +
+    (3 * p1 - p0 - 3 * p2 + p3) * t3
+  );
+}
+
+/**
+ * Convert a vector given as a Vector3 or an [x, y, z] array
+ * @param {Vector3|Array<number>} value - Vector
+ * @param {string} name - Name for the error message
+ * @returns {Vector3} The vector
+ * @throws {Error} If the value is not a vector of finite numbers
+ * @private
+ */
+function toVector(value, name) {
+  const [x, y, z] = Array.isArray(value) ? value : [value?.x, value?.y, value?.z];
+  if (![x, y, z].every(Number.isFinite)) {
+    throw new Error(`Keyframe ${name} must be a vector of three finite numbers`);
+  }
+  return new Vector3(x, y, z);
+}
+
+/**
+ * Timed keyframes a camera can be animated along
+ */
+export class CameraPath {
+  /**
+   * Create a camera path
+   * @param {Object} options - Path options
+   * @param {Array<Object>} options.keyframes - Keyframes to add (see addKeyframe)
+   * @param {boolean} options.loop - Whether the path is closed: the last keyframe should then
+   * repeat the first, and the spline continues smoothly through it (default: false)
+   */
+  constructor(options = {}) {
+    this.keyframes = [];
+    this.loop = options.loop || false;
+    for (const keyframe of options.keyframes || []) {
+      this.addKeyframe(keyframe);
+    }
+  }
+
+  /**
+   * Add a keyframe, keeping the keyframes sorted by time
+   * @param {Object} keyframe - Keyframe
+   * @param {number} keyframe.time - Time in seconds
+   * @param {Vector3|Array<number>} keyframe.position - Camera position
+   * @param {Vector3|Array<number>} keyframe.target - Point the camera looks at
+   * @param {number} keyframe.fov - Field of view in degrees (default: the camera's own)
+   * @param {number} keyframe.focusDistance - Focus distance (default: the camera's own)
+   * @returns {CameraPath} This path, for chaining
+   * @throws {Error} If the time, position or target is invalid or the camera would look at its own position
+   */
+  addKeyframe(keyframe) {
+    if (!Number.isFinite(keyframe.time)) {
+      throw new Error('Keyframe time must be a finite number');
+    }
+    const position = toVector(keyframe.position, 'position');
+    const target = toVector(keyframe.target, 'target');
+    if (length(subtract(target, position)) < 1e-9) {
+      throw new Error(`Keyframe at ${keyframe.time} s looks at its own position`);
+    }
+    for (const name of ['fov', 'focusDistance']) {
+      if (keyframe[name] !== undefined && !(keyframe[name] > 0)) {
+        throw new Error(`Keyframe ${name} must be a positive number`);
+      }
+    }
+
+    const orientation = new Camera({ position, lookAt: target }).orientation;
+    const entry = { time: keyframe.time, position, target, fov: keyframe.fov, focusDistance: keyframe.focusDistance, orientation };
+    const index = this.keyframes.findIndex(existing => existing.time > entry.time);
+    this.keyframes.splice(index === -1 ? this.keyframes.length : index, 0, entry);
+    return this;
+  }
+
+  /**
+   * Time of the first keyframe in seconds
+   * @type {number}
+   */
+  get startTime() {
+    return this.keyframes.length > 0 ? this.keyframes[0].time : 0;
+  }
+
+  /**
+   * Time of the last keyframe in seconds
+   * @type {number}
+   */
+  get endTime() {
+    return this.keyframes.length > 0 ? this.keyframes[this.keyframes.length - 1].time : 0;
+  }
+
+  /**
+   * Length of the path in seconds
+   * @type {number}
+   */
+  get duration() {
+    return this.endTime - this.startTime;
+  }
+
+  /**
+   * Get the camera state at a time. Times before the first or after the
+   * last keyframe hold still, or wrap around on a looping path.
+   * @param {number} time - Time in seconds
+   * @param {Object} defaults - Values for keyframes without them
+   * @param {number} defaults.fov - Field of view in degrees (default: 60)
+   * @param {number} defaults.focusDistance - Focus distance (default: 1)
+   * @returns {{position: Vector3, orientation: Object, fov: number, focusDistance: number}} Camera state
+   * @throws {Error} If the path has no keyframes
+   */
+  evaluate(time, defaults = {}) {
+    const { keyframes } = this;
+    const count = keyframes.length;
+    if (count === 0) {
+      throw new Error('Camera path has no keyframes');
+    }
+    const fallback = { fov: defaults.fov ?? 60, focusDistance: defaults.focusDistance ?? 1 };
+    const valueOf = (keyframe, name) => keyframe[name] ?? fallback[name];
+
+    if (this.loop && this.duration > 0) {
+      time = this.startTime + ((((time - this.startTime) % this.duration) + this.duration) % this.duration);
+    }
+    time = Math.max(this.startTime, Math.min(this.endTime, time));
+
+    // The segment from keyframe i to i + 1 containing the time
+    let i = 0;
+    while (i < count - 2 && keyframes[i + 1].time <= time) {
+      i++;
+    }
+    const current = keyframes[i];
+    const next = keyframes[Math.min(i + 1, count - 1)];
+    const span = next.time - current.time;
+    const t = span > 0 ? (time - current.time) / span : 0;
+
+    // Neighbours for the spline tangents; a loop skips the repeated keyframe
+    let before = current;
+    if (i > 0) {
+      before = keyframes[i - 1];
+    } else if (this.loop && count > 2) {
+      before = keyframes[count - 2];
+    }
+    let after = next;
+    if (i + 2 < count) {
+      after = keyframes[i + 2];
+    } else if (this.loop && count > 2) {
+      after = keyframes[1];
+    }
+
+    const spline = (get) => catmullRom(get(before), get(current), get(next), get(after), t);
+    return {
+      position: new Vector3(
+        spline(keyframe => keyframe.position.x),
+        spline(keyframe => keyframe.position.y),
+        spline(keyframe => keyframe.position.z)
+      ),
+      orientation: Quaternion.slerp(current.orientation, next.orientation, t),
+      // Splines can overshoot, so keep the values usable
+      fov: Math.min(179, Math.max(1, spline(keyframe => valueOf(keyframe, 'fov')))),
+      focusDistance: Math.max(1e-3, spline(keyframe => valueOf(keyframe, 'focusDistance')))
+    };
+  }
+
+  /**
+   * Move a camera to where the path is at a time. Keyframes without a field
+   * of view or focus distance use the camera's current one.
+   * @param {Camera} camera - Camera to move
+   * @param {number} time - Time in seconds
+   */
+  applyTo(camera, time) {
+    const state = this.evaluate(time, { fov: camera.fov, focusDistance: camera.focusDistance });
+    camera.position = state.position;
+    camera.setOrientation(state.orientation);
+    camera.setFov(state.fov);
+    camera.focusDistance = state.focusDistance;
+  }
+
+  /**
+   * Get the times of evenly spaced frames along the path. A looping path
+   * leaves out the end, which shows the same view as the start.
+   * @param {number} frameCount - Number of frames
+   * @returns {Array<number>} Frame times in seconds
+   */
+  getFrameTimes(frameCount) {
+    const intervals = this.loop ? frameCount : frameCount - 1;
+    return Array.from({ length: frameCount }, (_, frame) =>
+      intervals > 0 ? this.startTime + (this.duration * frame) / intervals : this.startTime
+    );
+  }
+
+  /**
+   * Serialize the path to a JSON-compatible document
+   * @returns {Object} Path document
+   */
+  toJSON() {
+    return {
+      loop: this.loop,
+      keyframes: this.keyframes.map(({ time, position, target, fov, focusDistance }) => ({
+        time,
+        position: [position.x, position.y, position.z],
+        target: [target.x, target.y, target.z],
+        ...(fov !== undefined && { fov }),
+        ...(focusDistance !== undefined && { focusDistance })
+      }))
+    };
+  }
+
+  /**
+   * Create a path from a document produced by toJSON
+   * @param {Object|string} data - Path document or its JSON text
+   * @returns {CameraPath} The path
+   * @throws {Error} If the document or one of its keyframes is invalid
+   */
+  static fromJSON(data) {
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+    if (!data || !Array.isArray(data.keyframes) || data.keyframes.length === 0) {
+      throw new Error('Camera path must have a non-empty keyframes array');
+    }
+    return new CameraPath({ loop: data.loop === true, keyframes: data.keyframes });
+  }
+}
+
+/**
+ * Get the bounding box of the scene's bounded objects; infinite planes are left out
+ * @param {Scene} scene - Scene to measure
+ * @returns {AABB|null} Bounds, or null if no object is bounded
+ */
+export function getSceneBounds(scene) {
+  const bounds = new AABB();
+  for (const object of scene.objects) {
+    const box = object.getBoundingBox();
+    if (box) {
+      bounds.expandByBox(box);
+    }
+  }
+  return bounds.isEmpty() ? null : bounds;
+}
+
+/**
+ * Create a looping path that circles the scene's bounded objects once,
+ * looking at their center from far enough away to keep them in view
+ * @param {Scene} scene - Scene to orbit
+ * @param {Object} options - Turntable options
+ * @param {number} options.duration - Seconds for one turn (default: 10)
+ * @param {number} options.elevation - Degrees above the center's horizon (default: 20)
+ * @param {number} options.fov - Field of view in degrees (default: 60)
+ * @param {number} options.margin - Extra distance as a factor, to leave room around the objects (default: 1.1)
+ * @param {number} options.keyframes - Keyframes around the circle (default: 24)
+ * @returns {CameraPath} The path, starting on the -z side of the scene
+ * @throws {Error} If the scene has no bounded objects
+ */
+export function createTurntablePath(scene, options = {}) {
+  const bounds = getSceneBounds(scene);
+  if (!bounds) {
+    throw new Error('The scene has no bounded objects to orbit');
+  }
+  const duration = options.duration ?? 10;
+  const elevation = ((options.elevation ?? 20) * Math.PI) / 180;
+  const fov = options.fov ?? 60;
+  const margin = options.margin ?? 1.1;
+  const keyframeCount = options.keyframes ?? 24;
+
+  const center = bounds.centroid();
+  const radius = Math.max(length(subtract(bounds.max, bounds.min)) / 2, 1e-3);
+  // Far enough for a sphere of that radius to fit the vertical field of view
+  const distance = (radius / Math.sin((fov * Math.PI) / 360)) * margin;
+
+  const path = new CameraPath({ loop: true });
+  for (let i = 0; i <= keyframeCount; i++) {
+    const angle = (2 * Math.PI * i) / keyframeCount;
+    const offset = new Vector3(
+      Math.sin(angle) * Math.cos(elevation),
+      Math.sin(elevation),
+      -Math.cos(angle) * Math.cos(elevation)
+    );
+    path.addKeyframe({
+      time: (duration * i) / keyframeCount,
+      position: add(center, scale(offset, distance)),
+      target: center,
+      fov
+    });
+  }
+  return path;
+}
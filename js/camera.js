@@ -1,11 +1,69 @@
 /**
  * Camera functionality for the raytracer
  */
-import { Vector3, normalize, cross, subtract, add, scale, dot } from './math.js';
-import { Ray } from './raytracer.js';
+import { Vector3, Quaternion, Matrix4, normalize, cross, subtract, add, scale, length } from './math.js';
+import { Ray, computeRayIntersection } from './raytracer.js';
+
+// Projections generateRay supports. Perspective and orthographic cameras have
+// a projection matrix for rasterizing; fisheye and equirectangular images can
+// only be raytraced.
+export const PROJECTIONS = ['perspective', 'orthographic', 'fisheye', 'equirectangular'];
+
+// World axis the camera yaws (pans) around
+const WORLD_UP = new Vector3(0, 1, 0);
+
+// Steepest pitch in degrees tilting can reach, short of straight up or down
+// where the view would flip over
+export const MAX_PITCH = 89;
 
 /**
- * Camera class for generating rays and managing the viewpoint
+ * Map a pair of uniform random numbers to a point on the lens aperture,
+ * uniformly distributed over its area. The aperture is a unit disk, or a
+ * regular polygon inscribed in it with a corner pointing up when it has
+ * three or more blades.
+ * @param {number} u - Random number in [0, 1)
+ * @param {number} v - Random number in [0, 1)
+ * @param {number} blades - Number of aperture blades (below 3 for a round aperture)
+ * @returns {{x: number, y: number}} Point on the aperture, within the unit circle
+ */
+export function sampleAperture(u, v, blades = 0) {
+  if (blades < 3) {
+    // Concentric mapping of the square onto the disk (Shirley and Chiu)
+    const a = 2 * u - 1;
+    const b = 2 * v - 1;
+    if (a === 0 && b === 0) {
+      return { x: 0, y: 0 };
+    }
+    const [radius, angle] = Math.abs(a) > Math.abs(b)
+      ? [a, (Math.PI / 4) * (b / a)]
+      : [b, Math.PI / 2 - (Math.PI / 4) * (a / b)];
+    return { x: radius * Math.cos(angle), y: radius * Math.sin(angle) };
+  }
+  
+  // Pick one of the equal triangles between the center and two neighbouring
+  // corners, then a uniform point inside it
+  const sector = Math.min(Math.floor(u * blades), blades - 1);
+  let s = u * blades - sector;
+  let t = v;
+  if (s + t > 1) {
+    s = 1 - s;
+    t = 1 - t;
+  }
+  const corner = (i) => {
+    const angle = Math.PI / 2 + (2 * Math.PI * i) / blades;
+    return { x: Math.cos(angle), y: Math.sin(angle) };
+  };
+  const first = corner(sector);
+  const second = corner(sector + 1);
+  return { x: s * first.x + t * second.x, y: s * first.y + t * second.y };
+}
+
+/**
+ * Camera class for generating rays and managing the viewpoint.
+ * The orientation is a unit quaternion rotating camera space (right +x, up
+ * +y, looking down -z) into world space; direction, right and up are derived
+ * from it, so change them with lookAt, setOrientation, setYawPitchRoll, pan
+ * or tilt rather than by assignment.
  */
 export class Camera {
   /**
@@ -16,21 +74,44 @@ export class Camera {
    * @param {Vector3} options.up - Up direction for the camera
    * @param {number} options.fov - Field of view in degrees
    * @param {number} options.aspectRatio - Aspect ratio (width/height)
+   * @param {number} options.aperture - Lens diameter in scene units (default: 0, a pinhole camera)
+   * @param {number} options.focusDistance - Distance from the camera to the plane in focus (default: 1)
+   * @param {number} options.apertureBlades - Aperture blades; 3 or more give polygonal bokeh (default: 0, round)
+   * @param {string} options.projection - One of PROJECTIONS (default: 'perspective')
+   * @param {number} options.viewWidth - Width of the orthographic view in scene units (default: 10)
+   * @param {number} options.fisheyeFov - Angle the fisheye image height covers in degrees (default: 180)
+   * @param {number} options.shutterOpen - Time in seconds the shutter opens (default: 0)
+   * @param {number} options.shutterClose - Time in seconds the shutter closes; later than shutterOpen
+   * for motion blur (default: shutterOpen, an instantaneous exposure)
+   * @throws {Error} If the projection is unknown
    */
   constructor(options = {}) {
     this.position = options.position || new Vector3(0, 0, 0);
-    const lookAt = options.lookAt || new Vector3(0, 0, -1);
-    const upGuide = options.up || new Vector3(0, 1, 0);
-    this.fov = options.fov || 60;
+    this.setFov(options.fov || 60);
     this.aspectRatio = options.aspectRatio || 1.0;
+    this.aperture = options.aperture || 0;
+    this.focusDistance = options.focusDistance || 1;
+    this.apertureBlades = options.apertureBlades || 0;
+    this.projection = options.projection || 'perspective';
+    this.viewWidth = options.viewWidth || 10;
+    this.fisheyeFov = options.fisheyeFov || 180;
+    this.shutterOpen = options.shutterOpen || 0;
+    this.shutterClose = Math.max(this.shutterOpen, options.shutterClose || 0);
+    if (!PROJECTIONS.includes(this.projection)) {
+      throw new Error(`Unknown camera projection: ${this.projection}`);
+    }
     
-    // Calculate the camera basis vectors
-    this.direction = normalize(subtract(lookAt, this.position));
-    this.right = normalize(cross(this.direction, upGuide));
-    this.up = normalize(cross(this.right, this.direction));
-    
-    // Convert FOV to radians
-    this.fovRadians = (this.fov * Math.PI) / 180;
+    // Sets the orientation and the basis vectors
+    this.lookAt(options.lookAt || new Vector3(0, 0, -1), options.up || WORLD_UP);
+  }
+  
+  /**
+   * Set the vertical field of view, keeping fovRadians in step
+   * @param {number} degrees - Field of view in degrees
+   */
+  setFov(degrees) {
+    this.fov = degrees;
+    this.fovRadians = (degrees * Math.PI) / 180;
   }
   
   /**
@@ -58,80 +139,300 @@ export class Camera {
   }
   
   /**
-   * Pan the camera left or right
-   * @param {number} degrees - Degrees to rotate (positive is right, negative is left)
+   * Point the camera at a target. The camera's up vector is the projection
+   * of the up guide perpendicular to the view direction, so there is no roll
+   * relative to it.
+   * @param {Vector3} target - Point to look at
+   * @param {Vector3} up - Up guide (default: world +y)
+   */
+  lookAt(target, up = WORLD_UP) {
+    const forward = normalize(subtract(target, this.position));
+    let right = cross(forward, up);
+    if (length(right) < 1e-9) {
+      // Looking straight along the up guide: any horizontal right vector will do
+      right = cross(forward, Math.abs(forward.z) < 0.9 ? new Vector3(0, 0, 1) : new Vector3(1, 0, 0));
+    }
+    right = normalize(right);
+    this.setOrientation(Quaternion.fromBasis(right, cross(right, forward), scale(forward, -1)));
+  }
+  
+  /**
+   * Set the orientation and update the basis vectors
+   * @param {{x: number, y: number, z: number, w: number}} orientation - Quaternion rotating camera space into world space (normalized here)
+   */
+  setOrientation(orientation) {
+    this.orientation = new Quaternion(orientation.x, orientation.y, orientation.z, orientation.w).normalize();
+    this.direction = this.orientation.rotateVector(new Vector3(0, 0, -1));
+    this.right = this.orientation.rotateVector(new Vector3(1, 0, 0));
+    this.up = this.orientation.rotateVector(new Vector3(0, 1, 0));
+  }
+  
+  /**
+   * Heading in degrees: 0 looking down -z, increasing as the camera turns
+   * left around the world y axis
+   * @type {number}
+   */
+  get yaw() {
+    return (Math.atan2(-this.direction.x, -this.direction.z) * 180) / Math.PI;
+  }
+  
+  /**
+   * Elevation of the view direction above the horizon in degrees
+   * @type {number}
+   */
+  get pitch() {
+    return (Math.asin(Math.max(-1, Math.min(1, this.direction.y))) * 180) / Math.PI;
+  }
+  
+  /**
+   * Rotation around the view direction in degrees, positive when the image
+   * turns counterclockwise (the camera's right vector points up)
+   * @type {number}
+   */
+  get roll() {
+    return (Math.atan2(this.right.y, this.up.y) * 180) / Math.PI;
+  }
+  
+  /**
+   * Set the orientation from angles: roll around the view direction, then
+   * pitch up, then yaw around the world y axis (see the yaw, pitch and roll getters)
+   * @param {number} yaw - Heading in degrees
+   * @param {number} pitch - Elevation in degrees
+   * @param {number} roll - Roll in degrees (default: 0)
+   */
+  setYawPitchRoll(yaw, pitch, roll = 0) {
+    const toRadians = Math.PI / 180;
+    const rotation = Quaternion.fromAxisAngle(WORLD_UP, yaw * toRadians)
+      .multiply(Quaternion.fromAxisAngle(new Vector3(1, 0, 0), pitch * toRadians))
+      .multiply(Quaternion.fromAxisAngle(new Vector3(0, 0, 1), roll * toRadians));
+    this.setOrientation(rotation);
+  }
+  
+  /**
+   * Turn the camera left or right around the world y axis, which keeps the
+   * horizon level
+   * @param {number} degrees - Degrees to rotate (positive is left, negative is right)
    */
   pan(degrees) {
-    const radians = (-degrees * Math.PI) / 180; // Negative to match expected behavior in tests
-    
-    // Create rotation matrix around the up vector
-    const cosTheta = Math.cos(radians);
-    const sinTheta = Math.sin(radians);
-    
-    // Apply rotation to direction vector
-    const newDirX = this.direction.x * cosTheta - this.direction.z * sinTheta;
-    const newDirZ = this.direction.x * sinTheta + this.direction.z * cosTheta;
-    
-    this.direction = new Vector3(newDirX, this.direction.y, newDirZ);
-    this.direction = normalize(this.direction);
-    
-    // Recalculate right vector
-    this.right = normalize(cross(this.direction, this.up));
-    
-    // Ensure up is orthogonal
-    this.up = normalize(cross(this.right, this.direction));
+    const rotation = Quaternion.fromAxisAngle(WORLD_UP, (degrees * Math.PI) / 180);
+    this.setOrientation(rotation.multiply(this.orientation));
   }
   
   /**
-   * Tilt the camera up or down
+   * Tilt the camera up or down around its own right vector, stopping at
+   * MAX_PITCH
    * @param {number} degrees - Degrees to rotate (positive is up, negative is down)
    */
   tilt(degrees) {
-    const radians = (degrees * Math.PI) / 180;
-    
-    // Create rotation matrix around the right vector
-    const cosTheta = Math.cos(radians);
-    const sinTheta = Math.sin(radians);
-    
-    // Apply rotation to direction vector
-    const newDirY = this.direction.y * cosTheta - this.direction.z * sinTheta;
-    const newDirZ = this.direction.y * sinTheta + this.direction.z * cosTheta;
-    
-    this.direction = new Vector3(this.direction.x, newDirY, newDirZ);
-    this.direction = normalize(this.direction);
-    
-    // Recalculate up vector to ensure orthogonality
-    this.up = normalize(cross(this.right, this.direction));
+    const pitch = this.pitch;
+    const limited = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, pitch + degrees)) - pitch;
+    // Never tilt the other way, even if the camera was set up steeper than the limit
+    const amount = degrees > 0 ? Math.max(0, limited) : Math.min(0, limited);
+    const rotation = Quaternion.fromAxisAngle(new Vector3(1, 0, 0), (amount * Math.PI) / 180);
+    this.setOrientation(this.orientation.multiply(rotation));
   }
   
   /**
-   * Generate a ray from the camera through a specific pixel
+   * Generate a ray from the camera through a specific pixel, following the
+   * camera's projection:
+   * - perspective: through a view plane spanning fov vertically
+   * - orthographic: parallel to the view direction, from a view rectangle
+   *   viewWidth wide centered on the camera position
+   * - fisheye: equidistant, the angle from the view direction grows linearly
+   *   with the distance from the image center, fisheyeFov across the height
+   * - equirectangular: 360 degrees of longitude across the width and 180
+   *   degrees of latitude down the height, centered on the view direction
+   * With an aperture and a lens sample the ray starts at that point of the
+   * lens and passes through the point the pinhole ray reaches at the focus
+   * distance, so only objects at that distance are sharp once many samples
+   * are averaged. Without a lens sample the ray starts at the lens center,
+   * like a pinhole camera.
+   * With a time sample the ray samples the scene at that point of the
+   * shutter interval, so moving objects blur once many samples are
+   * averaged; without one it samples the middle of the interval.
    * @param {number} x - X pixel coordinate
    * @param {number} y - Y pixel coordinate
    * @param {number} width - Width of the viewport in pixels
    * @param {number} height - Height of the viewport in pixels
+   * @param {{u: number, v: number}} lensSample - Uniform random numbers in [0, 1) picking the point on the lens
+   * @param {number} timeSample - Uniform random number in [0, 1) picking the time within the shutter interval
    * @returns {Ray} Ray from camera through the pixel
    */
-  generateRay(x, y, width, height) {
+  generateRay(x, y, width, height, lensSample = null, timeSample = null) {
     // Convert pixel coordinates to normalized device coordinates (-1 to 1)
     const ndcX = (x / width) * 2 - 1;
     const ndcY = 1 - (y / height) * 2; // Flip Y axis
     
-    // Calculate the camera view plane
-    const halfHeight = Math.tan(this.fovRadians / 2);
-    const halfWidth = halfHeight * this.aspectRatio;
+    const { origin, direction } = this._projectRay(ndcX, ndcY);
+    const time = this.getShutterTime(timeSample ?? 0.5);
     
-    // Calculate the ray direction in camera space
-    const dirX = ndcX * halfWidth;
-    const dirY = ndcY * halfHeight;
+    if (lensSample && this.aperture > 0) {
+      // The direction has unit length along the view axis for perspective and
+      // orthographic cameras, so the focus distance measures a plane; for the
+      // others it is a unit vector and the focus surface a sphere
+      const focusPoint = add(origin, scale(direction, this.focusDistance));
+      const lens = sampleAperture(lensSample.u, lensSample.v, this.apertureBlades);
+      const lensRadius = this.aperture / 2;
+      const lensPoint = add(origin, add(scale(this.right, lens.x * lensRadius), scale(this.up, lens.y * lensRadius)));
+      return new Ray(lensPoint, normalize(subtract(focusPoint, lensPoint)), time);
+    }
     
-    // Transform the ray direction to world space using the camera basis vectors
-    const rayDirX = this.right.x * dirX + this.up.x * dirY + this.direction.x;
-    const rayDirY = this.right.y * dirX + this.up.y * dirY + this.direction.y;
-    const rayDirZ = this.right.z * dirX + this.up.z * dirY + this.direction.z;
+    return new Ray(origin, normalize(direction), time);
+  }
+  
+  /**
+   * Check whether the shutter stays open for a while, so rays need time samples
+   * @returns {boolean} True if the shutter interval is longer than an instant
+   */
+  hasMotionBlur() {
+    return this.shutterClose > this.shutterOpen;
+  }
+  
+  /**
+   * Get a time within the shutter interval
+   * @param {number} fraction - Fraction of the interval, 0 at the opening and 1 at the closing
+   * @returns {number} Time in seconds
+   */
+  getShutterTime(fraction) {
+    return this.shutterOpen + (this.shutterClose - this.shutterOpen) * fraction;
+  }
+  
+  /**
+   * Get the half width and half height of the image in the camera's
+   * projection: of the view plane at unit distance for perspective cameras,
+   * of the view rectangle in scene units for orthographic ones, and angles
+   * in radians for fisheye and equirectangular ones
+   * @returns {{halfWidth: number, halfHeight: number}} Half extents of the image
+   */
+  getHalfExtents() {
+    switch (this.projection) {
+      case 'orthographic':
+        return { halfWidth: this.viewWidth / 2, halfHeight: this.viewWidth / 2 / this.aspectRatio };
+      case 'fisheye': {
+        // Square pixels cover the same angle in both directions
+        const halfHeight = (this.fisheyeFov * Math.PI) / 360;
+        return { halfWidth: halfHeight * this.aspectRatio, halfHeight };
+      }
+      case 'equirectangular':
+        return { halfWidth: Math.PI, halfHeight: Math.PI / 2 };
+      default: {
+        const halfHeight = Math.tan(this.fovRadians / 2);
+        return { halfWidth: halfHeight * this.aspectRatio, halfHeight };
+      }
+    }
+  }
+  
+  /**
+   * Get the origin and (unnormalized) direction of the pinhole ray through a
+   * point of the image for the camera's projection
+   * @param {number} ndcX - Horizontal image position, -1 (left) to 1 (right)
+   * @param {number} ndcY - Vertical image position, -1 (bottom) to 1 (top)
+   * @returns {{origin: Vector3, direction: Vector3}} Ray origin and direction
+   * @private
+   */
+  _projectRay(ndcX, ndcY) {
+    const { halfWidth, halfHeight } = this.getHalfExtents();
+    const u = ndcX * halfWidth;
+    const v = ndcY * halfHeight;
     
-    const rayDirection = normalize(new Vector3(rayDirX, rayDirY, rayDirZ));
+    switch (this.projection) {
+      case 'orthographic':
+        return { origin: add(this.position, add(scale(this.right, u), scale(this.up, v))), direction: this.direction };
+      case 'fisheye': {
+        // Equidistant: the angle from the view direction grows linearly with
+        // the distance from the image center, up to straight behind the camera
+        const theta = Math.min(Math.hypot(u, v), Math.PI);
+        const phi = Math.atan2(v, u);
+        return {
+          origin: this.position,
+          direction: this._toWorld(Math.sin(theta) * Math.cos(phi), Math.sin(theta) * Math.sin(phi), Math.cos(theta))
+        };
+      }
+      case 'equirectangular':
+        // u is the longitude and v the latitude
+        return {
+          origin: this.position,
+          direction: this._toWorld(Math.cos(v) * Math.sin(u), Math.sin(v), Math.cos(v) * Math.cos(u))
+        };
+      default:
+        return { origin: this.position, direction: this._toWorld(u, v, 1) };
+    }
+  }
+  
+  /**
+   * Transform a direction from camera space to world space using the camera
+   * basis vectors
+   * @param {number} x - Component along the right vector
+   * @param {number} y - Component along the up vector
+   * @param {number} z - Component along the view direction
+   * @returns {Vector3} World-space direction
+   * @private
+   */
+  _toWorld(x, y, z) {
+    return new Vector3(
+      this.right.x * x + this.up.x * y + this.direction.x * z,
+      this.right.y * x + this.up.y * y + this.direction.y * z,
+      this.right.z * x + this.up.z * y + this.direction.z * z
+    );
+  }
+  
+  /**
+   * Focus on whatever is in the center of the image: set the focus distance
+   * to the first hit of the ray through the center of the view
+   * @param {Scene} scene - Scene to focus on
+   * @returns {number|null} The new focus distance, or null if the center ray
+   * hits nothing (the focus distance is left unchanged)
+   */
+  autofocus(scene) {
+    const ray = new Ray(this.position, this.direction, this.getShutterTime(0.5));
+    const intersection = computeRayIntersection(ray, scene);
+    if (!intersection) {
+      return null;
+    }
     
-    return new Ray(this.position, rayDirection);
+    this.focusDistance = intersection.distance;
+    return this.focusDistance;
+  }
+  
+  /**
+   * Get the view matrix, which transforms world space into camera space
+   * (camera at the origin looking down -z, with y up). It inverts the basis
+   * generateRay uses, which is orthonormal only up to rounding.
+   * @returns {Float32Array} 4x4 matrix in column-major order
+   */
+  getViewMatrix() {
+    const cameraToWorld = Matrix4.fromBasis(this.right, this.up, scale(this.direction, -1), this.position);
+    return cameraToWorld.invert().toFloat32Array();
+  }
+  
+  /**
+   * Whether the projection can be expressed as a matrix, i.e. the scene can
+   * be rasterized with it. Fisheye and equirectangular projections bend
+   * straight lines, so they can only be raytraced.
+   * @returns {boolean} True for perspective and orthographic cameras
+   */
+  hasProjectionMatrix() {
+    return this.projection === 'perspective' || this.projection === 'orthographic';
+  }
+  
+  /**
+   * Get the perspective or orthographic projection matrix. Points on the ray
+   * generateRay produces for a pixel project onto that pixel, so a rasterized
+   * image lines up with the raytraced one. Depth maps to 0 (near) - 1 (far)
+   * as in WebGPU.
+   * @param {number} near - Distance to the near clipping plane (default: 0.1)
+   * @param {number} far - Distance to the far clipping plane (default: 1000)
+   * @returns {Float32Array} 4x4 matrix in column-major order
+   * @throws {Error} If the projection has no matrix (see hasProjectionMatrix)
+   */
+  getProjectionMatrix(near = 0.1, far = 1000) {
+    if (!this.hasProjectionMatrix()) {
+      throw new Error(`The ${this.projection} projection has no projection matrix`);
+    }
+    if (this.projection === 'orthographic') {
+      const { halfWidth, halfHeight } = this.getHalfExtents();
+      return Matrix4.orthographic(halfWidth, halfHeight, near, far).toFloat32Array();
+    }
+    return Matrix4.perspective(this.fovRadians, this.aspectRatio, near, far).toFloat32Array();
   }
 } 
\ No newline at end of file
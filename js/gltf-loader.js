@@ -0,0 +1,735 @@
+/**
+ * glTF 2.0 importer
+ * Reads glTF JSON or binary GLB assets and builds the equivalent meshes,
+ * materials, cameras and lights through a SceneManager. Features the renderer
+ * cannot represent are reported in a list of warnings instead of failing the import.
+ */
+import { Vector3, Quaternion, Matrix4, Transform, normalize } from './math.js';
+import { Material, Light } from './raytracer.js';
+import { Camera } from './camera.js';
+import { ImageTexture } from './textures.js';
+
+/**
+ * Extensions the importer understands
+ */
+const SUPPORTED_EXTENSIONS = new Set([
+  'KHR_lights_punctual',
+  'KHR_materials_ior',
+  'KHR_materials_transmission'
+]);
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+const GLB_CHUNK_BIN = 0x004E4942; // 'BIN\0'
+
+/**
+ * Byte size and normalization divisor of each accessor component type
+ */
+const COMPONENT_TYPES = {
+  5120: { size: 1, read: 'getInt8', divisor: 127 },
+  5121: { size: 1, read: 'getUint8', divisor: 255 },
+  5122: { size: 2, read: 'getInt16', divisor: 32767 },
+  5123: { size: 2, read: 'getUint16', divisor: 65535 },
+  5125: { size: 4, read: 'getUint32', divisor: 1 },
+  5126: { size: 4, read: 'getFloat32', divisor: 1 }
+};
+
+/**
+ * Number of components for each accessor type
+ */
+const TYPE_SIZES = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4, MAT2: 4, MAT3: 9, MAT4: 16 };
+
+const MODE_TRIANGLES = 4;
+const MODE_TRIANGLE_STRIP = 5;
+const MODE_TRIANGLE_FAN = 6;
+const WRAP_CLAMP_TO_EDGE = 33071;
+
+/**
+ * Convert a glTF array to a Vector3
+ * @param {Array<number>} values - Array with x, y, z values
+ * @returns {Vector3} The vector
+ */
+function toVector(values) {
+  return new Vector3(values[0], values[1], values[2]);
+}
+
+/**
+ * Decode a base64 string to bytes
+ * @param {string} base64 - Base64 encoded data
+ * @returns {Uint8Array} Decoded bytes
+ */
+function decodeBase64(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Wrap an ArrayBuffer or typed array as a Uint8Array without copying
+ * @param {ArrayBuffer|ArrayBufferView} data - Binary data
+ * @returns {Uint8Array} Bytes
+ */
+function toBytes(data) {
+  if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return new Uint8Array(data);
+}
+
+/**
+ * Split a binary GLB container into its JSON document and binary chunk
+ * @param {ArrayBuffer|ArrayBufferView} data - GLB file contents
+ * @returns {{json: Object, binary: Uint8Array|null}} Parsed document and BIN chunk
+ */
+export function parseGLB(data) {
+  const bytes = toBytes(data);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+  if (bytes.byteLength < 12 || view.getUint32(0, true) !== GLB_MAGIC) {
+    throw new Error('Not a GLB file: missing glTF magic');
+  }
+  const version = view.getUint32(4, true);
+  if (version !== 2) {
+    throw new Error(`Unsupported GLB version ${version}`);
+  }
+
+  const length = Math.min(view.getUint32(8, true), bytes.byteLength);
+  let json = null;
+  let binary = null;
+  let offset = 12;
+
+  while (offset + 8 <= length) {
+    const chunkLength = view.getUint32(offset, true);
+    const chunkType = view.getUint32(offset + 4, true);
+    const chunk = bytes.subarray(offset + 8, offset + 8 + chunkLength);
+
+    if (chunkType === GLB_CHUNK_JSON) {
+      json = JSON.parse(new TextDecoder('utf-8').decode(chunk));
+    } else if (chunkType === GLB_CHUNK_BIN && binary === null) {
+      binary = chunk;
+    }
+    offset += 8 + chunkLength;
+  }
+
+  if (!json) {
+    throw new Error('GLB file has no JSON chunk');
+  }
+  return { json, binary };
+}
+
+/**
+ * Normalize the accepted source formats to a glTF document and optional GLB binary chunk
+ * @param {Object|string|ArrayBuffer|ArrayBufferView} source - glTF JSON (object or text) or GLB bytes
+ * @returns {{json: Object, binary: Uint8Array|null}} Parsed document
+ */
+function readSource(source) {
+  if (typeof source === 'string') {
+    return { json: JSON.parse(source), binary: null };
+  }
+  // Binary input is checked structurally so buffers from another realm are accepted
+  if (source && typeof source.byteLength === 'number') {
+    const bytes = toBytes(source);
+    const isGLB = bytes.byteLength >= 4 &&
+      new DataView(bytes.buffer, bytes.byteOffset, 4).getUint32(0, true) === GLB_MAGIC;
+    if (isGLB) {
+      return parseGLB(bytes);
+    }
+    return { json: JSON.parse(new TextDecoder('utf-8').decode(bytes)), binary: null };
+  }
+  if (source && typeof source === 'object') {
+    return { json: source, binary: null };
+  }
+  throw new Error('glTF source must be an object, a JSON string or an ArrayBuffer');
+}
+
+/**
+ * Default image decoder for browsers: decodes with createImageBitmap.
+ * Returns null where no decoder is available (e.g. Node), which the importer reports as a warning.
+ * @param {Uint8Array} bytes - Encoded image
+ * @param {string} mimeType - Image MIME type
+ * @returns {Promise<Object|null>} Decoded image with width and height, or null
+ */
+async function decodeImageDefault(bytes, mimeType) {
+  if (typeof createImageBitmap !== 'function' || typeof Blob !== 'function') {
+    return null;
+  }
+  return createImageBitmap(new Blob([bytes], { type: mimeType }));
+}
+
+/**
+ * Builds scene content from a glTF document. Kept module-private; use loadGLTF.
+ */
+class GLTFImporter {
+  /**
+   * Creates an importer
+   * @param {Object} json - glTF document
+   * @param {Uint8Array|null} binary - GLB binary chunk
+   * @param {Object} options - Options passed to loadGLTF
+   */
+  constructor(json, binary, options) {
+    this.json = json;
+    this.binary = binary;
+    this.resources = options.resources || {};
+    this.decodeImage = options.decodeImage || decodeImageDefault;
+    this.lightIntensityScale = options.lightIntensityScale !== undefined ? options.lightIntensityScale : 1;
+    this.aspectRatio = options.aspectRatio;
+    this.warnings = [];
+    this.buffers = [];
+    this.materials = new Map();
+    this.textures = new Map();
+  }
+
+  /**
+   * Record a warning
+   * @param {string} code - Machine-readable warning code
+   * @param {string} message - Human-readable description
+   * @param {string} path - JSON path of the offending element
+   * @param {Object} details - Extra fields to include
+   * @private
+   */
+  _warn(code, message, path, details = {}) {
+    this.warnings.push({ code, message, path, ...details });
+  }
+
+  /**
+   * Report extensions the importer cannot handle
+   * @private
+   */
+  _checkExtensions() {
+    const required = new Set(this.json.extensionsRequired || []);
+    const used = new Set([...(this.json.extensionsUsed || []), ...required]);
+
+    for (const extension of used) {
+      if (!SUPPORTED_EXTENSIONS.has(extension)) {
+        const isRequired = required.has(extension);
+        this._warn(
+          'UNSUPPORTED_EXTENSION',
+          `Extension ${extension} is not supported${isRequired ? ' (required by the asset)' : ''} and was ignored`,
+          'extensionsUsed',
+          { extension, required: isRequired }
+        );
+      }
+    }
+  }
+
+  /**
+   * Resolve the bytes of every buffer
+   * @private
+   */
+  _loadBuffers() {
+    this.buffers = (this.json.buffers || []).map((buffer, index) => {
+      if (buffer.uri === undefined) {
+        if (index === 0 && this.binary) {
+          return this.binary;
+        }
+        throw new Error(`Buffer ${index} has no data`);
+      }
+      return this._resolveUri(buffer.uri, `buffers[${index}]`);
+    });
+  }
+
+  /**
+   * Get the bytes behind a URI from a data URI or the resources map
+   * @param {string} uri - URI from the document
+   * @param {string} path - JSON path for error messages
+   * @returns {Uint8Array} The bytes
+   * @private
+   */
+  _resolveUri(uri, path) {
+    const match = /^data:[^,]*?(;base64)?,(.*)$/s.exec(uri);
+    if (match) {
+      return match[1]
+        ? decodeBase64(match[2])
+        : new TextEncoder().encode(decodeURIComponent(match[2]));
+    }
+
+    const resource = this.resources[uri] || this.resources[decodeURIComponent(uri)];
+    if (!resource) {
+      throw new Error(`Missing external resource "${uri}" for ${path}`);
+    }
+    return toBytes(resource);
+  }
+
+  /**
+   * Get the bytes of a buffer view
+   * @param {number} index - Buffer view index
+   * @returns {{bytes: Uint8Array, byteStride: number|undefined}} View bytes and stride
+   * @private
+   */
+  _getBufferView(index) {
+    const bufferView = this.json.bufferViews[index];
+    const buffer = this.buffers[bufferView.buffer];
+    const offset = bufferView.byteOffset || 0;
+    return {
+      bytes: buffer.subarray(offset, offset + bufferView.byteLength),
+      byteStride: bufferView.byteStride
+    };
+  }
+
+  /**
+   * Read tightly packed elements from a buffer view
+   * @param {number} bufferViewIndex - Buffer view to read
+   * @param {number} byteOffset - Offset within the view
+   * @param {number} componentType - glTF component type
+   * @param {number} components - Components per element
+   * @param {number} count - Number of elements
+   * @param {boolean} normalized - Whether integers map to [0, 1] / [-1, 1]
+   * @param {Array|TypedArray} out - Destination array
+   * @private
+   */
+  _readElements(bufferViewIndex, byteOffset, componentType, components, count, normalized, out) {
+    const type = COMPONENT_TYPES[componentType];
+    if (!type) {
+      throw new Error(`Unknown component type ${componentType}`);
+    }
+
+    const { bytes, byteStride } = this._getBufferView(bufferViewIndex);
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const stride = byteStride || type.size * components;
+
+    for (let i = 0; i < count; i++) {
+      const elementOffset = byteOffset + i * stride;
+      for (let c = 0; c < components; c++) {
+        const value = view[type.read](elementOffset + c * type.size, true);
+        out[i * components + c] = normalized ? Math.max(value / type.divisor, -1) : value;
+      }
+    }
+  }
+
+  /**
+   * Read an accessor into a flat typed array
+   * @param {number} index - Accessor index
+   * @returns {Float32Array|Uint32Array|Int32Array} Accessor data
+   * @private
+   */
+  _readAccessor(index) {
+    const accessor = this.json.accessors[index];
+    const components = TYPE_SIZES[accessor.type];
+    const isFloat = accessor.componentType === 5126 || accessor.normalized;
+    const isSigned = accessor.componentType === 5120 || accessor.componentType === 5122;
+    const ArrayType = isFloat ? Float32Array : (isSigned ? Int32Array : Uint32Array);
+    const out = new ArrayType(accessor.count * components);
+
+    if (accessor.bufferView !== undefined) {
+      this._readElements(
+        accessor.bufferView, accessor.byteOffset || 0, accessor.componentType,
+        components, accessor.count, accessor.normalized, out
+      );
+    }
+
+    if (accessor.sparse) {
+      const { count, indices, values } = accessor.sparse;
+      const targets = new Uint32Array(count);
+      this._readElements(indices.bufferView, indices.byteOffset || 0, indices.componentType, 1, count, false, targets);
+      const replacements = new ArrayType(count * components);
+      this._readElements(
+        values.bufferView, values.byteOffset || 0, accessor.componentType,
+        components, count, accessor.normalized, replacements
+      );
+      targets.forEach((target, i) => {
+        out.set(replacements.subarray(i * components, (i + 1) * components), target * components);
+      });
+    }
+
+    return out;
+  }
+
+  /**
+   * Get the local transform of a node
+   * @param {Object} node - glTF node
+   * @returns {Transform} Transform from the node's space into its parent's
+   * @private
+   */
+  _localTransform(node) {
+    if (node.matrix) {
+      return new Transform(new Matrix4(node.matrix));
+    }
+    const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+    return Transform.compose(
+      toVector(node.translation || [0, 0, 0]),
+      new Quaternion(x, y, z, w),
+      toVector(node.scale || [1, 1, 1])
+    );
+  }
+
+  /**
+   * Import the default scene (or all root nodes if none is marked)
+   * @param {SceneManager} sceneManager - Scene manager to populate
+   * @returns {Promise<Object>} Import result
+   */
+  async import(sceneManager) {
+    this._checkExtensions();
+    this._loadBuffers();
+
+    const result = { ids: [], cameras: [], lights: [] };
+    const scenes = this.json.scenes || [];
+    const sceneIndex = this.json.scene !== undefined ? this.json.scene : 0;
+    const roots = scenes[sceneIndex] ? scenes[sceneIndex].nodes || [] : this._rootNodes();
+
+    const visited = new Set();
+    for (const root of roots) {
+      await this._importNode(root, new Transform(), sceneManager, result, visited);
+    }
+
+    return {
+      ...result,
+      camera: result.cameras.length > 0 ? result.cameras[0] : null,
+      warnings: this.warnings
+    };
+  }
+
+  /**
+   * Find nodes that are not children of any other node
+   * @returns {Array<number>} Root node indices
+   * @private
+   */
+  _rootNodes() {
+    const nodes = this.json.nodes || [];
+    const children = new Set(nodes.flatMap(node => node.children || []));
+    return nodes.map((node, index) => index).filter(index => !children.has(index));
+  }
+
+  /**
+   * Import a node and its descendants
+   * @param {number} index - Node index
+   * @param {Transform} parentTransform - World transform of the parent
+   * @param {SceneManager} sceneManager - Scene manager to populate
+   * @param {Object} result - Accumulated import result
+   * @param {Set<number>} visited - Nodes already imported (guards against cycles)
+   * @private
+   */
+  async _importNode(index, parentTransform, sceneManager, result, visited) {
+    if (visited.has(index)) {
+      this._warn('INVALID_HIERARCHY', `Node ${index} appears more than once in the hierarchy`, `nodes[${index}]`);
+      return;
+    }
+    visited.add(index);
+
+    const node = this.json.nodes[index];
+    const transform = parentTransform.multiply(this._localTransform(node));
+
+    if (node.mesh !== undefined) {
+      result.ids.push(...await this._importMesh(node.mesh, transform, sceneManager));
+    }
+    if (node.camera !== undefined) {
+      const camera = this._importCamera(node.camera, transform);
+      if (camera) {
+        result.cameras.push(camera);
+      }
+    }
+    const lightExtension = node.extensions && node.extensions.KHR_lights_punctual;
+    if (lightExtension) {
+      const light = this._importLight(lightExtension.light, transform);
+      if (light) {
+        result.lights.push(sceneManager.addLight(light));
+      }
+    }
+
+    for (const child of node.children || []) {
+      await this._importNode(child, transform, sceneManager, result, visited);
+    }
+  }
+
+  /**
+   * Import every triangle primitive of a mesh in world space
+   * @param {number} index - Mesh index
+   * @param {Transform} transform - World transform of the instancing node
+   * @param {SceneManager} sceneManager - Scene manager to populate
+   * @returns {Promise<Array<string>>} IDs of the added meshes
+   * @private
+   */
+  async _importMesh(index, transform, sceneManager) {
+    const mesh = this.json.meshes[index];
+    const ids = [];
+
+    for (let p = 0; p < mesh.primitives.length; p++) {
+      const primitive = mesh.primitives[p];
+      const path = `meshes[${index}].primitives[${p}]`;
+      const mode = primitive.mode !== undefined ? primitive.mode : MODE_TRIANGLES;
+
+      if (mode !== MODE_TRIANGLES && mode !== MODE_TRIANGLE_STRIP && mode !== MODE_TRIANGLE_FAN) {
+        this._warn('UNSUPPORTED_PRIMITIVE_MODE', `Primitive mode ${mode} (points/lines) was skipped`, path);
+        continue;
+      }
+      if (primitive.attributes.POSITION === undefined) {
+        this._warn('MISSING_POSITIONS', 'Primitive without POSITION was skipped', path);
+        continue;
+      }
+      if (primitive.targets) {
+        this._warn('UNSUPPORTED_MORPH_TARGETS', 'Morph targets were ignored', path);
+      }
+
+      const localPositions = this._readAccessor(primitive.attributes.POSITION);
+      const vertexCount = localPositions.length / 3;
+      const positions = new Float32Array(localPositions.length);
+      for (let v = 0; v < vertexCount; v++) {
+        const p = transform.transformPoint(new Vector3(localPositions[v * 3], localPositions[v * 3 + 1], localPositions[v * 3 + 2]));
+        positions.set([p.x, p.y, p.z], v * 3);
+      }
+
+      let normals = null;
+      if (primitive.attributes.NORMAL !== undefined) {
+        const localNormals = this._readAccessor(primitive.attributes.NORMAL);
+        normals = new Float32Array(localNormals.length);
+        for (let v = 0; v < vertexCount; v++) {
+          const n = transform.transformNormal(new Vector3(localNormals[v * 3], localNormals[v * 3 + 1], localNormals[v * 3 + 2]));
+          normals.set([n.x, n.y, n.z], v * 3);
+        }
+      }
+
+      const uvs = primitive.attributes.TEXCOORD_0 !== undefined
+        ? this._readAccessor(primitive.attributes.TEXCOORD_0)
+        : null;
+
+      let indices = primitive.indices !== undefined
+        ? this._readAccessor(primitive.indices)
+        : Uint32Array.from({ length: vertexCount }, (_, i) => i);
+      indices = this._toTriangleList(indices, mode);
+
+      const material = await this._getMaterial(primitive.material);
+      ids.push(sceneManager.addObject({ type: 'mesh', positions, indices, normals, uvs, material }));
+    }
+
+    return ids;
+  }
+
+  /**
+   * Convert strip or fan indices to a triangle list
+   * @param {Uint32Array} indices - Primitive indices
+   * @param {number} mode - glTF primitive mode
+   * @returns {Uint32Array} Triangle list indices
+   * @private
+   */
+  _toTriangleList(indices, mode) {
+    if (mode === MODE_TRIANGLES) {
+      return indices;
+    }
+
+    const triangles = [];
+    for (let i = 0; i + 2 < indices.length; i++) {
+      if (mode === MODE_TRIANGLE_FAN) {
+        triangles.push(indices[0], indices[i + 1], indices[i + 2]);
+      } else if (i % 2 === 0) {
+        triangles.push(indices[i], indices[i + 1], indices[i + 2]);
+      } else {
+        triangles.push(indices[i + 1], indices[i], indices[i + 2]);
+      }
+    }
+    return Uint32Array.from(triangles);
+  }
+
+  /**
+   * Get (and cache) the raytracer material for a glTF material index
+   * @param {number|undefined} index - Material index, or undefined for the default material
+   * @returns {Promise<Material>} The material
+   * @private
+   */
+  async _getMaterial(index) {
+    if (index === undefined) {
+      return new Material({ r: 1, g: 1, b: 1 });
+    }
+    if (!this.materials.has(index)) {
+      this.materials.set(index, this._createMaterial(index));
+    }
+    return this.materials.get(index);
+  }
+
+  /**
+   * Convert a metallic-roughness material to the renderer's Phong-style material.
+   * Rough surfaces get broad, weak highlights; smooth metals become mirror-like.
+   * @param {number} index - Material index
+   * @returns {Promise<Material>} The material
+   * @private
+   */
+  async _createMaterial(index) {
+    const definition = this.json.materials[index];
+    const path = `materials[${index}]`;
+    const pbr = definition.pbrMetallicRoughness || {};
+    const [r, g, b, alpha] = pbr.baseColorFactor || [1, 1, 1, 1];
+    const metallic = pbr.metallicFactor !== undefined ? pbr.metallicFactor : 1;
+    const roughness = pbr.roughnessFactor !== undefined ? pbr.roughnessFactor : 1;
+
+    // Blinn-Phong exponent equivalent to a GGX distribution with alpha = roughness^2
+    const alphaSquared = Math.max(roughness ** 4, 1e-4);
+    const options = {
+      diffuse: 0.7 * (1 - 0.5 * metallic),
+      specular: 0.1 + 0.5 * (1 - roughness),
+      shininess: Math.min(1000, Math.max(2, 2 / alphaSquared - 2)),
+      reflection: metallic * (1 - roughness),
+      transparency: definition.alphaMode === 'BLEND' ? 1 - alpha : 0
+    };
+
+    const extensions = definition.extensions || {};
+    if (extensions.KHR_materials_transmission) {
+      options.transparency = extensions.KHR_materials_transmission.transmissionFactor || 0;
+    }
+    if (extensions.KHR_materials_ior && extensions.KHR_materials_ior.ior !== undefined) {
+      options.refractiveIndex = extensions.KHR_materials_ior.ior;
+    }
+
+    if (pbr.baseColorTexture) {
+      options.texture = await this._getTexture(pbr.baseColorTexture, `${path}.pbrMetallicRoughness.baseColorTexture`);
+    }
+    if (pbr.metallicRoughnessTexture) {
+      this._warn('UNSUPPORTED_TEXTURE', 'Metallic-roughness textures are ignored; factors are used instead',
+        `${path}.pbrMetallicRoughness.metallicRoughnessTexture`);
+    }
+    if (definition.normalTexture) {
+      this._warn('UNSUPPORTED_TEXTURE', 'Normal maps are ignored', `${path}.normalTexture`);
+    }
+
+    return new Material({ r, g, b }, options);
+  }
+
+  /**
+   * Decode (and cache) the texture referenced by a texture info object
+   * @param {Object} textureInfo - glTF textureInfo ({index, texCoord})
+   * @param {string} path - JSON path for warnings
+   * @returns {Promise<Texture|undefined>} The texture, or undefined if it could not be decoded
+   * @private
+   */
+  async _getTexture(textureInfo, path) {
+    if (textureInfo.texCoord) {
+      this._warn('UNSUPPORTED_TEXCOORD', `Texture coordinate set ${textureInfo.texCoord} is not supported; set 0 is used`, path);
+    }
+    if (!this.textures.has(textureInfo.index)) {
+      this.textures.set(textureInfo.index, this._createTexture(textureInfo.index));
+    }
+    return this.textures.get(textureInfo.index);
+  }
+
+  /**
+   * Decode a texture's source image
+   * @param {number} index - Texture index
+   * @returns {Promise<Texture|undefined>} The texture, or undefined if it could not be decoded
+   * @private
+   */
+  async _createTexture(index) {
+    const texture = this.json.textures[index];
+    const path = `textures[${index}]`;
+    if (texture.source === undefined) {
+      this._warn('MISSING_TEXTURE', 'Texture has no supported image source', path);
+      return undefined;
+    }
+
+    const image = this.json.images[texture.source];
+    let bytes;
+    try {
+      bytes = image.bufferView !== undefined
+        ? this._getBufferView(image.bufferView).bytes
+        : this._resolveUri(image.uri, `images[${texture.source}]`);
+    } catch (error) {
+      this._warn('MISSING_TEXTURE', error.message, path);
+      return undefined;
+    }
+
+    const decoded = await this.decodeImage(bytes, image.mimeType || 'image/png');
+    if (!decoded) {
+      this._warn('MISSING_TEXTURE', 'No image decoder is available; texture was skipped', path);
+      return undefined;
+    }
+    if (typeof decoded.getColorAtUV === 'function') {
+      return decoded; // The decoder produced a texture directly
+    }
+
+    const sampler = texture.sampler !== undefined ? this.json.samplers[texture.sampler] : {};
+    return new ImageTexture(decoded, sampler.wrapS !== WRAP_CLAMP_TO_EDGE);
+  }
+
+  /**
+   * Create a camera from a node's camera reference.
+   * glTF cameras look down their local -Z axis with +Y up.
+   * @param {number} index - Camera index
+   * @param {Transform} transform - World transform of the node
+   * @returns {Camera|null} The camera, or null if unsupported
+   * @private
+   */
+  _importCamera(index, transform) {
+    const definition = this.json.cameras[index];
+    if (definition.type !== 'perspective') {
+      this._warn('UNSUPPORTED_CAMERA', `Camera type ${definition.type} is not supported`, `cameras[${index}]`);
+      return null;
+    }
+
+    const perspective = definition.perspective;
+    const position = transform.transformPoint(new Vector3(0, 0, 0));
+    const forward = transform.transformVector(new Vector3(0, 0, -1));
+    const up = transform.transformVector(new Vector3(0, 1, 0));
+
+    return new Camera({
+      position,
+      lookAt: new Vector3(position.x + forward.x, position.y + forward.y, position.z + forward.z),
+      up,
+      fov: (perspective.yfov * 180) / Math.PI,
+      aspectRatio: perspective.aspectRatio || this.aspectRatio
+    });
+  }
+
+  /**
+   * Create a light from a KHR_lights_punctual reference.
+   * Lights shine down their local -Z axis; spot lights are approximated as point lights.
+   * @param {number} index - Light index
+   * @param {Transform} transform - World transform of the node
+   * @returns {Light|null} The light, or null if unsupported
+   * @private
+   */
+  _importLight(index, transform) {
+    const lights = (this.json.extensions && this.json.extensions.KHR_lights_punctual &&
+      this.json.extensions.KHR_lights_punctual.lights) || [];
+    const definition = lights[index];
+    const path = `extensions.KHR_lights_punctual.lights[${index}]`;
+    if (!definition) {
+      this._warn('MISSING_LIGHT', `Light ${index} does not exist`, path);
+      return null;
+    }
+
+    const [r, g, b] = definition.color || [1, 1, 1];
+    const options = {
+      color: { r, g, b },
+      intensity: (definition.intensity !== undefined ? definition.intensity : 1) * this.lightIntensityScale
+    };
+
+    if (definition.type === 'directional') {
+      return new Light('directional', {
+        ...options,
+        direction: normalize(transform.transformVector(new Vector3(0, 0, -1)))
+      });
+    }
+    if (definition.type === 'spot') {
+      this._warn('UNSUPPORTED_LIGHT_TYPE', 'Spot light imported as a point light', path);
+    } else if (definition.type !== 'point') {
+      this._warn('UNSUPPORTED_LIGHT_TYPE', `Light type ${definition.type} is not supported`, path);
+      return null;
+    }
+    return new Light('point', { ...options, position: transform.transformPoint(new Vector3(0, 0, 0)) });
+  }
+}
+
+/**
+ * Import a glTF 2.0 asset into a scene.
+ * Meshes are added in world space through `SceneManager.addObject` (one mesh per
+ * primitive), lights through `SceneManager.addLight`. Cameras are returned for the
+ * caller to activate.
+ * @param {SceneManager} sceneManager - Scene manager to populate
+ * @param {Object|string|ArrayBuffer} source - glTF JSON (object or text) or GLB bytes
+ * @param {Object} options - Import options
+ * @param {Object<string, ArrayBuffer>} options.resources - External files (buffers, images) keyed by URI
+ * @param {Function} options.decodeImage - async (bytes, mimeType) => image or Texture; defaults to createImageBitmap
+ * @param {number} options.lightIntensityScale - Factor applied to light intensities (default: 1)
+ * @param {number} options.aspectRatio - Aspect ratio for cameras that do not specify one
+ * @returns {Promise<{ids: Array<string>, cameras: Array<Camera>, camera: Camera|null, lights: Array<Light>, warnings: Array<Object>}>}
+ * Added object IDs, cameras, lights and warnings ({code, message, path})
+ */
+export async function loadGLTF(sceneManager, source, options = {}) {
+  const { json, binary } = readSource(source);
+
+  const version = json.asset && json.asset.version;
+  if (!version || parseInt(version, 10) !== 2) {
+    throw new Error(`Unsupported glTF version ${version}`);
+  }
+
+  return new GLTFImporter(json, binary, options).import(sceneManager);
+}
@@ -0,0 +1,843 @@
+/**
+ * WebGPU compute raytracer
+ * Traces spheres and planes on the GPU with the same textures, Phong lighting,
+ * shadows, reflections, Fresnel-weighted refraction, depth limits and Russian
+ * roulette as traceRay in raytracer.js. The CPU tracer is the reference:
+ * both produce the same image up to floating-point differences (see
+ * compareImages).
+ */
+import { Sphere, Plane, raytracingSettings } from './raytracer.js';
+import {
+  OBJECT_TYPE_SPHERE,
+  OBJECT_TYPE_PLANE,
+  TEXTURE_TYPE_CHECKERBOARD,
+  TEXTURE_TYPE_GRADIENT,
+  TEXTURE_TYPE_MARBLE,
+  NO_TEXTURE,
+  LIGHT_TYPE_DIRECTIONAL,
+  RENDER_PARAMS_WORDS,
+  MAX_GPU_DEPTH,
+  ScenePacker,
+  packRenderParams
+} from './scene-packing.js';
+import { PROJECTIONS } from './camera.js';
+
+// Rows traced per dispatch, so long renders report progress and can be cancelled
+export const GPU_BAND_ROWS = 64;
+
+const WORKGROUP_SIZE = 8;
+
+// Order of the ray counters the shader adds up for RenderStats
+const COUNTER_NAMES = ['primaryRays', 'shadowRays', 'reflectionRays', 'refractionRays', 'intersectionTests', 'maxDepth'];
+
+// Packed scene buffers the shader reads, with their labels
+const SCENE_BUFFER_LABELS = {
+  objects: 'Raytracer objects',
+  materials: 'Raytracer materials',
+  lights: 'Raytracer lights',
+  textures: 'Raytracer textures',
+  texels: 'Raytracer texels'
+};
+
+// traceRay recurses, which WGSL cannot, so each invocation keeps an explicit
+// stack of paths with one frame per bounce. A frame moves through the stages
+// below; frames for the reflected and refracted rays are pushed on top of it
+// and their color is blended in when they are popped.
+const RAYTRACER_SHADER = /* wgsl */ `
+const STACK_SIZE = ${MAX_GPU_DEPTH + 1}u;
+const OBJECT_SPHERE = ${OBJECT_TYPE_SPHERE}u;
+const OBJECT_PLANE = ${OBJECT_TYPE_PLANE}u;
+const TEXTURE_CHECKERBOARD = ${TEXTURE_TYPE_CHECKERBOARD}u;
+const TEXTURE_GRADIENT = ${TEXTURE_TYPE_GRADIENT}u;
+const TEXTURE_MARBLE = ${TEXTURE_TYPE_MARBLE}u;
+const NO_TEXTURE = ${NO_TEXTURE}u;
+const LIGHT_DIRECTIONAL = ${LIGHT_TYPE_DIRECTIONAL}.0;
+const PROJECTION_ORTHOGRAPHIC = ${PROJECTIONS.indexOf('orthographic')}u;
+const PROJECTION_FISHEYE = ${PROJECTIONS.indexOf('fisheye')}u;
+const PROJECTION_EQUIRECTANGULAR = ${PROJECTIONS.indexOf('equirectangular')}u;
+const PI = 3.14159265358979;
+const NO_HIT = -1.0;
+const FAR = 3.4e38;
+
+const STAGE_SHADE = 0u;
+const STAGE_REFLECT = 1u;
+const STAGE_REFLECTED = 2u;
+const STAGE_REFRACT = 3u;
+const STAGE_REFRACTED = 4u;
+const STAGE_FINISH = 5u;
+
+const SPAWN_NONE = 0u;
+const SPAWN_REFLECTION = 1u;
+const SPAWN_REFRACTION = 2u;
+
+const PRIMARY_RAYS = 0;
+const SHADOW_RAYS = 1;
+const REFLECTION_RAYS = 2;
+const REFRACTION_RAYS = 3;
+const INTERSECTION_TESTS = 4;
+const MAX_DEPTH = 5;
+
+struct Params {
+  cameraPosition: vec4f,   // w: half width of the image (Camera.getHalfExtents)
+  cameraRight: vec4f,      // w: half height of the image
+  cameraUp: vec4f,         // w: projection (PROJECTION_*)
+  cameraDirection: vec4f,
+  background: vec4f,
+  width: u32,
+  height: u32,
+  firstRow: u32,
+  objectCount: u32,
+  lightCount: u32,
+  enableShadows: u32,
+  enableRefraction: u32,
+  russianRoulette: u32,
+  maxDepth: u32,
+  maxReflectionDepth: u32,
+  maxRefractionDepth: u32,
+  rouletteStartDepth: u32,
+  rouletteThreshold: f32,
+}
+
+struct SceneObject {
+  kind: u32,
+  material: u32,
+  firstVertex: u32,
+  vertexCount: u32,
+  a: vec4f,  // Sphere center and radius, or a point on the plane
+  b: vec4f,  // Plane normal
+  firstIndex: u32,
+  indexCount: u32,
+  attributes: u32,
+  unused: u32,
+}
+
+struct Material {
+  color: vec4f,    // w: ambient
+  lighting: vec4f, // diffuse, specular, shininess, reflection
+  transparency: f32,
+  refractiveIndex: f32,
+  texture: u32,
+  unused: u32,
+}
+
+struct Texture {
+  kind: u32,
+  option: u32,       // Gradient direction, or whether an image repeats
+  firstTexel: u32,
+  width: u32,
+  height: u32,
+  unused0: u32,
+  unused1: u32,
+  unused2: u32,
+  color1: vec4f,     // w: scale
+  color2: vec4f,     // w: turbulence
+}
+
+struct Light {
+  position: vec4f,   // w: type
+  direction: vec4f,  // w: intensity
+  color: vec4f,
+}
+
+struct Hit {
+  found: bool,
+  distance: f32,
+  point: vec3f,
+  normal: vec3f,
+  uv: vec2f,
+  material: u32,
+}
+
+struct Frame {
+  origin: vec3f,
+  direction: vec3f,
+  depth: u32,
+  reflections: u32,
+  refractions: u32,
+  throughput: f32,  // Share of the pixel color carried by this ray
+  weight: f32,      // Russian roulette weight applied to the result
+  stage: u32,
+  hit: Hit,
+  color: vec3f,
+  blend: f32,       // Share of the reflected or refracted color being traced
+}
+
+@group(0) @binding(0) var<uniform> params: Params;
+@group(0) @binding(1) var<storage, read> objects: array<SceneObject>;
+@group(0) @binding(2) var<storage, read> materials: array<Material>;
+@group(0) @binding(3) var<storage, read> lights: array<Light>;
+@group(0) @binding(4) var<storage, read_write> pixels: array<u32>;
+@group(0) @binding(5) var<storage, read_write> counters: array<atomic<u32>, 6>;
+@group(0) @binding(6) var<storage, read> textures: array<Texture>;
+@group(0) @binding(7) var<storage, read> texels: array<u32>;
+
+// Counters of this invocation, added to the shared ones once per pixel
+var<private> rayCounts: array<u32, 6>;
+
+fn intersectObject(object: SceneObject, origin: vec3f, direction: vec3f) -> f32 {
+  rayCounts[INTERSECTION_TESTS] += 1u;
+
+  if (object.kind == OBJECT_SPHERE) {
+    let oc = origin - object.a.xyz;
+    let a = dot(direction, direction);
+    let b = 2.0 * dot(oc, direction);
+    let c = dot(oc, oc) - object.a.w * object.a.w;
+    let discriminant = b * b - 4.0 * a * c;
+    if (discriminant < 0.0) {
+      return NO_HIT;
+    }
+    let root = sqrt(discriminant);
+    var t = (-b - root) / (2.0 * a);
+    if (t < 0.001) {
+      t = (-b + root) / (2.0 * a);
+      if (t < 0.001) {
+        return NO_HIT;
+      }
+    }
+    return t;
+  }
+
+  if (object.kind != OBJECT_PLANE) {
+    return NO_HIT;
+  }
+
+  // Planes are only hit from the front
+  let denom = dot(direction, object.b.xyz);
+  if (abs(denom) < 0.0001 || denom > 0.0) {
+    return NO_HIT;
+  }
+  let t = dot(object.a.xyz - origin, object.b.xyz) / denom;
+  if (t < 0.001) {
+    return NO_HIT;
+  }
+  return t;
+}
+
+fn closestHit(origin: vec3f, direction: vec3f) -> Hit {
+  var hit: Hit;
+  hit.distance = FAR;
+  var closest = 0u;
+  for (var i = 0u; i < params.objectCount; i++) {
+    let t = intersectObject(objects[i], origin, direction);
+    if (t > 0.0 && t < hit.distance) {
+      hit.found = true;
+      hit.distance = t;
+      closest = i;
+    }
+  }
+  if (!hit.found) {
+    return hit;
+  }
+
+  let object = objects[closest];
+  hit.point = origin + direction * hit.distance;
+  if (object.kind == OBJECT_SPHERE) {
+    hit.normal = normalize(hit.point - object.a.xyz);
+    hit.uv = sphereUV(hit.normal);
+  } else {
+    hit.normal = object.b.xyz;
+    hit.uv = planeUV(hit.point - object.a.xyz, hit.normal);
+  }
+  hit.material = object.material;
+  return hit;
+}
+
+// Port of the mapping in Material.getColorAt for geometry without UVs
+fn sphereUV(normal: vec3f) -> vec2f {
+  var angle = 0.0;
+  if (normal.x != 0.0 || normal.z != 0.0) {
+    angle = atan2(normal.z, normal.x);
+  }
+  return vec2f(angle / (2.0 * PI) + 0.5, asin(clamp(normal.y, -1.0, 1.0)) / PI + 0.5);
+}
+
+// Port of Plane.getUV
+fn planeUV(offset: vec3f, normal: vec3f) -> vec2f {
+  var helper = vec3f(1.0, 0.0, 0.0);
+  if (abs(normal.x) > 0.9) {
+    helper = vec3f(0.0, 1.0, 0.0);
+  }
+  let uAxis = normalize(cross(helper, normal));
+  let vAxis = cross(normal, uAxis);
+  return vec2f(dot(offset, uAxis), dot(offset, vAxis));
+}
+
+// Port of getColorAtUV of the textures in textures.js
+fn sampleTexture(record: Texture, uv: vec2f) -> vec3f {
+  if (record.kind == TEXTURE_CHECKERBOARD) {
+    let square = vec2i(floor(uv * record.color1.w));
+    if ((square.x + square.y) % 2 == 0) {
+      return record.color1.rgb;
+    }
+    return record.color2.rgb;
+  }
+  if (record.kind == TEXTURE_GRADIENT) {
+    var t = uv.y;
+    if (record.option == 0u) {
+      t = uv.x;
+    } else if (record.option == 2u) {
+      t = min(1.0, length(uv - vec2f(0.5)) * 2.0);
+    }
+    return mix(record.color1.rgb, record.color2.rgb, t);
+  }
+  if (record.kind == TEXTURE_MARBLE) {
+    let scaled = uv * record.color1.w;
+    let wave = sin(scaled.x * 0.1 + scaled.y * 0.1) * 10.0;
+    let noise = abs(wave - floor(wave)) * record.color2.w;
+    let t = abs(sin((scaled.x + scaled.y + noise) * 0.1) * 0.5 + 0.5);
+    return mix(record.color1.rgb, record.color2.rgb, t);
+  }
+
+  // Image
+  var st = clamp(uv, vec2f(0.0), vec2f(1.0));
+  if (record.option != 0u) {
+    st = uv - floor(uv);
+  }
+  let x = u32(floor(st.x * f32(record.width - 1u)));
+  let y = u32(floor(st.y * f32(record.height - 1u)));
+  let texel = unpack4x8unorm(texels[record.firstTexel + y * record.width + x]);
+  return texel.rgb;
+}
+
+fn isOccluded(origin: vec3f, direction: vec3f, maxDistance: f32) -> bool {
+  for (var i = 0u; i < params.objectCount; i++) {
+    let t = intersectObject(objects[i], origin, direction);
+    if (t > 0.0 && t < maxDistance) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Port of calculateLighting
+fn shade(hit: Hit, direction: vec3f) -> vec3f {
+  let material = materials[hit.material];
+  var baseColor = material.color.rgb;
+  if (material.texture != NO_TEXTURE) {
+    baseColor = sampleTexture(textures[material.texture], hit.uv);
+  }
+  let viewDir = -direction;
+  var result = baseColor * material.color.w;
+
+  for (var i = 0u; i < params.lightCount; i++) {
+    let light = lights[i];
+    let directional = light.position.w == LIGHT_DIRECTIONAL;
+    var lightDir = -light.direction.xyz;
+    var lightDistance = FAR;
+    if (!directional) {
+      let toLight = light.position.xyz - hit.point;
+      lightDistance = length(toLight);
+      lightDir = normalize(toLight);
+    }
+
+    if (params.enableShadows != 0u) {
+      rayCounts[SHADOW_RAYS] += 1u;
+      if (isOccluded(hit.point, lightDir, lightDistance)) {
+        continue;
+      }
+    }
+
+    let lambertian = max(dot(hit.normal, lightDir), 0.0);
+    var specular = 0.0;
+    if (lambertian > 0.0) {
+      let reflectDir = hit.normal * (2.0 * dot(hit.normal, lightDir)) - lightDir;
+      let facing = max(dot(reflectDir, viewDir), 0.0);
+      if (facing > 0.0) {
+        specular = pow(facing, material.lighting.z);
+      }
+    }
+
+    var intensity = light.direction.w;
+    if (!directional) {
+      intensity = intensity / (1.0 + 0.01 * lightDistance * lightDistance);
+    }
+
+    result += baseColor * material.lighting.x * lambertian * light.color.rgb * intensity;
+    result += light.color.rgb * (material.lighting.y * specular * intensity);
+  }
+
+  return clamp(result, vec3f(0.0), vec3f(1.0));
+}
+
+// Port of calculateRefraction; returns a zero vector on total internal reflection
+fn refractDirection(incident: vec3f, normal: vec3f, refractiveIndex: f32) -> vec3f {
+  var cosi = dot(incident, normal);
+  var etai = 1.0;
+  var etat = refractiveIndex;
+  var n = normal;
+  if (cosi < 0.0) {
+    cosi = -cosi;
+  } else {
+    etai = refractiveIndex;
+    etat = 1.0;
+    n = -normal;
+  }
+
+  let eta = etai / etat;
+  let discriminant = 1.0 - eta * eta * (1.0 - cosi * cosi);
+  if (discriminant <= 0.0) {
+    return vec3f(0.0);
+  }
+  return normalize(incident * eta + n * (eta * cosi - sqrt(discriminant)));
+}
+
+// Port of calculateFresnelReflection
+fn fresnel(incident: vec3f, normal: vec3f, refractiveIndex: f32) -> f32 {
+  var cosi = dot(incident, normal);
+  var etai = 1.0;
+  var etat = refractiveIndex;
+  if (cosi > 0.0) {
+    etai = refractiveIndex;
+    etat = 1.0;
+  }
+
+  let sint = etai / etat * sqrt(max(0.0, 1.0 - cosi * cosi));
+  if (sint >= 1.0) {
+    return 1.0;
+  }
+  let cost = sqrt(max(0.0, 1.0 - sint * sint));
+  cosi = abs(cosi);
+  let rs = (etat * cosi - etai * cost) / (etat * cosi + etai * cost);
+  let rp = (etai * cosi - etat * cost) / (etai * cosi + etat * cost);
+  return (rs * rs + rp * rp) / 2.0;
+}
+
+// Same hash of the ray's float bits as rouletteSample in raytracer.js
+fn rouletteSample(origin: vec3f, direction: vec3f) -> f32 {
+  var values = array<f32, 6>(origin.x, origin.y, origin.z, direction.x, direction.y, direction.z);
+  var hash = 0x811C9DC5u;
+  for (var i = 0; i < 6; i++) {
+    hash = (hash ^ bitcast<u32>(values[i])) * 0x01000193u;
+    hash ^= hash >> 15u;
+  }
+  hash = (hash ^ (hash >> 16u)) * 0x85EBCA6Bu;
+  hash = (hash ^ (hash >> 13u)) * 0xC2B2AE35u;
+  hash ^= hash >> 16u;
+  return f32(hash) / 4294967296.0;
+}
+
+// Port of the checks in traceSecondaryRay: -1 if the ray is beyond a depth
+// limit (it sees the background), 0 if Russian roulette drops it (black),
+// otherwise the weight of its color
+fn secondaryWeight(origin: vec3f, direction: vec3f, depth: u32, bounces: u32, bounceLimit: u32, throughput: f32) -> f32 {
+  if (depth > params.maxDepth || bounces > bounceLimit) {
+    return -1.0;
+  }
+  if (params.russianRoulette != 0u && depth > params.rouletteStartDepth && throughput < params.rouletteThreshold) {
+    let survival = throughput / params.rouletteThreshold;
+    if (rouletteSample(origin, direction) >= survival) {
+      return 0.0;
+    }
+    return 1.0 / survival;
+  }
+  return 1.0;
+}
+
+fn tracePixel(origin: vec3f, direction: vec3f) -> vec3f {
+  var stack: array<Frame, STACK_SIZE>;
+  var top = 0u;
+  stack[0].origin = origin;
+  stack[0].direction = direction;
+  stack[0].throughput = 1.0;
+  stack[0].weight = 1.0;
+  stack[0].stage = STAGE_SHADE;
+  rayCounts[PRIMARY_RAYS] += 1u;
+
+  // Color of the last frame that finished, or of a secondary ray that was not traced
+  var result = vec3f(0.0);
+
+  loop {
+    let frame = &stack[top];
+    var finished = false;
+    var spawn = SPAWN_NONE;
+    var spawnOrigin = vec3f(0.0);
+    var spawnDirection = vec3f(0.0);
+
+    switch ((*frame).stage) {
+      case STAGE_SHADE: {
+        rayCounts[MAX_DEPTH] = max(rayCounts[MAX_DEPTH], (*frame).depth);
+        let hit = closestHit((*frame).origin, (*frame).direction);
+        if (hit.found) {
+          (*frame).hit = hit;
+          (*frame).color = shade(hit, (*frame).direction);
+          (*frame).stage = STAGE_REFLECT;
+        } else {
+          result = params.background.rgb * (*frame).weight;
+          finished = true;
+        }
+      }
+      case STAGE_REFLECT: {
+        let hit = (*frame).hit;
+        let reflection = materials[hit.material].lighting.w;
+        (*frame).stage = STAGE_REFRACT;
+        if (reflection > 0.0) {
+          (*frame).blend = reflection;
+          (*frame).stage = STAGE_REFLECTED;
+          spawn = SPAWN_REFLECTION;
+          spawnOrigin = hit.point + hit.normal * 0.001;
+          spawnDirection = reflect((*frame).direction, hit.normal);
+        }
+      }
+      case STAGE_REFLECTED, STAGE_REFRACTED: {
+        (*frame).color = mix((*frame).color, result, (*frame).blend);
+        (*frame).stage = select(STAGE_FINISH, STAGE_REFRACT, (*frame).stage == STAGE_REFLECTED);
+      }
+      case STAGE_REFRACT: {
+        let hit = (*frame).hit;
+        let material = materials[hit.material];
+        (*frame).stage = STAGE_FINISH;
+        if (material.transparency > 0.0 && params.enableRefraction != 0u) {
+          let refractiveIndex = material.refractiveIndex;
+          let reflectance = fresnel((*frame).direction, hit.normal, refractiveIndex);
+          let refractDir = refractDirection((*frame).direction, hit.normal, refractiveIndex);
+          if (any(refractDir != vec3f(0.0))) {
+            // Continue on the side the refracted ray heads to
+            let offset = hit.normal * 0.001;
+            (*frame).blend = material.transparency * (1.0 - reflectance);
+            (*frame).stage = STAGE_REFRACTED;
+            spawn = SPAWN_REFRACTION;
+            spawnOrigin = select(hit.point + offset, hit.point - offset, dot(refractDir, hit.normal) < 0.0);
+            spawnDirection = refractDir;
+          }
+        }
+      }
+      default: {
+        result = (*frame).color * (*frame).weight;
+        finished = true;
+      }
+    }
+
+    if (spawn != SPAWN_NONE) {
+      let parent = stack[top];
+      let isReflection = spawn == SPAWN_REFLECTION;
+      let depth = parent.depth + 1u;
+      let reflections = parent.reflections + select(0u, 1u, isReflection);
+      let refractions = parent.refractions + select(1u, 0u, isReflection);
+      let throughput = parent.throughput * parent.blend;
+      let weight = secondaryWeight(
+        spawnOrigin,
+        spawnDirection,
+        depth,
+        select(refractions, reflections, isReflection),
+        select(params.maxRefractionDepth, params.maxReflectionDepth, isReflection),
+        throughput
+      );
+
+      if (weight < 0.0) {
+        result = params.background.rgb;
+      } else if (weight == 0.0) {
+        result = vec3f(0.0);
+      } else {
+        rayCounts[select(REFRACTION_RAYS, REFLECTION_RAYS, isReflection)] += 1u;
+        top += 1u;
+        stack[top].origin = spawnOrigin;
+        stack[top].direction = spawnDirection;
+        stack[top].depth = depth;
+        stack[top].reflections = reflections;
+        stack[top].refractions = refractions;
+        stack[top].throughput = throughput;
+        stack[top].weight = weight;
+        stack[top].stage = STAGE_SHADE;
+      }
+    }
+
+    if (finished) {
+      if (top == 0u) {
+        return result;
+      }
+      top -= 1u;
+    }
+  }
+}
+
+@compute @workgroup_size(${WORKGROUP_SIZE}, ${WORKGROUP_SIZE})
+fn main(@builtin(global_invocation_id) id: vec3u) {
+  let x = id.x;
+  let y = id.y + params.firstRow;
+  if (x >= params.width || y >= params.height) {
+    return;
+  }
+
+  // Same ray as Camera.generateRay
+  let ndcX = f32(x) / f32(params.width) * 2.0 - 1.0;
+  let ndcY = 1.0 - f32(y) / f32(params.height) * 2.0;
+  let u = ndcX * params.cameraPosition.w;
+  let v = ndcY * params.cameraRight.w;
+  var origin = params.cameraPosition.xyz;
+  var local = vec3f(u, v, 1.0);
+  switch u32(params.cameraUp.w) {
+    case PROJECTION_ORTHOGRAPHIC: {
+      origin += params.cameraRight.xyz * u + params.cameraUp.xyz * v;
+      local = vec3f(0.0, 0.0, 1.0);
+    }
+    case PROJECTION_FISHEYE: {
+      let theta = min(length(vec2f(u, v)), PI);
+      let phi = atan2(v, u);
+      local = vec3f(sin(theta) * cos(phi), sin(theta) * sin(phi), cos(theta));
+    }
+    case PROJECTION_EQUIRECTANGULAR: {
+      local = vec3f(cos(v) * sin(u), sin(v), cos(v) * cos(u));
+    }
+    default: {}
+  }
+  let direction = normalize(
+    params.cameraRight.xyz * local.x +
+    params.cameraUp.xyz * local.y +
+    params.cameraDirection.xyz * local.z
+  );
+
+  let color = clamp(tracePixel(origin, direction), vec3f(0.0), vec3f(1.0));
+  let bytes = vec3u(floor(color * 255.0));
+  pixels[y * params.width + x] = bytes.r | (bytes.g << 8u) | (bytes.b << 16u) | (255u << 24u);
+
+  for (var i = 0; i < MAX_DEPTH; i++) {
+    atomicAdd(&counters[i], rayCounts[i]);
+  }
+  atomicMax(&counters[MAX_DEPTH], rayCounts[MAX_DEPTH]);
+}
+`;
+
+/**
+ * Compare two RGBA images, e.g. GPU output against the CPU reference
+ * @param {Uint8ClampedArray} actual - Image to check
+ * @param {Uint8ClampedArray} expected - Reference image of the same size
+ * @param {number} tolerance - Largest channel difference that still counts as a match (default: 2)
+ * @returns {{maxDifference: number, mismatchedPixels: number, mismatchRatio: number}} Largest
+ * channel difference, and the number and fraction of pixels with a channel beyond the tolerance
+ */
+export function compareImages(actual, expected, tolerance = 2) {
+  if (actual.length !== expected.length) {
+    throw new Error(`Images differ in size (${actual.length} and ${expected.length} bytes)`);
+  }
+
+  let maxDifference = 0;
+  let mismatchedPixels = 0;
+  for (let i = 0; i < actual.length; i += 4) {
+    let pixelDifference = 0;
+    for (let channel = 0; channel < 4; channel++) {
+      pixelDifference = Math.max(pixelDifference, Math.abs(actual[i + channel] - expected[i + channel]));
+    }
+    maxDifference = Math.max(maxDifference, pixelDifference);
+    if (pixelDifference > tolerance) {
+      mismatchedPixels++;
+    }
+  }
+
+  const pixelCount = actual.length / 4;
+  return { maxDifference, mismatchedPixels, mismatchRatio: pixelCount ? mismatchedPixels / pixelCount : 0 };
+}
+
+/**
+ * Check whether the shader can trace an object: the packed scene holds
+ * spheres and planes at one position, so moving objects stay on the CPU
+ * @param {Geometry} object - Scene object
+ * @returns {boolean} True for a sphere or plane without motion
+ * @private
+ */
+function isGpuObject(object) {
+  return (object instanceof Sphere || object instanceof Plane) && !object.motion;
+}
+
+/**
+ * Compute pipeline for raytracing on the GPU
+ */
+export class GpuRaytracer {
+  /**
+   * Create the compute pipeline
+   * @param {GPUDevice} device - WebGPU device
+   */
+  constructor(device) {
+    this.device = device;
+
+    const module = device.createShaderModule({ label: 'Raytracer compute shader', code: RAYTRACER_SHADER });
+    this.pipeline = device.createComputePipeline({
+      label: 'Raytracer pipeline',
+      layout: 'auto',
+      compute: { module, entryPoint: 'main' }
+    });
+
+    this.paramsBuffer = device.createBuffer({
+      label: 'Raytracer parameters',
+      size: RENDER_PARAMS_WORDS * Float32Array.BYTES_PER_ELEMENT,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+
+    // The scene stays on the GPU between renders; edits reported by the
+    // scene manager only upload the records they changed
+    this.sceneBuffers = {};
+    this._packer = null;
+    this._sceneManager = null;
+  }
+
+  /**
+   * Follow the edits of a scene manager, so that the next render only
+   * uploads the parts of the scene that changed
+   * @param {SceneManager} sceneManager - Scene manager of the rendered scene
+   */
+  watch(sceneManager) {
+    this._sceneManager = sceneManager;
+    if (this._packer) this._packer.watch(sceneManager);
+  }
+
+  /**
+   * Check whether every object in a scene can be traced on the GPU
+   * @param {Scene} scene - Scene to check
+   * @returns {boolean} True if the scene only contains spheres and planes that stand still
+   */
+  static canRender(scene) {
+    return scene.objects.every(isGpuObject);
+  }
+
+  /**
+   * Raytrace a scene, one band of rows per dispatch
+   * @param {Scene} scene - Scene to render (still spheres and planes only, see canRender)
+   * @param {Camera} camera - Camera to render from
+   * @param {Object} options - Render options
+   * @param {number} options.width - Image width in pixels
+   * @param {number} options.height - Image height in pixels
+   * @param {Object} options.backgroundColor - RGB color for rays that miss everything
+   * @param {Object} options.settings - Raytracing settings (default: raytracingSettings)
+   * @param {AbortSignal} options.signal - Stops rendering before the next band when aborted
+   * @param {Function} options.onProgress - Called with the number of finished rows after each band
+   * @param {RenderStats} options.stats - Statistics to add the traced rays to
+   * @returns {Promise<Uint8ClampedArray>} RGBA pixels, row by row from the top; rejects
+   * with the abort reason if the signal is aborted first
+   */
+  async render(scene, camera, options) {
+    const { device } = this;
+    const { width, height, signal, onProgress, stats = null } = options;
+    const settings = options.settings || raytracingSettings;
+
+    if (!GpuRaytracer.canRender(scene)) {
+      const others = scene.objects.filter(object => !isGpuObject(object));
+      throw new Error(`The GPU raytracer only supports spheres and planes without motion (${others.length} other objects in the scene)`);
+    }
+    const packed = this._uploadScene(scene);
+
+    const buffers = [];
+    const createBuffer = (label, size, usage, data = null) => {
+      const buffer = device.createBuffer({ label, size, usage });
+      buffers.push(buffer);
+      if (data) device.queue.writeBuffer(buffer, 0, data);
+      return buffer;
+    };
+
+    try {
+      const storage = GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST;
+      const imageBytes = width * height * 4;
+      const counterBytes = COUNTER_NAMES.length * 4;
+      const {
+        objects: objectBuffer,
+        materials: materialBuffer,
+        lights: lightBuffer,
+        textures: textureBuffer,
+        texels: texelBuffer
+      } = this.sceneBuffers;
+      const pixelBuffer = createBuffer('Raytracer pixels', imageBytes, GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_SRC);
+      const counterBuffer = createBuffer('Raytracer counters', counterBytes, storage | GPUBufferUsage.COPY_SRC, new Uint32Array(COUNTER_NAMES.length));
+      const readBuffer = createBuffer('Raytracer readback', imageBytes + counterBytes, GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST);
+
+      const bindGroup = device.createBindGroup({
+        layout: this.pipeline.getBindGroupLayout(0),
+        entries: [this.paramsBuffer, objectBuffer, materialBuffer, lightBuffer, pixelBuffer, counterBuffer, textureBuffer, texelBuffer]
+          .map((buffer, binding) => ({ binding, resource: { buffer } }))
+      });
+
+      const paramsOptions = {
+        width,
+        height,
+        objectCount: packed.objectCount,
+        lightCount: packed.lightCount,
+        backgroundColor: options.backgroundColor
+      };
+
+      for (let firstRow = 0; firstRow < height; firstRow += GPU_BAND_ROWS) {
+        if (signal?.aborted) {
+          throw signal.reason;
+        }
+        const rows = Math.min(GPU_BAND_ROWS, height - firstRow);
+        device.queue.writeBuffer(this.paramsBuffer, 0, packRenderParams(camera, settings, { ...paramsOptions, firstRow }));
+
+        const encoder = device.createCommandEncoder({ label: 'Raytracer band' });
+        const pass = encoder.beginComputePass();
+        pass.setPipeline(this.pipeline);
+        pass.setBindGroup(0, bindGroup);
+        pass.dispatchWorkgroups(Math.ceil(width / WORKGROUP_SIZE), Math.ceil(rows / WORKGROUP_SIZE));
+        pass.end();
+        device.queue.submit([encoder.finish()]);
+
+        await device.queue.onSubmittedWorkDone();
+        if (onProgress) onProgress(firstRow + rows);
+      }
+
+      const encoder = device.createCommandEncoder({ label: 'Raytracer readback' });
+      encoder.copyBufferToBuffer(pixelBuffer, 0, readBuffer, 0, imageBytes);
+      encoder.copyBufferToBuffer(counterBuffer, 0, readBuffer, imageBytes, counterBytes);
+      device.queue.submit([encoder.finish()]);
+
+      await readBuffer.mapAsync(GPUMapMode.READ);
+      const data = readBuffer.getMappedRange();
+      const pixels = new Uint8ClampedArray(data.slice(0, imageBytes));
+      const counters = new Uint32Array(data.slice(imageBytes));
+      readBuffer.unmap();
+
+      if (stats) {
+        COUNTER_NAMES.forEach((name, i) => {
+          stats[name] = name === 'maxDepth' ? Math.max(stats[name], counters[i]) : stats[name] + counters[i];
+        });
+      }
+      return pixels;
+    } finally {
+      buffers.forEach(buffer => buffer.destroy());
+    }
+  }
+
+  /**
+   * Bring the scene buffers up to date, repacking the scene if it is not the
+   * one last rendered or objects were added without the scene manager
+   * @param {Scene} scene - Scene to render
+   * @returns {Object} The packed scene (see ScenePacker)
+   * @private
+   */
+  _uploadScene(scene) {
+    const { device } = this;
+    if (!this._packer || this._packer.scene !== scene) {
+      if (this._packer) this._packer.destroy();
+      this._packer = new ScenePacker(scene);
+      this._packer.watch(this._sceneManager);
+    } else if (!this._packer.isCurrent()) {
+      this._packer.repack();
+    }
+
+    const { packed } = this._packer;
+    for (const { buffer: name, start, end, resized } of this._packer.takeDirtyRanges()) {
+      const label = SCENE_BUFFER_LABELS[name];
+      if (!label) continue;
+
+      const data = packed[name];
+      if (!this.sceneBuffers[name] || resized) {
+        if (this.sceneBuffers[name]) this.sceneBuffers[name].destroy();
+        this.sceneBuffers[name] = device.createBuffer({
+          label,
+          size: data.byteLength,
+          usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST
+        });
+        device.queue.writeBuffer(this.sceneBuffers[name], 0, data);
+      } else {
+        device.queue.writeBuffer(this.sceneBuffers[name], start * 4, data, start, end - start);
+      }
+    }
+    return packed;
+  }
+
+  /**
+   * Release the GPU resources
+   */
+  destroy() {
+    this.paramsBuffer.destroy();
+    Object.values(this.sceneBuffers).forEach(buffer => buffer.destroy());
+    this.sceneBuffers = {};
+    if (this._packer) this._packer.destroy();
+    this._packer = null;
+  }
+}
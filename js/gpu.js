@@ -1,8 +1,15 @@
 /**
  * GPU module for handling WebGPU initialization and context management.
- * Provides functionality to set up a WebGPU device, context, and adapter.
+ * Provides functionality to set up a WebGPU device, context, and adapter,
+ * and to set them up again when the device is lost.
  */
 
+// Attempts to re-initialize WebGPU after the device is lost before giving up
+export const MAX_RECOVERY_ATTEMPTS = 3;
+
+// Delay before the first retry in milliseconds; it doubles after each failed attempt
+export const RECOVERY_RETRY_DELAY = 500;
+
 /**
  * Initializes WebGPU by requesting a GPU adapter, device, and configuring the canvas context.
  * @param {HTMLCanvasElement} canvas - The canvas element to render to.
@@ -27,11 +34,10 @@ export async function initializeGPU(canvas) {
       requiredLimits: {}
     });
     
-    // Set up device lost handler
+    // Set up device lost handler (see enableDeviceRecovery for recovering)
     device.lost.then((info) => {
       console.error(`WebGPU device was lost: ${info.message}`);
       console.error(`Reason: ${info.reason}`);
-      // In a real app, you would implement recovery here
     });
     
     // Configure the canvas context
@@ -54,6 +60,83 @@ export async function initializeGPU(canvas) {
   }
 }
 
+/**
+ * Re-initialize WebGPU whenever the device of a GPU context is lost, e.g.
+ * after a driver reset. The new device, context and format are assigned to
+ * the same gpu object, so code holding it keeps working; pipelines and
+ * buffers made for the old device have to be rebuilt, which the renderer
+ * does when it sees a new device. A device destroyed on purpose is not
+ * recovered.
+ * @param {{device: GPUDevice, context: GPUCanvasContext, presentationFormat: GPUTextureFormat}} gpu - GPU context from initializeGPU
+ * @param {HTMLCanvasElement} canvas - The canvas the context renders to
+ * @param {Object} options - Recovery options
+ * @param {number} options.maxAttempts - Attempts per device loss (default: MAX_RECOVERY_ATTEMPTS)
+ * @param {number} options.retryDelay - Milliseconds before the first retry, doubled after each one (default: RECOVERY_RETRY_DELAY)
+ * @param {Function} options.onStatus - Called with a message describing each step
+ * @param {Function} options.onRecovered - Called with the GPU context once it works again, e.g. to redraw the last frame; may return a promise
+ * @param {Function} options.onFailed - Called with the last error message after every attempt failed; the context then has an `error` property
+ * @returns {Function} - Call to stop recovering the context
+ */
+export function enableDeviceRecovery(gpu, canvas, options = {}) {
+  const {
+    maxAttempts = MAX_RECOVERY_ATTEMPTS,
+    retryDelay = RECOVERY_RETRY_DELAY,
+    onStatus = () => {},
+    onRecovered = () => {},
+    onFailed = () => {}
+  } = options;
+  let stopped = false;
+  
+  const watch = (device) => {
+    device.lost.then((info) => {
+      if (!stopped && info.reason !== 'destroyed' && device === gpu.device) {
+        recover();
+      }
+    });
+  };
+  
+  const recover = async () => {
+    let error = 'GPU device lost';
+    for (let attempt = 1; attempt <= maxAttempts && !stopped; attempt++) {
+      if (attempt > 1) {
+        await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** (attempt - 2)));
+      }
+      onStatus(`GPU device lost, reinitializing (attempt ${attempt} of ${maxAttempts})...`);
+      
+      const result = await initializeGPU(canvas);
+      if (stopped) {
+        return;
+      }
+      if (result.error) {
+        error = result.error;
+        continue;
+      }
+      
+      Object.assign(gpu, result);
+      delete gpu.error;
+      watch(gpu.device);
+      onStatus('GPU device restored');
+      try {
+        await onRecovered(gpu);
+      } catch (err) {
+        console.error('Redrawing after GPU recovery failed:', err);
+      }
+      return;
+    }
+    
+    if (!stopped) {
+      gpu.error = error;
+      onStatus(`GPU recovery failed after ${maxAttempts} attempts: ${error}`);
+      onFailed(error);
+    }
+  };
+  
+  watch(gpu.device);
+  return () => {
+    stopped = true;
+  };
+}
+
 /**
  * Creates a command encoder and returns it
  * @param {GPUDevice} device - The WebGPU device
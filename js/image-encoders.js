@@ -0,0 +1,181 @@
+/**
+ * Image file encoders
+ * Encode RGBA pixel buffers (as produced by the renderers) into PNG and PPM
+ * files without relying on a browser canvas.
+ */
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Largest block a stored (uncompressed) deflate block can hold
+const MAX_STORED_BLOCK = 65535;
+
+let crcTable = null;
+
+/**
+ * Calculate the CRC-32 of a byte range, as used by PNG chunks
+ * @param {Uint8Array} bytes - Bytes to checksum
+ * @returns {number} The CRC as an unsigned 32-bit integer
+ */
+export function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Wrap data in a zlib stream of stored (uncompressed) deflate blocks. Used
+ * when no real compressor is available.
+ * @param {Uint8Array} data - Data to wrap
+ * @returns {Uint8Array} zlib stream
+ */
+export function zlibStore(data) {
+  const blockCount = Math.max(1, Math.ceil(data.length / MAX_STORED_BLOCK));
+  const output = new Uint8Array(2 + data.length + blockCount * 5 + 4);
+  let offset = 0;
+
+  // zlib header: deflate, 32K window, no preset dictionary, fastest
+  output[offset++] = 0x78;
+  output[offset++] = 0x01;
+
+  for (let block = 0; block < blockCount; block++) {
+    const start = block * MAX_STORED_BLOCK;
+    const length = Math.min(MAX_STORED_BLOCK, data.length - start);
+    output[offset++] = block === blockCount - 1 ? 1 : 0;
+    output[offset++] = length & 0xFF;
+    output[offset++] = length >>> 8;
+    output[offset++] = ~length & 0xFF;
+    output[offset++] = (~length >>> 8) & 0xFF;
+    output.set(data.subarray(start, start + length), offset);
+    offset += length;
+  }
+
+  // Adler-32 checksum of the uncompressed data
+  let a = 1;
+  let b = 0;
+  for (let i = 0; i < data.length; i++) {
+    a = (a + data[i]) % 65521;
+    b = (b + a) % 65521;
+  }
+  const adler = ((b << 16) | a) >>> 0;
+  output[offset++] = adler >>> 24;
+  output[offset++] = (adler >>> 16) & 0xFF;
+  output[offset++] = (adler >>> 8) & 0xFF;
+  output[offset++] = adler & 0xFF;
+
+  return output;
+}
+
+/**
+ * Check the arguments shared by the encoders
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixels
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ */
+function checkImage(pixels, width, height) {
+  if (!Number.isInteger(width) || !Number.isInteger(height) || width <= 0 || height <= 0) {
+    throw new Error(`Invalid image size ${width}x${height}`);
+  }
+  if (pixels.length !== width * height * 4) {
+    throw new Error(`Expected ${width * height * 4} bytes of RGBA pixels but got ${pixels.length}`);
+  }
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} The chunk with its length and CRC
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) {
+    chunk[4 + i] = type.charCodeAt(i);
+  }
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+/**
+ * Encode RGBA pixels as an 8-bit RGBA PNG file
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixels, row by row from the top
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Object} options - Encoder options
+ * @param {Function} options.deflate - zlib compressor taking and returning bytes, e.g.
+ * zlib.deflateSync in Node (default: store without compression)
+ * @returns {Uint8Array} The PNG file
+ */
+export function encodePNG(pixels, width, height, options = {}) {
+  checkImage(pixels, width, height);
+  const deflate = options.deflate || zlibStore;
+
+  // Every scanline starts with its filter type (0 = none)
+  const rowBytes = width * 4;
+  const raw = new Uint8Array((rowBytes + 1) * height);
+  for (let y = 0; y < height; y++) {
+    raw[y * (rowBytes + 1)] = 0;
+    raw.set(pixels.subarray(y * rowBytes, (y + 1) * rowBytes), y * (rowBytes + 1) + 1);
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = 8; // Bit depth
+  header[9] = 6; // Color type: RGBA
+  // Compression, filter and interlace methods are all 0
+
+  const chunks = [
+    Uint8Array.from(PNG_SIGNATURE),
+    createChunk('IHDR', header),
+    createChunk('IDAT', new Uint8Array(deflate(raw))),
+    createChunk('IEND', new Uint8Array(0))
+  ];
+
+  const file = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    file.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return file;
+}
+
+/**
+ * Encode RGBA pixels as a binary (P6) PPM file. Alpha is dropped.
+ * @param {Uint8Array|Uint8ClampedArray} pixels - RGBA pixels, row by row from the top
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8Array} The PPM file
+ */
+export function encodePPM(pixels, width, height) {
+  checkImage(pixels, width, height);
+
+  const header = new TextEncoder().encode(`P6\n${width} ${height}\n255\n`);
+  const file = new Uint8Array(header.length + width * height * 3);
+  file.set(header);
+
+  let offset = header.length;
+  for (let i = 0; i < pixels.length; i += 4) {
+    file[offset++] = pixels[i];
+    file[offset++] = pixels[i + 1];
+    file[offset++] = pixels[i + 2];
+  }
+  return file;
+}
@@ -1,5 +1,8 @@
 /**
  * Vector and math utilities for raytracing operations
+ * Besides vectors there are quaternions for rotations, 4x4 matrices stored
+ * column-major (as in WebGPU and glTF) and transforms that keep a matrix
+ * together with its inverse.
  */
 
 /**
@@ -93,4 +96,543 @@ export function subtract(v1, v2) {
  */
 export function scale(v, s) {
   return new Vector3(v.x * s, v.y * s, v.z * s);
-} 
\ No newline at end of file
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32). The same seed
+ * always produces the same sequence, which keeps sampled renders reproducible.
+ * @param {number} seed - 32-bit integer seed
+ * @returns {Function} Function returning the next number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Quaternion, used as a rotation when it has unit length
+ */
+export class Quaternion {
+  /**
+   * Creates a quaternion
+   * @param {number} x - X component of the vector part
+   * @param {number} y - Y component of the vector part
+   * @param {number} z - Z component of the vector part
+   * @param {number} w - Scalar part
+   */
+  constructor(x = 0, y = 0, z = 0, w = 1) {
+    this.x = x;
+    this.y = y;
+    this.z = z;
+    this.w = w;
+  }
+
+  /**
+   * Create the rotation by an angle around an axis
+   * @param {Vector3} axis - Rotation axis (normalized here)
+   * @param {number} radians - Rotation angle (counterclockwise looking down the axis)
+   * @returns {Quaternion} Unit quaternion
+   */
+  static fromAxisAngle(axis, radians) {
+    const unit = normalize(axis);
+    const s = Math.sin(radians / 2);
+    return new Quaternion(unit.x * s, unit.y * s, unit.z * s, Math.cos(radians / 2));
+  }
+
+  /**
+   * Create the rotation that maps the x, y and z axes onto an orthonormal,
+   * right-handed basis
+   * @param {Vector3} xAxis - Image of the x axis
+   * @param {Vector3} yAxis - Image of the y axis
+   * @param {Vector3} zAxis - Image of the z axis
+   * @returns {Quaternion} Unit quaternion
+   */
+  static fromBasis(xAxis, yAxis, zAxis) {
+    const trace = xAxis.x + yAxis.y + zAxis.z;
+    let q;
+    if (trace > 0) {
+      const s = 0.5 / Math.sqrt(trace + 1);
+      q = new Quaternion((yAxis.z - zAxis.y) * s, (zAxis.x - xAxis.z) * s, (xAxis.y - yAxis.x) * s, 0.25 / s);
+    } else if (xAxis.x > yAxis.y && xAxis.x > zAxis.z) {
+      const s = 2 * Math.sqrt(1 + xAxis.x - yAxis.y - zAxis.z);
+      q = new Quaternion(0.25 * s, (yAxis.x + xAxis.y) / s, (zAxis.x + xAxis.z) / s, (yAxis.z - zAxis.y) / s);
+    } else if (yAxis.y > zAxis.z) {
+      const s = 2 * Math.sqrt(1 + yAxis.y - xAxis.x - zAxis.z);
+      q = new Quaternion((yAxis.x + xAxis.y) / s, 0.25 * s, (zAxis.y + yAxis.z) / s, (zAxis.x - xAxis.z) / s);
+    } else {
+      const s = 2 * Math.sqrt(1 + zAxis.z - xAxis.x - yAxis.y);
+      q = new Quaternion((zAxis.x + xAxis.z) / s, (zAxis.y + yAxis.z) / s, 0.25 * s, (xAxis.y - yAxis.x) / s);
+    }
+    return q.normalize();
+  }
+
+  /**
+   * Interpolate between two rotations along the shortest arc at constant
+   * angular speed (spherical linear interpolation)
+   * @param {{x: number, y: number, z: number, w: number}} a - Rotation at t = 0
+   * @param {{x: number, y: number, z: number, w: number}} b - Rotation at t = 1
+   * @param {number} t - Interpolation parameter in [0, 1]
+   * @returns {Quaternion} Unit quaternion
+   */
+  static slerp(a, b, t) {
+    let cosine = a.x * b.x + a.y * b.y + a.z * b.z + a.w * b.w;
+    // q and -q are the same rotation; pick the one closer to a
+    const sign = cosine < 0 ? -1 : 1;
+    cosine *= sign;
+
+    let weightA = 1 - t;
+    let weightB = t * sign;
+    if (cosine < 0.9995) {
+      const angle = Math.acos(cosine);
+      const sine = Math.sin(angle);
+      weightA = Math.sin((1 - t) * angle) / sine;
+      weightB = (Math.sin(t * angle) / sine) * sign;
+    }
+    // Nearly equal rotations fall back to normalized linear interpolation
+    return new Quaternion(
+      a.x * weightA + b.x * weightB,
+      a.y * weightA + b.y * weightB,
+      a.z * weightA + b.z * weightB,
+      a.w * weightA + b.w * weightB
+    ).normalize();
+  }
+
+  /**
+   * Length of the quaternion as a 4D vector
+   * @returns {number} Length; 1 for rotations
+   */
+  length() {
+    return Math.hypot(this.x, this.y, this.z, this.w);
+  }
+
+  /**
+   * Scale the quaternion to unit length
+   * @returns {Quaternion} Unit quaternion
+   * @throws {Error} If the quaternion is zero
+   */
+  normalize() {
+    const norm = this.length();
+    if (norm === 0) {
+      throw new Error('Cannot normalize a zero quaternion');
+    }
+    return new Quaternion(this.x / norm, this.y / norm, this.z / norm, this.w / norm);
+  }
+
+  /**
+   * Multiply by another quaternion; as rotations, the product applies q first, then this
+   * @param {{x: number, y: number, z: number, w: number}} q - Right factor
+   * @returns {Quaternion} Product
+   */
+  multiply(q) {
+    return new Quaternion(
+      this.w * q.x + this.x * q.w + this.y * q.z - this.z * q.y,
+      this.w * q.y - this.x * q.z + this.y * q.w + this.z * q.x,
+      this.w * q.z + this.x * q.y - this.y * q.x + this.z * q.w,
+      this.w * q.w - this.x * q.x - this.y * q.y - this.z * q.z
+    );
+  }
+
+  /**
+   * Get the conjugate, which is the inverse rotation for a unit quaternion
+   * @returns {Quaternion} Conjugate
+   */
+  conjugate() {
+    return new Quaternion(-this.x, -this.y, -this.z, this.w);
+  }
+
+  /**
+   * Rotate a vector by this unit quaternion
+   * @param {Vector3} v - Vector to rotate
+   * @returns {Vector3} Rotated vector
+   */
+  rotateVector(v) {
+    const axis = new Vector3(this.x, this.y, this.z);
+    const t = scale(cross(axis, v), 2);
+    return add(add(v, scale(t, this.w)), cross(axis, t));
+  }
+
+  /**
+   * Get the rotation matrix of this unit quaternion
+   * @returns {Matrix4} Rotation matrix
+   */
+  toMatrix4() {
+    return Matrix4.compose(new Vector3(0, 0, 0), this, new Vector3(1, 1, 1));
+  }
+}
+
+/**
+ * 4x4 matrix, stored column-major: element (row, column) is at index
+ * column * 4 + row
+ */
+export class Matrix4 {
+  /**
+   * Creates a matrix
+   * @param {ArrayLike<number>} elements - 16 column-major elements (default: the identity)
+   * @throws {Error} If there are not 16 elements
+   */
+  constructor(elements = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1]) {
+    if (elements.length !== 16) {
+      throw new Error(`A 4x4 matrix needs 16 elements, got ${elements.length}`);
+    }
+    this.elements = Array.from(elements);
+  }
+
+  /**
+   * Create a translation
+   * @param {Vector3} offset - Translation
+   * @returns {Matrix4} Translation matrix
+   */
+  static translation(offset) {
+    return new Matrix4([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, offset.x, offset.y, offset.z, 1]);
+  }
+
+  /**
+   * Create a scaling along the axes
+   * @param {Vector3} factors - Scale factor along each axis
+   * @returns {Matrix4} Scaling matrix
+   */
+  static scaling(factors) {
+    return new Matrix4([factors.x, 0, 0, 0, 0, factors.y, 0, 0, 0, 0, factors.z, 0, 0, 0, 0, 1]);
+  }
+
+  /**
+   * Compose a translation, rotation and scale, applied scale first
+   * @param {Vector3} translation - Translation
+   * @param {{x: number, y: number, z: number, w: number}} rotation - Unit quaternion
+   * @param {Vector3} factors - Scale factor along each axis
+   * @returns {Matrix4} The matrix T * R * S
+   */
+  static compose(translation, rotation, factors) {
+    const { x, y, z, w } = rotation;
+    const xx = x * x, yy = y * y, zz = z * z;
+    const xy = x * y, xz = x * z, yz = y * z;
+    const wx = w * x, wy = w * y, wz = w * z;
+
+    return new Matrix4([
+      (1 - 2 * (yy + zz)) * factors.x, 2 * (xy + wz) * factors.x, 2 * (xz - wy) * factors.x, 0,
+      2 * (xy - wz) * factors.y, (1 - 2 * (xx + zz)) * factors.y, 2 * (yz + wx) * factors.y, 0,
+      2 * (xz + wy) * factors.z, 2 * (yz - wx) * factors.z, (1 - 2 * (xx + yy)) * factors.z, 0,
+      translation.x, translation.y, translation.z, 1
+    ]);
+  }
+
+  /**
+   * Create the matrix that maps the axes onto three vectors and the origin onto a point
+   * @param {Vector3} xAxis - Image of the x axis (first column)
+   * @param {Vector3} yAxis - Image of the y axis (second column)
+   * @param {Vector3} zAxis - Image of the z axis (third column)
+   * @param {Vector3} origin - Image of the origin (default: the origin)
+   * @returns {Matrix4} The matrix
+   */
+  static fromBasis(xAxis, yAxis, zAxis, origin = new Vector3(0, 0, 0)) {
+    return new Matrix4([
+      xAxis.x, xAxis.y, xAxis.z, 0,
+      yAxis.x, yAxis.y, yAxis.z, 0,
+      zAxis.x, zAxis.y, zAxis.z, 0,
+      origin.x, origin.y, origin.z, 1
+    ]);
+  }
+
+  /**
+   * Create a view matrix, which moves an eye to the origin looking down -z
+   * with the up guide's direction up
+   * @param {Vector3} eye - Eye position
+   * @param {Vector3} target - Point to look at
+   * @param {Vector3} up - Up guide, not parallel to the view direction
+   * @returns {Matrix4} View matrix
+   */
+  static lookAt(eye, target, up) {
+    const back = normalize(subtract(eye, target));
+    const right = normalize(cross(up, back));
+    const trueUp = cross(back, right);
+    return new Matrix4([
+      right.x, trueUp.x, back.x, 0,
+      right.y, trueUp.y, back.y, 0,
+      right.z, trueUp.z, back.z, 0,
+      -dot(right, eye), -dot(trueUp, eye), -dot(back, eye), 1
+    ]);
+  }
+
+  /**
+   * Create a perspective projection for a view down -z. Depth maps to
+   * 0 (near) - 1 (far) as in WebGPU.
+   * @param {number} fovY - Vertical field of view in radians
+   * @param {number} aspect - Aspect ratio (width / height)
+   * @param {number} near - Distance to the near clipping plane
+   * @param {number} far - Distance to the far clipping plane
+   * @returns {Matrix4} Projection matrix
+   */
+  static perspective(fovY, aspect, near, far) {
+    const f = 1 / Math.tan(fovY / 2);
+    const rangeInverse = 1 / (near - far);
+    return new Matrix4([
+      f / aspect, 0, 0, 0,
+      0, f, 0, 0,
+      0, 0, far * rangeInverse, -1,
+      0, 0, near * far * rangeInverse, 0
+    ]);
+  }
+
+  /**
+   * Create an orthographic projection for a view down -z of a rectangle
+   * centered on the axis. Depth maps to 0 (near) - 1 (far) as in WebGPU.
+   * @param {number} halfWidth - Half the width of the view rectangle
+   * @param {number} halfHeight - Half the height of the view rectangle
+   * @param {number} near - Distance to the near clipping plane
+   * @param {number} far - Distance to the far clipping plane
+   * @returns {Matrix4} Projection matrix
+   */
+  static orthographic(halfWidth, halfHeight, near, far) {
+    const rangeInverse = 1 / (near - far);
+    return new Matrix4([
+      1 / halfWidth, 0, 0, 0,
+      0, 1 / halfHeight, 0, 0,
+      0, 0, rangeInverse, 0,
+      0, 0, near * rangeInverse, 1
+    ]);
+  }
+
+  /**
+   * Get an element
+   * @param {number} row - Row index (0-3)
+   * @param {number} column - Column index (0-3)
+   * @returns {number} The element
+   */
+  get(row, column) {
+    return this.elements[column * 4 + row];
+  }
+
+  /**
+   * Multiply by another matrix; as transforms, the product applies m first, then this
+   * @param {Matrix4} m - Right factor
+   * @returns {Matrix4} The product this * m
+   */
+  multiply(m) {
+    const a = this.elements;
+    const b = m.elements;
+    const out = new Array(16);
+    for (let column = 0; column < 4; column++) {
+      for (let row = 0; row < 4; row++) {
+        let sum = 0;
+        for (let k = 0; k < 4; k++) {
+          sum += a[k * 4 + row] * b[column * 4 + k];
+        }
+        out[column * 4 + row] = sum;
+      }
+    }
+    return new Matrix4(out);
+  }
+
+  /**
+   * Get the transpose
+   * @returns {Matrix4} Transposed matrix
+   */
+  transpose() {
+    const out = new Array(16);
+    for (let column = 0; column < 4; column++) {
+      for (let row = 0; row < 4; row++) {
+        out[row * 4 + column] = this.elements[column * 4 + row];
+      }
+    }
+    return new Matrix4(out);
+  }
+
+  /**
+   * Get the inverse, by cofactor expansion over 2x2 sub-determinants
+   * @returns {Matrix4} Inverse matrix
+   * @throws {Error} If the matrix is singular
+   */
+  invert() {
+    const m = this.elements;
+    const [a00, a01, a02, a03, a10, a11, a12, a13, a20, a21, a22, a23, a30, a31, a32, a33] = m;
+
+    // Determinants of the 2x2 blocks of columns 0-1 and of columns 2-3
+    const b00 = a00 * a11 - a01 * a10;
+    const b01 = a00 * a12 - a02 * a10;
+    const b02 = a00 * a13 - a03 * a10;
+    const b03 = a01 * a12 - a02 * a11;
+    const b04 = a01 * a13 - a03 * a11;
+    const b05 = a02 * a13 - a03 * a12;
+    const b06 = a20 * a31 - a21 * a30;
+    const b07 = a20 * a32 - a22 * a30;
+    const b08 = a20 * a33 - a23 * a30;
+    const b09 = a21 * a32 - a22 * a31;
+    const b10 = a21 * a33 - a23 * a31;
+    const b11 = a22 * a33 - a23 * a32;
+
+    const determinant = b00 * b11 - b01 * b10 + b02 * b09 + b03 * b08 - b04 * b07 + b05 * b06;
+    if (!determinant) {
+      throw new Error('Cannot invert a singular matrix');
+    }
+    const inverse = 1 / determinant;
+
+    return new Matrix4([
+      (a11 * b11 - a12 * b10 + a13 * b09) * inverse,
+      (a02 * b10 - a01 * b11 - a03 * b09) * inverse,
+      (a31 * b05 - a32 * b04 + a33 * b03) * inverse,
+      (a22 * b04 - a21 * b05 - a23 * b03) * inverse,
+      (a12 * b08 - a10 * b11 - a13 * b07) * inverse,
+      (a00 * b11 - a02 * b08 + a03 * b07) * inverse,
+      (a32 * b02 - a30 * b05 - a33 * b01) * inverse,
+      (a20 * b05 - a22 * b02 + a23 * b01) * inverse,
+      (a10 * b10 - a11 * b08 + a13 * b06) * inverse,
+      (a01 * b08 - a00 * b10 - a03 * b06) * inverse,
+      (a30 * b04 - a31 * b02 + a33 * b00) * inverse,
+      (a21 * b02 - a20 * b04 - a23 * b00) * inverse,
+      (a11 * b07 - a10 * b09 - a12 * b06) * inverse,
+      (a00 * b09 - a01 * b07 + a02 * b06) * inverse,
+      (a31 * b01 - a30 * b03 - a32 * b00) * inverse,
+      (a20 * b03 - a21 * b01 + a22 * b00) * inverse
+    ]);
+  }
+
+  /**
+   * Get the matrix that transforms normals: the inverse transpose of the
+   * upper 3x3 block, up to a positive factor. It is built from cofactors,
+   * so it exists even for singular matrices; transformed normals need to be
+   * renormalized.
+   * @returns {Matrix4} Normal matrix (only the upper 3x3 block is used)
+   */
+  normalMatrix() {
+    const m = this.elements;
+    const a = new Vector3(m[0], m[1], m[2]);
+    const b = new Vector3(m[4], m[5], m[6]);
+    const c = new Vector3(m[8], m[9], m[10]);
+    // Columns of the cofactor matrix are b x c, c x a and a x b
+    const sign = dot(a, cross(b, c)) < 0 ? -1 : 1;
+    return Matrix4.fromBasis(scale(cross(b, c), sign), scale(cross(c, a), sign), scale(cross(a, b), sign));
+  }
+
+  /**
+   * Transform a point, dividing by w for projective matrices
+   * @param {Vector3} p - Point
+   * @returns {Vector3} Transformed point
+   */
+  transformPoint(p) {
+    const m = this.elements;
+    const x = m[0] * p.x + m[4] * p.y + m[8] * p.z + m[12];
+    const y = m[1] * p.x + m[5] * p.y + m[9] * p.z + m[13];
+    const z = m[2] * p.x + m[6] * p.y + m[10] * p.z + m[14];
+    const w = m[3] * p.x + m[7] * p.y + m[11] * p.z + m[15];
+    return w === 1 ? new Vector3(x, y, z) : new Vector3(x / w, y / w, z / w);
+  }
+
+  /**
+   * Transform a direction, ignoring the translation
+   * @param {Vector3} v - Direction
+   * @returns {Vector3} Transformed direction
+   */
+  transformDirection(v) {
+    const m = this.elements;
+    return new Vector3(
+      m[0] * v.x + m[4] * v.y + m[8] * v.z,
+      m[1] * v.x + m[5] * v.y + m[9] * v.z,
+      m[2] * v.x + m[6] * v.y + m[10] * v.z
+    );
+  }
+
+  /**
+   * Copy the elements into a typed array, e.g. for a GPU buffer
+   * @returns {Float32Array} 16 column-major elements
+   */
+  toFloat32Array() {
+    return new Float32Array(this.elements);
+  }
+}
+
+/**
+ * Affine transform from an object's local space into its parent's space,
+ * keeping the matrix and (once needed) its inverse
+ */
+export class Transform {
+  /**
+   * Creates a transform
+   * @param {Matrix4} matrix - Local-to-parent matrix (default: the identity)
+   * @param {Matrix4|null} inverse - Its inverse, if already known (computed when first needed otherwise)
+   */
+  constructor(matrix = new Matrix4(), inverse = null) {
+    this.matrix = matrix;
+    this._inverse = inverse;
+    this._normalMatrix = null;
+  }
+
+  /**
+   * Compose a translation, rotation and scale, applied scale first
+   * @param {Vector3} translation - Translation (default: none)
+   * @param {{x: number, y: number, z: number, w: number}} rotation - Unit quaternion (default: none)
+   * @param {Vector3} factors - Scale factor along each axis (default: 1)
+   * @returns {Transform} The transform
+   */
+  static compose(translation = new Vector3(0, 0, 0), rotation = new Quaternion(), factors = new Vector3(1, 1, 1)) {
+    return new Transform(Matrix4.compose(translation, rotation, factors));
+  }
+
+  /**
+   * Matrix of the inverse transform
+   * @type {Matrix4}
+   * @throws {Error} If the transform is singular (e.g. scales an axis by 0)
+   */
+  get inverseMatrix() {
+    if (!this._inverse) {
+      this._inverse = this.matrix.invert();
+    }
+    return this._inverse;
+  }
+
+  /**
+   * Get the inverse transform
+   * @returns {Transform} Transform from the parent's space into the local space
+   * @throws {Error} If the transform is singular
+   */
+  inverse() {
+    return new Transform(this.inverseMatrix, this.matrix);
+  }
+
+  /**
+   * Combine with another transform, applying the other one first (e.g. a
+   * parent's transform times a child's)
+   * @param {Transform} other - Transform to apply first
+   * @returns {Transform} The combined transform
+   */
+  multiply(other) {
+    const inverse = this._inverse && other._inverse ? other._inverse.multiply(this._inverse) : null;
+    return new Transform(this.matrix.multiply(other.matrix), inverse);
+  }
+
+  /**
+   * Transform a point
+   * @param {Vector3} p - Point in local space
+   * @returns {Vector3} Point in the parent's space
+   */
+  transformPoint(p) {
+    return this.matrix.transformPoint(p);
+  }
+
+  /**
+   * Transform a vector (a direction or offset), which ignores the translation
+   * @param {Vector3} v - Vector in local space
+   * @returns {Vector3} Vector in the parent's space, scaled along with the space
+   */
+  transformVector(v) {
+    return this.matrix.transformDirection(v);
+  }
+
+  /**
+   * Transform a surface normal, which stays perpendicular to the surface
+   * under non-uniform scaling, unlike a transformed vector
+   * @param {Vector3} n - Normal in local space
+   * @returns {Vector3} Unit normal in the parent's space
+   */
+  transformNormal(n) {
+    if (!this._normalMatrix) {
+      this._normalMatrix = this.matrix.normalMatrix();
+    }
+    return normalize(this._normalMatrix.transformDirection(n));
+  }
+}
@@ -0,0 +1,356 @@
+/**
+ * Triangle and indexed triangle mesh geometry
+ */
+import { Vector3, normalize, cross, subtract } from './math.js';
+import { AABB } from './aabb.js';
+import { BVH } from './bvh.js';
+import { Geometry, Intersection } from './raytracer.js';
+
+/**
+ * Minimum hit distance, matching the other geometries, to avoid self-intersection
+ */
+const MIN_DISTANCE = 0.001;
+
+/**
+ * Below this determinant the ray is considered parallel to the triangle
+ */
+const PARALLEL_EPSILON = 1e-12;
+
+/**
+ * Intersect a ray with a triangle using the Möller–Trumbore algorithm.
+ * Both faces of the triangle are hit.
+ * @param {Ray} ray - The ray to test
+ * @param {ArrayLike<number>} positions - Flat xyz vertex positions
+ * @param {number} i0 - Index of the first vertex
+ * @param {number} i1 - Index of the second vertex
+ * @param {number} i2 - Index of the third vertex
+ * @returns {{distance: number, u: number, v: number}|null} Hit distance and barycentric
+ * weights of the second and third vertices, or null if there is no hit
+ */
+export function intersectTriangle(ray, positions, i0, i1, i2) {
+  const ax = positions[i0 * 3], ay = positions[i0 * 3 + 1], az = positions[i0 * 3 + 2];
+  return intersectTriangleEdges(
+    ray, ax, ay, az,
+    positions[i1 * 3] - ax, positions[i1 * 3 + 1] - ay, positions[i1 * 3 + 2] - az,
+    positions[i2 * 3] - ax, positions[i2 * 3 + 1] - ay, positions[i2 * 3 + 2] - az
+  );
+}
+
+/**
+ * Intersect a ray with a triangle given by its first vertex and two edges
+ * (Möller–Trumbore), for triangles whose edges are already known
+ * @param {Ray} ray - The ray to test
+ * @param {number} ax - First vertex x
+ * @param {number} ay - First vertex y
+ * @param {number} az - First vertex z
+ * @param {number} e1x - Edge from the first to the second vertex, x
+ * @param {number} e1y - Edge from the first to the second vertex, y
+ * @param {number} e1z - Edge from the first to the second vertex, z
+ * @param {number} e2x - Edge from the first to the third vertex, x
+ * @param {number} e2y - Edge from the first to the third vertex, y
+ * @param {number} e2z - Edge from the first to the third vertex, z
+ * @returns {{distance: number, u: number, v: number}|null} Hit distance and barycentric
+ * weights of the second and third vertices, or null if there is no hit
+ * @private
+ */
+function intersectTriangleEdges(ray, ax, ay, az, e1x, e1y, e1z, e2x, e2y, e2z) {
+  const { x: dx, y: dy, z: dz } = ray.direction;
+
+  // p = direction x edge2
+  const px = dy * e2z - dz * e2y;
+  const py = dz * e2x - dx * e2z;
+  const pz = dx * e2y - dy * e2x;
+
+  const determinant = e1x * px + e1y * py + e1z * pz;
+  if (Math.abs(determinant) < PARALLEL_EPSILON) {
+    return null;
+  }
+  const inverseDeterminant = 1 / determinant;
+
+  const tx = ray.origin.x - ax, ty = ray.origin.y - ay, tz = ray.origin.z - az;
+  const u = (tx * px + ty * py + tz * pz) * inverseDeterminant;
+  if (u < 0 || u > 1) {
+    return null;
+  }
+
+  // q = t x edge1
+  const qx = ty * e1z - tz * e1y;
+  const qy = tz * e1x - tx * e1z;
+  const qz = tx * e1y - ty * e1x;
+
+  const v = (dx * qx + dy * qy + dz * qz) * inverseDeterminant;
+  if (v < 0 || u + v > 1) {
+    return null;
+  }
+
+  const distance = (e2x * qx + e2y * qy + e2z * qz) * inverseDeterminant;
+  if (distance < MIN_DISTANCE) {
+    return null;
+  }
+
+  return { distance, u, v };
+}
+
+/**
+ * Interpolate a per-vertex attribute with barycentric weights
+ * @param {ArrayLike<number>} data - Flat attribute array
+ * @param {number} size - Number of components per vertex
+ * @param {Array<number>} vertexIndices - The three vertex indices
+ * @param {number} u - Weight of the second vertex
+ * @param {number} v - Weight of the third vertex
+ * @returns {Array<number>} Interpolated components
+ */
+function interpolateAttribute(data, size, vertexIndices, u, v) {
+  const w = 1 - u - v;
+  const [i0, i1, i2] = vertexIndices;
+  const result = [];
+  for (let c = 0; c < size; c++) {
+    result.push(data[i0 * size + c] * w + data[i1 * size + c] * u + data[i2 * size + c] * v);
+  }
+  return result;
+}
+
+/**
+ * Compute the unnormalized face normal (edge1 x edge2) of a triangle
+ * @param {ArrayLike<number>} positions - Flat xyz vertex positions
+ * @param {number} i0 - Index of the first vertex
+ * @param {number} i1 - Index of the second vertex
+ * @param {number} i2 - Index of the third vertex
+ * @returns {Vector3} Face normal whose length is twice the triangle area
+ */
+function faceNormal(positions, i0, i1, i2) {
+  const a = new Vector3(positions[i0 * 3], positions[i0 * 3 + 1], positions[i0 * 3 + 2]);
+  const b = new Vector3(positions[i1 * 3], positions[i1 * 3 + 1], positions[i1 * 3 + 2]);
+  const c = new Vector3(positions[i2 * 3], positions[i2 * 3 + 1], positions[i2 * 3 + 2]);
+  return cross(subtract(b, a), subtract(c, a));
+}
+
+/**
+ * Build the bounding box of a triangle
+ * @param {ArrayLike<number>} positions - Flat xyz vertex positions
+ * @param {Array<number>} vertexIndices - The three vertex indices
+ * @returns {AABB} Bounding box
+ */
+function triangleBounds(positions, vertexIndices) {
+  const bounds = new AABB();
+  for (const i of vertexIndices) {
+    bounds.expandByPoint(new Vector3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]));
+  }
+  return bounds;
+}
+
+/**
+ * Build the intersection record for a triangle hit
+ * @param {Ray} ray - The ray that hit
+ * @param {{distance: number, u: number, v: number}} hit - Hit distance and barycentrics
+ * @param {Object} data - Vertex data with positions, optional normals and uvs
+ * @param {Array<number>} vertexIndices - The three vertex indices
+ * @param {Material} material - Material of the surface
+ * @returns {Intersection} The intersection
+ */
+function createTriangleIntersection(ray, hit, data, vertexIndices, material) {
+  const { distance, u, v } = hit;
+  const [i0, i1, i2] = vertexIndices;
+
+  let normal;
+  if (data.normals) {
+    const [nx, ny, nz] = interpolateAttribute(data.normals, 3, vertexIndices, u, v);
+    normal = normalize(new Vector3(nx, ny, nz));
+  } else {
+    normal = normalize(faceNormal(data.positions, i0, i1, i2));
+  }
+
+  let uv;
+  if (data.uvs) {
+    const [tu, tv] = interpolateAttribute(data.uvs, 2, vertexIndices, u, v);
+    uv = { u: tu, v: tv };
+  } else {
+    uv = { u, v };
+  }
+
+  return new Intersection(ray.at(distance), distance, normal, material, uv);
+}
+
+/**
+ * Single triangle geometry.
+ * The geometric normal follows the winding order (v1 - v0) x (v2 - v0).
+ * @extends Geometry
+ */
+export class Triangle extends Geometry {
+  /**
+   * Creates a triangle
+   * @param {Vector3} v0 - First vertex
+   * @param {Vector3} v1 - Second vertex
+   * @param {Vector3} v2 - Third vertex
+   * @param {Material} material - Material of the triangle
+   * @param {Object} options - Optional per-vertex attributes
+   * @param {Array<Vector3>} options.normals - Vertex normals for smooth shading
+   * @param {Array<{u: number, v: number}>} options.uvs - Vertex texture coordinates
+   */
+  constructor(v0, v1, v2, material, options = {}) {
+    super();
+    this.v0 = v0;
+    this.v1 = v1;
+    this.v2 = v2;
+    this.material = material;
+    this.normals = options.normals || null;
+    this.uvs = options.uvs || null;
+
+    // Like a mesh's BVH, the flat vertex data and edges are built once, so
+    // the vertices are not meant to change after construction
+    this._vertexData = {
+      positions: [v0.x, v0.y, v0.z, v1.x, v1.y, v1.z, v2.x, v2.y, v2.z],
+      normals: this.normals && this.normals.flatMap(n => [n.x, n.y, n.z]),
+      uvs: this.uvs && this.uvs.flatMap(t => [t.u, t.v])
+    };
+    this._edge1 = subtract(v1, v0);
+    this._edge2 = subtract(v2, v0);
+  }
+
+  /**
+   * Check for intersection with a ray
+   * @param {Ray} ray - The ray to check intersection with
+   * @returns {Intersection|null} Intersection data or null if no intersection
+   */
+  intersect(ray) {
+    const { v0, _edge1: e1, _edge2: e2 } = this;
+    const hit = intersectTriangleEdges(this._rayAtRest(ray), v0.x, v0.y, v0.z, e1.x, e1.y, e1.z, e2.x, e2.y, e2.z);
+    if (!hit) {
+      return null;
+    }
+    return createTriangleIntersection(ray, hit, this._vertexData, [0, 1, 2], this.material);
+  }
+
+  /**
+   * Get the axis-aligned bounding box of the triangle, covering its whole motion
+   * @returns {AABB} Bounding box
+   */
+  getBoundingBox() {
+    return this._sweepBoundingBox(new AABB().expandByPoint(this.v0).expandByPoint(this.v1).expandByPoint(this.v2));
+  }
+}
+
+/**
+ * Indexed triangle mesh with shared vertex attributes stored in typed arrays.
+ * The mesh keeps its own BVH over its triangles, so the scene sees it as a
+ * single object regardless of the triangle count.
+ * @extends Geometry
+ */
+export class TriangleMesh extends Geometry {
+  /**
+   * Creates a triangle mesh
+   * @param {Object} data - Vertex and index data
+   * @param {Float32Array|Array<number>} data.positions - Flat xyz vertex positions
+   * @param {Uint32Array|Array<number>} data.indices - Three vertex indices per triangle
+   * @param {Float32Array|Array<number>} data.normals - Optional flat xyz vertex normals
+   * @param {Float32Array|Array<number>} data.uvs - Optional flat uv texture coordinates
+   * @param {Material} material - Material of the mesh
+   * @param {Object} options - Mesh options
+   * @param {boolean} options.smooth - Generate vertex normals when none are given (default: false)
+   */
+  constructor(data, material, options = {}) {
+    super();
+    this.positions = Float32Array.from(data.positions);
+    this.indices = Uint32Array.from(data.indices);
+    this.normals = data.normals ? Float32Array.from(data.normals) : null;
+    this.uvs = data.uvs ? Float32Array.from(data.uvs) : null;
+    this.material = material;
+
+    if (this.indices.length % 3 !== 0) {
+      throw new Error('TriangleMesh indices must contain three entries per triangle');
+    }
+    if (!this.normals && options.smooth) {
+      this.normals = TriangleMesh.computeVertexNormals(this.positions, this.indices);
+    }
+
+    const triangleIds = Array.from({ length: this.triangleCount }, (_, i) => i);
+    this.bvh = new BVH(triangleIds, {
+      getBounds: (triangle) => triangleBounds(this.positions, this._triangleVertices(triangle)),
+      intersect: (triangle, ray) => this._intersectTriangle(triangle, ray)
+    });
+  }
+
+  /**
+   * Number of triangles in the mesh
+   * @returns {number} Triangle count
+   */
+  get triangleCount() {
+    return this.indices.length / 3;
+  }
+
+  /**
+   * Compute area-weighted vertex normals for smooth shading
+   * @param {ArrayLike<number>} positions - Flat xyz vertex positions
+   * @param {ArrayLike<number>} indices - Three vertex indices per triangle
+   * @returns {Float32Array} Flat xyz vertex normals
+   */
+  static computeVertexNormals(positions, indices) {
+    const normals = new Float32Array(positions.length);
+    for (let i = 0; i < indices.length; i += 3) {
+      const n = faceNormal(positions, indices[i], indices[i + 1], indices[i + 2]);
+      for (let k = 0; k < 3; k++) {
+        const vertex = indices[i + k];
+        normals[vertex * 3] += n.x;
+        normals[vertex * 3 + 1] += n.y;
+        normals[vertex * 3 + 2] += n.z;
+      }
+    }
+
+    for (let i = 0; i < normals.length; i += 3) {
+      const n = normalize(new Vector3(normals[i], normals[i + 1], normals[i + 2]));
+      normals[i] = n.x;
+      normals[i + 1] = n.y;
+      normals[i + 2] = n.z;
+    }
+    return normals;
+  }
+
+  /**
+   * Get the vertex indices of a triangle
+   * @param {number} triangle - Triangle index
+   * @returns {Array<number>} The three vertex indices
+   * @private
+   */
+  _triangleVertices(triangle) {
+    const base = triangle * 3;
+    return [this.indices[base], this.indices[base + 1], this.indices[base + 2]];
+  }
+
+  /**
+   * Intersect one triangle of the mesh, returning only the raw hit
+   * @param {number} triangle - Triangle index
+   * @param {Ray} ray - The ray to test
+   * @returns {{distance: number, u: number, v: number, triangle: number}|null} Raw hit
+   * @private
+   */
+  _intersectTriangle(triangle, ray) {
+    const base = triangle * 3;
+    const hit = intersectTriangle(ray, this.positions, this.indices[base], this.indices[base + 1], this.indices[base + 2]);
+    if (hit) {
+      hit.triangle = triangle;
+    }
+    return hit;
+  }
+
+  /**
+   * Check for intersection with a ray
+   * @param {Ray} ray - The ray to check intersection with
+   * @returns {Intersection|null} Intersection data or null if no intersection
+   */
+  intersect(ray) {
+    // A moving mesh is intersected at its rest position, where its own BVH was built
+    const hit = this.bvh.intersect(this._rayAtRest(ray));
+    if (!hit) {
+      return null;
+    }
+    return createTriangleIntersection(ray, hit, this, this._triangleVertices(hit.triangle), this.material);
+  }
+
+  /**
+   * Get the axis-aligned bounding box of the mesh, covering its whole motion
+   * @returns {AABB|null} Bounding box, or null for a mesh without triangles
+   */
+  getBoundingBox() {
+    return this.triangleCount > 0 ? this._sweepBoundingBox(this.bvh.getBounds()) : null;
+  }
+}
@@ -0,0 +1,135 @@
+/**
+ * Object motion
+ * Moves geometry over time for motion blur. A motion is a list of timed
+ * offsets from the object's rest position, followed piecewise linearly and
+ * held before the first and after the last keyframe. Rays carry a time
+ * sampled within the camera's shutter interval, and geometry is intersected
+ * where its motion puts it at that time.
+ *
+ * Motion documents (see toJSON):
+ *   { keyframes: [{ time, offset: [x, y, z] }] }
+ */
+import { Vector3, add } from './math.js';
+import { AABB } from './aabb.js';
+
+/**
+ * Timed offsets of a moving object
+ */
+export class Motion {
+  /**
+   * Create a motion
+   * @param {Array<{time: number, offset: Vector3|Array<number>}>} keyframes - Keyframes to add
+   * (see setKeyframe)
+   */
+  constructor(keyframes = []) {
+    this.keyframes = [];
+    for (const { time, offset } of keyframes) {
+      this.setKeyframe(time, offset);
+    }
+  }
+
+  /**
+   * Create a motion at constant speed
+   * @param {Vector3|Array<number>} displacement - Offset reached at the end time
+   * @param {number} startTime - Time the object leaves its rest position (default: 0)
+   * @param {number} endTime - Time it arrives (default: 1)
+   * @returns {Motion} The motion
+   */
+  static linear(displacement, startTime = 0, endTime = 1) {
+    return new Motion([
+      { time: startTime, offset: new Vector3(0, 0, 0) },
+      { time: endTime, offset: displacement }
+    ]);
+  }
+
+  /**
+   * Add a keyframe, replacing one at the same time and keeping them sorted
+   * @param {number} time - Time in seconds
+   * @param {Vector3|Array<number>} offset - Offset from the rest position
+   * @returns {Motion} This motion, for chaining
+   * @throws {Error} If the time or offset is not finite
+   */
+  setKeyframe(time, offset) {
+    if (!Number.isFinite(time)) {
+      throw new Error('Motion keyframe time must be a finite number');
+    }
+    const [x, y, z] = Array.isArray(offset) ? offset : [offset?.x, offset?.y, offset?.z];
+    if (![x, y, z].every(Number.isFinite)) {
+      throw new Error('Motion keyframe offset must be a vector of three finite numbers');
+    }
+
+    const keyframe = { time, offset: new Vector3(x, y, z) };
+    const index = this.keyframes.findIndex(existing => existing.time >= time);
+    if (index === -1) {
+      this.keyframes.push(keyframe);
+    } else {
+      this.keyframes.splice(index, this.keyframes[index].time === time ? 1 : 0, keyframe);
+    }
+    return this;
+  }
+
+  /**
+   * Get the offset at a time
+   * @param {number} time - Time in seconds
+   * @returns {Vector3} Offset from the rest position; zero for a motion without keyframes
+   */
+  offsetAt(time) {
+    const { keyframes } = this;
+    if (keyframes.length === 0) {
+      return new Vector3(0, 0, 0);
+    }
+    if (time <= keyframes[0].time) {
+      return keyframes[0].offset;
+    }
+    const next = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (next === -1) {
+      return keyframes[keyframes.length - 1].offset;
+    }
+
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const t = (time - from.time) / (to.time - from.time);
+    return new Vector3(
+      from.offset.x + (to.offset.x - from.offset.x) * t,
+      from.offset.y + (to.offset.y - from.offset.y) * t,
+      from.offset.z + (to.offset.z - from.offset.z) * t
+    );
+  }
+
+  /**
+   * Get the box swept by a bounding box over the whole motion. Offsets are
+   * linear between keyframes, so the keyframes bound every position.
+   * @param {AABB} box - Bounding box at the rest position
+   * @returns {AABB} A new box containing the box at every time
+   */
+  sweepBoundingBox(box) {
+    if (this.keyframes.length === 0) {
+      return box.clone();
+    }
+    const swept = new AABB();
+    for (const { offset } of this.keyframes) {
+      swept.expandByPoint(add(box.min, offset)).expandByPoint(add(box.max, offset));
+    }
+    return swept;
+  }
+
+  /**
+   * Serialize the motion to a JSON-compatible document
+   * @returns {Object} Motion document
+   */
+  toJSON() {
+    return {
+      keyframes: this.keyframes.map(({ time, offset }) => ({ time, offset: [offset.x, offset.y, offset.z] }))
+    };
+  }
+
+  /**
+   * Create a motion from a document produced by toJSON
+   * @param {Object} data - Motion document
+   * @returns {Motion} The motion
+   * @throws {Error} If a keyframe is invalid
+   */
+  static fromJSON(data) {
+    return new Motion(data.keyframes || []);
+  }
+}
@@ -0,0 +1,342 @@
+/**
+ * Wavefront OBJ/MTL importer
+ * Parses OBJ geometry and MTL materials from text (or raw bytes) and registers
+ * the resulting meshes with a SceneManager. No browser APIs are needed, so the
+ * loader also runs in Node.
+ */
+import { Material } from './raytracer.js';
+
+/**
+ * Name used for faces that appear before any `usemtl` statement
+ */
+const DEFAULT_GROUP = '__default__';
+
+/**
+ * Convert an OBJ or MTL source to a string
+ * @param {string|ArrayBuffer|ArrayBufferView} source - File contents
+ * @returns {string} Decoded text
+ */
+function decodeSource(source) {
+  if (typeof source === 'string') {
+    return source;
+  }
+  // Checked structurally so buffers from another realm (workers, test environments) are accepted
+  if (source && typeof source.byteLength === 'number') {
+    return new TextDecoder('utf-8').decode(source);
+  }
+  throw new Error('OBJ/MTL source must be a string or an ArrayBuffer');
+}
+
+/**
+ * Split a source into trimmed, non-empty, non-comment lines with line continuations joined
+ * @param {string} text - Source text
+ * @returns {Array<{keyword: string, args: Array<string>, line: number}>} Parsed statements
+ */
+function tokenize(text) {
+  const statements = [];
+  const lines = text.replace(/\\\r?\n/g, ' ').split(/\r?\n/);
+
+  lines.forEach((rawLine, index) => {
+    const line = rawLine.replace(/#.*/, '').trim();
+    if (!line) {
+      return;
+    }
+    const [keyword, ...args] = line.split(/\s+/);
+    statements.push({ keyword, args, line: index + 1 });
+  });
+
+  return statements;
+}
+
+/**
+ * Parse a list of numeric arguments
+ * @param {Array<string>} args - Arguments to parse
+ * @param {number} count - Number of values expected
+ * @param {number} line - Line number for error messages
+ * @returns {Array<number>} Parsed numbers
+ */
+function parseNumbers(args, count, line) {
+  const values = args.slice(0, count).map(Number);
+  if (values.length < count || values.some(Number.isNaN)) {
+    throw new Error(`Invalid numeric data on line ${line}`);
+  }
+  return values;
+}
+
+/**
+ * Parse an MTL material library
+ * @param {string|ArrayBuffer} source - MTL file contents
+ * @returns {Object<string, Object>} Material definitions keyed by name, holding the raw
+ * MTL values (Kd, Ks, Ka as [r, g, b]; Ns, d, Ni, illum as numbers; map_Kd as a file name)
+ */
+export function parseMTL(source) {
+  const materials = {};
+  let current = null;
+
+  for (const { keyword, args, line } of tokenize(decodeSource(source))) {
+    if (keyword === 'newmtl') {
+      current = { name: args.join(' ') };
+      materials[current.name] = current;
+      continue;
+    }
+    if (!current) {
+      continue; // Statements before the first newmtl have nothing to apply to
+    }
+
+    switch (keyword) {
+      case 'Kd':
+      case 'Ks':
+      case 'Ka':
+      case 'Ke':
+        current[keyword] = parseNumbers(args, 3, line);
+        break;
+      case 'Ns':
+      case 'd':
+      case 'Ni':
+      case 'illum':
+        current[keyword] = parseNumbers(args, 1, line)[0];
+        break;
+      case 'Tr':
+        // Tr is the inverse of d; only use it if d was not given
+        if (current.d === undefined) {
+          current.d = 1 - parseNumbers(args, 1, line)[0];
+        }
+        break;
+      case 'map_Kd':
+        current.map_Kd = args[args.length - 1];
+        break;
+      default:
+        // Other statements (maps, sharpness, etc.) are not supported by the renderer
+        break;
+    }
+  }
+
+  return materials;
+}
+
+/**
+ * Convert an MTL definition to a raytracer Material.
+ * Kd becomes the color, with its largest component used as the diffuse
+ * coefficient so that color * diffuse reproduces Kd.
+ * @param {Object} definition - Material definition from parseMTL
+ * @returns {Material} The material
+ */
+export function createMaterialFromMTL(definition) {
+  const [kr, kg, kb] = definition.Kd || [0.8, 0.8, 0.8];
+  const diffuse = Math.max(kr, kg, kb);
+  const color = diffuse > 0
+    ? { r: kr / diffuse, g: kg / diffuse, b: kb / diffuse }
+    : { r: 0, g: 0, b: 0 };
+
+  const options = { diffuse };
+  if (definition.Ks) {
+    options.specular = Math.max(...definition.Ks);
+  }
+  if (definition.Ns !== undefined) {
+    options.shininess = definition.Ns;
+  }
+  if (definition.d !== undefined) {
+    options.transparency = Math.min(1, Math.max(0, 1 - definition.d));
+  }
+  if (definition.Ni !== undefined && definition.Ni > 0) {
+    options.refractiveIndex = definition.Ni;
+  }
+
+  return new Material(color, options);
+}
+
+/**
+ * Resolve an OBJ index (1-based, or negative relative to the end) to a 0-based index
+ * @param {string} token - Index token from a face statement
+ * @param {number} count - Number of elements defined so far
+ * @param {number} line - Line number for error messages
+ * @returns {number} 0-based index
+ */
+function resolveIndex(token, count, line) {
+  const index = parseInt(token, 10);
+  const resolved = index < 0 ? count + index : index - 1;
+  if (Number.isNaN(index) || index === 0 || resolved < 0 || resolved >= count) {
+    throw new Error(`Face index ${token} out of range on line ${line}`);
+  }
+  return resolved;
+}
+
+/**
+ * Create an empty per-material group
+ * @param {string} material - Material name
+ * @returns {Object} Group accumulating vertex data
+ */
+function createGroup(material) {
+  return {
+    material,
+    positions: [],
+    normals: [],
+    uvs: [],
+    indices: [],
+    vertexMap: new Map(),
+    hasNormals: true,
+    hasUvs: true
+  };
+}
+
+/**
+ * Parse OBJ geometry.
+ * Faces are grouped by their `usemtl` material and each group gets its own
+ * de-duplicated vertex arrays. Polygons with more than three vertices are
+ * triangulated as fans. Texture V coordinates are flipped so that v = 0 is the
+ * top of the image, matching the texture classes.
+ * @param {string|ArrayBuffer} source - OBJ file contents
+ * @returns {{groups: Array<Object>, materialLibraries: Array<string>}} Parsed groups with
+ * material name, positions, indices and (when every face provides them) normals and uvs
+ */
+export function parseOBJ(source) {
+  const positions = [];
+  const normals = [];
+  const uvs = [];
+  const groups = new Map();
+  const materialLibraries = [];
+  let currentGroup = null;
+
+  const getGroup = (name) => {
+    if (!groups.has(name)) {
+      groups.set(name, createGroup(name));
+    }
+    return groups.get(name);
+  };
+
+  // Map one face corner ("v", "v/vt", "v//vn" or "v/vt/vn") to a vertex of the group.
+  // Relative indices depend on the elements defined so far, so vertices are
+  // shared by their resolved indices rather than by the corner text.
+  const addCorner = (group, corner, line) => {
+    const [v, vt, vn] = corner.split('/');
+    const positionIndex = resolveIndex(v, positions.length, line);
+    const uvIndex = vt ? resolveIndex(vt, uvs.length, line) : -1;
+    const normalIndex = vn ? resolveIndex(vn, normals.length, line) : -1;
+
+    const key = `${positionIndex}/${uvIndex}/${normalIndex}`;
+    const cached = group.vertexMap.get(key);
+    if (cached !== undefined) {
+      return cached;
+    }
+
+    group.positions.push(...positions[positionIndex]);
+    if (uvIndex >= 0) {
+      group.uvs.push(...uvs[uvIndex]);
+    } else {
+      group.hasUvs = false;
+    }
+    if (normalIndex >= 0) {
+      group.normals.push(...normals[normalIndex]);
+    } else {
+      group.hasNormals = false;
+    }
+
+    const index = group.positions.length / 3 - 1;
+    group.vertexMap.set(key, index);
+    return index;
+  };
+
+  for (const { keyword, args, line } of tokenize(decodeSource(source))) {
+    switch (keyword) {
+      case 'v':
+        positions.push(parseNumbers(args, 3, line));
+        break;
+      case 'vn':
+        normals.push(parseNumbers(args, 3, line));
+        break;
+      case 'vt': {
+        const [u, v = 0] = args.slice(0, 2).map(Number);
+        if (Number.isNaN(u) || Number.isNaN(v)) {
+          throw new Error(`Invalid numeric data on line ${line}`);
+        }
+        uvs.push([u, 1 - v]);
+        break;
+      }
+      case 'f': {
+        if (args.length < 3) {
+          throw new Error(`Face with fewer than three vertices on line ${line}`);
+        }
+        const group = currentGroup || (currentGroup = getGroup(DEFAULT_GROUP));
+        const corners = args.map(corner => addCorner(group, corner, line));
+        for (let i = 1; i < corners.length - 1; i++) {
+          group.indices.push(corners[0], corners[i], corners[i + 1]);
+        }
+        break;
+      }
+      case 'usemtl':
+        currentGroup = getGroup(args.join(' '));
+        break;
+      case 'mtllib':
+        materialLibraries.push(...args);
+        break;
+      default:
+        // Object/group names, smoothing groups, lines and points are not needed
+        break;
+    }
+  }
+
+  return {
+    groups: [...groups.values()]
+      .filter(group => group.indices.length > 0)
+      .map(group => ({
+        material: group.material === DEFAULT_GROUP ? null : group.material,
+        positions: group.positions,
+        indices: group.indices,
+        normals: group.hasNormals ? group.normals : null,
+        uvs: group.hasUvs ? group.uvs : null
+      })),
+    materialLibraries
+  };
+}
+
+/**
+ * Import an OBJ model into a scene.
+ * Each material group becomes one TriangleMesh registered through
+ * `SceneManager.addObject`, so every part gets an ID.
+ * @param {SceneManager} sceneManager - Scene manager to add the meshes to
+ * @param {string|ArrayBuffer} objSource - OBJ file contents
+ * @param {Object} options - Import options
+ * @param {string|ArrayBuffer|Array} options.mtl - MTL file contents (one source or a list)
+ * @param {Material} options.defaultMaterial - Material for groups without a known MTL material
+ * @param {boolean} options.smooth - Generate smooth normals for groups without normals (default: false)
+ * @returns {{ids: Array<string>, materials: Object<string, Material>, missingMaterials: Array<string>}}
+ * IDs of the added meshes, the materials created, and `usemtl` names that had no definition
+ */
+export function loadOBJ(sceneManager, objSource, options = {}) {
+  const { groups } = parseOBJ(objSource);
+
+  const mtlSources = options.mtl === undefined ? [] : [].concat(options.mtl);
+  const materials = {};
+  for (const mtlSource of mtlSources) {
+    for (const [name, definition] of Object.entries(parseMTL(mtlSource))) {
+      materials[name] = createMaterialFromMTL(definition);
+    }
+  }
+
+  const defaultMaterial = options.defaultMaterial || new Material({ r: 0.8, g: 0.8, b: 0.8 });
+  const smooth = options.smooth || false;
+  const missingMaterials = [];
+
+  const ids = groups.map(group => {
+    let material = defaultMaterial;
+    if (group.material !== null) {
+      if (materials[group.material]) {
+        material = materials[group.material];
+      } else if (!missingMaterials.includes(group.material)) {
+        missingMaterials.push(group.material);
+      }
+    }
+
+    return sceneManager.addObject({
+      type: 'mesh',
+      positions: group.positions,
+      indices: group.indices,
+      normals: group.normals,
+      uvs: group.uvs,
+      material,
+      smooth
+    });
+  });
+
+  return { ids, materials, missingMaterials };
+}
@@ -0,0 +1,92 @@
+/**
+ * Offline rendering
+ * Renders a complete image in one call, without a canvas or workers. Used by
+ * the headless command-line renderer (scripts/render.mjs).
+ */
+import { createTiles, renderTile } from './tile-renderer.js';
+import { ProgressiveRenderer } from './progressive-renderer.js';
+
+/**
+ * Render a scene to an RGBA pixel buffer
+ * @param {Scene} scene - Scene to render
+ * @param {Camera} camera - Camera to render from
+ * @param {Object} options - Render options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {number} options.samplesPerPixel - Samples per pixel (default: 1). One sample
+ * traces through the pixel corner like the browser renderer (at several shutter times
+ * for a camera with motion blur, see renderTile); more samples are jittered and averaged
+ * like progressive rendering.
+ * @param {number} options.seed - Seed for the sample jitter (default: 1)
+ * @param {Object} options.backgroundColor - RGB color for rays that miss everything
+ * @param {Function} options.onProgress - Called with the fraction done (0-1)
+ * @param {RenderStats} options.stats - Statistics to add the traced rays and trace time to
+ * @returns {Uint8ClampedArray} RGBA pixels, row by row from the top
+ */
+export function renderImage(scene, camera, options) {
+  const { width, height } = options;
+  const samplesPerPixel = options.samplesPerPixel ?? 1;
+  const backgroundColor = options.backgroundColor || { r: 0, g: 0, b: 0 };
+  const onProgress = options.onProgress || (() => {});
+  const stats = options.stats || null;
+
+  if (samplesPerPixel <= 1) {
+    const start = performance.now();
+    const tile = createTiles(width, height, Math.max(width, height))[0];
+    const pixels = renderTile(tile, scene, camera, { imageWidth: width, imageHeight: height, backgroundColor, stats });
+    if (stats) stats.addPhaseTime('trace', performance.now() - start);
+    onProgress(1);
+    return pixels;
+  }
+
+  const progressive = new ProgressiveRenderer({ width, height, seed: options.seed, backgroundColor });
+  while (progressive.passes < samplesPerPixel) {
+    progressive.renderPass(scene, camera);
+    onProgress(progressive.passes / samplesPerPixel);
+  }
+  if (stats) {
+    stats.merge(progressive.renderStats);
+    stats.addPhaseTime('trace', progressive.renderStats.phases.trace || 0);
+  }
+  return progressive.resolve();
+}
+
+/**
+ * Render evenly spaced frames along a camera path. With a timeline, each
+ * frame also shows the scene at the frame's time: the camera's shutter is
+ * moved to open then (keeping its length) and the timeline is applied over it.
+ * @param {Scene} scene - Scene to render
+ * @param {Camera} camera - Camera to animate; it is left at the last frame
+ * @param {CameraPath} path - Path to move the camera along
+ * @param {Object} options - Render options; as for renderImage, plus:
+ * @param {number} options.frames - Number of frames to render
+ * @param {Timeline} options.timeline - Timeline to animate the scene with (optional)
+ * @param {SceneManager} options.sceneManager - Scene manager of the scene, which the
+ * timeline is applied through (needed with a timeline)
+ * @param {Function} options.onFrame - Called with the frame's pixels, index and time;
+ * may return a promise, e.g. to write the frame before the next one is rendered
+ * @param {Function} options.onProgress - Called with the fraction of the whole sequence done (0-1)
+ * @returns {Promise<number>} Number of frames rendered
+ */
+export async function renderSequence(scene, camera, path, options) {
+  const { frames, timeline, sceneManager } = options;
+  const onFrame = options.onFrame || (() => {});
+  const onProgress = options.onProgress || (() => {});
+  const times = path.getFrameTimes(frames);
+  const shutter = camera.shutterClose - camera.shutterOpen;
+
+  for (let index = 0; index < times.length; index++) {
+    path.applyTo(camera, times[index]);
+    if (timeline) {
+      camera.shutterOpen = times[index];
+      camera.shutterClose = times[index] + shutter;
+      timeline.applyInterval(sceneManager, camera.shutterOpen, camera.shutterClose);
+    }
+    const pixels = renderImage(scene, camera, {
+      ...options,
+      onProgress: (fraction) => onProgress((index + fraction) / frames)
+    });
+    await onFrame(pixels, index, times[index]);
+  }
+  return times.length;
+}
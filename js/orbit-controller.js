@@ -0,0 +1,102 @@
+/**
+ * Orbit camera controller
+ * Keeps a camera looking at a target point and moves it on a sphere around
+ * it: rotating changes the camera's yaw and pitch, dollying changes its
+ * distance from the target, and panning moves the target and the camera
+ * together in the image plane. It works on a Camera in place, so the
+ * first-person controls can keep using the same camera.
+ */
+import { add, subtract, scale, length, normalize } from './math.js';
+import { MAX_PITCH } from './camera.js';
+
+/**
+ * Moves a camera around a target point
+ */
+export class OrbitController {
+  /**
+   * Create a controller for a camera. The camera is turned towards the
+   * target and keeps its distance from it.
+   * @param {Camera} camera - Camera to move
+   * @param {Object} options - Controller options
+   * @param {Vector3} options.target - Point to orbit around (default: 10 units in front of the camera)
+   * @param {number} options.minDistance - Closest the camera can get to the target (default: 0.1)
+   * @param {number} options.maxDistance - Farthest the camera can get from the target (default: 1000)
+   */
+  constructor(camera, options = {}) {
+    this.camera = camera;
+    this.minDistance = options.minDistance ?? 0.1;
+    this.maxDistance = options.maxDistance ?? 1000;
+    this.target = options.target || add(camera.position, scale(camera.direction, 10));
+    this.sync();
+  }
+
+  /**
+   * Take the distance and angles from the camera's current position, e.g.
+   * after it was moved with the first-person controls or the target changed
+   */
+  sync() {
+    const offset = subtract(this.camera.position, this.target);
+    const distance = length(offset);
+    if (distance < 1e-9) {
+      // On the target: back off along the view direction
+      this.distance = this.minDistance;
+      this.yaw = this.camera.yaw;
+      this.pitch = this.camera.pitch;
+    } else {
+      const toTarget = normalize(scale(offset, -1));
+      this.distance = distance;
+      this.yaw = (Math.atan2(-toTarget.x, -toTarget.z) * 180) / Math.PI;
+      this.pitch = (Math.asin(Math.max(-1, Math.min(1, toTarget.y))) * 180) / Math.PI;
+    }
+    this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch));
+    this.update();
+  }
+
+  /**
+   * Set the point to orbit around, keeping the camera where it is
+   * @param {Vector3} target - New target
+   */
+  setTarget(target) {
+    this.target = target;
+    this.sync();
+  }
+
+  /**
+   * Rotate the camera around the target
+   * @param {number} deltaYaw - Degrees to move around the world y axis (positive moves the camera to its right, so the view turns left)
+   * @param {number} deltaPitch - Degrees to raise the camera (positive looks down on the target from higher up)
+   */
+  rotate(deltaYaw, deltaPitch) {
+    this.yaw += deltaYaw;
+    this.pitch = Math.max(-MAX_PITCH, Math.min(MAX_PITCH, this.pitch - deltaPitch));
+    this.update();
+  }
+
+  /**
+   * Move the camera towards or away from the target
+   * @param {number} factor - Multiplier for the distance (below 1 moves closer)
+   */
+  dolly(factor) {
+    this.distance = Math.max(this.minDistance, Math.min(this.maxDistance, this.distance * factor));
+    this.update();
+  }
+
+  /**
+   * Move the target and the camera along the camera's right and up vectors
+   * @param {number} right - Distance to move right (negative for left)
+   * @param {number} up - Distance to move up (negative for down)
+   */
+  pan(right, up) {
+    const offset = add(scale(this.camera.right, right), scale(this.camera.up, up));
+    this.target = add(this.target, offset);
+    this.update();
+  }
+
+  /**
+   * Place the camera on its orbit and point it at the target
+   */
+  update() {
+    this.camera.setYawPitchRoll(this.yaw, this.pitch, 0);
+    this.camera.position = subtract(this.target, scale(this.camera.direction, this.distance));
+  }
+}
@@ -0,0 +1,107 @@
+/**
+ * Presenters
+ * Put rendered images on the page's canvas. WebGPUPresenter writes them to a
+ * WebGPU canvas context and gives the renderer the GPU context for the
+ * rasterized preview and the compute raytracer. Canvas2DPresenter draws with
+ * the 2D canvas API, so the CPU raytracer works in browsers without WebGPU.
+ * createPresenter picks one for a canvas.
+ */
+import { initializeGPU } from './gpu.js';
+
+/**
+ * Presents images through a WebGPU canvas context
+ */
+export class WebGPUPresenter {
+  /**
+   * Create a presenter for an initialized GPU context
+   * @param {{device: GPUDevice, context: GPUCanvasContext, presentationFormat: GPUTextureFormat}} gpu - GPU context from initializeGPU
+   */
+  constructor(gpu) {
+    this.type = 'webgpu';
+    this.gpu = gpu;
+  }
+
+  /**
+   * The canvas the images are shown on
+   * @type {HTMLCanvasElement}
+   */
+  get canvas() {
+    return this.gpu.context.canvas;
+  }
+
+  /**
+   * Why the GPU context cannot be used, e.g. after device recovery failed
+   * @type {string|undefined}
+   */
+  get error() {
+    return this.gpu.error;
+  }
+
+  /**
+   * Copy a full RGBA image to the canvas texture
+   * @param {Uint8ClampedArray} imageData - RGBA pixels, row by row from the top
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   */
+  present(imageData, width, height) {
+    const { device, context } = this.gpu;
+    // The canvas texture is only valid for the current frame, so the whole
+    // image is written every time
+    device.queue.writeTexture(
+      { texture: context.getCurrentTexture() },
+      imageData,
+      { bytesPerRow: width * 4, rowsPerImage: height },
+      { width, height }
+    );
+  }
+}
+
+/**
+ * Presents images through a 2D canvas context. There is no GPU context, so
+ * the preview and the raytracer run on the CPU.
+ */
+export class Canvas2DPresenter {
+  /**
+   * Create a presenter for a canvas
+   * @param {HTMLCanvasElement} canvas - Canvas to draw on
+   * @param {Object} options - Presenter options
+   * @param {string} options.reason - Why WebGPU is not used, for display
+   * @throws {Error} If the canvas has no 2D context, e.g. because it already has a WebGPU one
+   */
+  constructor(canvas, options = {}) {
+    this.type = 'canvas2d';
+    this.gpu = null;
+    this.canvas = canvas;
+    this.reason = options.reason || null;
+    this.context = canvas.getContext('2d');
+    if (!this.context) {
+      throw new Error('Canvas 2D rendering is not available on this canvas');
+    }
+  }
+
+  /**
+   * Draw a full RGBA image on the canvas
+   * @param {Uint8ClampedArray} imageData - RGBA pixels, row by row from the top
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   */
+  present(imageData, width, height) {
+    this.context.putImageData(new ImageData(imageData, width, height), 0, 0);
+  }
+}
+
+/**
+ * Create a presenter for a canvas: WebGPU when it can be initialized,
+ * Canvas 2D otherwise
+ * @param {HTMLCanvasElement} canvas - Canvas to show images on
+ * @returns {Promise<WebGPUPresenter|Canvas2DPresenter>} The presenter
+ * @throws {Error} If neither WebGPU nor Canvas 2D can be used
+ */
+export async function createPresenter(canvas) {
+  const gpu = await initializeGPU(canvas);
+  if (!gpu.error) {
+    return new WebGPUPresenter(gpu);
+  }
+  console.warn(`WebGPU is not available, drawing with Canvas 2D instead: ${gpu.error}`);
+  return new Canvas2DPresenter(canvas, { reason: gpu.error });
+}
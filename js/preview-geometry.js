@@ -0,0 +1,252 @@
+/**
+ * Preview geometry
+ * Turns scene objects into triangle buffers for the rasterized preview and
+ * packs the camera and lights into its uniform buffer. Everything here works
+ * on plain typed arrays, so it runs (and is tested) without a GPU.
+ */
+import { Vector3, normalize, cross } from './math.js';
+import { Sphere, Plane } from './raytracer.js';
+import { Triangle, TriangleMesh } from './mesh.js';
+
+// Vertex layout: position (3), normal (3), color (3), material (ambient, diffuse,
+// specular, shininess) and a flag for geometry that is visible from both sides
+export const PREVIEW_VERTEX_FLOATS = 14;
+
+// Uniform layout: view matrix (16), projection matrix (16), camera position and
+// light count (4), then MAX_PREVIEW_LIGHTS lights of 12 floats each
+export const MAX_PREVIEW_LIGHTS = 8;
+export const PREVIEW_LIGHT_FLOATS = 12;
+export const PREVIEW_UNIFORM_FLOATS = 36 + MAX_PREVIEW_LIGHTS * PREVIEW_LIGHT_FLOATS;
+
+// Half the edge length of the quad drawn for an (infinite) plane
+export const PLANE_EXTENT = 100;
+
+/**
+ * Tessellate a sphere into a latitude/longitude grid of triangles
+ * @param {Vector3} center - Center of the sphere
+ * @param {number} radius - Radius of the sphere
+ * @param {Object} options - Tessellation options
+ * @param {number} options.latitudeBands - Rings from pole to pole (default: 24)
+ * @param {number} options.longitudeBands - Segments around the axis (default: 32)
+ * @returns {{positions: Array<number>, normals: Array<number>, indices: Array<number>}} Triangles,
+ * wound counter-clockwise when seen from outside
+ */
+export function tessellateSphere(center, radius, options = {}) {
+  const latitudeBands = options.latitudeBands || 24;
+  const longitudeBands = options.longitudeBands || 32;
+  const positions = [];
+  const normals = [];
+  const indices = [];
+
+  for (let lat = 0; lat <= latitudeBands; lat++) {
+    const theta = (lat * Math.PI) / latitudeBands;
+    const sinTheta = Math.sin(theta);
+    const cosTheta = Math.cos(theta);
+
+    for (let lon = 0; lon <= longitudeBands; lon++) {
+      const phi = (lon * 2 * Math.PI) / longitudeBands;
+      const x = sinTheta * Math.cos(phi);
+      const y = cosTheta;
+      const z = sinTheta * Math.sin(phi);
+
+      normals.push(x, y, z);
+      positions.push(center.x + radius * x, center.y + radius * y, center.z + radius * z);
+    }
+  }
+
+  const rowLength = longitudeBands + 1;
+  for (let lat = 0; lat < latitudeBands; lat++) {
+    for (let lon = 0; lon < longitudeBands; lon++) {
+      const first = lat * rowLength + lon;
+      const second = first + rowLength;
+
+      // The rings at the poles collapse to a point, so skip their empty triangles
+      if (lat !== 0) {
+        indices.push(first, first + 1, second);
+      }
+      if (lat !== latitudeBands - 1) {
+        indices.push(second, first + 1, second + 1);
+      }
+    }
+  }
+
+  return { positions, normals, indices };
+}
+
+/**
+ * Create a square quad lying in a plane, centered on the plane's point
+ * @param {Vector3} point - A point on the plane
+ * @param {Vector3} normal - Plane normal (the side the quad faces)
+ * @param {number} extent - Half the edge length of the quad (default: PLANE_EXTENT)
+ * @returns {{positions: Array<number>, normals: Array<number>, indices: Array<number>}} Two
+ * triangles, wound counter-clockwise when seen from the side the normal points to
+ */
+export function createPlaneQuad(point, normal, extent = PLANE_EXTENT) {
+  const n = normalize(normal);
+
+  // Build two axes in the plane from whichever world axis is least parallel to the normal
+  const helper = Math.abs(n.y) < 0.9 ? new Vector3(0, 1, 0) : new Vector3(1, 0, 0);
+  const tangent = normalize(cross(helper, n));
+  const bitangent = cross(n, tangent);
+
+  const positions = [];
+  const normals = [];
+  for (const [s, t] of [[-1, -1], [1, -1], [1, 1], [-1, 1]]) {
+    positions.push(
+      point.x + (tangent.x * s + bitangent.x * t) * extent,
+      point.y + (tangent.y * s + bitangent.y * t) * extent,
+      point.z + (tangent.z * s + bitangent.z * t) * extent
+    );
+    normals.push(n.x, n.y, n.z);
+  }
+
+  return { positions, normals, indices: [0, 1, 2, 0, 2, 3] };
+}
+
+/**
+ * Compute flat normals for triangles that have none
+ * @param {ArrayLike<number>} positions - Flat xyz vertex positions
+ * @param {ArrayLike<number>} indices - Three vertex indices per triangle
+ * @returns {{positions: Array<number>, normals: Array<number>, indices: Array<number>}} Unindexed
+ * triangles with one normal per face
+ * @private
+ */
+function flatShade(positions, indices) {
+  const flatPositions = [];
+  const normals = [];
+
+  for (let i = 0; i < indices.length; i += 3) {
+    const corners = [indices[i], indices[i + 1], indices[i + 2]].map(index =>
+      new Vector3(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2])
+    );
+    const [a, b, c] = corners;
+    const n = normalize(cross(
+      new Vector3(b.x - a.x, b.y - a.y, b.z - a.z),
+      new Vector3(c.x - a.x, c.y - a.y, c.z - a.z)
+    ));
+    for (const corner of corners) {
+      flatPositions.push(corner.x, corner.y, corner.z);
+      normals.push(n.x, n.y, n.z);
+    }
+  }
+
+  return { positions: flatPositions, normals, indices: Array.from({ length: flatPositions.length / 3 }, (_, i) => i) };
+}
+
+/**
+ * Get the triangles of a scene object
+ * @param {Geometry} object - Scene object
+ * @param {Object} options - Options passed to tessellateSphere
+ * @returns {{positions: ArrayLike<number>, normals: ArrayLike<number>, indices: ArrayLike<number>,
+ * doubleSided: boolean}|null} Triangles, or null for unsupported objects
+ * @private
+ */
+function getObjectTriangles(object, options) {
+  if (object instanceof Sphere) {
+    return { ...tessellateSphere(object.center, object.radius, options), doubleSided: false };
+  }
+  if (object instanceof Plane) {
+    // The raytracer only sees planes from the front
+    return { ...createPlaneQuad(object.point, object.normal, options.planeExtent), doubleSided: false };
+  }
+  if (object instanceof TriangleMesh) {
+    const triangles = object.normals
+      ? { positions: object.positions, normals: object.normals, indices: object.indices }
+      : flatShade(object.positions, object.indices);
+    return { ...triangles, doubleSided: true };
+  }
+  if (object instanceof Triangle) {
+    const { v0, v1, v2 } = object;
+    const positions = [v0.x, v0.y, v0.z, v1.x, v1.y, v1.z, v2.x, v2.y, v2.z];
+    const triangles = object.normals
+      ? { positions, normals: object.normals.flatMap(n => [n.x, n.y, n.z]), indices: [0, 1, 2] }
+      : flatShade(positions, [0, 1, 2]);
+    return { ...triangles, doubleSided: true };
+  }
+  return null;
+}
+
+/**
+ * Build interleaved vertex and index buffers for all objects in a scene.
+ * Textures are not sampled; textured objects use their material color.
+ * @param {Array<Geometry>} objects - Scene objects
+ * @param {Object} options - Geometry options
+ * @param {number} options.latitudeBands - Sphere rings (default: 24)
+ * @param {number} options.longitudeBands - Sphere segments (default: 32)
+ * @param {number} options.planeExtent - Half the edge length of plane quads (default: PLANE_EXTENT)
+ * @returns {{vertices: Float32Array, indices: Uint32Array, vertexCount: number, indexCount: number}} Buffers
+ * in the PREVIEW_VERTEX_FLOATS layout
+ */
+export function buildPreviewGeometry(objects, options = {}) {
+  const parts = [];
+  let vertexCount = 0;
+  let indexCount = 0;
+
+  for (const object of objects) {
+    const triangles = getObjectTriangles(object, options);
+    if (!triangles) continue;
+    parts.push({ object, triangles, firstVertex: vertexCount });
+    vertexCount += triangles.positions.length / 3;
+    indexCount += triangles.indices.length;
+  }
+
+  const vertices = new Float32Array(vertexCount * PREVIEW_VERTEX_FLOATS);
+  const indices = new Uint32Array(indexCount);
+  let indexOffset = 0;
+
+  for (const { object, triangles, firstVertex } of parts) {
+    const { positions, normals } = triangles;
+    const { color, ambient, diffuse, specular, shininess } = object.material;
+    const count = positions.length / 3;
+
+    for (let i = 0; i < count; i++) {
+      vertices.set([
+        positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2],
+        normals[i * 3], normals[i * 3 + 1], normals[i * 3 + 2],
+        color.r, color.g, color.b,
+        ambient, diffuse, specular, shininess,
+        triangles.doubleSided ? 1 : 0
+      ], (firstVertex + i) * PREVIEW_VERTEX_FLOATS);
+    }
+    for (const index of triangles.indices) {
+      indices[indexOffset++] = firstVertex + index;
+    }
+  }
+
+  return { vertices, indices, vertexCount, indexCount };
+}
+
+/**
+ * Pack the camera and lights into the preview's uniform buffer layout.
+ * Only the first MAX_PREVIEW_LIGHTS lights are included.
+ * @param {Camera} camera - Camera to render from
+ * @param {Array<Light>} lights - Scene lights
+ * @param {Object} options - Projection options
+ * @param {number} options.near - Near clipping distance (default: 0.1)
+ * @param {number} options.far - Far clipping distance (default: 1000)
+ * @returns {Float32Array} PREVIEW_UNIFORM_FLOATS values
+ */
+export function packPreviewUniforms(camera, lights, options = {}) {
+  const data = new Float32Array(PREVIEW_UNIFORM_FLOATS);
+  const count = Math.min(lights.length, MAX_PREVIEW_LIGHTS);
+
+  data.set(camera.getViewMatrix(), 0);
+  data.set(camera.getProjectionMatrix(options.near, options.far), 16);
+  data.set([camera.position.x, camera.position.y, camera.position.z, count], 32);
+
+  for (let i = 0; i < count; i++) {
+    const light = lights[i];
+    const offset = 36 + i * PREVIEW_LIGHT_FLOATS;
+    const position = light.position || new Vector3(0, 0, 0);
+    const direction = light.direction || new Vector3(0, -1, 0);
+    const intensity = light.intensity ?? 1;
+
+    data.set([
+      position.x, position.y, position.z, light.type === 'directional' ? 1 : 0,
+      direction.x, direction.y, direction.z, 0,
+      light.color.r * intensity, light.color.g * intensity, light.color.b * intensity, 0
+    ], offset);
+  }
+
+  return data;
+}
@@ -0,0 +1,300 @@
+/**
+ * Rasterized WebGPU preview
+ * Draws the scene's spheres, planes and meshes with Blinn-Phong shading from
+ * the scene's lights, using the camera's view and projection matrices so the
+ * preview is framed exactly like the raytraced image.
+ */
+import {
+  PREVIEW_VERTEX_FLOATS,
+  PREVIEW_UNIFORM_FLOATS,
+  MAX_PREVIEW_LIGHTS,
+  buildPreviewGeometry,
+  packPreviewUniforms
+} from './preview-geometry.js';
+
+// Matches the falloff and ambient term of calculateLighting in raytracer.js
+const PREVIEW_SHADER = /* wgsl */ `
+struct Light {
+  position: vec4f,  // w: 0 for point lights, 1 for directional lights
+  direction: vec4f,
+  color: vec4f,     // Color times intensity
+}
+
+struct Uniforms {
+  view: mat4x4f,
+  projection: mat4x4f,
+  cameraPosition: vec4f,  // w: number of lights
+  lights: array<Light, ${MAX_PREVIEW_LIGHTS}>,
+}
+
+@group(0) @binding(0) var<uniform> uniforms: Uniforms;
+
+struct VertexInput {
+  @location(0) position: vec3f,
+  @location(1) normal: vec3f,
+  @location(2) color: vec3f,
+  @location(3) material: vec4f,  // ambient, diffuse, specular, shininess
+  @location(4) doubleSided: f32,
+}
+
+struct VertexOutput {
+  @builtin(position) clipPosition: vec4f,
+  @location(0) worldPosition: vec3f,
+  @location(1) normal: vec3f,
+  @location(2) color: vec3f,
+  @location(3) material: vec4f,
+  @location(4) doubleSided: f32,
+}
+
+@vertex
+fn vertexMain(input: VertexInput) -> VertexOutput {
+  var output: VertexOutput;
+  output.clipPosition = uniforms.projection * uniforms.view * vec4f(input.position, 1.0);
+  output.worldPosition = input.position;
+  output.normal = input.normal;
+  output.color = input.color;
+  output.material = input.material;
+  output.doubleSided = input.doubleSided;
+  return output;
+}
+
+@fragment
+fn fragmentMain(input: VertexOutput, @builtin(front_facing) frontFacing: bool) -> @location(0) vec4f {
+  var normal = normalize(input.normal);
+  if (!frontFacing) {
+    if (input.doubleSided < 0.5) {
+      discard;
+    }
+    normal = -normal;
+  }
+
+  let viewDir = normalize(uniforms.cameraPosition.xyz - input.worldPosition);
+  var color = input.color * input.material.x;
+
+  let lightCount = u32(uniforms.cameraPosition.w);
+  for (var i = 0u; i < lightCount; i++) {
+    let light = uniforms.lights[i];
+    var lightDir: vec3f;
+    var intensity = 1.0;
+    if (light.position.w > 0.5) {
+      lightDir = -normalize(light.direction.xyz);
+    } else {
+      let toLight = light.position.xyz - input.worldPosition;
+      let lightDistance = length(toLight);
+      lightDir = toLight / lightDistance;
+      intensity = 1.0 / (1.0 + 0.01 * lightDistance * lightDistance);
+    }
+
+    let lambertian = max(dot(normal, lightDir), 0.0);
+    var specular = 0.0;
+    if (lambertian > 0.0) {
+      let halfDir = normalize(lightDir + viewDir);
+      specular = pow(max(dot(normal, halfDir), 0.0), input.material.w);
+    }
+
+    color += (input.color * input.material.y * lambertian + vec3f(input.material.z * specular)) * light.color.rgb * intensity;
+  }
+
+  return vec4f(min(color, vec3f(1.0)), 1.0);
+}
+`;
+
+const DEPTH_FORMAT = 'depth24plus';
+
+/**
+ * Render pipeline and buffers for the rasterized preview
+ */
+export class PreviewRenderer {
+  /**
+   * Create the preview pipeline
+   * @param {GPUDevice} device - WebGPU device
+   * @param {GPUTextureFormat} format - Format of the canvas texture
+   */
+  constructor(device, format) {
+    this.device = device;
+    this.format = format;
+
+    const module = device.createShaderModule({ label: 'Preview shader', code: PREVIEW_SHADER });
+    const floatBytes = Float32Array.BYTES_PER_ELEMENT;
+
+    this.pipeline = device.createRenderPipeline({
+      label: 'Preview pipeline',
+      layout: 'auto',
+      vertex: {
+        module,
+        entryPoint: 'vertexMain',
+        buffers: [{
+          arrayStride: PREVIEW_VERTEX_FLOATS * floatBytes,
+          attributes: [
+            { shaderLocation: 0, offset: 0, format: 'float32x3' },
+            { shaderLocation: 1, offset: 3 * floatBytes, format: 'float32x3' },
+            { shaderLocation: 2, offset: 6 * floatBytes, format: 'float32x3' },
+            { shaderLocation: 3, offset: 9 * floatBytes, format: 'float32x4' },
+            { shaderLocation: 4, offset: 13 * floatBytes, format: 'float32' }
+          ]
+        }]
+      },
+      fragment: {
+        module,
+        entryPoint: 'fragmentMain',
+        targets: [{ format }]
+      },
+      primitive: {
+        topology: 'triangle-list',
+        frontFace: 'ccw',
+        cullMode: 'none' // Back faces are handled in the shader
+      },
+      depthStencil: {
+        format: DEPTH_FORMAT,
+        depthWriteEnabled: true,
+        depthCompare: 'less'
+      }
+    });
+
+    this.uniformBuffer = device.createBuffer({
+      label: 'Preview uniforms',
+      size: PREVIEW_UNIFORM_FLOATS * floatBytes,
+      usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST
+    });
+    this.bindGroup = device.createBindGroup({
+      layout: this.pipeline.getBindGroupLayout(0),
+      entries: [{ binding: 0, resource: { buffer: this.uniformBuffer } }]
+    });
+
+    this.geometry = null;
+    this.vertexBuffer = null;
+    this.indexBuffer = null;
+    this.depthTexture = null;
+    this._geometryObjects = null;
+    this._geometryObjectCount = 0;
+    this._sceneManager = null;
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Rebuild the geometry whenever a scene manager reports a change
+   * @param {SceneManager} sceneManager - Scene manager to follow (replaces the previous one)
+   */
+  watch(sceneManager) {
+    if (sceneManager === this._sceneManager) return;
+    if (this._unsubscribe) this._unsubscribe();
+    this._sceneManager = sceneManager;
+    this._unsubscribe = sceneManager && sceneManager.addChangeListener
+      ? sceneManager.addChangeListener(() => this.invalidateGeometry())
+      : null;
+  }
+
+  /**
+   * Mark the geometry as out of date, e.g. after objects were edited in place
+   */
+  invalidateGeometry() {
+    this.geometry = null;
+  }
+
+  /**
+   * Upload everything needed to draw a frame
+   * @param {Scene} scene - Scene to draw
+   * @param {Camera} camera - Camera to draw from
+   * @param {number} width - Target width in pixels
+   * @param {number} height - Target height in pixels
+   */
+  prepare(scene, camera, width, height) {
+    const { device } = this;
+
+    // Objects added or removed without a change notification also trigger a rebuild
+    if (!this.geometry || scene.objects !== this._geometryObjects || scene.objects.length !== this._geometryObjectCount) {
+      this._uploadGeometry(buildPreviewGeometry(scene.objects));
+      this._geometryObjects = scene.objects;
+      this._geometryObjectCount = scene.objects.length;
+    }
+
+    device.queue.writeBuffer(this.uniformBuffer, 0, packPreviewUniforms(camera, scene.lights));
+
+    if (!this.depthTexture || this.depthTexture.width !== width || this.depthTexture.height !== height) {
+      if (this.depthTexture) this.depthTexture.destroy();
+      this.depthTexture = device.createTexture({
+        label: 'Preview depth',
+        size: [width, height],
+        format: DEPTH_FORMAT,
+        usage: GPUTextureUsage.RENDER_ATTACHMENT
+      });
+    }
+  }
+
+  /**
+   * Get the depth attachment for the render pass the preview is drawn in
+   * @returns {GPURenderPassDepthStencilAttachment} Depth attachment, cleared to the far plane
+   */
+  getDepthAttachment() {
+    return {
+      view: this.depthTexture.createView(),
+      depthClearValue: 1.0,
+      depthLoadOp: 'clear',
+      depthStoreOp: 'discard'
+    };
+  }
+
+  /**
+   * Record the draw commands (after prepare)
+   * @param {GPURenderPassEncoder} passEncoder - Render pass using getDepthAttachment
+   */
+  draw(passEncoder) {
+    if (!this.geometry || this.geometry.indexCount === 0) return;
+
+    passEncoder.setPipeline(this.pipeline);
+    passEncoder.setBindGroup(0, this.bindGroup);
+    passEncoder.setVertexBuffer(0, this.vertexBuffer);
+    passEncoder.setIndexBuffer(this.indexBuffer, 'uint32');
+    passEncoder.drawIndexed(this.geometry.indexCount);
+  }
+
+  /**
+   * Release the GPU resources and stop following the scene manager
+   */
+  destroy() {
+    this.watch(null);
+    this._destroyGeometryBuffers();
+    if (this.depthTexture) this.depthTexture.destroy();
+    this.uniformBuffer.destroy();
+    this.depthTexture = null;
+  }
+
+  /**
+   * Replace the vertex and index buffers
+   * @param {{vertices: Float32Array, indices: Uint32Array, indexCount: number}} geometry - Output
+   * of buildPreviewGeometry
+   * @private
+   */
+  _uploadGeometry(geometry) {
+    const { device } = this;
+    this._destroyGeometryBuffers();
+    this.geometry = geometry;
+    if (geometry.indexCount === 0) return;
+
+    this.vertexBuffer = device.createBuffer({
+      label: 'Preview vertices',
+      size: geometry.vertices.byteLength,
+      usage: GPUBufferUsage.VERTEX | GPUBufferUsage.COPY_DST
+    });
+    device.queue.writeBuffer(this.vertexBuffer, 0, geometry.vertices);
+
+    // Buffer sizes must be a multiple of 4 bytes, which uint32 indices always are
+    this.indexBuffer = device.createBuffer({
+      label: 'Preview indices',
+      size: geometry.indices.byteLength,
+      usage: GPUBufferUsage.INDEX | GPUBufferUsage.COPY_DST
+    });
+    device.queue.writeBuffer(this.indexBuffer, 0, geometry.indices);
+  }
+
+  /**
+   * Destroy the current vertex and index buffers
+   * @private
+   */
+  _destroyGeometryBuffers() {
+    if (this.vertexBuffer) this.vertexBuffer.destroy();
+    if (this.indexBuffer) this.indexBuffer.destroy();
+    this.vertexBuffer = null;
+    this.indexBuffer = null;
+  }
+}
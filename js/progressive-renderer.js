@@ -0,0 +1,215 @@
+/**
+ * Progressive accumulation rendering
+ * Each pass traces one jittered sample per pixel (and lens position, for a
+ * camera with an aperture, and time, for a camera with a shutter interval)
+ * and adds it to a floating-point accumulation buffer. The displayed image is
+ * the running average, so a noisy image appears immediately and converges as
+ * passes are added. Moving objects blur as the time samples add up.
+ * Accumulation restarts whenever the camera or render settings change.
+ */
+import { createRandom } from './math.js';
+import { traceRay, raytracingSettings } from './raytracer.js';
+import { RenderStats } from './render-stats.js';
+
+/**
+ * Number of passes accumulated before progressive rendering stops by default
+ */
+export const DEFAULT_TARGET_PASSES = 64;
+
+/**
+ * Accumulates jittered samples over many passes
+ */
+export class ProgressiveRenderer {
+  /**
+   * Create a progressive renderer
+   * @param {Object} options - Renderer options
+   * @param {number} options.width - Image width in pixels
+   * @param {number} options.height - Image height in pixels
+   * @param {number} options.seed - Seed for the sample jitter (default: 1)
+   * @param {Object} options.backgroundColor - RGB color for rays that miss everything
+   * @param {number} options.targetPasses - Passes to accumulate before the image counts as
+   * converged, 0 for no limit (default: DEFAULT_TARGET_PASSES)
+   */
+  constructor(options) {
+    this.width = options.width;
+    this.height = options.height;
+    this.seed = options.seed ?? 1;
+    this.backgroundColor = options.backgroundColor || { r: 0, g: 0, b: 0 };
+    this.targetPasses = options.targetPasses ?? DEFAULT_TARGET_PASSES;
+    this.accumulation = new Float32Array(this.width * this.height * 3);
+    this.reset();
+    this._stateKey = null;
+  }
+
+  /**
+   * Discard all accumulated samples
+   */
+  reset() {
+    this.accumulation.fill(0);
+    this.passes = 0;
+    this.elapsed = 0;
+    this.lastPassTime = 0;
+    this.renderStats = new RenderStats(); // Rays traced since the last reset
+    this._row = 0;
+    this._random = null;
+  }
+
+  /**
+   * Change the image size, discarding all accumulated samples
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   */
+  resize(width, height) {
+    if (width === this.width && height === this.height) return;
+    this.width = width;
+    this.height = height;
+    this.accumulation = new Float32Array(width * height * 3);
+    this.reset();
+  }
+
+  /**
+   * Reset the accumulation if the camera or render settings changed since the
+   * last call
+   * @param {Camera} camera - Camera being rendered from
+   * @returns {boolean} Whether the accumulation was reset
+   */
+  sync(camera) {
+    const key = this._getStateKey(camera);
+    if (key === this._stateKey) {
+      return false;
+    }
+    this._stateKey = key;
+    this.reset();
+    return true;
+  }
+
+  /**
+   * Continue rendering passes for up to a time budget. Work is done a row at
+   * a time, so a pass may be split across several calls; the jitter of each
+   * pass depends only on the seed and the pass number.
+   * @param {Scene} scene - Scene to render
+   * @param {Camera} camera - Camera to render from
+   * @param {number} timeBudget - Milliseconds to spend before returning (default: no limit, one pass)
+   * @returns {boolean} Whether a pass was completed
+   */
+  step(scene, camera, timeBudget = Infinity) {
+    this.sync(camera);
+
+    const start = performance.now();
+    const { width, height, accumulation, backgroundColor, renderStats } = this;
+
+    if (!this._random) {
+      this._random = createRandom(this.seed + Math.imul(this.passes + 1, 0x9E3779B9));
+      this._passStart = start;
+      this._passTime = 0;
+    }
+
+    const random = this._random;
+    let completed = false;
+
+    while (this._row < height) {
+      const y = this._row;
+      for (let x = 0; x < width; x++) {
+        const px = x + random();
+        const py = y + random();
+        // Only draw lens and time samples for a camera with an aperture or
+        // shutter interval, so other renders keep their jitter sequence
+        const lensSample = camera.aperture > 0 ? { u: random(), v: random() } : null;
+        const timeSample = camera.shutterClose > camera.shutterOpen ? random() : null;
+        const ray = camera.generateRay(px, py, width, height, lensSample, timeSample);
+        const color = traceRay(ray, scene, backgroundColor, 0, renderStats);
+
+        const index = (y * width + x) * 3;
+        accumulation[index] += color.r;
+        accumulation[index + 1] += color.g;
+        accumulation[index + 2] += color.b;
+      }
+      this._row++;
+
+      if (performance.now() - start >= timeBudget) break;
+    }
+
+    const spent = performance.now() - start;
+    this.elapsed += spent;
+    this._passTime += spent;
+    renderStats.addPhaseTime('trace', spent);
+
+    if (this._row === height) {
+      this.passes++;
+      this.lastPassTime = this._passTime;
+      this._row = 0;
+      this._random = null;
+      completed = true;
+    }
+
+    return completed;
+  }
+
+  /**
+   * Render one complete pass (finishing the current one if it was split)
+   * @param {Scene} scene - Scene to render
+   * @param {Camera} camera - Camera to render from
+   * @returns {number} Number of completed passes
+   */
+  renderPass(scene, camera) {
+    this.step(scene, camera);
+    return this.passes;
+  }
+
+  /**
+   * Average the accumulated samples into an RGBA image. Rows already covered
+   * by an unfinished pass are averaged over one more sample.
+   * @param {Uint8ClampedArray} target - Buffer to write to (default: a new one)
+   * @returns {Uint8ClampedArray} RGBA pixels
+   */
+  resolve(target = new Uint8ClampedArray(this.width * this.height * 4)) {
+    const { width, height, accumulation } = this;
+
+    for (let y = 0; y < height; y++) {
+      const samples = y < this._row ? this.passes + 1 : this.passes;
+      const scale = samples > 0 ? 255 / samples : 0;
+
+      for (let x = 0; x < width; x++) {
+        const source = (y * width + x) * 3;
+        const index = (y * width + x) * 4;
+        target[index] = Math.floor(accumulation[source] * scale);
+        target[index + 1] = Math.floor(accumulation[source + 1] * scale);
+        target[index + 2] = Math.floor(accumulation[source + 2] * scale);
+        target[index + 3] = 255;
+      }
+    }
+
+    return target;
+  }
+
+  /**
+   * Get the progress of the accumulation
+   * @returns {{passes: number, elapsed: number, lastPassTime: number, renderStats: RenderStats}}
+   * Completed passes, total render time and the time of the last pass in milliseconds,
+   * and the ray statistics of all passes
+   */
+  getStats() {
+    return { passes: this.passes, elapsed: this.elapsed, lastPassTime: this.lastPassTime, renderStats: this.renderStats };
+  }
+
+  /**
+   * Build a key describing everything that invalidates accumulated samples
+   * @param {Camera} camera - Camera being rendered from
+   * @returns {string} The state key
+   * @private
+   */
+  _getStateKey(camera) {
+    const { position, direction, up, right } = camera;
+    return JSON.stringify([
+      position.x, position.y, position.z,
+      direction.x, direction.y, direction.z,
+      up.x, up.y, up.z,
+      right.x, right.y, right.z,
+      camera.fov, camera.aspectRatio,
+      camera.aperture, camera.focusDistance, camera.apertureBlades,
+      camera.projection, camera.viewWidth, camera.fisheyeFov,
+      camera.shutterOpen, camera.shutterClose,
+      raytracingSettings
+    ]);
+  }
+}
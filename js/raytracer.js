@@ -1,23 +1,27 @@
 /**
  * Raytracer implementation
  */
-import { Vector3 as MathVector3, dot, normalize, subtract, add, scale, length } from './math.js';
+import { Vector3 as MathVector3, dot, cross, normalize, subtract, add, scale, length } from './math.js';
+import { AABB } from './aabb.js';
+import { BVH } from './bvh.js';
 
 // Re-export Vector3 for convenience
 export { Vector3 } from './math.js';
 
 /**
- * Represents a ray with origin and direction
+ * Represents a ray with origin, direction and the time it samples
  */
 export class Ray {
   /**
    * Creates a ray
    * @param {MathVector3} origin - Origin point of the ray
    * @param {MathVector3} direction - Direction vector of the ray (should be normalized)
+   * @param {number} time - Time in seconds at which the ray sees the scene, for moving geometry (default: 0)
    */
-  constructor(origin, direction) {
+  constructor(origin, direction, time = 0) {
     this.origin = origin;
     this.direction = direction;
+    this.time = time;
   }
 
   /**
@@ -63,13 +67,18 @@ export class Material {
    * Get the color at a specific point on the material (for textured materials)
    * @param {MathVector3} point - The point to sample
    * @param {MathVector3} normal - The surface normal at the point
+   * @param {{u: number, v: number}} uv - Texture coordinates from the geometry, if it provides them
    * @returns {Object} - The RGB color at the point
    */
-  getColorAt(point, normal) {
+  getColorAt(point, normal, uv) {
     if (!this.texture) {
       return this.color;
     }
     
+    if (uv) {
+      return this.texture.getColorAtUV(uv.u, uv.v);
+    }
+    
     // Calculate UV coordinates using planar mapping
     // This is a simple implementation - more sophisticated mapping would depend on the geometry
     const u = (Math.atan2(normal.z, normal.x) / (2 * Math.PI)) + 0.5;
@@ -89,12 +98,15 @@ export class Intersection {
    * @param {number} distance - Distance from ray origin to intersection
    * @param {MathVector3} normal - Surface normal at intersection point
    * @param {Material} material - Material of the intersected object
+   * @param {{u: number, v: number}|null} uv - Surface texture coordinates, for geometry that has them
    */
-  constructor(point, distance, normal, material) {
+  constructor(point, distance, normal, material, uv = null) {
     this.point = point;
     this.distance = distance;
     this.normal = normal;
     this.material = material;
+    this.uv = uv;
+    this.object = null; // Scene object that was hit, filled in by computeRayIntersection
   }
 }
 
@@ -102,6 +114,17 @@ export class Intersection {
  * Abstract base class for geometries
  */
 export class Geometry {
+  /**
+   * Creates a geometry at rest
+   */
+  constructor() {
+    /**
+     * Motion of the geometry over time (see motion.js), or null if it stands still
+     * @type {Motion|null}
+     */
+    this.motion = null;
+  }
+
   /**
    * Check for intersection with a ray
    * @param {Ray} ray - The ray to check intersection with
@@ -110,6 +133,40 @@ export class Geometry {
   intersect(ray) {
     throw new Error('Method not implemented');
   }
+
+  /**
+   * Get the axis-aligned bounding box of the geometry
+   * @returns {AABB|null} Bounding box, or null if the geometry is unbounded
+   */
+  getBoundingBox() {
+    return null;
+  }
+
+  /**
+   * Move a ray the opposite way to the geometry's motion at the ray's time,
+   * so a moving geometry can be intersected at its rest position. Distances
+   * along the moved ray are the same as along the original one.
+   * @param {Ray} ray - Ray to move
+   * @returns {Ray} The moved ray, or the ray itself if the geometry does not move
+   * @protected
+   */
+  _rayAtRest(ray) {
+    if (!this.motion) {
+      return ray;
+    }
+    const offset = this.motion.offsetAt(ray.time);
+    return new Ray(subtract(ray.origin, offset), ray.direction, ray.time);
+  }
+
+  /**
+   * Grow a bounding box at the rest position to cover the geometry's whole motion
+   * @param {AABB|null} box - Bounding box at rest
+   * @returns {AABB|null} The swept box, or the box itself if the geometry does not move
+   * @protected
+   */
+  _sweepBoundingBox(box) {
+    return box && this.motion ? this.motion.sweepBoundingBox(box) : box;
+  }
 }
 
 /**
@@ -136,8 +193,11 @@ export class Sphere extends Geometry {
    * @returns {Intersection|null} Intersection data or null if no intersection
    */
   intersect(ray) {
+    // Moving spheres are intersected at their position at the ray's time
+    const restRay = this._rayAtRest(ray);
+    
     // Vector from ray origin to sphere center
-    const oc = subtract(ray.origin, this.center);
+    const oc = subtract(restRay.origin, this.center);
     
     // Quadratic formula coefficients
     const a = dot(ray.direction, ray.direction);
@@ -167,10 +227,22 @@ export class Sphere extends Geometry {
     const point = ray.at(t);
     
     // Calculate the normal (pointing outward from the sphere)
-    const normal = normalize(subtract(point, this.center));
+    const normal = normalize(subtract(restRay.at(t), this.center));
     
     return new Intersection(point, t, normal, this.material);
   }
+
+  /**
+   * Get the axis-aligned bounding box of the sphere, covering its whole motion
+   * @returns {AABB} Bounding box
+   */
+  getBoundingBox() {
+    const { center, radius } = this;
+    return this._sweepBoundingBox(new AABB(
+      new MathVector3(center.x - radius, center.y - radius, center.z - radius),
+      new MathVector3(center.x + radius, center.y + radius, center.z + radius)
+    ));
+  }
 }
 
 /**
@@ -209,7 +281,9 @@ export class Plane extends Geometry {
       return null;
     }
     
-    const p0l0 = subtract(this.point, ray.origin);
+    // Moving planes are intersected at their position at the ray's time
+    const restRay = this._rayAtRest(ray);
+    const p0l0 = subtract(this.point, restRay.origin);
     const t = dot(p0l0, this.normal) / denom;
     
     // Check if intersection is behind the ray
@@ -219,7 +293,32 @@ export class Plane extends Geometry {
     
     const point = ray.at(t);
     
-    return new Intersection(point, t, this.normal, this.material);
+    return new Intersection(point, t, this.normal, this.material, this.getUV(restRay.at(t)));
+  }
+
+  /**
+   * Get the texture coordinates of a point on the plane: its distances from
+   * the plane's point along two axes in the plane, so textures repeat once
+   * per unit of length
+   * @param {MathVector3} point - Point on the plane at its rest position
+   * @returns {{u: number, v: number}} Texture coordinates
+   */
+  getUV(point) {
+    const { normal } = this;
+    // Any direction not parallel to the normal gives two axes in the plane
+    const helper = Math.abs(normal.x) > 0.9 ? new MathVector3(0, 1, 0) : new MathVector3(1, 0, 0);
+    const uAxis = normalize(cross(helper, normal));
+    const vAxis = cross(normal, uAxis);
+    const offset = subtract(point, this.point);
+    return { u: dot(offset, uAxis), v: dot(offset, vAxis) };
+  }
+
+  /**
+   * Planes are infinite, so they have no bounding box
+   * @returns {null} Always null
+   */
+  getBoundingBox() {
+    return null;
   }
 }
 
@@ -255,6 +354,9 @@ export class Scene {
   constructor() {
     this.objects = [];
     this.lights = [];
+    this.accelerator = null;
+    this._acceleratorSource = null;
+    this._acceleratorCount = 0;
   }
 
   /**
@@ -263,6 +365,91 @@ export class Scene {
    */
   addObject(object) {
     this.objects.push(object);
+    if (this._isAcceleratorCurrent(this.objects.length - 1)) {
+      this.accelerator.insert(object);
+      this._acceleratorCount = this.objects.length;
+    }
+  }
+
+  /**
+   * Remove an object from the scene
+   * @param {Geometry} object - Object to remove
+   * @returns {boolean} Whether the object was part of the scene
+   */
+  removeObject(object) {
+    const index = this.objects.indexOf(object);
+    if (index === -1) {
+      return false;
+    }
+
+    const wasCurrent = this._isAcceleratorCurrent(this.objects.length);
+    this.objects.splice(index, 1);
+    if (wasCurrent) {
+      this.accelerator.remove(object);
+      this._acceleratorCount = this.objects.length;
+    }
+    return true;
+  }
+
+  /**
+   * Notify the scene that an object was moved or resized in place, so that
+   * the acceleration structure can refit the affected nodes
+   * @param {Geometry} object - The object that changed
+   */
+  updateObject(object) {
+    if (this._isAcceleratorCurrent(this.objects.length)) {
+      this.accelerator.update(object);
+    }
+  }
+
+  /**
+   * Remove all objects from the scene
+   */
+  clearObjects() {
+    this.objects = [];
+    if (this.accelerator) {
+      this.accelerator.clear();
+      this._acceleratorSource = this.objects;
+      this._acceleratorCount = 0;
+    }
+  }
+
+  /**
+   * Discard the acceleration structure so it is rebuilt on the next query.
+   * Only needed when objects are changed without going through the scene.
+   */
+  invalidateAccelerator() {
+    this.accelerator = null;
+  }
+
+  /**
+   * Check whether the accelerator exists and still describes the objects array
+   * @param {number} expectedCount - Number of objects the accelerator should hold
+   * @returns {boolean} True if the accelerator can be edited incrementally
+   * @private
+   */
+  _isAcceleratorCurrent(expectedCount) {
+    return this.accelerator !== null &&
+      this._acceleratorSource === this.objects &&
+      this._acceleratorCount === expectedCount;
+  }
+
+  /**
+   * Get the BVH over the scene objects, building it lazily if needed.
+   * The BVH is also rebuilt if the objects array was replaced or resized directly.
+   * @returns {BVH} The acceleration structure
+   */
+  getAccelerator() {
+    if (
+      !this.accelerator ||
+      this._acceleratorSource !== this.objects ||
+      this._acceleratorCount !== this.objects.length
+    ) {
+      this.accelerator = new BVH(this.objects, { intersect: intersectSceneObject });
+      this._acceleratorSource = this.objects;
+      this._acceleratorCount = this.objects.length;
+    }
+    return this.accelerator;
   }
 
   /**
@@ -272,20 +459,62 @@ export class Scene {
   addLight(light) {
     this.lights.push(light);
   }
+
+  /**
+   * Remove all lights from the scene
+   */
+  clearLights() {
+    this.lights = [];
+  }
+}
+
+/**
+ * Intersect one object of a scene, recording the object in the intersection
+ * @param {Geometry} object - The scene object
+ * @param {Ray} ray - The ray to test
+ * @returns {Intersection|null} Intersection data or null if no intersection
+ * @private
+ */
+function intersectSceneObject(object, ray) {
+  const intersection = object.intersect(ray);
+  if (intersection) {
+    intersection.object = object;
+  }
+  return intersection;
 }
 
 /**
  * Find the nearest intersection between a ray and objects in a scene
  * @param {Ray} ray - The ray to trace
  * @param {Scene} scene - The scene containing objects
+ * @param {RenderStats} stats - Optional statistics to count intersection tests in
  * @returns {Intersection|null} The nearest intersection or null if none found
  */
-export function computeRayIntersection(ray, scene) {
+export function computeRayIntersection(ray, scene, stats = null) {
+  if (raytracingSettings.useAccelerationStructure && scene.getAccelerator) {
+    return scene.getAccelerator().intersect(ray, stats);
+  }
+  return computeRayIntersectionBruteForce(ray, scene, stats);
+}
+
+/**
+ * Find the nearest intersection by testing every object in the scene.
+ * This is the reference the BVH traversal must agree with.
+ * @param {Ray} ray - The ray to trace
+ * @param {Scene} scene - The scene containing objects
+ * @param {RenderStats} stats - Optional statistics to count intersection tests in
+ * @returns {Intersection|null} The nearest intersection or null if none found
+ */
+export function computeRayIntersectionBruteForce(ray, scene, stats = null) {
   let nearestIntersection = null;
   let nearestDistance = Infinity;
   
+  if (stats) {
+    stats.intersectionTests += scene.objects.length;
+  }
+  
   for (const object of scene.objects) {
-    const intersection = object.intersect(ray);
+    const intersection = intersectSceneObject(object, ray);
     
     if (intersection && intersection.distance < nearestDistance) {
       nearestIntersection = intersection;
@@ -296,12 +525,38 @@ export function computeRayIntersection(ray, scene) {
   return nearestIntersection;
 }
 
+/**
+ * Check whether any object blocks a ray before a given distance
+ * @param {Ray} ray - The ray to trace
+ * @param {Scene} scene - The scene containing objects
+ * @param {number} maxDistance - Only hits closer than this count
+ * @param {RenderStats} stats - Optional statistics to count intersection tests in
+ * @returns {boolean} True if the ray is blocked
+ */
+export function isRayOccluded(ray, scene, maxDistance = Infinity, stats = null) {
+  if (raytracingSettings.useAccelerationStructure && scene.getAccelerator) {
+    return scene.getAccelerator().intersectsAny(ray, maxDistance, stats);
+  }
+  const intersection = computeRayIntersectionBruteForce(ray, scene, stats);
+  return intersection !== null && intersection.distance < maxDistance;
+}
+
 // Global settings for raytracing
+// The depth limits count bounces along a path: maxReflectionDepth mirror bounces,
+// maxRefractionDepth passes through a surface and maxDepth bounces of either kind.
+// With russianRoulette on, paths deeper than rouletteStartDepth whose throughput (share of
+// the pixel color) is below rouletteThreshold are randomly stopped.
 export const raytracingSettings = {
   enableShadows: true,
   maxReflectionDepth: 3,
+  maxRefractionDepth: 4,
+  maxDepth: 5,
+  russianRoulette: false,
+  rouletteStartDepth: 2,
+  rouletteThreshold: 0.1,
   samplesPerPixel: 1,
-  enableRefraction: true
+  enableRefraction: true,
+  useAccelerationStructure: true
 };
 
 /**
@@ -309,17 +564,21 @@ export const raytracingSettings = {
  * @param {Intersection} intersection - The intersection information
  * @param {Ray} ray - The viewing ray
  * @param {Scene} scene - The scene containing lights
+ * @param {RenderStats} stats - Optional statistics to count shadow rays in
  * @returns {Object} - The calculated RGB color
  */
-export function calculateLighting(intersection, ray, scene) {
+export function calculateLighting(intersection, ray, scene, stats = null) {
   const { point, normal, material } = intersection;
   const viewDir = scale(ray.direction, -1); // View direction points towards camera
   
+  // Base color of the surface, from the texture where the material has one
+  const color = material.getColorAt(point, normal, intersection.uv);
+  
   // Initialize with ambient light
   let result = {
-    r: material.color.r * material.ambient,
-    g: material.color.g * material.ambient,
-    b: material.color.b * material.ambient
+    r: color.r * material.ambient,
+    g: color.g * material.ambient,
+    b: color.b * material.ambient
   };
   
   // Process each light
@@ -340,14 +599,11 @@ export function calculateLighting(intersection, ray, scene) {
     // Check for shadows only if enabled
     let inShadow = false;
     if (raytracingSettings.enableShadows) {
-      // Shoot a ray from the intersection point towards the light
-      const shadowRay = new Ray(point, lightDir);
-      const shadowIntersection = computeRayIntersection(shadowRay, scene);
-      
-      // If we hit something that's closer than the light, this point is in shadow
-      if (shadowIntersection && shadowIntersection.distance < lightDistance) {
-        inShadow = true;
-      }
+      // Shoot a ray from the intersection point towards the light;
+      // if we hit something that's closer than the light, this point is in shadow
+      const shadowRay = new Ray(point, lightDir, ray.time);
+      if (stats) stats.shadowRays++;
+      inShadow = isRayOccluded(shadowRay, scene, lightDistance, stats);
     }
     
     if (inShadow) {
@@ -374,9 +630,9 @@ export function calculateLighting(intersection, ray, scene) {
     }
     
     // Add diffuse contribution
-    result.r += material.color.r * material.diffuse * lambertian * light.color.r * intensity;
-    result.g += material.color.g * material.diffuse * lambertian * light.color.g * intensity;
-    result.b += material.color.b * material.diffuse * lambertian * light.color.b * intensity;
+    result.r += color.r * material.diffuse * lambertian * light.color.r * intensity;
+    result.g += color.g * material.diffuse * lambertian * light.color.g * intensity;
+    result.b += color.b * material.diffuse * lambertian * light.color.b * intensity;
     
     // Add specular contribution
     const specularIntensity = material.specular * specular * intensity;
@@ -480,56 +736,125 @@ export function calculateFresnelReflection(incident, normal, refrIndex) {
   return (Rs * Rs + Rp * Rp) / 2;
 }
 
+// Scratch buffer for reading the bits of a float in rouletteSample
+const rouletteFloat = new Float32Array(1);
+const rouletteBits = new Int32Array(rouletteFloat.buffer);
+
+/**
+ * Get a pseudo-random number in [0, 1) for Russian roulette. It is derived
+ * from the ray itself, so a scene always renders the same image whether it is
+ * traced on the main thread or in workers.
+ * @param {Ray} ray - The ray that is about to be traced
+ * @returns {number} Pseudo-random number in [0, 1)
+ * @private
+ */
+function rouletteSample(ray) {
+  const { origin, direction } = ray;
+  let hash = 0x811C9DC5;
+  for (const value of [origin.x, origin.y, origin.z, direction.x, direction.y, direction.z]) {
+    rouletteFloat[0] = value;
+    hash = Math.imul(hash ^ rouletteBits[0], 0x01000193);
+    hash ^= hash >>> 15;
+  }
+  hash = Math.imul(hash ^ (hash >>> 16), 0x85EBCA6B);
+  hash = Math.imul(hash ^ (hash >>> 13), 0xC2B2AE35);
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 4294967296;
+}
+
+/**
+ * Trace a reflection or refraction ray, applying the depth limits and Russian
+ * roulette from raytracingSettings
+ * @param {Ray} ray - The secondary ray
+ * @param {Scene} scene - The scene containing objects
+ * @param {Object} backgroundColor - RGB color to use for background
+ * @param {{depth: number, reflections: number, refractions: number, throughput: number}} path - Path
+ * of the secondary ray, with this bounce already counted
+ * @param {string} kind - 'reflection' or 'refraction'
+ * @param {RenderStats} stats - Optional statistics to count rays and intersection tests in
+ * @returns {Object} RGB color seen along the ray
+ * @private
+ */
+function traceSecondaryRay(ray, scene, backgroundColor, path, kind, stats) {
+  const settings = raytracingSettings;
+  
+  // Rays beyond a depth limit see the background
+  if (path.depth > settings.maxDepth ||
+      (kind === 'reflection' && path.reflections > settings.maxReflectionDepth) ||
+      (kind === 'refraction' && path.refractions > settings.maxRefractionDepth)) {
+    return backgroundColor;
+  }
+  
+  // Paths that contribute little to the pixel are randomly dropped; the ones
+  // that survive are weighted up so the average stays the same
+  let weight = 1;
+  if (settings.russianRoulette && path.depth > settings.rouletteStartDepth && path.throughput < settings.rouletteThreshold) {
+    const survival = path.throughput / settings.rouletteThreshold;
+    if (rouletteSample(ray) >= survival) {
+      return { r: 0, g: 0, b: 0 };
+    }
+    weight = 1 / survival;
+  }
+  
+  if (stats) {
+    if (kind === 'reflection') stats.reflectionRays++;
+    else stats.refractionRays++;
+  }
+  const color = tracePath(ray, scene, backgroundColor, path, stats);
+  return weight === 1 ? color : { r: color.r * weight, g: color.g * weight, b: color.b * weight };
+}
+
 /**
  * Traces a ray recursively through the scene
  * @param {Ray} ray - The ray to trace
  * @param {Scene} scene - The scene containing objects
  * @param {Object} backgroundColor - RGB color to use for background
  * @param {number} depth - Current recursion depth
+ * @param {RenderStats} stats - Optional statistics to count rays and intersection tests in
  * @returns {Object} RGB color for the ray
  */
-export function traceRay(ray, scene, backgroundColor, depth = 0) {
-  // Debug counter (only initialize on the first call)
-  if (depth === 0 && typeof window._raytraceDebugCount === 'undefined') {
-    window._raytraceDebugCount = { called: 0, hits: 0, misses: 0 };
-  }
+export function traceRay(ray, scene, backgroundColor, depth = 0, stats = null) {
+  const color = tracePath(ray, scene, backgroundColor, { depth, reflections: 0, refractions: 0, throughput: 1 }, stats);
   
-  if (depth === 0) {
-    window._raytraceDebugCount.called++;
-  }
+  // Clamp only the final color: secondary rays weighted up by Russian roulette
+  // may exceed 1, and clipping them would darken the average
+  return {
+    r: Math.min(1, Math.max(0, color.r)),
+    g: Math.min(1, Math.max(0, color.g)),
+    b: Math.min(1, Math.max(0, color.b))
+  };
+}
 
-  // Maximum recursion depth to prevent infinite reflections/refractions
-  const MAX_DEPTH = 5;
-  if (depth > MAX_DEPTH) {
-    return backgroundColor;
+/**
+ * Trace a ray, keeping track of its path for the depth limits and Russian roulette
+ * @param {Ray} ray - The ray to trace
+ * @param {Scene} scene - The scene containing objects
+ * @param {Object} backgroundColor - RGB color to use for background
+ * @param {{depth: number, reflections: number, refractions: number, throughput: number}} path - Total,
+ * reflection and refraction bounces so far, and the fraction of the pixel color carried by this ray
+ * @param {RenderStats} stats - Optional statistics to count rays and intersection tests in
+ * @returns {Object} RGB color for the ray
+ * @private
+ */
+function tracePath(ray, scene, backgroundColor, path, stats) {
+  const { depth } = path;
+  
+  if (stats) {
+    if (depth === 0) stats.primaryRays++;
+    if (depth > stats.maxDepth) stats.maxDepth = depth;
   }
 
   // Find the nearest intersection
-  const intersection = computeRayIntersection(ray, scene);
+  const intersection = computeRayIntersection(ray, scene, stats);
   
   if (!intersection) {
-    if (depth === 0) {
-      window._raytraceDebugCount.misses++;
-      
-      // Debug log every 100,000 rays
-      if (window._raytraceDebugCount.called % 100000 === 0) {
-        console.log('DEBUG: raytracer - rays:', window._raytraceDebugCount.called, 
-                    'hits:', window._raytraceDebugCount.hits, 
-                    'misses:', window._raytraceDebugCount.misses,
-                    'hit rate:', ((window._raytraceDebugCount.hits / window._raytraceDebugCount.called) * 100).toFixed(2) + '%');
-      }
-    }
     return backgroundColor;
   }
   
-  if (depth === 0) {
-    window._raytraceDebugCount.hits++;
-  }
-  
   const { point, normal, material } = intersection;
   
   // Calculate basic lighting
-  let color = calculateLighting(intersection, ray, scene);
+  let color = calculateLighting(intersection, ray, scene, stats);
   
   // Calculate reflections if the material is reflective
   if (material.reflection > 0) {
@@ -538,10 +863,15 @@ export function traceRay(ray, scene, backgroundColor, depth = 0) {
     
     // Create a reflection ray (offset slightly to avoid self-intersection)
     const reflectOrigin = add(point, scale(normal, 0.001));
-    const reflectRay = new Ray(reflectOrigin, reflectDir);
+    const reflectRay = new Ray(reflectOrigin, reflectDir, ray.time);
     
     // Trace the reflection ray
-    const reflectColor = traceRay(reflectRay, scene, backgroundColor, depth + 1);
+    const reflectColor = traceSecondaryRay(reflectRay, scene, backgroundColor, {
+      depth: depth + 1,
+      reflections: path.reflections + 1,
+      refractions: path.refractions,
+      throughput: path.throughput * material.reflection
+    }, 'reflection', stats);
     
     // Blend the reflected color with the local color
     color = {
@@ -561,15 +891,22 @@ export function traceRay(ray, scene, backgroundColor, depth = 0) {
     
     // If there's no total internal reflection
     if (refractDir) {
-      // Create a refraction ray (offset slightly to avoid self-intersection)
-      const refractOrigin = subtract(point, scale(normal, 0.001)); // Move slightly inside the object
-      const refractRay = new Ray(refractOrigin, refractDir);
-      
-      // Trace the refraction ray
-      const refractColor = traceRay(refractRay, scene, backgroundColor, depth + 1);
+      // Create a refraction ray, offset slightly to the side it continues on
+      // (into the object when entering, out of it when leaving)
+      const refractOffset = scale(normal, 0.001);
+      const refractOrigin = dot(refractDir, normal) < 0 ? subtract(point, refractOffset) : add(point, refractOffset);
+      const refractRay = new Ray(refractOrigin, refractDir, ray.time);
       
       // Blend the refracted color with the current color using Fresnel coefficient
       const transparency = material.transparency * (1 - fresnelReflect);
+      
+      // Trace the refraction ray
+      const refractColor = traceSecondaryRay(refractRay, scene, backgroundColor, {
+        depth: depth + 1,
+        reflections: path.reflections,
+        refractions: path.refractions + 1,
+        throughput: path.throughput * transparency
+      }, 'refraction', stats);
       color = {
         r: color.r * (1 - transparency) + refractColor.r * transparency,
         g: color.g * (1 - transparency) + refractColor.g * transparency,
@@ -578,11 +915,6 @@ export function traceRay(ray, scene, backgroundColor, depth = 0) {
     }
   }
   
-  // Ensure color values are in the valid range
-  color.r = Math.min(1, Math.max(0, color.r));
-  color.g = Math.min(1, Math.max(0, color.g));
-  color.b = Math.min(1, Math.max(0, color.b));
-  
   return color;
 }
 
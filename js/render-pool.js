@@ -0,0 +1,160 @@
+/**
+ * Render worker pool
+ * Distributes the tiles of a render across a pool of render workers
+ * (see render-worker.js). Tiles are handed out one at a time as workers
+ * become free, so faster workers take more of the image.
+ */
+import { RenderStats } from './render-stats.js';
+
+/**
+ * Create a module worker running render-worker.js
+ * @returns {Worker} - The new worker
+ */
+function createDefaultWorker() {
+  return new Worker(new URL('./render-worker.js', import.meta.url), { type: 'module' });
+}
+
+/**
+ * Pool of workers for tiled rendering
+ */
+export class RenderWorkerPool {
+  /**
+   * Create a new worker pool. Workers are started on the first render.
+   * @param {Object} options - Pool options
+   * @param {number} options.size - Maximum number of workers (default: navigator.hardwareConcurrency)
+   * @param {Function} options.createWorker - Factory for workers (default: module Web Worker)
+   */
+  constructor(options = {}) {
+    const concurrency = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+    this.size = Math.max(1, Math.floor(options.size || concurrency || 4));
+    this.createWorker = options.createWorker || createDefaultWorker;
+    this.workers = [];
+    this.nextRenderId = 1;
+    this.activeRender = null;
+  }
+
+  /**
+   * Check whether the environment can run render workers
+   * @returns {boolean} - True if Web Workers are available
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Render a list of tiles across the pool. Only one render can run at a time.
+   * @param {Object} options - Render options
+   * @param {Object} options.scene - Scene document from SceneManager.toJSON, including the camera
+   * @param {number} options.width - Full image width in pixels
+   * @param {number} options.height - Full image height in pixels
+   * @param {Array<Object>} options.tiles - Tiles from createTiles
+   * @param {Object} options.backgroundColor - RGB color for rays that miss everything
+   * @param {Function} options.onTile - Called with (tile, pixels, stats) as each tile finishes,
+   * where stats are the tile's RenderStats
+   * @param {AbortSignal} options.signal - Stops handing out tiles when aborted
+   * @returns {Promise<void>} - Resolves when every tile has been delivered; rejects
+   * with the abort reason if the signal is aborted first
+   */
+  render(options) {
+    if (this.activeRender) {
+      return Promise.reject(new Error('A render is already in progress'));
+    }
+
+    const { scene, width, height, tiles, backgroundColor, onTile, signal } = options;
+    if (signal?.aborted) {
+      return Promise.reject(signal.reason);
+    }
+    if (tiles.length === 0) {
+      return Promise.resolve();
+    }
+
+    const renderId = this.nextRenderId++;
+    const workerCount = Math.min(this.size, tiles.length);
+    while (this.workers.length < workerCount) {
+      this.workers.push(this.createWorker());
+    }
+    const workers = this.workers.slice(0, workerCount);
+
+    this.activeRender = new Promise((resolve, reject) => {
+      let nextTile = 0;
+      let finishedTiles = 0;
+      let settled = false;
+
+      const onAbort = () => finish(signal.reason, { keepWorkers: true });
+
+      const finish = (err, { keepWorkers = false } = {}) => {
+        if (settled) return;
+        settled = true;
+        for (const worker of workers) {
+          worker.onmessage = null;
+          worker.onerror = null;
+        }
+        signal?.removeEventListener('abort', onAbort);
+        this.activeRender = null;
+
+        if (err && keepWorkers) {
+          // Workers finish their current tile and the result is ignored
+          reject(err);
+        } else if (err) {
+          // A worker may be left mid-tile or broken; start fresh next time
+          this.terminate();
+          reject(err);
+        } else {
+          resolve();
+        }
+      };
+
+      const dispatch = (worker) => {
+        if (nextTile < tiles.length) {
+          worker.postMessage({ type: 'tile', renderId, tile: tiles[nextTile++] });
+        }
+      };
+
+      signal?.addEventListener('abort', onAbort);
+
+      for (const worker of workers) {
+        worker.onmessage = (event) => {
+          const message = event.data;
+          if (settled || message.renderId !== renderId) return;
+
+          if (message.type === 'error') {
+            finish(new Error(message.message));
+            return;
+          }
+
+          try {
+            onTile(message.tile, message.pixels, RenderStats.from(message.stats));
+          } catch (err) {
+            finish(err);
+            return;
+          }
+
+          finishedTiles++;
+          if (finishedTiles === tiles.length) {
+            finish();
+          } else {
+            dispatch(worker);
+          }
+        };
+        worker.onerror = (event) => {
+          finish(new Error(event.message || 'Render worker failed'));
+        };
+
+        worker.postMessage({ type: 'init', renderId, scene, width, height, backgroundColor });
+        dispatch(worker);
+      }
+    });
+
+    return this.activeRender;
+  }
+
+  /**
+   * Stop all workers. The pool starts new ones on the next render.
+   */
+  terminate() {
+    for (const worker of this.workers) {
+      worker.terminate();
+    }
+    this.workers = [];
+  }
+}
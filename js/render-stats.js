@@ -0,0 +1,118 @@
+/**
+ * Render statistics
+ * Counters for one render, filled in by the tracing functions when a
+ * RenderStats object is passed to them.
+ */
+
+/**
+ * Ray and timing statistics for a render
+ */
+export class RenderStats {
+  /**
+   * Create an empty set of statistics
+   */
+  constructor() {
+    this.primaryRays = 0;
+    this.shadowRays = 0;
+    this.reflectionRays = 0;
+    this.refractionRays = 0;
+    this.intersectionTests = 0; // Ray-object tests (a mesh counts as one object)
+    this.maxDepth = 0; // Deepest reflection/refraction level reached
+    this.phases = {}; // Milliseconds spent in each phase, e.g. {setup, trace, present}
+  }
+
+  /**
+   * Rebuild statistics from their JSON form (e.g. after a postMessage)
+   * @param {Object} data - Output of toJSON
+   * @returns {RenderStats} The statistics
+   */
+  static from(data) {
+    const stats = new RenderStats();
+    stats.merge(data);
+    stats.phases = { ...data.phases };
+    return stats;
+  }
+
+  /**
+   * Total number of rays traced
+   * @returns {number} Sum of all ray counts
+   */
+  get totalRays() {
+    return this.primaryRays + this.shadowRays + this.reflectionRays + this.refractionRays;
+  }
+
+  /**
+   * Rays traced per second of tracing time (the `trace` phase)
+   * @returns {number} Rays per second, or 0 if no trace time was recorded
+   */
+  get raysPerSecond() {
+    const traceTime = this.phases.trace || 0;
+    return traceTime > 0 ? this.totalRays / (traceTime / 1000) : 0;
+  }
+
+  /**
+   * Add time to a phase
+   * @param {string} name - Phase name
+   * @param {number} milliseconds - Time to add
+   */
+  addPhaseTime(name, milliseconds) {
+    this.phases[name] = (this.phases[name] || 0) + milliseconds;
+  }
+
+  /**
+   * Add the ray counters of other statistics (e.g. from a worker) to these.
+   * Phase times are not merged, since work done in parallel would be counted twice.
+   * @param {RenderStats|Object} other - Statistics to add
+   * @returns {RenderStats} These statistics
+   */
+  merge(other) {
+    this.primaryRays += other.primaryRays;
+    this.shadowRays += other.shadowRays;
+    this.reflectionRays += other.reflectionRays;
+    this.refractionRays += other.refractionRays;
+    this.intersectionTests += other.intersectionTests;
+    this.maxDepth = Math.max(this.maxDepth, other.maxDepth);
+    return this;
+  }
+
+  /**
+   * Get a plain object with all counters, including the derived ones
+   * @returns {Object} JSON-compatible statistics
+   */
+  toJSON() {
+    return {
+      primaryRays: this.primaryRays,
+      shadowRays: this.shadowRays,
+      reflectionRays: this.reflectionRays,
+      refractionRays: this.refractionRays,
+      intersectionTests: this.intersectionTests,
+      maxDepth: this.maxDepth,
+      phases: { ...this.phases },
+      totalRays: this.totalRays,
+      raysPerSecond: this.raysPerSecond
+    };
+  }
+}
+
+/**
+ * Format statistics as label/value rows for display
+ * @param {RenderStats} stats - Statistics to format
+ * @returns {Array<[string, string]>} Rows of [label, value]
+ */
+export function formatRenderStats(stats) {
+  const count = value => value.toLocaleString('en-US');
+  const rows = [
+    ['Primary rays', count(stats.primaryRays)],
+    ['Shadow rays', count(stats.shadowRays)],
+    ['Reflection rays', count(stats.reflectionRays)],
+    ['Refraction rays', count(stats.refractionRays)],
+    ['Total rays', count(stats.totalRays)],
+    ['Intersection tests', count(stats.intersectionTests)],
+    ['Max depth reached', String(stats.maxDepth)]
+  ];
+  for (const [phase, milliseconds] of Object.entries(stats.phases)) {
+    rows.push([`Time: ${phase}`, `${milliseconds.toFixed(1)} ms`]);
+  }
+  rows.push(['Rays/sec', count(Math.round(stats.raysPerSecond))]);
+  return rows;
+}
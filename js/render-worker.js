@@ -0,0 +1,79 @@
+/**
+ * Render worker
+ * Runs in a module Web Worker. The main thread sends the serialized scene once
+ * per render with an `init` message, then one `tile` message per tile; each
+ * tile is rendered and its pixels are posted back (transferred, not copied).
+ *
+ * Messages in:
+ *   { type: 'init', renderId, scene, width, height, backgroundColor }
+ *   { type: 'tile', renderId, tile }
+ * Messages out:
+ *   { type: 'tile', renderId, tile, pixels, stats }
+ *   { type: 'error', renderId, message }
+ */
+import { Scene, raytracingSettings } from './raytracer.js';
+import { SceneManager } from './scene-manager.js';
+import { renderTile } from './tile-renderer.js';
+import { RenderStats } from './render-stats.js';
+
+/**
+ * Create the message handler of a render worker. Kept separate from the
+ * worker global so it can also be driven in-process.
+ * @param {Function} postMessage - Called with (message, transferList) for each reply
+ * @returns {Function} - Handler taking the data of each incoming message
+ */
+export function createRenderWorkerHandler(postMessage) {
+  let state = null;
+
+  return function handleMessage(message) {
+    const { type, renderId } = message;
+
+    try {
+      if (type === 'init') {
+        const sceneManager = new SceneManager(new Scene());
+        const loaded = sceneManager.fromJSON(message.scene);
+
+        // A scene that only loads partially (e.g. image textures, which need
+        // the DOM) would render differently here than on the main thread
+        if (loaded.warnings.length > 0) {
+          throw new Error(`Scene cannot be rendered in a worker: ${loaded.warnings.join('; ')}`);
+        }
+        if (!loaded.camera) {
+          throw new Error('Scene document has no camera');
+        }
+        if (loaded.settings) {
+          Object.assign(raytracingSettings, loaded.settings);
+        }
+
+        state = {
+          renderId,
+          scene: sceneManager.scene,
+          camera: loaded.camera,
+          options: {
+            imageWidth: message.width,
+            imageHeight: message.height,
+            backgroundColor: message.backgroundColor
+          }
+        };
+      } else if (type === 'tile') {
+        if (!state || state.renderId !== renderId) {
+          throw new Error(`Tile received for render ${renderId} before its scene`);
+        }
+
+        const stats = new RenderStats();
+        const pixels = renderTile(message.tile, state.scene, state.camera, { ...state.options, stats });
+        postMessage({ type: 'tile', renderId, tile: message.tile, pixels, stats: stats.toJSON() }, [pixels.buffer]);
+      } else {
+        throw new Error(`Unknown message type "${type}"`);
+      }
+    } catch (err) {
+      postMessage({ type: 'error', renderId, message: err.message });
+    }
+  };
+}
+
+// Wire the handler up when loaded as a worker
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const handleMessage = createRenderWorkerHandler((message, transfer) => self.postMessage(message, transfer));
+  self.onmessage = event => handleMessage(event.data);
+}
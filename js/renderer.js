@@ -1,5 +1,7 @@
 /**
  * Renderer module for handling preview (rasterization) and raytracing rendering.
+ * Images are shown through a presenter (see presenter.js); without a GPU
+ * context the preview is a coarse CPU raytrace.
  */
 import { createCommandEncoder, createClearPassDescriptor } from './gpu.js';
 import { 
@@ -18,12 +20,44 @@ import {
 } from './raytracer.js';
 import { Camera } from './camera.js';
 import { SceneManager } from './scene-manager.js';
+import { createTiles, renderTile, blitTile } from './tile-renderer.js';
+import { RenderWorkerPool } from './render-pool.js';
+import { ProgressiveRenderer } from './progressive-renderer.js';
+import { RenderStats } from './render-stats.js';
+import { PreviewRenderer } from './preview-renderer.js';
+import { GpuRaytracer } from './gpu-raytracer.js';
 
 // Global scene and camera objects
 let scene = null;
 let sceneManager = null;
 let camera = null;
 
+// Worker pool for raytracing, created on the first render
+let renderPool = null;
+
+// Rasterization pipeline for the preview, created on first use
+let previewRenderer = null;
+
+// Compute pipeline for raytracing on the GPU, created on first use
+let gpuRaytracer = null;
+
+// Statistics of the most recent raytrace
+let lastRenderStats = null;
+
+// Progressive (accumulation) rendering state
+let progressiveRenderer = null;
+let progressiveRun = null;
+
+// What the canvas shows, so it can be drawn again on a new GPU device:
+// {type: 'preview'} or {type: 'image', imageData, width, height}
+let lastFrame = null;
+
+// Background color for rays that miss everything
+const BACKGROUND_COLOR = { r: 0.1, g: 0.1, b: 0.2 };
+
+// The CPU preview traces one pixel per block of this many pixels squared
+const SOFTWARE_PREVIEW_SCALE = 4;
+
 /**
  * Initialize the scene and camera
  * @returns {Object} The scene and camera objects
@@ -109,53 +143,68 @@ export function getSceneManager() {
   return sceneManager;
 }
 
+/**
+ * Get the statistics of the most recent raytrace (including a cancelled one)
+ * @returns {RenderStats|null} - Ray counts and phase times, or null before the first render
+ */
+export function getLastRenderStats() {
+  return lastRenderStats;
+}
+
 /**
  * Renders a preview of the scene using a fast rasterization pipeline.
- * Clears the canvas with a sample color.
- * @param {{device: GPUDevice, context: GPUCanvasContext, presentationFormat: GPUTextureFormat}} gpu - GPU context
+ * Objects are drawn with the camera's view and projection, so the preview
+ * is framed like the raytraced image; an empty scene just clears the canvas.
+ * Presenters without a GPU context, and cameras whose projection cannot be
+ * rasterized (fisheye, equirectangular), get a low-resolution CPU raytrace instead.
+ * @param {WebGPUPresenter|Canvas2DPresenter} presenter - Presenter for the canvas
  * @param {Object} options - Rendering options
- * @param {Object} options.clearColor - RGBA clear color
+ * @param {Object} options.clearColor - RGBA clear color (default: the raytracer's background)
  * @returns {Promise<boolean>} - Whether the render was successful
  */
-export async function renderPreview(gpu, options = {}) {
-  if (!gpu || gpu.error) {
-    console.error('GPU not initialized properly:', gpu?.error || 'No GPU context');
+export async function renderPreview(presenter, options = {}) {
+  if (!presenter || presenter.error) {
+    console.error('Presenter not initialized properly:', presenter?.error || 'No presenter');
     return false;
   }
   
   try {
-    const { device, context } = gpu;
-    const clearColor = options.clearColor || { r: 0.5, g: 0.5, b: 0.8, a: 1.0 };
+    const clearColor = options.clearColor || { ...BACKGROUND_COLOR, a: 1.0 };
+    const currentScene = getScene();
+    const currentCamera = getCamera();
     
-    console.log('DEBUG: renderPreview - Starting preview render with clearColor:', clearColor);
-    console.log('DEBUG: renderPreview - Canvas size:', context.canvas.width, 'x', context.canvas.height);
-    console.log('DEBUG: renderPreview - Device features:', device.features);
+    if (!presenter.gpu || !currentCamera.hasProjectionMatrix()) {
+      renderSoftwarePreview(presenter, currentScene, currentCamera, clearColor);
+      lastFrame = { type: 'preview' };
+      return true;
+    }
+    
+    const gpu = presenter.gpu;
+    const { device, context } = gpu;
     
     // Create command encoder and begin render pass
     const commandEncoder = createCommandEncoder(device);
     const textureView = context.getCurrentTexture().createView();
     const renderPassDescriptor = createClearPassDescriptor(textureView, clearColor);
     
-    console.log('DEBUG: renderPreview - Created render pass with descriptor:', renderPassDescriptor);
+    let preview = null;
+    if (currentScene && currentCamera && currentScene.objects.length > 0) {
+      preview = getPreviewRenderer(gpu);
+      preview.watch(getSceneManager());
+      preview.prepare(currentScene, currentCamera, context.canvas.width, context.canvas.height);
+      renderPassDescriptor.depthStencilAttachment = preview.getDepthAttachment();
+    }
     
     // Execute render pass 
     const passEncoder = commandEncoder.beginRenderPass(renderPassDescriptor);
-    
-    // In a real implementation, we would render scene geometry here using WebGPU drawing commands
-    // For now, we're just clearing the screen as a placeholder
-    // TODO: Implement actual scene rendering with proper geometry
-    
-    // End the render pass
+    if (preview) {
+      preview.draw(passEncoder);
+    }
     passEncoder.end();
     
     // Submit command buffer
-    const commandBuffer = commandEncoder.finish();
-    console.log('DEBUG: renderPreview - Finished command buffer, submitting to queue');
-    device.queue.submit([commandBuffer]);
-    console.log('Preview render completed');
-    
-    // Draw a simple representation of the scene using 2D canvas for debugging
-    drawDebugSceneRepresentation(context.canvas);
+    device.queue.submit([commandEncoder.finish()]);
+    lastFrame = { type: 'preview' };
     
     return true;
   } catch (err) {
@@ -165,451 +214,341 @@ export async function renderPreview(gpu, options = {}) {
 }
 
 /**
- * Draws a simple representation of the scene using 2D canvas API for debugging
- * This is a temporary function to help visualize the scene while WebGPU implementation is in progress
- * @param {HTMLCanvasElement} canvas - The canvas element to draw on
+ * Preview the scene by raytracing it at a fraction of the canvas resolution
+ * and scaling the result up, for presenters without a GPU context and for
+ * projections the rasterizer cannot draw
+ * @param {WebGPUPresenter|Canvas2DPresenter} presenter - Presenter for the canvas
+ * @param {Scene} currentScene - Scene to render
+ * @param {Camera} currentCamera - Camera to render from
+ * @param {Object} clearColor - Background color
  */
-function drawDebugSceneRepresentation(canvas) {
-  try {
-    // Create or get the debug overlay canvas
-    let debugCanvas = document.getElementById('debugCanvas');
-    if (!debugCanvas) {
-      // Create a new canvas for debug rendering
-      debugCanvas = document.createElement('canvas');
-      debugCanvas.id = 'debugCanvas';
-      debugCanvas.width = canvas.width;
-      debugCanvas.height = canvas.height;
-      debugCanvas.style.position = 'absolute';
-      debugCanvas.style.top = canvas.offsetTop + 'px';
-      debugCanvas.style.left = canvas.offsetLeft + 'px';
-      debugCanvas.style.pointerEvents = 'none'; // Allow click-through
-      debugCanvas.style.zIndex = '10';
-      canvas.parentNode.appendChild(debugCanvas);
-    }
-    
-    // Match the size of the main canvas if it changed
-    if (debugCanvas.width !== canvas.width || debugCanvas.height !== canvas.height) {
-      debugCanvas.width = canvas.width;
-      debugCanvas.height = canvas.height;
-    }
-    
-    // Get 2D context from the debug canvas
-    const ctx = debugCanvas.getContext('2d');
-    if (!ctx) {
-      console.error('Could not get 2D context for debug canvas');
-      return;
+function renderSoftwarePreview(presenter, currentScene, currentCamera, clearColor) {
+  const { width, height } = presenter.canvas;
+  const smallWidth = Math.max(1, Math.ceil(width / SOFTWARE_PREVIEW_SCALE));
+  const smallHeight = Math.max(1, Math.ceil(height / SOFTWARE_PREVIEW_SCALE));
+  const tile = { index: 0, x: 0, y: 0, width: smallWidth, height: smallHeight };
+  const backgroundColor = { r: clearColor.r, g: clearColor.g, b: clearColor.b };
+  const pixels = renderTile(tile, currentScene, currentCamera, { imageWidth: smallWidth, imageHeight: smallHeight, backgroundColor });
+  
+  // Nearest-neighbour upscale to the canvas size
+  const imageData = new Uint8ClampedArray(width * height * 4);
+  const source = new Uint32Array(pixels.buffer);
+  const target = new Uint32Array(imageData.buffer);
+  for (let y = 0; y < height; y++) {
+    const sourceRow = Math.floor(y * smallHeight / height) * smallWidth;
+    for (let x = 0; x < width; x++) {
+      target[y * width + x] = source[sourceRow + Math.floor(x * smallWidth / width)];
     }
-    
-    // Clear previous drawings
-    ctx.clearRect(0, 0, debugCanvas.width, debugCanvas.height);
-    
-    // Get the current scene and camera
-    const currentScene = getScene();
-    const currentCamera = getCamera();
-    
-    // Calculate a simple projection from 3D to 2D for visualization
-    // This is just a placeholder and not physically accurate
-    const width = canvas.width;
-    const height = canvas.height;
-    const centerX = width / 2;
-    const centerY = height / 2;
-    const scale = 50; // Scale factor for visualization
-    
-    // No background for better visibility of WebGPU clear color
-    
-    // Helper function to project a 3D point to 2D canvas coordinates
-    function projectPoint(point3D) {
-      // Simple perspective projection
-      const camToPoint = {
-        x: point3D.x - currentCamera.position.x,
-        y: point3D.y - currentCamera.position.y,
-        z: point3D.z - currentCamera.position.z
-      };
-      
-      // Don't render points behind the camera
-      if (camToPoint.z <= 0) return null;
-      
-      // Simple perspective division
-      const factor = 5 / camToPoint.z;
-      return {
-        x: centerX + camToPoint.x * scale * factor,
-        y: centerY - camToPoint.y * scale * factor  // Flip Y for canvas
-      };
+  }
+  presenter.present(imageData, width, height);
+}
+
+/**
+ * Draw the last frame again, e.g. after the GPU device was lost and the
+ * context re-initialized. A raytraced image is presented again without
+ * tracing it; a preview is rendered again.
+ * @param {WebGPUPresenter|Canvas2DPresenter} presenter - Presenter for the canvas
+ * @returns {Promise<boolean>} - Whether a frame was drawn
+ */
+export async function redrawLastFrame(presenter) {
+  if (!lastFrame || !presenter || presenter.error) {
+    return false;
+  }
+  if (lastFrame.type === 'image') {
+    const { imageData, width, height } = lastFrame;
+    presentImage(presenter, imageData, width, height);
+    return true;
+  }
+  return renderPreview(presenter);
+}
+
+/**
+ * Get the preview pipeline for a GPU context, creating it on first use or
+ * when the device changed
+ * @param {{device: GPUDevice, presentationFormat: GPUTextureFormat}} gpu - GPU context
+ * @returns {PreviewRenderer} - The preview renderer
+ */
+function getPreviewRenderer(gpu) {
+  if (!previewRenderer || previewRenderer.device !== gpu.device || previewRenderer.format !== gpu.presentationFormat) {
+    if (previewRenderer) {
+      previewRenderer.destroy();
     }
-    
-    // For the Cornell box, add borders to make it more visible
-    ctx.lineWidth = 3;
-    ctx.strokeStyle = "rgba(255,255,255,0.7)";
-    ctx.font = "16px Arial";
-    ctx.fillStyle = "rgba(255,255,255,0.9)";
-    ctx.fillText("Cornell Box Preview (Debug Overlay)", 10, 60);
-    
-    // Draw a semi-transparent overlay box to make shapes stand out better
-    const boxCornersWorld = [
-      { x: -2.5, y: -2.5, z: 0 },    // Near bottom left
-      { x: 2.5, y: -2.5, z: 0 },     // Near bottom right
-      { x: 2.5, y: 2.5, z: 0 },      // Near top right
-      { x: -2.5, y: 2.5, z: 0 },     // Near top left
-      { x: -2.5, y: -2.5, z: 10 },   // Far bottom left
-      { x: 2.5, y: -2.5, z: 10 },    // Far bottom right
-      { x: 2.5, y: 2.5, z: 10 },     // Far top right
-      { x: -2.5, y: 2.5, z: 10 }     // Far top left
-    ];
-    
-    const boxCorners2D = boxCornersWorld.map(c => projectPoint(c)).filter(c => c !== null);
-    
-    // Draw box lines more prominently
-    if (boxCorners2D.length === 8) {
-      // Draw the front face
-      ctx.beginPath();
-      ctx.moveTo(boxCorners2D[0].x, boxCorners2D[0].y);
-      ctx.lineTo(boxCorners2D[1].x, boxCorners2D[1].y);
-      ctx.lineTo(boxCorners2D[2].x, boxCorners2D[2].y);
-      ctx.lineTo(boxCorners2D[3].x, boxCorners2D[3].y);
-      ctx.closePath();
-      ctx.stroke();
-      
-      // Draw the back face
-      ctx.beginPath();
-      ctx.moveTo(boxCorners2D[4].x, boxCorners2D[4].y);
-      ctx.lineTo(boxCorners2D[5].x, boxCorners2D[5].y);
-      ctx.lineTo(boxCorners2D[6].x, boxCorners2D[6].y);
-      ctx.lineTo(boxCorners2D[7].x, boxCorners2D[7].y);
-      ctx.closePath();
-      ctx.stroke();
-      
-      // Connect front to back
-      for (let i = 0; i < 4; i++) {
-        ctx.beginPath();
-        ctx.moveTo(boxCorners2D[i].x, boxCorners2D[i].y);
-        ctx.lineTo(boxCorners2D[i + 4].x, boxCorners2D[i + 4].y);
-        ctx.stroke();
-      }
+    previewRenderer = new PreviewRenderer(gpu.device, gpu.presentationFormat);
+  }
+  return previewRenderer;
+}
+
+/**
+ * Get the compute raytracer for a GPU context, creating it on first use or
+ * when the device changed
+ * @param {{device: GPUDevice}} gpu - GPU context
+ * @returns {GpuRaytracer} - The compute raytracer
+ */
+function getGpuRaytracer(gpu) {
+  if (!gpuRaytracer || gpuRaytracer.device !== gpu.device) {
+    if (gpuRaytracer) {
+      gpuRaytracer.destroy();
     }
-    
-    // Draw the scene objects
-    if (currentScene && currentScene.objects) {
-      currentScene.objects.forEach(obj => {
-        if (obj.constructor.name === 'Sphere') {
-          // Draw a sphere
-          const center2D = projectPoint(obj.center);
-          if (center2D) {
-            // Calculate projected radius based on distance
-            const dist = Math.sqrt(
-              Math.pow(obj.center.x - currentCamera.position.x, 2) + 
-              Math.pow(obj.center.y - currentCamera.position.y, 2) + 
-              Math.pow(obj.center.z - currentCamera.position.z, 2)
-            );
-            const projectedRadius = (obj.radius * scale) / (dist / 5);
-            
-            // Draw the sphere
-            ctx.beginPath();
-            ctx.arc(center2D.x, center2D.y, projectedRadius, 0, Math.PI * 2);
-            
-            // Use the material color
-            const color = obj.material.color;
-            ctx.fillStyle = `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0.7)`;
-            ctx.fill();
-            
-            // Add a stroke for clarity
-            ctx.strokeStyle = 'rgba(0, 0, 0, 0.3)';
-            ctx.lineWidth = 1;
-            ctx.stroke();
-          }
-        } else if (obj.constructor.name === 'Plane') {
-          // For planes, draw a simple grid to represent them
-          // This is highly simplified and not accurate for all plane orientations
-          const normal = obj.normal;
-          const point = obj.point;
-          
-          // Only draw planes that are roughly visible to the camera
-          // Skip planes facing away or edge-on
-          const dotProduct = 
-            normal.x * currentCamera.direction.x + 
-            normal.y * currentCamera.direction.y + 
-            normal.z * currentCamera.direction.z;
-            
-          if (Math.abs(dotProduct) < 0.3) return;  // Skip planes that are nearly edge-on
-          
-          // Use the material color
-          const color = obj.material.color;
-          ctx.fillStyle = `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0.3)`;
-          ctx.strokeStyle = `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0.5)`;
-          ctx.lineWidth = 1;
-          
-          // Draw many small quads to represent the plane
-          // Simplified for now - just draw plane outline for major planes
-          if (Math.abs(normal.y) > 0.9) {
-            // Floor or ceiling
-            const y = point.y;
-            const size = 5; // Size of the plane
-            const corners = [
-              { x: -size, y: y, z: -size },
-              { x: size, y: y, z: -size },
-              { x: size, y: y, z: size + 10 },
-              { x: -size, y: y, z: size + 10 }
-            ];
-            
-            const corners2D = corners.map(c => projectPoint(c)).filter(c => c !== null);
-            
-            if (corners2D.length === 4) {
-              ctx.beginPath();
-              ctx.moveTo(corners2D[0].x, corners2D[0].y);
-              for (let i = 1; i < corners2D.length; i++) {
-                ctx.lineTo(corners2D[i].x, corners2D[i].y);
-              }
-              ctx.closePath();
-              ctx.fill();
-              ctx.stroke();
-            }
-          } else if (Math.abs(normal.x) > 0.9) {
-            // Left or right wall
-            const x = point.x;
-            const size = 5; // Size of the plane
-            const corners = [
-              { x: x, y: -size, z: -size },
-              { x: x, y: size, z: -size },
-              { x: x, y: size, z: size + 10 },
-              { x: x, y: -size, z: size + 10 }
-            ];
-            
-            const corners2D = corners.map(c => projectPoint(c)).filter(c => c !== null);
-            
-            if (corners2D.length === 4) {
-              ctx.beginPath();
-              ctx.moveTo(corners2D[0].x, corners2D[0].y);
-              for (let i = 1; i < corners2D.length; i++) {
-                ctx.lineTo(corners2D[i].x, corners2D[i].y);
-              }
-              ctx.closePath();
-              ctx.fill();
-              ctx.stroke();
-            }
-          } else if (Math.abs(normal.z) > 0.9) {
-            // Back wall
-            const z = point.z;
-            const size = 5; // Size of the plane
-            const corners = [
-              { x: -size, y: -size, z: z },
-              { x: size, y: -size, z: z },
-              { x: size, y: size, z: z },
-              { x: -size, y: size, z: z }
-            ];
-            
-            const corners2D = corners.map(c => projectPoint(c)).filter(c => c !== null);
-            
-            if (corners2D.length === 4) {
-              ctx.beginPath();
-              ctx.moveTo(corners2D[0].x, corners2D[0].y);
-              for (let i = 1; i < corners2D.length; i++) {
-                ctx.lineTo(corners2D[i].x, corners2D[i].y);
-              }
-              ctx.closePath();
-              ctx.fill();
-              ctx.stroke();
-            }
-          }
-        }
-      });
+    gpuRaytracer = new GpuRaytracer(gpu.device);
+  }
+  return gpuRaytracer;
+}
+
+/**
+ * Get the shared render worker pool, creating it on first use
+ * @returns {RenderWorkerPool} - The worker pool
+ */
+function getRenderPool() {
+  if (!renderPool) {
+    renderPool = new RenderWorkerPool();
+  }
+  return renderPool;
+}
+
+/**
+ * Show a full RGBA image on the canvas and remember it as the last frame
+ * @param {WebGPUPresenter|Canvas2DPresenter} presenter - Presenter for the canvas
+ * @param {Uint8ClampedArray} imageData - RGBA pixels of the whole image
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ */
+function presentImage(presenter, imageData, width, height) {
+  lastFrame = { type: 'image', imageData, width, height };
+  try {
+    presenter.present(imageData, width, height);
+  } catch (err) {
+    console.error('Presenting the image failed:', err);
+  }
+}
+
+/**
+ * Create a function that presents the image at most once per animation frame
+ * @param {Function} present - Presents the current image
+ * @returns {Function} - Throttled version of present
+ */
+function createFramePresenter(present) {
+  const requestFrame = typeof requestAnimationFrame === 'function'
+    ? requestAnimationFrame
+    : (callback) => setTimeout(callback, 16);
+  let pending = false;
+  
+  return () => {
+    if (pending) return;
+    pending = true;
+    requestFrame(() => {
+      pending = false;
+      present();
+    });
+  };
+}
+
+/**
+ * Render tiles on the main thread, yielding to the browser between tiles
+ * so that finished tiles can be shown while the rest are rendered
+ * @param {Array<Object>} tiles - Tiles to render
+ * @param {Scene} currentScene - Scene to render
+ * @param {Camera} currentCamera - Camera to render from
+ * @param {Object} options - Options for renderTile
+ * @param {Function} onTile - Called with (tile, pixels) as each tile finishes
+ * @param {AbortSignal} signal - Stops rendering before the next tile when aborted
+ * @returns {Promise<void>} - Resolves when every tile is rendered; rejects with
+ * the abort reason if the signal is aborted first
+ */
+async function renderTilesOnMainThread(tiles, currentScene, currentCamera, options, onTile, signal) {
+  let lastYield = performance.now();
+  
+  for (const tile of tiles) {
+    if (signal?.aborted) {
+      throw signal.reason;
     }
+    onTile(tile, renderTile(tile, currentScene, currentCamera, options));
     
-    // Draw lights
-    if (currentScene && currentScene.lights) {
-      currentScene.lights.forEach(light => {
-        if (light.type === 'point' && light.position) {
-          const light2D = projectPoint(light.position);
-          if (light2D) {
-            // Draw the light source
-            ctx.beginPath();
-            ctx.arc(light2D.x, light2D.y, 5, 0, Math.PI * 2);
-            
-            // Use the light color
-            const color = light.color;
-            ctx.fillStyle = `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0.9)`;
-            ctx.fill();
-            
-            // Add a stroke for clarity
-            ctx.strokeStyle = 'rgba(255, 255, 200, 0.6)';
-            ctx.lineWidth = 2;
-            ctx.stroke();
-            
-            // Draw a glow effect
-            const gradient = ctx.createRadialGradient(
-              light2D.x, light2D.y, 5,
-              light2D.x, light2D.y, 15
-            );
-            gradient.addColorStop(0, `rgba(${color.r * 255}, ${color.g * 255}, ${color.b * 255}, 0.3)`);
-            gradient.addColorStop(1, 'rgba(255, 255, 200, 0)');
-            
-            ctx.beginPath();
-            ctx.arc(light2D.x, light2D.y, 15, 0, Math.PI * 2);
-            ctx.fillStyle = gradient;
-            ctx.fill();
-          }
-        }
-      });
+    if (performance.now() - lastYield > 16) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+      lastYield = performance.now();
     }
-    
-    // Draw camera position indicator and view direction
-    ctx.font = '12px Arial';
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
-    ctx.fillText(`Camera: (${currentCamera.position.x.toFixed(1)}, ${currentCamera.position.y.toFixed(1)}, ${currentCamera.position.z.toFixed(1)})`, 10, 20);
-    ctx.fillText(`Looking: (${currentCamera.direction.x.toFixed(1)}, ${currentCamera.direction.y.toFixed(1)}, ${currentCamera.direction.z.toFixed(1)})`, 10, 40);
-    
-    console.log('DEBUG: Rendered debug scene representation');
-  } catch (err) {
-    console.error('Error drawing debug scene representation:', err);
   }
 }
 
 /**
  * Renders the final image using a raytracing pipeline.
- * @param {{device: GPUDevice, context: GPUCanvasContext, presentationFormat: GPUTextureFormat}} gpu - GPU context
- * @returns {Promise<boolean>} - Whether the render was successful
+ * The image is split into tiles which are rendered by a pool of Web Workers
+ * (one per hardware thread) and shown as they finish. Without worker support,
+ * or if the scene cannot be sent to the workers, the tiles are rendered on the
+ * main thread instead. The image does not depend on how the tiles were shared out.
+ *
+ * With options.backend set to 'gpu' the image is traced by a WebGPU compute
+ * shader instead, in bands of rows, and shown when it is complete. Scenes
+ * with objects other than spheres and planes are still rendered on the CPU.
+ *
+ * Aborting options.signal stops the render after the tiles in progress; the
+ * tiles finished so far stay on the canvas. A cancelled GPU render leaves the
+ * canvas as it was.
+ * @param {WebGPUPresenter|Canvas2DPresenter} presenter - Presenter for the canvas
+ * @param {Object} options - Rendering options
+ * @param {string} options.backend - 'cpu' or 'gpu' (default: 'cpu'; 'gpu' needs a WebGPU presenter)
+ * @param {boolean} options.useWorkers - Render in Web Workers when available (default: true)
+ * @param {number} options.tileSize - Tile edge length in pixels (default: 32)
+ * @param {AbortSignal} options.signal - Signal to cancel the render
+ * @param {Function} options.onProgress - Called after each tile with
+ * {tilesDone, totalTiles, rowsDone, totalRows, progress, elapsed, eta, stats}, where rowsDone
+ * counts finished pixels in whole image rows, progress is 0-1, times are in milliseconds
+ * and stats is the RenderStats of the render so far
+ * @returns {Promise<boolean>} - Whether the render completed (false if it failed or
+ * was cancelled; check signal.aborted to tell these apart). The statistics of the
+ * render are available from getLastRenderStats afterwards.
  */
-export async function renderRaytrace(gpu) {
-  if (!gpu || gpu.error) {
-    console.error('GPU not initialized properly:', gpu?.error || 'No GPU context');
+export async function renderRaytrace(presenter, options = {}) {
+  if (!presenter || presenter.error) {
+    console.error('Presenter not initialized properly:', presenter?.error || 'No presenter');
     return false;
   }
 
   try {
-    const { device, context } = gpu;
-    const canvas = context.canvas;
+    const canvas = presenter.canvas;
     const width = canvas.width;
     const height = canvas.height;
     
-    console.log('DEBUG: renderRaytrace - Starting raytracing with canvas size:', width, 'x', height);
-    
     // Get scene and camera (initialize if needed)
     const currentScene = getScene();
     const currentCamera = getCamera();
     
-    console.log('DEBUG: renderRaytrace - Scene objects:', currentScene?.objects?.length || 0);
-    console.log('DEBUG: renderRaytrace - Scene lights:', currentScene?.lights?.length || 0);
-    console.log('DEBUG: renderRaytrace - Camera position:', currentCamera.position);
-    console.log('DEBUG: renderRaytrace - Camera direction:', currentCamera.direction);
-    
     // Let's first make sure the scene is properly set up
     if (!currentScene || !currentScene.objects || currentScene.objects.length === 0) {
       console.error('DEBUG: renderRaytrace - Scene is empty or not properly initialized');
       return false;
     }
     
-    // Use a CPU-based raytracer for now
-    console.log('Starting raytracing render...');
     const startTime = performance.now();
+    const stats = new RenderStats();
+    lastRenderStats = stats;
     
-    // Create an image buffer
+    // Create an image buffer that tiles are copied into as they finish
     const imageData = new Uint8ClampedArray(width * height * 4);
+    const tiles = createTiles(width, height, options.tileSize);
     
-    // Background color - make it more visible for debugging
-    const backgroundColor = { r: 0.1, g: 0.1, b: 0.2 };
-    console.log('DEBUG: renderRaytrace - Using background color:', backgroundColor);
-    
-    // For debugging, we'll count the number of rays that hit something
-    let hitCount = 0;
-    let missCount = 0;
+    const backgroundColor = BACKGROUND_COLOR;
     
-    // Render each pixel using camera rays
-    for (let y = 0; y < height; y++) {
-      for (let x = 0; x < width; x++) {
-        // Generate ray from camera through this pixel
-        const ray = currentCamera.generateRay(x, y, width, height);
-        
-        // For debugging, check ray direction
-        if (x === width/2 && y === height/2) {
-          console.log('DEBUG: renderRaytrace - Center ray origin:', ray.origin);
-          console.log('DEBUG: renderRaytrace - Center ray direction:', ray.direction);
-        }
-        
-        // Use recursive ray tracing for advanced material support
-        const color = traceRay(ray, currentScene, backgroundColor, 0);
-        
-        // Count hits vs misses for debugging (approximate check)
-        if (
-          Math.abs(color.r - backgroundColor.r) > 0.01 || 
-          Math.abs(color.g - backgroundColor.g) > 0.01 || 
-          Math.abs(color.b - backgroundColor.b) > 0.01
-        ) {
-          hitCount++;
-        } else {
-          missCount++;
+    const statusElement = document.getElementById('status');
+    let presentTime = 0;
+    const present = () => {
+      const presentStart = performance.now();
+      presentImage(presenter, imageData, width, height);
+      presentTime += performance.now() - presentStart;
+    };
+    const schedulePresent = createFramePresenter(present);
+    
+    const { signal, onProgress } = options;
+    const tileDone = new Uint8Array(tiles.length);
+    let finishedTiles = 0;
+    let finishedPixels = 0;
+    
+    const reportProgress = (progress) => {
+      if (statusElement) {
+        statusElement.textContent = `Status: Raytracing... ${Math.floor(progress * 100)}%`;
+      }
+      if (onProgress) {
+        const elapsed = performance.now() - startTime;
+        onProgress({
+          tilesDone: finishedTiles,
+          totalTiles: tiles.length,
+          rowsDone: Math.floor(finishedPixels / width),
+          totalRows: height,
+          progress,
+          elapsed,
+          eta: elapsed / progress - elapsed,
+          stats
+        });
+      }
+    };
+    
+    const onTile = (tile, pixels, tileStats) => {
+      blitTile(imageData, width, tile, pixels);
+      tileDone[tile.index] = 1;
+      finishedTiles++;
+      finishedPixels += tile.width * tile.height;
+      if (tileStats) {
+        stats.merge(tileStats);
+      }
+      schedulePresent();
+      reportProgress(finishedTiles / tiles.length);
+    };
+    
+    // The GPU finishes whole rows; count the tiles they complete
+    const onRows = (rowsDone) => {
+      finishedTiles = tiles.filter(tile => tile.y + tile.height <= rowsDone).length;
+      finishedPixels = rowsDone * width;
+      reportProgress(rowsDone / height);
+    };
+    
+    // Record where the time went; presents happen while tiles are traced,
+    // so their time is taken out of the trace phase
+    let traceStart = performance.now();
+    const finishStats = () => {
+      const now = performance.now();
+      stats.addPhaseTime('trace', now - traceStart - presentTime);
+      stats.addPhaseTime('present', presentTime);
+    };
+    
+    let renderedInWorkers = false;
+    let renderedOnGpu = false;
+    const useGpu = options.backend === 'gpu' && Boolean(presenter.gpu) && GpuRaytracer.canRender(currentScene);
+    try {
+      if (useGpu) {
+        const raytracer = getGpuRaytracer(presenter.gpu);
+        raytracer.watch(getSceneManager());
+        const pixels = await raytracer.render(currentScene, currentCamera, {
+          width, height, backgroundColor, signal, stats, onProgress: onRows
+        });
+        imageData.set(pixels);
+        renderedOnGpu = true;
+      } else if (options.backend === 'gpu') {
+        console.warn(presenter.gpu
+          ? 'The GPU raytracer only supports spheres and planes; rendering on the CPU instead'
+          : 'WebGPU is not available; rendering on the CPU instead');
+      }
+      
+      if (!renderedOnGpu && options.useWorkers !== false && RenderWorkerPool.isSupported()) {
+        try {
+          const sceneDocument = getSceneManager().toJSON({ camera: currentCamera, settings: raytracingSettings });
+          stats.addPhaseTime('setup', performance.now() - startTime);
+          traceStart = performance.now();
+          await getRenderPool().render({ scene: sceneDocument, width, height, tiles, backgroundColor, onTile, signal });
+          renderedInWorkers = true;
+        } catch (err) {
+          if (signal?.aborted) throw err;
+          console.warn('Worker rendering unavailable, rendering on the main thread:', err.message);
         }
-        
-        // Convert to 0-255 range and set in image buffer
-        const index = (y * width + x) * 4;
-        imageData[index + 0] = Math.floor(color.r * 255); // R
-        imageData[index + 1] = Math.floor(color.g * 255); // G
-        imageData[index + 2] = Math.floor(color.b * 255); // B
-        imageData[index + 3] = 255; // A
       }
       
-      // Update progress every 10% of lines
-      if (y % Math.floor(height / 10) === 0) {
-        console.log(`Raytracing progress: ${Math.floor((y / height) * 100)}%`);
+      if (!renderedOnGpu && !renderedInWorkers) {
+        // Only render what the workers did not finish
+        const remainingTiles = tiles.filter(tile => !tileDone[tile.index]);
+        const tileOptions = { imageWidth: width, imageHeight: height, backgroundColor, stats };
+        await renderTilesOnMainThread(remainingTiles, currentScene, currentCamera, tileOptions, onTile, signal);
       }
-    }
-    
-    console.log(`DEBUG: renderRaytrace - Ray hit statistics: ${hitCount} hits, ${missCount} misses (${((hitCount / (width * height)) * 100).toFixed(2)}% hit rate)`);
-    
-    // Copy the raytraced image to the GPU canvas
-    const canvasTexture = context.getCurrentTexture();
-    console.log('DEBUG: renderRaytrace - Writing texture data to GPU');
-    
-    try {
-      device.queue.writeTexture(
-        { texture: canvasTexture },
-        imageData,
-        { bytesPerRow: width * 4, rowsPerImage: height },
-        { width, height }
-      );
-      console.log('DEBUG: renderRaytrace - Texture written successfully');
     } catch (err) {
-      console.error('DEBUG: renderRaytrace - Error writing texture:', err);
-      
-      // Fallback to direct pixel manipulation using a 2D canvas overlay
-      console.log('DEBUG: renderRaytrace - Attempting fallback rendering method...');
+      if (!signal?.aborted) throw err;
       
-      try {
-        // Create or get a fallback canvas
-        let fallbackCanvas = document.getElementById('fallbackCanvas');
-        if (!fallbackCanvas) {
-          fallbackCanvas = document.createElement('canvas');
-          fallbackCanvas.id = 'fallbackCanvas';
-          fallbackCanvas.width = width;
-          fallbackCanvas.height = height;
-          fallbackCanvas.style.position = 'absolute';
-          fallbackCanvas.style.top = canvas.offsetTop + 'px';
-          fallbackCanvas.style.left = canvas.offsetLeft + 'px';
-          fallbackCanvas.style.zIndex = '5'; // Between WebGPU canvas and debug overlay
-          canvas.parentNode.appendChild(fallbackCanvas);
-        }
-        
-        // Make sure size matches
-        fallbackCanvas.width = width;
-        fallbackCanvas.height = height;
-        
-        // Get 2D context and draw
-        const ctx = fallbackCanvas.getContext('2d');
-        if (ctx) {
-          // Create ImageData object from our pixel array
-          const imgData = new ImageData(new Uint8ClampedArray(imageData), width, height);
-          ctx.putImageData(imgData, 0, 0);
-          console.log('DEBUG: renderRaytrace - Fallback rendering applied successfully using 2D canvas');
-        } else {
-          console.error('DEBUG: renderRaytrace - Could not get 2D context for fallback canvas');
-        }
-      } catch (fallbackErr) {
-        console.error('DEBUG: renderRaytrace - Fallback rendering failed:', fallbackErr);
+      // Leave the finished tiles on the canvas
+      if (!useGpu) {
+        present();
+      }
+      finishStats();
+      const cancelTime = ((performance.now() - startTime) / 1000).toFixed(2);
+      if (statusElement) {
+        statusElement.textContent = `Status: Raytracing cancelled after ${cancelTime} seconds (${Math.floor((finishedTiles / tiles.length) * 100)}% rendered)`;
       }
+      return false;
     }
     
+    // Make sure the finished image is shown even if no frame has fired yet
+    present();
+    finishStats();
+    
     const endTime = performance.now();
-    console.log(`Raytracing render completed in ${((endTime - startTime) / 1000).toFixed(2)} seconds`);
     
     // Update the status element if it exists
-    const statusElement = document.getElementById('status');
     if (statusElement) {
       statusElement.textContent = `Status: Raytracing completed in ${((endTime - startTime) / 1000).toFixed(2)} seconds`;
     }
@@ -619,4 +558,122 @@ export async function renderRaytrace(gpu) {
     console.error('Raytracing error:', err);
     return false;
   }
-} 
\ No newline at end of file
+}
+
+/**
+ * Get the progressive renderer, if progressive rendering has been started
+ * @returns {ProgressiveRenderer|null} - The progressive renderer
+ */
+export function getProgressiveRenderer() {
+  return progressiveRenderer;
+}
+
+/**
+ * Check whether progressive rendering is running
+ * @returns {boolean} - True while renderProgressive is active
+ */
+export function isProgressiveRendering() {
+  return progressiveRun !== null;
+}
+
+/**
+ * Stop progressive rendering. The accumulated image stays on the canvas.
+ */
+export function stopProgressive() {
+  if (progressiveRun) {
+    progressiveRun.stopped = true;
+  }
+}
+
+/**
+ * Render progressively: every pass adds one jittered sample per pixel to an
+ * accumulation buffer and the canvas shows the running average after each
+ * frame. Accumulation restarts automatically when the camera, the render
+ * settings or the scene (through the SceneManager) change. Rendering continues
+ * until the progressive renderer's targetPasses have been accumulated (0 for
+ * no limit), then waits for changes until stopProgressive is called.
+ * @param {WebGPUPresenter|Canvas2DPresenter} presenter - Presenter for the canvas
+ * @param {Object} options - Rendering options
+ * @param {number} options.frameBudget - Milliseconds of rendering per frame (default: 30)
+ * @param {number} options.targetPasses - Passes to accumulate, 0 for no limit (default: keep
+ * the progressive renderer's current target)
+ * @param {Function} options.onPass - Called with the stats ({passes, elapsed, lastPassTime, renderStats}) after each pass
+ * @param {AbortSignal} options.signal - Stops rendering when aborted, like stopProgressive
+ * @returns {Promise<boolean>} - Resolves when stopped; whether rendering ran without errors
+ */
+export async function renderProgressive(presenter, options = {}) {
+  if (!presenter || presenter.error) {
+    console.error('Presenter not initialized properly:', presenter?.error || 'No presenter');
+    return false;
+  }
+  if (progressiveRun) {
+    console.warn('Progressive rendering is already running');
+    return false;
+  }
+  
+  const { canvas } = presenter;
+  const frameBudget = options.frameBudget ?? 30;
+  const run = { stopped: false };
+  progressiveRun = run;
+  
+  if (!progressiveRenderer) {
+    progressiveRenderer = new ProgressiveRenderer({
+      width: canvas.width,
+      height: canvas.height,
+      backgroundColor: BACKGROUND_COLOR
+    });
+  }
+  const progressive = progressiveRenderer;
+  if (options.targetPasses !== undefined) {
+    progressive.targetPasses = options.targetPasses;
+  }
+  const removeListener = getSceneManager().addChangeListener(() => progressive.reset());
+  const statusElement = document.getElementById('status');
+  let imageData = null;
+  
+  try {
+    while (!run.stopped && !options.signal?.aborted) {
+      const { width, height } = canvas;
+      progressive.resize(width, height);
+      if (!imageData || imageData.length !== width * height * 4) {
+        imageData = new Uint8ClampedArray(width * height * 4);
+      }
+      
+      const currentCamera = getCamera();
+      progressive.sync(currentCamera);
+      const target = progressive.targetPasses;
+      const converged = target > 0 && progressive.passes >= target;
+      
+      if (!converged) {
+        const completed = progressive.step(getScene(), currentCamera, frameBudget);
+        presentImage(presenter, progressive.resolve(imageData), width, height);
+        
+        if (completed) {
+          const stats = progressive.getStats();
+          if (statusElement) {
+            const limit = target > 0 ? `/${target}` : '';
+            statusElement.textContent = `Status: Progressive pass ${stats.passes}${limit} (${(stats.elapsed / 1000).toFixed(1)} s)`;
+          }
+          if (options.onPass) {
+            options.onPass(stats);
+          }
+        }
+      }
+      
+      await new Promise(resolve => {
+        if (typeof requestAnimationFrame === 'function') {
+          requestAnimationFrame(() => resolve());
+        } else {
+          setTimeout(resolve, 16);
+        }
+      });
+    }
+    return true;
+  } catch (err) {
+    console.error('Progressive rendering error:', err);
+    return false;
+  } finally {
+    removeListener();
+    progressiveRun = null;
+  }
+}
@@ -2,8 +2,12 @@
  * Scene management functionality
  */
 import { Vector3 } from './math.js';
-import { Material, Sphere, Plane, Light } from './raytracer.js';
+import { Material, Sphere, Plane, Light, computeRayIntersection } from './raytracer.js';
+import { Triangle, TriangleMesh } from './mesh.js';
+import { Motion } from './motion.js';
 import { CheckerboardTexture } from './textures.js';
+import { serializeScene, deserializeScene } from './scene-serializer.js';
+import { validateObject, validateLight, assertValid } from './scene-validator.js';
 
 /**
  * Manages a scene and provides operations to update objects
@@ -16,7 +20,41 @@ export class SceneManager {
   constructor(scene) {
     this.scene = scene;
     this.objects = new Map(); // Maps object IDs to objects
+    this.objectIds = new Map(); // Maps objects back to their IDs
     this.nextId = 1;
+    this.lights = new Map(); // Maps light IDs to lights
+    this.nextLightId = 1;
+    this.changeListeners = new Set();
+  }
+  
+  /**
+   * Register a function to be called whenever the scene changes
+   * @param {Function} listener - Called with a change description ({type, id})
+   * @returns {Function} - Call to remove the listener again
+   */
+  addChangeListener(listener) {
+    this.changeListeners.add(listener);
+    return () => this.removeChangeListener(listener);
+  }
+  
+  /**
+   * Remove a change listener
+   * @param {Function} listener - The listener to remove
+   */
+  removeChangeListener(listener) {
+    this.changeListeners.delete(listener);
+  }
+  
+  /**
+   * Tell the change listeners that the scene changed. Called by every
+   * SceneManager method that edits the scene; call it directly after editing
+   * objects, materials or lights in place.
+   * @param {Object} change - What changed, e.g. {type: 'update', id: 'obj_1'}
+   */
+  notifyChange(change = { type: 'update' }) {
+    for (const listener of this.changeListeners) {
+      listener(change);
+    }
   }
   
   /**
@@ -30,10 +68,16 @@ export class SceneManager {
   
   /**
    * Add an object to the scene
-   * @param {Object} object - The object to add
+   * @param {Object} object - The object to add: a geometry, or a specification with a type, the
+   * geometry fields and optionally a material and a motion (a Motion or a motion document)
+   * @param {string} id - Optional ID to use instead of a generated one (e.g. when restoring a saved scene)
    * @returns {string} - The ID of the added object
+   * @throws {SceneValidationError} - If the object or specification is invalid
    */
-  addObject(object) {
+  addObject(object, id) {
+    assertValid(validateObject(object));
+    const { motion } = object;
+    
     // If the object has a "type" property, it's a specification rather than an actual object
     if (object.type === 'sphere') {
       // Create a sphere from the specification
@@ -49,14 +93,104 @@ export class SceneManager {
         object.normal || new Vector3(0, 1, 0),
         object.material || new Material({ r: 1, g: 1, b: 1 })
       );
+    } else if (object.type === 'triangle') {
+      // Create a triangle from the specification
+      const [v0, v1, v2] = object.vertices;
+      object = new Triangle(v0, v1, v2, object.material || new Material({ r: 1, g: 1, b: 1 }), {
+        normals: object.normals,
+        uvs: object.uvs
+      });
+    } else if (object.type === 'mesh') {
+      // Create an indexed triangle mesh from the specification
+      object = new TriangleMesh(
+        { positions: object.positions, indices: object.indices, normals: object.normals, uvs: object.uvs },
+        object.material || new Material({ r: 1, g: 1, b: 1 }),
+        { smooth: object.smooth }
+      );
+    }
+    
+    if (motion && object.motion !== motion) {
+      object.motion = motion instanceof Motion ? motion : Motion.fromJSON(motion);
     }
     
-    const id = this._generateId();
+    if (id === undefined) {
+      id = this._generateId();
+    } else if (this.objects.has(id)) {
+      throw new Error(`An object with ID ${id} already exists`);
+    }
     this.objects.set(id, object);
+    this.objectIds.set(object, id);
     this.scene.addObject(object);
+    this.notifyChange({ type: 'add', id });
     return id;
   }
   
+  /**
+   * Add a light to the scene
+   * @param {Light} light - The light to add
+   * @param {string} id - Optional ID to use instead of a generated one (e.g. when restoring a saved scene)
+   * @returns {Light} - The added light; getLightId gives its ID
+   * @throws {SceneValidationError} - If the light is invalid (e.g. a point light without a position)
+   */
+  addLight(light, id) {
+    assertValid(validateLight(light));
+    
+    if (id === undefined) {
+      id = `light_${this.nextLightId++}`;
+    } else if (this.lights.has(id)) {
+      throw new Error(`A light with ID ${id} already exists`);
+    }
+    this.lights.set(id, light);
+    this.scene.addLight(light);
+    this.notifyChange({ type: 'light', id });
+    return light;
+  }
+  
+  /**
+   * Get a light by ID
+   * @param {string} id - The ID of the light to get
+   * @returns {Light|null} - The light, or null if not found
+   */
+  getLight(id) {
+    return this.lights.get(id) || null;
+  }
+  
+  /**
+   * Get the ID of a light
+   * @param {Light} light - A light of the scene
+   * @returns {string|null} - Its ID, or null for lights added to the scene directly
+   */
+  getLightId(light) {
+    const entry = [...this.lights].find(([, candidate]) => candidate === light);
+    return entry ? entry[0] : null;
+  }
+  
+  /**
+   * Update the intensity of a light
+   * @param {string} id - The ID of the light to update
+   * @param {number} intensity - The new intensity
+   * @returns {boolean} - Whether the update was successful
+   */
+  updateLightIntensity(id, intensity) {
+    const light = this.lights.get(id);
+    if (!light) {
+      return false;
+    }
+    
+    light.intensity = intensity;
+    this.notifyChange({ type: 'light', id });
+    return true;
+  }
+  
+  /**
+   * Remove all lights from the scene
+   */
+  clearLights() {
+    this.scene.clearLights();
+    this.lights.clear();
+    this.notifyChange({ type: 'light' });
+  }
+  
   /**
    * Get an object by ID
    * @param {string} id - The ID of the object to get
@@ -66,6 +200,29 @@ export class SceneManager {
     return this.objects.get(id) || null;
   }
   
+  /**
+   * Find the object under a pixel of the image a camera renders, by tracing
+   * the camera's ray through that pixel, so every projection picks what the
+   * raytracer shows there
+   * @param {Camera} camera - Camera the image is rendered from
+   * @param {number} x - X pixel coordinate
+   * @param {number} y - Y pixel coordinate
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @returns {{id: string|null, object: Object, intersection: Intersection}|null} - The nearest
+   * object hit with its ID (null for objects added to the scene directly), or null if the ray hits nothing
+   */
+  pickObject(camera, x, y, width, height) {
+    const ray = camera.generateRay(x, y, width, height);
+    const intersection = computeRayIntersection(ray, this.scene);
+    if (!intersection) {
+      return null;
+    }
+    
+    const { object } = intersection;
+    return { id: this.objectIds.get(object) ?? null, object, intersection };
+  }
+  
   /**
    * Remove an object from the scene
    * @param {string} id - The ID of the object to remove
@@ -78,13 +235,12 @@ export class SceneManager {
     }
     
     // Remove from the scene
-    const index = this.scene.objects.indexOf(object);
-    if (index !== -1) {
-      this.scene.objects.splice(index, 1);
-    }
+    this.scene.removeObject(object);
     
-    // Remove from our map
+    // Remove from our maps
     this.objects.delete(id);
+    this.objectIds.delete(object);
+    this.notifyChange({ type: 'remove', id });
     return true;
   }
   
@@ -107,6 +263,8 @@ export class SceneManager {
       object.point = position;
     }
     
+    this.scene.updateObject(object);
+    this.notifyChange({ type: 'update', id });
     return true;
   }
   
@@ -123,6 +281,26 @@ export class SceneManager {
     }
     
     object.radius = radius;
+    this.scene.updateObject(object);
+    this.notifyChange({ type: 'update', id });
+    return true;
+  }
+  
+  /**
+   * Set or clear the motion of an object, for motion blur
+   * @param {string} id - The ID of the object to update
+   * @param {Motion|null} motion - The new motion, or null to keep the object still
+   * @returns {boolean} - Whether the update was successful
+   */
+  updateObjectMotion(id, motion) {
+    const object = this.objects.get(id);
+    if (!object) {
+      return false;
+    }
+    
+    object.motion = motion;
+    this.scene.updateObject(object);
+    this.notifyChange({ type: 'update', id });
     return true;
   }
   
@@ -139,6 +317,7 @@ export class SceneManager {
     }
     
     object.material = material;
+    this.notifyChange({ type: 'update', id });
     return true;
   }
   
@@ -155,6 +334,7 @@ export class SceneManager {
     }
     
     object.material.color = color;
+    this.notifyChange({ type: 'update', id });
     return true;
   }
   
@@ -162,8 +342,59 @@ export class SceneManager {
    * Clear all objects from the scene
    */
   clearScene() {
-    this.scene.objects = [];
+    this.scene.clearObjects();
     this.objects.clear();
+    this.objectIds.clear();
+    this.notifyChange({ type: 'clear' });
+  }
+  
+  /**
+   * Serialize the scene to a versioned JSON-compatible document
+   * @param {Object} options - Extra state to include
+   * @param {Camera} options.camera - Camera to save with the scene
+   * @param {Object} options.settings - Render settings to save (e.g. raytracingSettings)
+   * @param {Timeline} options.timeline - Animation timeline to save
+   * @returns {Object} - The scene document
+   */
+  toJSON(options = {}) {
+    return serializeScene(this, options);
+  }
+  
+  /**
+   * Replace the scene's objects and lights with those of a saved document,
+   * keeping the saved object IDs. Older document versions are migrated first.
+   * @param {Object|string} data - Scene document or its JSON text
+   * @param {Object} options - Options passed to deserializeScene (e.g. resolveImage)
+   * @returns {{camera: Camera|null, settings: Object|null, timeline: Timeline|null, warnings: Array<string>}} - Saved
+   * camera, render settings, animation timeline and any warnings, for the caller to apply
+   */
+  fromJSON(data, options = {}) {
+    // Deserialize everything first so that a bad document leaves the scene untouched
+    const loaded = deserializeScene(data, options);
+    
+    this.clearScene();
+    this.clearLights();
+    
+    for (const { id, object } of loaded.objects) {
+      this.addObject(object, id);
+    }
+    // Lights saved without an ID get new ones after the saved IDs
+    this.nextLightId = 1 + Math.max(0, ...loaded.lights.map(({ id }) => {
+      const match = /^light_(\d+)$/.exec(id);
+      return match ? Number(match[1]) : 0;
+    }));
+    for (const { id, light } of loaded.lights) {
+      this.addLight(light, id);
+    }
+    
+    // Never hand out an ID that is already taken
+    const highestId = Math.max(0, ...loaded.objects.map(({ id }) => {
+      const match = /^obj_(\d+)$/.exec(id);
+      return match ? Number(match[1]) : 0;
+    }));
+    this.nextId = Math.max(loaded.nextId || 1, highestId + 1);
+    
+    return { camera: loaded.camera, settings: loaded.settings, timeline: loaded.timeline, warnings: loaded.warnings };
   }
   
   /**
@@ -216,7 +447,7 @@ export class SceneManager {
     const floorTexture = new CheckerboardTexture(
       { r: 0.9, g: 0.9, b: 0.9 },   // White
       { r: 0.2, g: 0.2, b: 0.2 },   // Dark gray
-      5                              // Scale
+      1                              // Squares of one unit
     );
     
     this.addObject(new Plane(
@@ -296,21 +527,21 @@ export class SceneManager {
     ));
     
     // Add a main ceiling light (point light)
-    this.scene.addLight(new Light('point', {
+    this.addLight(new Light('point', {
       position: new Vector3(0, HALF_SIZE - 0.5, HALF_SIZE * 0.5 + 5),
       color: { r: 1, g: 1, b: 1 },
       intensity: 1.0
     }));
     
     // Add a secondary light to the left (point light)
-    this.scene.addLight(new Light('point', {
+    this.addLight(new Light('point', {
       position: new Vector3(-HALF_SIZE + 1, 0, HALF_SIZE * 0.5 + 4),
       color: { r: 0.9, g: 0.8, b: 0.7 },
       intensity: 0.5
     }));
     
     // Add a directional light for subtle fill (like ambient occlusion)
-    this.scene.addLight(new Light('directional', {
+    this.addLight(new Light('directional', {
       direction: new Vector3(0.5, -1, 0.5),
       color: { r: 0.2, g: 0.2, b: 0.3 },
       intensity: 0.2
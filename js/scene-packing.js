@@ -0,0 +1,737 @@
+/**
+ * Scene packing
+ * Flattens a scene into typed arrays that can be copied to the GPU or posted
+ * to a worker without serializing a graph of objects, and rebuilds scenes
+ * from them. The WGSL raytracer (js/gpu-raytracer.js) declares structs that
+ * match these layouts. Everything here works on plain typed arrays, so it
+ * runs (and is tested) without a GPU.
+ *
+ * All buffers are made of 32-bit words; records that mix integers and floats
+ * are read through a Uint32Array and a Float32Array over the same memory.
+ * Every buffer holds at least one record, as WebGPU does not allow empty
+ * storage buffers, so use the counts rather than the lengths.
+ *
+ * objects (OBJECT_WORDS per object, in scene order)
+ *   u32 [0] type (OBJECT_TYPE_*), [1] material index,
+ *       [2] first vertex, [3] vertex count (triangles and meshes)
+ *   f32 [4..6] sphere center or plane point, [7] sphere radius
+ *   f32 [8..10] plane normal
+ *   u32 [12] first index, [13] index count, [14] ATTRIBUTE_* flags (triangles and meshes)
+ * vertices (VERTEX_FLOATS per vertex)
+ *   f32 position xyz, normal xyz, uv (zero where the object has none)
+ * indices
+ *   u32 three per triangle, relative to the object's first vertex
+ * materials (MATERIAL_WORDS per material, shared materials stored once)
+ *   f32 [0..2] color, [3] ambient, [4] diffuse, [5] specular, [6] shininess,
+ *       [7] reflection, [8] transparency, [9] refractive index
+ *   u32 [10] texture index or NO_TEXTURE
+ * textures (TEXTURE_WORDS per texture, shared textures stored once)
+ *   u32 [0] type (TEXTURE_TYPE_*), [1] gradient direction (GRADIENT_DIRECTIONS
+ *       index) or image repeat flag, [2] first texel, [3] width, [4] height
+ *   f32 [8..10] first color, [11] scale, [12..14] second color, [15] turbulence
+ * texels
+ *   u32 RGBA8 image pixels, red in the lowest byte, row by row from the top
+ * lights (LIGHT_FLOATS per light)
+ *   f32 [0..2] position, [3] type (LIGHT_TYPE_*), [4..6] direction,
+ *       [7] intensity, [8..10] color
+ *
+ * Values are stored as 32-bit floats, so a scene rebuilt with unpackScene
+ * matches the original to float precision.
+ */
+import { Vector3 } from './math.js';
+import { Material, Sphere, Plane, Light, Scene } from './raytracer.js';
+import { Triangle, TriangleMesh } from './mesh.js';
+import { CheckerboardTexture, GradientTexture, MarbleTexture, ImageTexture } from './textures.js';
+import { PROJECTIONS } from './camera.js';
+
+export const OBJECT_TYPE_SPHERE = 0;
+export const OBJECT_TYPE_PLANE = 1;
+export const OBJECT_TYPE_TRIANGLE = 2;
+export const OBJECT_TYPE_MESH = 3;
+export const OBJECT_WORDS = 16;
+
+export const ATTRIBUTE_NORMALS = 1;
+export const ATTRIBUTE_UVS = 2;
+export const VERTEX_FLOATS = 8;
+
+export const NO_TEXTURE = 0xFFFFFFFF;
+export const MATERIAL_WORDS = 12;
+
+export const TEXTURE_TYPE_CHECKERBOARD = 0;
+export const TEXTURE_TYPE_GRADIENT = 1;
+export const TEXTURE_TYPE_MARBLE = 2;
+export const TEXTURE_TYPE_IMAGE = 3;
+export const GRADIENT_DIRECTIONS = ['horizontal', 'vertical', 'radial'];
+export const TEXTURE_WORDS = 16;
+
+export const LIGHT_TYPE_POINT = 0;
+export const LIGHT_TYPE_DIRECTIONAL = 1;
+export const LIGHT_FLOATS = 12;
+
+// Render parameters: camera position, right, up and direction as vec4s (the w
+// components of position and right hold the half width and half height of
+// the image from Camera.getHalfExtents, and up.w the index of the projection
+// in PROJECTIONS), the background color, then thirteen scalars (see
+// packRenderParams) padded to a multiple of four
+export const RENDER_PARAMS_WORDS = 36;
+
+// The GPU keeps one stack frame per bounce, so paths are cut off at this depth
+export const MAX_GPU_DEPTH = 20;
+
+// Names of the buffers in packed scene data
+export const PACKED_BUFFERS = ['objects', 'vertices', 'indices', 'materials', 'textures', 'texels', 'lights'];
+
+/**
+ * Allocate a buffer with float and uint views for a number of records.
+ * WebGPU does not allow empty storage buffers, so there is always room for one.
+ * @param {number} count - Number of records
+ * @param {number} words - 32-bit words per record
+ * @returns {{floats: Float32Array, uints: Uint32Array}} Views of the same buffer
+ * @private
+ */
+function allocateRecords(count, words) {
+  const buffer = new ArrayBuffer(Math.max(count, 1) * words * 4);
+  return { floats: new Float32Array(buffer), uints: new Uint32Array(buffer) };
+}
+
+/**
+ * Get the packed object type of a scene object
+ * @param {Geometry} object - Scene object
+ * @returns {number|null} OBJECT_TYPE_* value, or null for objects that cannot be packed
+ * @private
+ */
+function getObjectType(object) {
+  if (object instanceof Sphere) return OBJECT_TYPE_SPHERE;
+  if (object instanceof Plane) return OBJECT_TYPE_PLANE;
+  if (object instanceof Triangle) return OBJECT_TYPE_TRIANGLE;
+  if (object instanceof TriangleMesh) return OBJECT_TYPE_MESH;
+  return null;
+}
+
+/**
+ * Get the packed texture type of a texture
+ * @param {Texture} texture - Material texture
+ * @returns {number|null} TEXTURE_TYPE_* value, or null for textures that cannot be packed
+ * @private
+ */
+function getTextureType(texture) {
+  if (texture instanceof CheckerboardTexture) return TEXTURE_TYPE_CHECKERBOARD;
+  if (texture instanceof GradientTexture) return TEXTURE_TYPE_GRADIENT;
+  if (texture instanceof MarbleTexture) return TEXTURE_TYPE_MARBLE;
+  if (texture instanceof ImageTexture) return TEXTURE_TYPE_IMAGE;
+  return null;
+}
+
+/**
+ * Get the vertex data of a triangle or mesh
+ * @param {Triangle|TriangleMesh} object - Triangle or mesh
+ * @returns {{positions: ArrayLike<number>, normals: ArrayLike<number>|null,
+ * uvs: ArrayLike<number>|null, indices: ArrayLike<number>}} Flat vertex attributes
+ * @private
+ */
+function getVertexData(object) {
+  if (object instanceof TriangleMesh) {
+    return object;
+  }
+  const { v0, v1, v2 } = object;
+  return {
+    positions: [v0.x, v0.y, v0.z, v1.x, v1.y, v1.z, v2.x, v2.y, v2.z],
+    normals: object.normals && object.normals.flatMap(n => [n.x, n.y, n.z]),
+    uvs: object.uvs && object.uvs.flatMap(t => [t.u, t.v]),
+    indices: [0, 1, 2]
+  };
+}
+
+/**
+ * Write the shape of a sphere or plane into its object record. Triangles and
+ * meshes keep their vertex ranges, which only change when the scene is repacked.
+ * @param {{floats: Float32Array}} records - Object records
+ * @param {number} index - Object index
+ * @param {Geometry} object - Scene object
+ * @private
+ */
+function writeShape(records, index, object) {
+  const offset = index * OBJECT_WORDS;
+  if (object instanceof Sphere) {
+    const { center, radius } = object;
+    records.floats.set([center.x, center.y, center.z, radius], offset + 4);
+  } else if (object instanceof Plane) {
+    const { point, normal } = object;
+    records.floats.set([point.x, point.y, point.z, 0, normal.x, normal.y, normal.z, 0], offset + 4);
+  }
+}
+
+/**
+ * Write a material record
+ * @param {{floats: Float32Array, uints: Uint32Array}} records - Material records
+ * @param {number} index - Material index
+ * @param {Material} material - The material
+ * @param {number} textureIndex - Index of its texture, or NO_TEXTURE
+ * @private
+ */
+function writeMaterial(records, index, material, textureIndex) {
+  const offset = index * MATERIAL_WORDS;
+  const { color } = material;
+  records.floats.set([
+    color.r, color.g, color.b, material.ambient,
+    material.diffuse, material.specular, material.shininess, material.reflection,
+    material.transparency, material.refractiveIndex
+  ], offset);
+  records.uints[offset + 10] = textureIndex;
+}
+
+/**
+ * Write the parameters of a texture record (not its texels)
+ * @param {{floats: Float32Array, uints: Uint32Array}} records - Texture records
+ * @param {number} index - Texture index
+ * @param {Texture} texture - The texture
+ * @private
+ */
+function writeTexture(records, index, texture) {
+  const offset = index * TEXTURE_WORDS;
+  const type = getTextureType(texture);
+  records.uints[offset] = type;
+
+  if (type === TEXTURE_TYPE_IMAGE) {
+    records.uints[offset + 1] = texture.repeat ? 1 : 0;
+    records.uints[offset + 3] = texture.image.width;
+    records.uints[offset + 4] = texture.image.height;
+    return;
+  }
+
+  const { color1, color2 } = texture;
+  records.uints[offset + 1] = type === TEXTURE_TYPE_GRADIENT ? Math.max(0, GRADIENT_DIRECTIONS.indexOf(texture.direction)) : 0;
+  records.floats.set([
+    color1.r, color1.g, color1.b, texture.scale ?? 0,
+    color2.r, color2.g, color2.b, texture.turbulence ?? 0
+  ], offset + 8);
+}
+
+/**
+ * Write a light record
+ * @param {Float32Array} floats - Light records
+ * @param {number} index - Light index
+ * @param {Light} light - The light
+ * @private
+ */
+function writeLight(floats, index, light) {
+  const position = light.position || { x: 0, y: 0, z: 0 };
+  const direction = light.direction || { x: 0, y: -1, z: 0 };
+  const type = light.type === 'directional' ? LIGHT_TYPE_DIRECTIONAL : LIGHT_TYPE_POINT;
+  floats.set([
+    position.x, position.y, position.z, type,
+    direction.x, direction.y, direction.z, light.intensity,
+    light.color.r, light.color.g, light.color.b, 0
+  ], index * LIGHT_FLOATS);
+}
+
+/**
+ * Pack the objects of a scene with their vertices, materials and textures.
+ * Objects of other classes than spheres, planes, triangles and meshes are
+ * left out and listed in `skipped`; textures of other classes are packed as
+ * NO_TEXTURE.
+ * @param {Array<Geometry>} objects - Scene objects
+ * @returns {{objects: Float32Array, objectCount: number, vertices: Float32Array,
+ * vertexCount: number, indices: Uint32Array, indexCount: number, materials: Float32Array,
+ * materialCount: number, textures: Float32Array, textureCount: number, texels: Uint32Array,
+ * skipped: Array<Geometry>}} Buffers in the layout described at the top of this module
+ */
+export function packObjects(objects) {
+  const packable = objects.filter(object => getObjectType(object) !== null);
+  const skipped = objects.filter(object => getObjectType(object) === null);
+
+  // Collect the materials and textures, and count the vertex data
+  const materialIndices = new Map();
+  const textureIndices = new Map();
+  let vertexCount = 0;
+  let indexCount = 0;
+  let texelCount = 0;
+  for (const object of packable) {
+    const { material } = object;
+    if (!materialIndices.has(material)) {
+      materialIndices.set(material, materialIndices.size);
+      const { texture } = material;
+      if (texture && getTextureType(texture) !== null && !textureIndices.has(texture)) {
+        textureIndices.set(texture, textureIndices.size);
+        if (texture instanceof ImageTexture) {
+          texelCount += texture.image.width * texture.image.height;
+        }
+      }
+    }
+    if (object instanceof Triangle || object instanceof TriangleMesh) {
+      const data = getVertexData(object);
+      vertexCount += data.positions.length / 3;
+      indexCount += data.indices.length;
+    }
+  }
+
+  const objectRecords = allocateRecords(packable.length, OBJECT_WORDS);
+  const vertices = new Float32Array(Math.max(vertexCount, 1) * VERTEX_FLOATS);
+  const indices = new Uint32Array(Math.max(indexCount, 1));
+  let vertexOffset = 0;
+  let indexOffset = 0;
+
+  packable.forEach((object, i) => {
+    const offset = i * OBJECT_WORDS;
+    objectRecords.uints[offset] = getObjectType(object);
+    objectRecords.uints[offset + 1] = materialIndices.get(object.material);
+    writeShape(objectRecords, i, object);
+
+    if (object instanceof Triangle || object instanceof TriangleMesh) {
+      const { positions, normals, uvs, indices: triangleIndices } = getVertexData(object);
+      const count = positions.length / 3;
+      for (let v = 0; v < count; v++) {
+        const base = (vertexOffset + v) * VERTEX_FLOATS;
+        vertices.set([positions[v * 3], positions[v * 3 + 1], positions[v * 3 + 2]], base);
+        if (normals) vertices.set([normals[v * 3], normals[v * 3 + 1], normals[v * 3 + 2]], base + 3);
+        if (uvs) vertices.set([uvs[v * 2], uvs[v * 2 + 1]], base + 6);
+      }
+      indices.set(triangleIndices, indexOffset);
+      objectRecords.uints.set([vertexOffset, count], offset + 2);
+      objectRecords.uints.set([
+        indexOffset,
+        triangleIndices.length,
+        (normals ? ATTRIBUTE_NORMALS : 0) | (uvs ? ATTRIBUTE_UVS : 0)
+      ], offset + 12);
+      vertexOffset += count;
+      indexOffset += triangleIndices.length;
+    }
+  });
+
+  const textureRecords = allocateRecords(textureIndices.size, TEXTURE_WORDS);
+  const texels = new Uint32Array(Math.max(texelCount, 1));
+  let texelOffset = 0;
+  for (const [texture, index] of textureIndices) {
+    writeTexture(textureRecords, index, texture);
+    if (texture instanceof ImageTexture) {
+      const { data } = texture.imageData;
+      textureRecords.uints[index * TEXTURE_WORDS + 2] = texelOffset;
+      texels.set(new Uint32Array(data.buffer, data.byteOffset, data.length / 4), texelOffset);
+      texelOffset += data.length / 4;
+    }
+  }
+
+  const materialRecords = allocateRecords(materialIndices.size, MATERIAL_WORDS);
+  for (const [material, index] of materialIndices) {
+    const textureIndex = textureIndices.has(material.texture) ? textureIndices.get(material.texture) : NO_TEXTURE;
+    writeMaterial(materialRecords, index, material, textureIndex);
+  }
+
+  return {
+    objects: objectRecords.floats,
+    objectCount: packable.length,
+    vertices,
+    vertexCount,
+    indices,
+    indexCount,
+    materials: materialRecords.floats,
+    materialCount: materialIndices.size,
+    textures: textureRecords.floats,
+    textureCount: textureIndices.size,
+    texels,
+    skipped
+  };
+}
+
+/**
+ * Pack the lights of a scene
+ * @param {Array<Light>} lights - Scene lights
+ * @returns {{lights: Float32Array, lightCount: number}} LIGHT_FLOATS per light
+ */
+export function packLights(lights) {
+  const { floats } = allocateRecords(lights.length, LIGHT_FLOATS);
+  lights.forEach((light, i) => writeLight(floats, i, light));
+  return { lights: floats, lightCount: lights.length };
+}
+
+/**
+ * Pack the objects, materials, textures and lights of a scene
+ * @param {Scene} scene - Scene to pack
+ * @returns {Object} Combined results of packObjects and packLights
+ */
+export function packScene(scene) {
+  return { ...packObjects(scene.objects), ...packLights(scene.lights) };
+}
+
+/**
+ * Rebuild a texture from its record
+ * @param {Object} packed - Output of packScene
+ * @param {number} index - Texture index
+ * @returns {Texture} The texture
+ * @private
+ */
+function unpackTexture(packed, index) {
+  const uints = new Uint32Array(packed.textures.buffer);
+  const floats = packed.textures;
+  const offset = index * TEXTURE_WORDS;
+  const type = uints[offset];
+  const color = (start) => ({ r: floats[start], g: floats[start + 1], b: floats[start + 2] });
+
+  if (type === TEXTURE_TYPE_IMAGE) {
+    // Rebuild the texture around its pixels; there is no image element to draw
+    const width = uints[offset + 3];
+    const height = uints[offset + 4];
+    const texels = packed.texels.slice(uints[offset + 2], uints[offset + 2] + width * height);
+    const texture = Object.create(ImageTexture.prototype);
+    texture.image = { width, height };
+    texture.repeat = uints[offset + 1] === 1;
+    texture.imageData = { width, height, data: new Uint8ClampedArray(texels.buffer) };
+    return texture;
+  }
+  if (type === TEXTURE_TYPE_GRADIENT) {
+    return new GradientTexture(color(offset + 8), color(offset + 12), GRADIENT_DIRECTIONS[uints[offset + 1]]);
+  }
+  if (type === TEXTURE_TYPE_MARBLE) {
+    return new MarbleTexture(color(offset + 8), color(offset + 12), floats[offset + 11], floats[offset + 15]);
+  }
+  return new CheckerboardTexture(color(offset + 8), color(offset + 12), floats[offset + 11]);
+}
+
+/**
+ * Rebuild a scene from packed buffers. Objects, materials and textures that
+ * were shared in the original scene are shared in the rebuilt one.
+ * @param {Object} packed - Output of packScene (or ScenePacker.packed)
+ * @returns {Scene} The rebuilt scene
+ */
+export function unpackScene(packed) {
+  const scene = new Scene();
+  const textures = Array.from({ length: packed.textureCount }, (_, i) => unpackTexture(packed, i));
+
+  const materialFloats = packed.materials;
+  const materialUints = new Uint32Array(materialFloats.buffer);
+  const materials = Array.from({ length: packed.materialCount }, (_, i) => {
+    const m = materialFloats.subarray(i * MATERIAL_WORDS, (i + 1) * MATERIAL_WORDS);
+    const textureIndex = materialUints[i * MATERIAL_WORDS + 10];
+    return new Material({ r: m[0], g: m[1], b: m[2] }, {
+      ambient: m[3],
+      diffuse: m[4],
+      specular: m[5],
+      shininess: m[6],
+      reflection: m[7],
+      transparency: m[8],
+      refractiveIndex: m[9],
+      texture: textureIndex === NO_TEXTURE ? undefined : textures[textureIndex]
+    });
+  });
+
+  const floats = packed.objects;
+  const uints = new Uint32Array(floats.buffer);
+  const { vertices } = packed;
+  const vector = (array, start) => new Vector3(array[start], array[start + 1], array[start + 2]);
+
+  for (let i = 0; i < packed.objectCount; i++) {
+    const offset = i * OBJECT_WORDS;
+    const type = uints[offset];
+    const material = materials[uints[offset + 1]];
+
+    if (type === OBJECT_TYPE_SPHERE) {
+      scene.addObject(new Sphere(vector(floats, offset + 4), floats[offset + 7], material));
+      continue;
+    }
+    if (type === OBJECT_TYPE_PLANE) {
+      scene.addObject(new Plane(vector(floats, offset + 4), vector(floats, offset + 8), material));
+      continue;
+    }
+
+    const [firstVertex, vertexCount] = [uints[offset + 2], uints[offset + 3]];
+    const [firstIndex, indexCount, attributes] = [uints[offset + 12], uints[offset + 13], uints[offset + 14]];
+    const vertexData = vertices.subarray(firstVertex * VERTEX_FLOATS, (firstVertex + vertexCount) * VERTEX_FLOATS);
+    const attribute = (start, size) => Array.from({ length: vertexCount }, (_, v) =>
+      Array.from(vertexData.subarray(v * VERTEX_FLOATS + start, v * VERTEX_FLOATS + start + size))
+    ).flat();
+    const positions = attribute(0, 3);
+    const normals = attributes & ATTRIBUTE_NORMALS ? attribute(3, 3) : null;
+    const uvs = attributes & ATTRIBUTE_UVS ? attribute(6, 2) : null;
+
+    if (type === OBJECT_TYPE_TRIANGLE) {
+      scene.addObject(new Triangle(vector(positions, 0), vector(positions, 3), vector(positions, 6), material, {
+        normals: normals && [0, 3, 6].map(start => vector(normals, start)),
+        uvs: uvs && [0, 2, 4].map(start => ({ u: uvs[start], v: uvs[start + 1] }))
+      }));
+    } else {
+      const indices = packed.indices.subarray(firstIndex, firstIndex + indexCount);
+      scene.addObject(new TriangleMesh({ positions, indices, normals, uvs }, material));
+    }
+  }
+
+  const lightFloats = packed.lights;
+  for (let i = 0; i < packed.lightCount; i++) {
+    const offset = i * LIGHT_FLOATS;
+    const directional = lightFloats[offset + 3] === LIGHT_TYPE_DIRECTIONAL;
+    scene.addLight(new Light(directional ? 'directional' : 'point', {
+      position: directional ? undefined : vector(lightFloats, offset),
+      direction: directional ? vector(lightFloats, offset + 4) : undefined,
+      intensity: lightFloats[offset + 7],
+      color: { r: lightFloats[offset + 8], g: lightFloats[offset + 9], b: lightFloats[offset + 10] }
+    }));
+  }
+
+  return scene;
+}
+
+/**
+ * Keeps a scene packed and tracks which parts of the buffers changed, so
+ * that a copy of them (e.g. on the GPU) can be brought up to date by copying
+ * only the dirty ranges. Edits to existing objects, their materials and
+ * textures and to the lights update the records in place; anything that
+ * changes the number of records repacks the whole scene.
+ */
+export class ScenePacker {
+  /**
+   * Pack a scene. All buffers start out dirty.
+   * @param {Scene} scene - Scene to pack
+   */
+  constructor(scene) {
+    this.scene = scene;
+    this.packed = null;
+    this._dirty = new Map();
+    this._sceneManager = null;
+    this._unsubscribe = null;
+    this.repack();
+  }
+
+  /**
+   * Follow the changes a scene manager reports
+   * @param {SceneManager} sceneManager - Scene manager of the packed scene (replaces the previous one)
+   */
+  watch(sceneManager) {
+    if (sceneManager === this._sceneManager) return;
+    if (this._unsubscribe) this._unsubscribe();
+    this._sceneManager = sceneManager;
+    this._unsubscribe = sceneManager && sceneManager.addChangeListener
+      ? sceneManager.addChangeListener(change => this.applyChange(change))
+      : null;
+  }
+
+  /**
+   * Check whether the packed data still covers the scene's objects and lights.
+   * Objects added or removed without going through the scene manager make it stale.
+   * @returns {boolean} True if the objects array and the counts are unchanged
+   */
+  isCurrent() {
+    return this._objects === this.scene.objects &&
+      this._objectTotal === this.scene.objects.length &&
+      this._lightTotal === this.scene.lights.length;
+  }
+
+  /**
+   * Update the packed data for a SceneManager change notification
+   * @param {{type: string, id: string}} change - The change
+   */
+  applyChange(change) {
+    const object = change.id && this._sceneManager ? this._sceneManager.getObject(change.id) : null;
+    if (change.type === 'update' && object) {
+      this.updateObject(object);
+    } else if (change.type === 'light') {
+      this.updateLights();
+    } else {
+      this.repack();
+    }
+  }
+
+  /**
+   * Rewrite the records of an object, its material and its texture after
+   * they were edited in place
+   * @param {Geometry} object - An object of the packed scene
+   */
+  updateObject(object) {
+    const index = this._objectIndices.get(object);
+    const materialIndex = this._materialIndices.get(object.material);
+    const { texture } = object.material;
+    const textureIndex = texture && getTextureType(texture) !== null ? this._textureIndices.get(texture) : NO_TEXTURE;
+    const materialIndexChanged = new Uint32Array(this.packed.objects.buffer)[index * OBJECT_WORDS + 1] !== materialIndex;
+
+    // New materials, textures or image sizes change the layout
+    if (index === undefined || materialIndex === undefined || textureIndex === undefined || materialIndexChanged ||
+        (texture instanceof ImageTexture && this._texelCounts.get(texture) !== texture.image.width * texture.image.height)) {
+      this.repack();
+      return;
+    }
+
+    const objects = this._views('objects');
+    writeShape(objects, index, object);
+    this._markDirty('objects', index * OBJECT_WORDS, (index + 1) * OBJECT_WORDS);
+
+    writeMaterial(this._views('materials'), materialIndex, object.material, textureIndex);
+    this._markDirty('materials', materialIndex * MATERIAL_WORDS, (materialIndex + 1) * MATERIAL_WORDS);
+
+    if (textureIndex !== NO_TEXTURE) {
+      const textures = this._views('textures');
+      writeTexture(textures, textureIndex, texture);
+      this._markDirty('textures', textureIndex * TEXTURE_WORDS, (textureIndex + 1) * TEXTURE_WORDS);
+      if (texture instanceof ImageTexture) {
+        const { data } = texture.imageData;
+        const firstTexel = textures.uints[textureIndex * TEXTURE_WORDS + 2];
+        this.packed.texels.set(new Uint32Array(data.buffer, data.byteOffset, data.length / 4), firstTexel);
+        this._markDirty('texels', firstTexel, firstTexel + data.length / 4);
+      }
+    }
+  }
+
+  /**
+   * Rewrite the light records after lights were added, removed or edited
+   */
+  updateLights() {
+    const { lights } = this.scene;
+    if (lights.length !== this.packed.lightCount) {
+      Object.assign(this.packed, packLights(lights));
+      this._lightTotal = lights.length;
+      this._markDirty('lights', 0, this.packed.lights.length, true);
+      return;
+    }
+    lights.forEach((light, i) => writeLight(this.packed.lights, i, light));
+    this._markDirty('lights', 0, lights.length * LIGHT_FLOATS);
+  }
+
+  /**
+   * Pack the whole scene again, marking every buffer dirty
+   */
+  repack() {
+    const previous = this.packed;
+    this.packed = packScene(this.scene);
+    this._objects = this.scene.objects;
+    this._objectTotal = this.scene.objects.length;
+    this._lightTotal = this.scene.lights.length;
+
+    // Remember where everything went, for in-place updates
+    const objectUints = new Uint32Array(this.packed.objects.buffer);
+    const materialUints = new Uint32Array(this.packed.materials.buffer);
+    const packable = this.scene.objects.filter(object => getObjectType(object) !== null);
+    this._objectIndices = new Map(packable.map((object, i) => [object, i]));
+    this._materialIndices = new Map();
+    this._textureIndices = new Map();
+    this._texelCounts = new Map();
+    packable.forEach((object, i) => {
+      const materialIndex = objectUints[i * OBJECT_WORDS + 1];
+      this._materialIndices.set(object.material, materialIndex);
+      const textureIndex = materialUints[materialIndex * MATERIAL_WORDS + 10];
+      if (textureIndex !== NO_TEXTURE) {
+        const { texture } = object.material;
+        this._textureIndices.set(texture, textureIndex);
+        if (texture instanceof ImageTexture) {
+          this._texelCounts.set(texture, texture.image.width * texture.image.height);
+        }
+      }
+    });
+
+    for (const name of PACKED_BUFFERS) {
+      const resized = !previous || previous[name].length !== this.packed[name].length;
+      this._markDirty(name, 0, this.packed[name].length, resized);
+    }
+  }
+
+  /**
+   * Get the dirty ranges since the last call, and mark everything clean.
+   * Copy [start, end) of each buffer; a resized buffer must be replaced as a whole.
+   * @returns {Array<{buffer: string, start: number, end: number, resized: boolean}>} Ranges
+   * in 32-bit words, at most a few per buffer, sorted by start within each buffer
+   */
+  takeDirtyRanges() {
+    const ranges = [];
+    for (const [buffer, entry] of this._dirty) {
+      for (const range of entry.ranges) {
+        ranges.push({ buffer, ...range, resized: entry.resized });
+      }
+    }
+    this._dirty.clear();
+    return ranges;
+  }
+
+  /**
+   * Stop following the scene manager
+   */
+  destroy() {
+    this.watch(null);
+  }
+
+  /**
+   * Get float and uint views of a packed buffer
+   * @param {string} name - Buffer name
+   * @returns {{floats: Float32Array, uints: Uint32Array}} Views of the buffer
+   * @private
+   */
+  _views(name) {
+    const { buffer } = this.packed[name];
+    return { floats: new Float32Array(buffer), uints: new Uint32Array(buffer) };
+  }
+
+  /**
+   * Add a range to the dirty ranges of a buffer, merging it with ranges it
+   * overlaps or touches
+   * @param {string} name - Buffer name
+   * @param {number} start - First dirty word
+   * @param {number} end - Word after the last dirty one
+   * @param {boolean} resized - Whether the buffer was replaced by one of another size
+   * @private
+   */
+  _markDirty(name, start, end, resized = false) {
+    const entry = this._dirty.get(name) || { ranges: [], resized: false };
+    entry.resized = entry.resized || resized;
+
+    const merged = { start, end };
+    const ranges = [];
+    for (const range of entry.ranges) {
+      if (range.end < merged.start || range.start > merged.end) {
+        ranges.push(range);
+      } else {
+        merged.start = Math.min(merged.start, range.start);
+        merged.end = Math.max(merged.end, range.end);
+      }
+    }
+    ranges.push(merged);
+    entry.ranges = ranges.sort((a, b) => a.start - b.start);
+    this._dirty.set(name, entry);
+  }
+}
+
+/**
+ * Pack the camera, image size and raytracing settings into the uniform
+ * buffer of the WGSL raytracer. After the five vec4s come, as u32 unless
+ * noted: width, height, first row, object count, light count, shadows and
+ * refraction enabled (0 or 1), Russian roulette enabled, total, reflection
+ * and refraction depth limits, roulette start depth and roulette threshold (f32).
+ * The total depth is capped at MAX_GPU_DEPTH.
+ * @param {Camera} camera - Camera to render from
+ * @param {Object} settings - Raytracing settings (see raytracingSettings)
+ * @param {Object} options - Image options
+ * @param {number} options.width - Image width in pixels
+ * @param {number} options.height - Image height in pixels
+ * @param {number} options.firstRow - First image row of the dispatch (default: 0)
+ * @param {number} options.objectCount - Number of packed objects
+ * @param {number} options.lightCount - Number of packed lights
+ * @param {Object} options.backgroundColor - RGB color for rays that miss everything
+ * @returns {Float32Array} RENDER_PARAMS_WORDS values
+ */
+export function packRenderParams(camera, settings, options) {
+  const data = new Float32Array(RENDER_PARAMS_WORDS);
+  const uints = new Uint32Array(data.buffer);
+  const { position, right, up, direction } = camera;
+  const { halfWidth, halfHeight } = camera.getHalfExtents();
+  const background = options.backgroundColor || { r: 0, g: 0, b: 0 };
+
+  data.set([
+    position.x, position.y, position.z, halfWidth,
+    right.x, right.y, right.z, halfHeight,
+    up.x, up.y, up.z, PROJECTIONS.indexOf(camera.projection),
+    direction.x, direction.y, direction.z, 0,
+    background.r, background.g, background.b, 1
+  ], 0);
+
+  uints.set([
+    options.width,
+    options.height,
+    options.firstRow || 0,
+    options.objectCount,
+    options.lightCount,
+    settings.enableShadows ? 1 : 0,
+    settings.enableRefraction ? 1 : 0,
+    settings.russianRoulette ? 1 : 0,
+    Math.min(settings.maxDepth, MAX_GPU_DEPTH),
+    settings.maxReflectionDepth,
+    settings.maxRefractionDepth,
+    settings.rouletteStartDepth
+  ], 20);
+  data[32] = settings.rouletteThreshold;
+
+  return data;
+}
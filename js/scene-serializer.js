@@ -0,0 +1,465 @@
+/**
+ * Scene serialization
+ * Converts scenes (objects, materials, textures, lights, camera and render
+ * settings, and an animation timeline) to and from a versioned, JSON-compatible
+ * document.
+ *
+ * Document layout (version 1):
+ *   {
+ *     version: 1,
+ *     nextId: number,                 // SceneManager ID counter
+ *     materials: [Material],          // shared by index so material identity survives
+ *     objects: [{ id, type, material, ...geometry,
+ *                 motion }],                  // { keyframes }, optional, see js/motion.js
+ *     lights: [{ id, type, position, direction, color, intensity }],  // id optional
+ *     camera: { position, direction, up, right, fov, aspectRatio,  // optional
+ *               orientation,                              // [x, y, z, w] quaternion, optional
+ *               aperture, focusDistance, apertureBlades,  // lens fields optional
+ *               projection, viewWidth, fisheyeFov,        // projection fields optional
+ *               shutterOpen, shutterClose },              // shutter interval optional
+ *     settings: { ...raytracingSettings },                 // optional
+ *     timeline: { duration, tracks }                       // optional, see js/timeline.js
+ *   }
+ * Vectors are stored as [x, y, z] arrays and colors as {r, g, b}. Fields marked
+ * optional were added to version 1 after it was released; readers fill in the
+ * same defaults as the constructors, so older documents load without a migration.
+ */
+import { Vector3, add } from './math.js';
+import { Material, Sphere, Plane, Light, raytracingSettings } from './raytracer.js';
+import { Triangle, TriangleMesh } from './mesh.js';
+import { Camera } from './camera.js';
+import { Timeline } from './timeline.js';
+import { Motion } from './motion.js';
+import { validateScene, assertValid } from './scene-validator.js';
+import {
+  CheckerboardTexture,
+  GradientTexture,
+  MarbleTexture,
+  ImageTexture
+} from './textures.js';
+
+/**
+ * Current version of the scene document format
+ */
+export const SCENE_SCHEMA_VERSION = 1;
+
+/**
+ * Upgrades from older document versions, keyed by the version they upgrade from.
+ * Each migration receives a document of that version and returns one of the next version.
+ */
+const MIGRATIONS = {};
+
+/**
+ * Convert a vector to an array
+ * @param {Vector3} v - Vector to convert
+ * @returns {Array<number>|null} [x, y, z], or null if no vector is given
+ */
+function vectorToArray(v) {
+  return v ? [v.x, v.y, v.z] : null;
+}
+
+/**
+ * Convert an array to a vector
+ * @param {Array<number>|null} values - [x, y, z] values
+ * @returns {Vector3|undefined} The vector, or undefined if no values are given
+ */
+function arrayToVector(values) {
+  return values ? new Vector3(values[0], values[1], values[2]) : undefined;
+}
+
+/**
+ * Copy an RGB color
+ * @param {Object} color - Color with r, g, b components
+ * @returns {Object} Plain {r, g, b} copy
+ */
+function copyColor(color) {
+  return { r: color.r, g: color.g, b: color.b };
+}
+
+/**
+ * Serialize a texture
+ * @param {Texture} texture - Texture to serialize
+ * @returns {Object|null} Texture description, or null for untextured materials
+ */
+function serializeTexture(texture) {
+  if (!texture) {
+    return null;
+  }
+  if (texture instanceof CheckerboardTexture) {
+    return { type: 'checkerboard', color1: copyColor(texture.color1), color2: copyColor(texture.color2), scale: texture.scale };
+  }
+  if (texture instanceof GradientTexture) {
+    return { type: 'gradient', color1: copyColor(texture.color1), color2: copyColor(texture.color2), direction: texture.direction };
+  }
+  if (texture instanceof MarbleTexture) {
+    return {
+      type: 'marble',
+      color1: copyColor(texture.color1),
+      color2: copyColor(texture.color2),
+      scale: texture.scale,
+      turbulence: texture.turbulence
+    };
+  }
+  if (texture instanceof ImageTexture) {
+    // Pixels are not embedded; the image is referenced by its URL
+    return { type: 'image', url: texture.image.currentSrc || texture.image.src, repeat: texture.repeat };
+  }
+  throw new Error(`Cannot serialize texture of type ${texture.constructor.name}`);
+}
+
+/**
+ * Deserialize a texture
+ * @param {Object|null} data - Texture description
+ * @param {string} path - Location in the document, for warnings
+ * @param {Object} context - Deserialization context ({warnings, resolveImage})
+ * @returns {Texture|undefined} The texture
+ */
+function deserializeTexture(data, path, context) {
+  if (!data) {
+    return undefined;
+  }
+  switch (data.type) {
+    case 'checkerboard':
+      return new CheckerboardTexture(copyColor(data.color1), copyColor(data.color2), data.scale);
+    case 'gradient':
+      return new GradientTexture(copyColor(data.color1), copyColor(data.color2), data.direction);
+    case 'marble':
+      return new MarbleTexture(copyColor(data.color1), copyColor(data.color2), data.scale, data.turbulence);
+    case 'image': {
+      const texture = context.resolveImage ? context.resolveImage(data.url, data.repeat) : undefined;
+      if (!texture) {
+        context.warnings.push(`${path}: image texture "${data.url}" was not loaded`);
+      }
+      return texture;
+    }
+    default:
+      throw new Error(`${path}: unknown texture type "${data.type}"`);
+  }
+}
+
+/**
+ * Serialize a material
+ * @param {Material} material - Material to serialize
+ * @returns {Object} Material description
+ */
+function serializeMaterial(material) {
+  return {
+    color: copyColor(material.color),
+    diffuse: material.diffuse,
+    specular: material.specular,
+    shininess: material.shininess,
+    ambient: material.ambient,
+    reflection: material.reflection,
+    transparency: material.transparency,
+    refractiveIndex: material.refractiveIndex,
+    texture: serializeTexture(material.texture)
+  };
+}
+
+/**
+ * Deserialize a material
+ * @param {Object} data - Material description
+ * @param {string} path - Location in the document, for warnings
+ * @param {Object} context - Deserialization context
+ * @returns {Material} The material
+ */
+function deserializeMaterial(data, path, context) {
+  return new Material(copyColor(data.color), {
+    diffuse: data.diffuse,
+    specular: data.specular,
+    shininess: data.shininess,
+    ambient: data.ambient,
+    reflection: data.reflection,
+    transparency: data.transparency,
+    refractiveIndex: data.refractiveIndex,
+    texture: deserializeTexture(data.texture, `${path}.texture`, context)
+  });
+}
+
+/**
+ * Serialize the geometry of an object
+ * @param {string} id - Object ID (for error messages)
+ * @param {Geometry} object - Object to serialize
+ * @returns {Object} Geometry description without the material
+ */
+function serializeGeometry(id, object) {
+  if (object instanceof Sphere) {
+    return { type: 'sphere', center: vectorToArray(object.center), radius: object.radius };
+  }
+  if (object instanceof Plane) {
+    return { type: 'plane', point: vectorToArray(object.point), normal: vectorToArray(object.normal) };
+  }
+  if (object instanceof Triangle) {
+    return {
+      type: 'triangle',
+      vertices: [object.v0, object.v1, object.v2].map(vectorToArray),
+      normals: object.normals ? object.normals.map(vectorToArray) : null,
+      uvs: object.uvs ? object.uvs.map(uv => ({ u: uv.u, v: uv.v })) : null
+    };
+  }
+  if (object instanceof TriangleMesh) {
+    return {
+      type: 'mesh',
+      positions: Array.from(object.positions),
+      indices: Array.from(object.indices),
+      normals: object.normals ? Array.from(object.normals) : null,
+      uvs: object.uvs ? Array.from(object.uvs) : null
+    };
+  }
+  throw new Error(`Cannot serialize object ${id}: unsupported geometry ${object.constructor.name}`);
+}
+
+/**
+ * Deserialize an object
+ * @param {Object} data - Object description
+ * @param {Material} material - The object's material
+ * @param {string} path - Location in the document, for errors
+ * @returns {Geometry} The object
+ */
+function deserializeGeometry(data, material, path) {
+  switch (data.type) {
+    case 'sphere':
+      return new Sphere(arrayToVector(data.center), data.radius, material);
+    case 'plane':
+      return new Plane(arrayToVector(data.point), arrayToVector(data.normal), material);
+    case 'triangle': {
+      const [v0, v1, v2] = data.vertices.map(arrayToVector);
+      return new Triangle(v0, v1, v2, material, {
+        normals: data.normals ? data.normals.map(arrayToVector) : null,
+        uvs: data.uvs ? data.uvs.map(uv => ({ u: uv.u, v: uv.v })) : null
+      });
+    }
+    case 'mesh':
+      return new TriangleMesh(
+        { positions: data.positions, indices: data.indices, normals: data.normals, uvs: data.uvs },
+        material
+      );
+    default:
+      throw new Error(`${path}: unknown object type "${data.type}"`);
+  }
+}
+
+/**
+ * Serialize a light
+ * @param {Light} light - Light to serialize
+ * @param {string|null} id - SceneManager ID of the light, or null for lights without one
+ * @returns {Object} Light description
+ */
+function serializeLight(light, id) {
+  return {
+    ...(id !== null && { id }),
+    type: light.type,
+    position: vectorToArray(light.position),
+    direction: vectorToArray(light.direction),
+    color: copyColor(light.color),
+    intensity: light.intensity
+  };
+}
+
+/**
+ * Deserialize a light
+ * @param {Object} data - Light description
+ * @returns {Light} The light
+ */
+function deserializeLight(data) {
+  return new Light(data.type, {
+    position: arrayToVector(data.position),
+    direction: arrayToVector(data.direction),
+    color: copyColor(data.color),
+    intensity: data.intensity
+  });
+}
+
+/**
+ * Serialize a camera
+ * @param {Camera} camera - Camera to serialize
+ * @returns {Object} Camera description
+ */
+export function serializeCamera(camera) {
+  return {
+    position: vectorToArray(camera.position),
+    direction: vectorToArray(camera.direction),
+    up: vectorToArray(camera.up),
+    right: vectorToArray(camera.right),
+    orientation: [camera.orientation.x, camera.orientation.y, camera.orientation.z, camera.orientation.w],
+    fov: camera.fov,
+    aspectRatio: camera.aspectRatio,
+    aperture: camera.aperture,
+    focusDistance: camera.focusDistance,
+    apertureBlades: camera.apertureBlades,
+    projection: camera.projection,
+    viewWidth: camera.viewWidth,
+    fisheyeFov: camera.fisheyeFov,
+    shutterOpen: camera.shutterOpen,
+    shutterClose: camera.shutterClose
+  };
+}
+
+/**
+ * Deserialize a camera
+ * @param {Object} data - Camera description
+ * @returns {Camera} The camera
+ */
+export function deserializeCamera(data) {
+  const position = arrayToVector(data.position);
+  const camera = new Camera({
+    position,
+    lookAt: add(position, arrayToVector(data.direction)),
+    up: arrayToVector(data.up),
+    fov: data.fov,
+    aspectRatio: data.aspectRatio,
+    aperture: data.aperture,
+    focusDistance: data.focusDistance,
+    apertureBlades: data.apertureBlades,
+    projection: data.projection,
+    viewWidth: data.viewWidth,
+    fisheyeFov: data.fisheyeFov,
+    shutterOpen: data.shutterOpen,
+    shutterClose: data.shutterClose
+  });
+
+  // Restore the saved orientation exactly rather than re-deriving it from the
+  // direction, so that a restored camera generates bit-identical rays
+  if (data.orientation) {
+    const [x, y, z, w] = data.orientation;
+    camera.setOrientation({ x, y, z, w });
+  }
+  return camera;
+}
+
+/**
+ * Bring a document up to the current schema version
+ * @param {Object} data - Scene document
+ * @returns {Object} Document in the current version
+ * @throws {Error} If the version is missing, newer than supported, or has no migration path
+ */
+export function migrateScene(data) {
+  if (!data || typeof data !== 'object') {
+    throw new Error('Scene data must be an object');
+  }
+
+  const { version } = data;
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unsupported scene version: ${JSON.stringify(version)} (expected an integer >= 1)`);
+  }
+  if (version > SCENE_SCHEMA_VERSION) {
+    throw new Error(
+      `Scene version ${version} is newer than the supported version ${SCENE_SCHEMA_VERSION}; ` +
+      'update the application to load it'
+    );
+  }
+
+  let migrated = data;
+  for (let from = version; from < SCENE_SCHEMA_VERSION; from++) {
+    const migration = MIGRATIONS[from];
+    if (!migration) {
+      throw new Error(`No migration from scene version ${from} to ${from + 1}`);
+    }
+    migrated = { ...migration(migrated), version: from + 1 };
+  }
+  return migrated;
+}
+
+/**
+ * Serialize a scene manager's contents
+ * @param {SceneManager} sceneManager - Scene manager to serialize
+ * @param {Object} options - Extra state to include
+ * @param {Camera} options.camera - Camera to include
+ * @param {Object} options.settings - Render settings to include (e.g. raytracingSettings)
+ * @param {Timeline} options.timeline - Animation timeline to include
+ * @returns {Object} JSON-compatible scene document
+ */
+export function serializeScene(sceneManager, options = {}) {
+  const materials = [];
+  const materialIndices = new Map();
+  const materialIndex = (material) => {
+    if (!materialIndices.has(material)) {
+      materialIndices.set(material, materials.length);
+      materials.push(serializeMaterial(material));
+    }
+    return materialIndices.get(material);
+  };
+
+  const objects = [];
+  for (const [id, object] of sceneManager.objects) {
+    objects.push({
+      id,
+      ...serializeGeometry(id, object),
+      material: materialIndex(object.material),
+      ...(object.motion && { motion: object.motion.toJSON() })
+    });
+  }
+
+  const data = {
+    version: SCENE_SCHEMA_VERSION,
+    nextId: sceneManager.nextId,
+    materials,
+    objects,
+    lights: sceneManager.scene.lights.map(light => serializeLight(light, sceneManager.getLightId(light)))
+  };
+  if (options.camera) {
+    data.camera = serializeCamera(options.camera);
+  }
+  if (options.settings) {
+    data.settings = { ...options.settings };
+  }
+  if (options.timeline) {
+    data.timeline = options.timeline.toJSON();
+  }
+  return data;
+}
+
+/**
+ * Deserialize a scene document (migrating older versions first and validating the result)
+ * @param {Object|string} source - Scene document or its JSON text
+ * @param {Object} options - Deserialization options
+ * @param {Function} options.resolveImage - (url, repeat) => Texture for image textures; without
+ * it, image textures are dropped with a warning
+ * @returns {{objects: Array<{id: string, object: Geometry}>, lights: Array<{id: string|undefined, light: Light}>,
+ * nextId: number, camera: Camera|null, settings: Object|null, timeline: Timeline|null, warnings: Array<string>}}
+ * Scene contents
+ * @throws {SceneValidationError} If the document contains invalid values
+ */
+export function deserializeScene(source, options = {}) {
+  const data = migrateScene(typeof source === 'string' ? JSON.parse(source) : source);
+  assertValid(validateScene(data));
+  const context = { warnings: [], resolveImage: options.resolveImage };
+
+  const materials = (data.materials || []).map((material, index) =>
+    deserializeMaterial(material, `materials[${index}]`, context)
+  );
+
+  const objects = (data.objects || []).map((entry, index) => {
+    const path = `objects[${index}]`;
+    const material = materials[entry.material];
+    if (!material) {
+      throw new Error(`${path}: material index ${entry.material} does not exist`);
+    }
+    const object = deserializeGeometry(entry, material, path);
+    if (entry.motion) {
+      object.motion = Motion.fromJSON(entry.motion);
+    }
+    return { id: entry.id, object };
+  });
+
+  let settings = null;
+  if (data.settings) {
+    // Only settings the renderer knows about are restored
+    settings = {};
+    for (const key of Object.keys(raytracingSettings)) {
+      if (data.settings[key] !== undefined) {
+        settings[key] = data.settings[key];
+      }
+    }
+  }
+
+  return {
+    objects,
+    lights: (data.lights || []).map(light => ({ id: light.id, light: deserializeLight(light) })),
+    nextId: data.nextId,
+    camera: data.camera ? deserializeCamera(data.camera) : null,
+    settings,
+    timeline: data.timeline ? Timeline.fromJSON(data.timeline) : null,
+    warnings: context.warnings
+  };
+}
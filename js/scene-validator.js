@@ -0,0 +1,813 @@
+/**
+ * Scene validation
+ * Checks scene documents (as produced by the serializer), live Scene instances
+ * and individual object specifications for values that would render incorrectly
+ * or crash the raytracer. Every issue carries the JSON path of the offending value.
+ */
+import { Scene, Sphere, Plane } from './raytracer.js';
+import { Triangle, TriangleMesh } from './mesh.js';
+import { PROJECTIONS } from './camera.js';
+import { TRACK_PROPERTIES, EASINGS } from './timeline.js';
+
+/**
+ * Texture types the serializer understands
+ */
+const TEXTURE_TYPES = ['checkerboard', 'gradient', 'marble', 'image'];
+
+/**
+ * Material coefficients expected to lie in [0, 1]
+ */
+const UNIT_COEFFICIENTS = ['diffuse', 'specular', 'ambient', 'reflection', 'transparency'];
+
+/**
+ * Maximum number of issues listed in a SceneValidationError message
+ */
+const MAX_LISTED_ERRORS = 5;
+
+/**
+ * Error thrown when an invalid scene or object is loaded
+ */
+export class SceneValidationError extends Error {
+  /**
+   * Creates a validation error
+   * @param {Array<{path: string, message: string}>} errors - The validation errors
+   * @param {Array<{path: string, message: string}>} warnings - Warnings found alongside the errors
+   */
+  constructor(errors, warnings = []) {
+    const listed = errors.slice(0, MAX_LISTED_ERRORS).map(formatIssue).join('; ');
+    const more = errors.length > MAX_LISTED_ERRORS ? ` (and ${errors.length - MAX_LISTED_ERRORS} more)` : '';
+    super(`Invalid scene: ${listed}${more}`);
+    this.name = 'SceneValidationError';
+    this.errors = errors;
+    this.warnings = warnings;
+  }
+}
+
+/**
+ * Format an issue as "path: message"
+ * @param {{path: string, message: string}} issue - Issue to format
+ * @returns {string} Formatted issue
+ */
+export function formatIssue(issue) {
+  return issue.path ? `${issue.path}: ${issue.message}` : issue.message;
+}
+
+/**
+ * Accumulates errors and warnings during validation
+ */
+class ValidationReport {
+  /**
+   * Creates an empty report
+   */
+  constructor() {
+    this.errors = [];
+    this.warnings = [];
+  }
+
+  /**
+   * Record an error
+   * @param {string} path - JSON path of the value
+   * @param {string} message - Description of the problem
+   */
+  error(path, message) {
+    this.errors.push({ path, message });
+  }
+
+  /**
+   * Record a warning
+   * @param {string} path - JSON path of the value
+   * @param {string} message - Description of the problem
+   */
+  warning(path, message) {
+    this.warnings.push({ path, message });
+  }
+
+  /**
+   * Convert to the public result shape
+   * @returns {{valid: boolean, errors: Array, warnings: Array}} Validation result
+   */
+  toResult() {
+    return { valid: this.errors.length === 0, errors: this.errors, warnings: this.warnings };
+  }
+}
+
+/**
+ * Append a key or index to a JSON path
+ * @param {string} base - Path so far
+ * @param {string|number} key - Property name or array index
+ * @returns {string} The extended path
+ */
+function joinPath(base, key) {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+  return base ? `${base}.${key}` : key;
+}
+
+/**
+ * Check that a value is a finite number within bounds
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {*} value - Value to check
+ * @param {string} path - JSON path of the value
+ * @param {Object} limits - Bounds to enforce
+ * @param {number} limits.min - Smallest allowed value
+ * @param {boolean} limits.positive - Require a value greater than zero
+ * @returns {boolean} True if the value is a finite number
+ */
+function checkNumber(report, value, path, limits = {}) {
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    report.error(path, `must be a finite number (got ${describeValue(value)})`);
+    return false;
+  }
+  if (limits.positive && value <= 0) {
+    report.error(path, `must be greater than 0 (got ${value})`);
+  } else if (limits.min !== undefined && value < limits.min) {
+    report.error(path, `must be at least ${limits.min} (got ${value})`);
+  }
+  return true;
+}
+
+/**
+ * Describe a value for an error message
+ * @param {*} value - Value to describe
+ * @returns {string} Short description
+ */
+function describeValue(value) {
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  if (value === undefined || value === null) {
+    return String(value);
+  }
+  return typeof value;
+}
+
+/**
+ * Check a vector given as a Vector3 or an [x, y, z] array
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {*} value - Value to check
+ * @param {string} path - JSON path of the value
+ * @param {Object} options - Extra requirements
+ * @param {boolean} options.nonZero - Reject zero-length vectors (used for directions and normals)
+ * @returns {boolean} True if the vector is usable
+ */
+function checkVector(report, value, path, options = {}) {
+  let components;
+  if (Array.isArray(value) && value.length === 3) {
+    components = value.map((component, index) => [index, component]);
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    components = ['x', 'y', 'z'].map(key => [key, value[key]]);
+  } else {
+    report.error(path, `must be a vector (got ${describeValue(value)})`);
+    return false;
+  }
+
+  const finite = components
+    .map(([key, component]) => checkNumber(report, component, joinPath(path, key)))
+    .every(Boolean);
+  if (!finite) {
+    return false;
+  }
+
+  const lengthSquared = components.reduce((sum, [, component]) => sum + component * component, 0);
+  if (options.nonZero && lengthSquared < 1e-12) {
+    report.error(path, 'must not be a zero-length vector');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check a rotation given as an {x, y, z, w} quaternion or an [x, y, z, w] array
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {*} value - Value to check
+ * @param {string} path - JSON path of the value
+ * @returns {boolean} True if the quaternion is usable
+ */
+function checkQuaternion(report, value, path) {
+  let components;
+  if (Array.isArray(value) && value.length === 4) {
+    components = value.map((component, index) => [index, component]);
+  } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+    components = ['x', 'y', 'z', 'w'].map(key => [key, value[key]]);
+  } else {
+    report.error(path, `must be a quaternion (got ${describeValue(value)})`);
+    return false;
+  }
+
+  const finite = components
+    .map(([key, component]) => checkNumber(report, component, joinPath(path, key)))
+    .every(Boolean);
+  if (!finite) {
+    return false;
+  }
+
+  if (components.every(([, component]) => component === 0)) {
+    report.error(path, 'must not be a zero quaternion');
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Check an RGB color
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {*} color - Color to check
+ * @param {string} path - JSON path of the color
+ */
+function checkColor(report, color, path) {
+  if (!color || typeof color !== 'object') {
+    report.error(path, `must be an {r, g, b} color (got ${describeValue(color)})`);
+    return;
+  }
+  for (const channel of ['r', 'g', 'b']) {
+    const channelPath = joinPath(path, channel);
+    if (checkNumber(report, color[channel], channelPath, { min: 0 }) && color[channel] > 1) {
+      report.warning(channelPath, `is above 1 (${color[channel]}) and will be clamped`);
+    }
+  }
+}
+
+/**
+ * Check a texture (a live texture object or a serialized description)
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {*} texture - Texture to check
+ * @param {string} path - JSON path of the texture
+ */
+function checkTexture(report, texture, path) {
+  if (texture === undefined || texture === null) {
+    return;
+  }
+  if (typeof texture.getColorAtUV === 'function') {
+    return; // Live texture objects compute their own colors
+  }
+  if (!TEXTURE_TYPES.includes(texture.type)) {
+    report.error(joinPath(path, 'type'), `unknown texture type "${texture.type}"`);
+    return;
+  }
+  if (texture.type === 'image') {
+    if (typeof texture.url !== 'string' || texture.url === '') {
+      report.error(joinPath(path, 'url'), 'image textures need a URL');
+    }
+    return;
+  }
+  checkColor(report, texture.color1, joinPath(path, 'color1'));
+  checkColor(report, texture.color2, joinPath(path, 'color2'));
+  if (texture.scale !== undefined) {
+    checkNumber(report, texture.scale, joinPath(path, 'scale'), { positive: true });
+  }
+}
+
+/**
+ * Check a material (a Material or a serialized description)
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {*} material - Material to check
+ * @param {string} path - JSON path of the material
+ */
+function checkMaterial(report, material, path) {
+  if (!material || typeof material !== 'object') {
+    report.error(path, 'is required');
+    return;
+  }
+
+  checkColor(report, material.color, joinPath(path, 'color'));
+
+  for (const key of UNIT_COEFFICIENTS) {
+    const value = material[key];
+    const keyPath = joinPath(path, key);
+    if (value !== undefined && checkNumber(report, value, keyPath, { min: 0 }) && value > 1) {
+      report.warning(keyPath, `is above 1 (${value})`);
+    }
+  }
+  if (material.shininess !== undefined) {
+    checkNumber(report, material.shininess, joinPath(path, 'shininess'), { min: 0 });
+  }
+  if (material.refractiveIndex !== undefined) {
+    const indexPath = joinPath(path, 'refractiveIndex');
+    if (checkNumber(report, material.refractiveIndex, indexPath, { positive: true }) && material.refractiveIndex < 1) {
+      report.warning(indexPath, `is below 1 (${material.refractiveIndex}), which is not physically plausible`);
+    }
+  }
+
+  checkTexture(report, material.texture, joinPath(path, 'texture'));
+}
+
+/**
+ * Check a flat numeric array (mesh attribute)
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {*} values - Array or typed array to check
+ * @param {string} path - JSON path of the array
+ * @param {number} stride - Values per vertex
+ * @param {number} vertexCount - Expected vertex count, or undefined to derive it
+ * @returns {number|null} Vertex count, or null if the array is unusable
+ */
+function checkAttribute(report, values, path, stride, vertexCount) {
+  if (!values || typeof values.length !== 'number') {
+    report.error(path, 'must be an array of numbers');
+    return null;
+  }
+  if (values.length % stride !== 0) {
+    report.error(path, `length ${values.length} is not a multiple of ${stride}`);
+    return null;
+  }
+  if (vertexCount !== undefined && values.length / stride !== vertexCount) {
+    report.error(path, `has ${values.length / stride} entries but there are ${vertexCount} vertices`);
+    return null;
+  }
+  for (let i = 0; i < values.length; i++) {
+    if (!Number.isFinite(values[i])) {
+      report.error(joinPath(path, i), `must be a finite number (got ${describeValue(values[i])})`);
+      return null;
+    }
+  }
+  return values.length / stride;
+}
+
+/**
+ * Check mesh data
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} mesh - Object with positions, indices and optional normals/uvs
+ * @param {string} path - JSON path of the mesh
+ */
+function checkMeshData(report, mesh, path) {
+  const vertexCount = checkAttribute(report, mesh.positions, joinPath(path, 'positions'), 3);
+  if (mesh.normals) {
+    checkAttribute(report, mesh.normals, joinPath(path, 'normals'), 3, vertexCount === null ? undefined : vertexCount);
+  }
+  if (mesh.uvs) {
+    checkAttribute(report, mesh.uvs, joinPath(path, 'uvs'), 2, vertexCount === null ? undefined : vertexCount);
+  }
+
+  const indicesPath = joinPath(path, 'indices');
+  const { indices } = mesh;
+  if (!indices || typeof indices.length !== 'number') {
+    report.error(indicesPath, 'must be an array of vertex indices');
+    return;
+  }
+  if (indices.length % 3 !== 0) {
+    report.error(indicesPath, `length ${indices.length} is not a multiple of 3`);
+  }
+  if (indices.length === 0) {
+    report.warning(indicesPath, 'mesh has no triangles');
+  }
+  if (vertexCount !== null) {
+    for (let i = 0; i < indices.length; i++) {
+      if (!Number.isInteger(indices[i]) || indices[i] < 0 || indices[i] >= vertexCount) {
+        report.error(joinPath(indicesPath, i), `index ${indices[i]} is out of range for ${vertexCount} vertices`);
+        return;
+      }
+    }
+  }
+}
+
+/**
+ * Check a triangle's vertices and attributes
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} triangle - Object with vertices and optional normals/uvs
+ * @param {string} path - JSON path of the triangle
+ */
+function checkTriangleData(report, triangle, path) {
+  const verticesPath = joinPath(path, 'vertices');
+  if (!Array.isArray(triangle.vertices) || triangle.vertices.length !== 3) {
+    report.error(verticesPath, 'must contain exactly three vertices');
+    return;
+  }
+  const valid = triangle.vertices
+    .map((vertex, index) => checkVector(report, vertex, joinPath(verticesPath, index)))
+    .every(Boolean);
+
+  if (triangle.normals) {
+    if (triangle.normals.length !== 3) {
+      report.error(joinPath(path, 'normals'), 'must contain one normal per vertex');
+    } else {
+      triangle.normals.forEach((normal, index) =>
+        checkVector(report, normal, joinPath(joinPath(path, 'normals'), index), { nonZero: true }));
+    }
+  }
+  if (triangle.uvs && triangle.uvs.length !== 3) {
+    report.error(joinPath(path, 'uvs'), 'must contain one texture coordinate per vertex');
+  }
+
+  if (valid) {
+    // Warn about zero-area triangles, which can never be hit
+    const [a, b, c] = triangle.vertices.map(v => (Array.isArray(v) ? v : [v.x, v.y, v.z]));
+    const e1 = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+    const e2 = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+    const crossX = e1[1] * e2[2] - e1[2] * e2[1];
+    const crossY = e1[2] * e2[0] - e1[0] * e2[2];
+    const crossZ = e1[0] * e2[1] - e1[1] * e2[0];
+    if (crossX * crossX + crossY * crossY + crossZ * crossZ < 1e-24) {
+      report.warning(verticesPath, 'triangle is degenerate (zero area) and will never be hit');
+    }
+  }
+}
+
+/**
+ * Describe a live geometry object in the same shape as an object specification
+ * @param {Geometry} object - Geometry instance
+ * @returns {Object|null} Specification-like description, or null for unknown geometry
+ */
+function describeGeometry(object) {
+  if (object instanceof Sphere) {
+    return { type: 'sphere', center: object.center, radius: object.radius, material: object.material, motion: object.motion };
+  }
+  if (object instanceof Plane) {
+    return { type: 'plane', point: object.point, normal: object.normal, material: object.material, motion: object.motion };
+  }
+  if (object instanceof Triangle) {
+    return {
+      type: 'triangle',
+      vertices: [object.v0, object.v1, object.v2],
+      normals: object.normals,
+      uvs: object.uvs,
+      material: object.material,
+      motion: object.motion
+    };
+  }
+  if (object instanceof TriangleMesh) {
+    return {
+      type: 'mesh',
+      positions: object.positions,
+      indices: object.indices,
+      normals: object.normals,
+      uvs: object.uvs,
+      material: object.material,
+      motion: object.motion
+    };
+  }
+  return null;
+}
+
+/**
+ * Check an object given as a specification (as accepted by SceneManager.addObject)
+ * or as a geometry instance
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} object - Object to check
+ * @param {string} path - JSON path of the object
+ * @param {Object} options - Checking options
+ * @param {boolean} options.requireFields - Require every geometry field (documents and instances);
+ * specifications may omit fields that have defaults
+ * @param {Function} options.checkMaterialRef - Custom material check (used for material indices in documents)
+ */
+function checkObject(report, object, path, options = {}) {
+  if (!object || typeof object !== 'object') {
+    report.error(path, `must be an object (got ${describeValue(object)})`);
+    return;
+  }
+
+  let spec = object;
+  let requireFields = options.requireFields;
+  if (object.type === undefined) {
+    spec = describeGeometry(object);
+    requireFields = true;
+    if (!spec) {
+      if (typeof object.intersect === 'function') {
+        report.warning(path, `custom geometry ${object.constructor.name} was not validated`);
+      } else {
+        report.error(path, 'is neither a known object specification nor a geometry');
+      }
+      return;
+    }
+  }
+
+  const has = (key) => requireFields || spec[key] !== undefined;
+  switch (spec.type) {
+    case 'sphere':
+      if (has('center')) {
+        checkVector(report, spec.center, joinPath(path, 'center'));
+      }
+      if (has('radius')) {
+        checkNumber(report, spec.radius, joinPath(path, 'radius'), { positive: true });
+      }
+      break;
+    case 'plane':
+      if (has('point')) {
+        checkVector(report, spec.point, joinPath(path, 'point'));
+      }
+      if (has('normal')) {
+        checkVector(report, spec.normal, joinPath(path, 'normal'), { nonZero: true });
+      }
+      break;
+    case 'triangle':
+      checkTriangleData(report, spec, path);
+      break;
+    case 'mesh':
+      checkMeshData(report, spec, path);
+      break;
+    default:
+      report.error(path, `unknown object type "${spec.type}"`);
+      return;
+  }
+
+  if (options.checkMaterialRef) {
+    options.checkMaterialRef(spec.material, joinPath(path, 'material'));
+  } else if (has('material')) {
+    checkMaterial(report, spec.material, joinPath(path, 'material'));
+  }
+  if (spec.motion !== undefined && spec.motion !== null) {
+    checkMotion(report, spec.motion, joinPath(path, 'motion'));
+  }
+}
+
+/**
+ * Check the motion of an object (a Motion or a serialized description)
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} motion - Motion to check
+ * @param {string} path - JSON path of the motion
+ */
+function checkMotion(report, motion, path) {
+  if (typeof motion !== 'object' || !Array.isArray(motion.keyframes)) {
+    report.error(path, 'must be an object with a keyframes array');
+    return;
+  }
+  motion.keyframes.forEach((keyframe, index) => {
+    const keyframePath = joinPath(joinPath(path, 'keyframes'), index);
+    if (!keyframe || typeof keyframe !== 'object') {
+      report.error(keyframePath, `must be an object (got ${describeValue(keyframe)})`);
+      return;
+    }
+    checkNumber(report, keyframe.time, joinPath(keyframePath, 'time'));
+    checkVector(report, keyframe.offset, joinPath(keyframePath, 'offset'));
+  });
+}
+
+/**
+ * Check a light (a Light or a serialized description)
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} light - Light to check
+ * @param {string} path - JSON path of the light
+ */
+function checkLight(report, light, path) {
+  if (!light || typeof light !== 'object') {
+    report.error(path, `must be an object (got ${describeValue(light)})`);
+    return;
+  }
+
+  if (light.type === 'point') {
+    checkVector(report, light.position, joinPath(path, 'position'));
+  } else if (light.type === 'directional') {
+    checkVector(report, light.direction, joinPath(path, 'direction'), { nonZero: true });
+  } else {
+    report.error(joinPath(path, 'type'), `unknown light type "${light.type}" (expected "point" or "directional")`);
+  }
+
+  if (light.color !== undefined) {
+    checkColor(report, light.color, joinPath(path, 'color'));
+  }
+  if (light.intensity !== undefined) {
+    checkNumber(report, light.intensity, joinPath(path, 'intensity'), { min: 0 });
+  }
+}
+
+/**
+ * Check a camera description
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} camera - Camera to check
+ * @param {string} path - JSON path of the camera
+ */
+function checkCamera(report, camera, path) {
+  checkVector(report, camera.position, joinPath(path, 'position'));
+  checkVector(report, camera.direction, joinPath(path, 'direction'), { nonZero: true });
+  checkVector(report, camera.up, joinPath(path, 'up'), { nonZero: true });
+  if (camera.orientation !== undefined) {
+    checkQuaternion(report, camera.orientation, joinPath(path, 'orientation'));
+  }
+  if (checkNumber(report, camera.fov, joinPath(path, 'fov'), { positive: true }) && camera.fov >= 180) {
+    report.error(joinPath(path, 'fov'), `must be less than 180 degrees (got ${camera.fov})`);
+  }
+  checkNumber(report, camera.aspectRatio, joinPath(path, 'aspectRatio'), { positive: true });
+  if (camera.aperture !== undefined) {
+    checkNumber(report, camera.aperture, joinPath(path, 'aperture'), { min: 0 });
+  }
+  if (camera.focusDistance !== undefined) {
+    checkNumber(report, camera.focusDistance, joinPath(path, 'focusDistance'), { positive: true });
+  }
+  if (camera.apertureBlades !== undefined) {
+    checkNumber(report, camera.apertureBlades, joinPath(path, 'apertureBlades'), { min: 0 });
+  }
+  if (camera.projection !== undefined && !PROJECTIONS.includes(camera.projection)) {
+    report.error(joinPath(path, 'projection'), `unknown projection "${camera.projection}" (expected one of ${PROJECTIONS.join(', ')})`);
+  }
+  if (camera.viewWidth !== undefined) {
+    checkNumber(report, camera.viewWidth, joinPath(path, 'viewWidth'), { positive: true });
+  }
+  if (camera.fisheyeFov !== undefined && checkNumber(report, camera.fisheyeFov, joinPath(path, 'fisheyeFov'), { positive: true }) && camera.fisheyeFov > 360) {
+    report.error(joinPath(path, 'fisheyeFov'), `must be at most 360 degrees (got ${camera.fisheyeFov})`);
+  }
+  const shutterOpen = camera.shutterOpen ?? 0;
+  if (camera.shutterOpen !== undefined) {
+    checkNumber(report, camera.shutterOpen, joinPath(path, 'shutterOpen'));
+  }
+  if (camera.shutterClose !== undefined && checkNumber(report, camera.shutterClose, joinPath(path, 'shutterClose')) && camera.shutterClose < shutterOpen) {
+    report.error(joinPath(path, 'shutterClose'), `must not be earlier than shutterOpen (got ${camera.shutterClose})`);
+  }
+}
+
+/**
+ * Check that a document field is an array
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} data - Scene document
+ * @param {string} key - Field name
+ * @returns {Array} The array, or an empty array if missing or invalid
+ */
+function documentArray(report, data, key) {
+  if (data[key] === undefined) {
+    return [];
+  }
+  if (!Array.isArray(data[key])) {
+    report.error(key, 'must be an array');
+    return [];
+  }
+  return data[key];
+}
+
+/**
+ * Validate a serialized scene document
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} data - Scene document
+ */
+function checkDocument(report, data) {
+  const materials = documentArray(report, data, 'materials');
+  materials.forEach((material, index) => checkMaterial(report, material, joinPath('materials', index)));
+
+  // Object and light IDs, with what they identify, for the timeline
+  const ids = new Map();
+  documentArray(report, data, 'objects').forEach((object, index) => {
+    const path = joinPath('objects', index);
+    if (object && typeof object === 'object') {
+      if (typeof object.id !== 'string' || object.id === '') {
+        report.error(joinPath(path, 'id'), 'must be a non-empty string');
+      } else if (ids.has(object.id)) {
+        report.error(joinPath(path, 'id'), `duplicate object ID "${object.id}"`);
+      } else {
+        ids.set(object.id, { target: 'object', type: object.type });
+      }
+    }
+
+    checkObject(report, object, path, {
+      requireFields: true,
+      checkMaterialRef: (material, materialPath) => {
+        if (!Number.isInteger(material) || material < 0 || material >= materials.length) {
+          report.error(materialPath, `material index ${describeValue(material)} does not exist`);
+        }
+      }
+    });
+  });
+
+  const lights = documentArray(report, data, 'lights');
+  checkLights(report, lights);
+  lights.forEach((light, index) => {
+    if (!light || typeof light !== 'object' || light.id === undefined) {
+      return;
+    }
+    const path = joinPath(joinPath('lights', index), 'id');
+    if (typeof light.id !== 'string' || light.id === '') {
+      report.error(path, 'must be a non-empty string');
+    } else if (ids.has(light.id)) {
+      report.error(path, `duplicate ID "${light.id}"`);
+    } else {
+      ids.set(light.id, { target: 'light' });
+    }
+  });
+
+  if (data.camera !== undefined) {
+    checkCamera(report, data.camera, 'camera');
+  }
+  if (data.timeline !== undefined) {
+    checkTimeline(report, data.timeline, 'timeline', ids);
+  }
+}
+
+/**
+ * Check an animation timeline description
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Object} timeline - Timeline to check
+ * @param {string} path - JSON path of the timeline
+ * @param {Map<string, Object>} ids - Object and light IDs of the document, with
+ * {target: 'object', type} or {target: 'light'}
+ */
+function checkTimeline(report, timeline, path, ids) {
+  if (!timeline || typeof timeline !== 'object') {
+    report.error(path, `must be an object (got ${describeValue(timeline)})`);
+    return;
+  }
+  checkNumber(report, timeline.duration, joinPath(path, 'duration'), { positive: true });
+  if (!Array.isArray(timeline.tracks)) {
+    report.error(joinPath(path, 'tracks'), 'must be an array');
+    return;
+  }
+
+  timeline.tracks.forEach((track, index) => {
+    const trackPath = joinPath(joinPath(path, 'tracks'), index);
+    if (!track || typeof track !== 'object') {
+      report.error(trackPath, `must be an object (got ${describeValue(track)})`);
+      return;
+    }
+
+    const propertyPath = joinPath(trackPath, 'property');
+    const definition = Object.hasOwn(TRACK_PROPERTIES, track.property) ? TRACK_PROPERTIES[track.property] : null;
+    const owner = ids.get(track.target);
+    if (!definition) {
+      report.error(propertyPath, `unknown property "${track.property}" (expected one of ${Object.keys(TRACK_PROPERTIES).join(', ')})`);
+    }
+    if (!owner) {
+      report.error(joinPath(trackPath, 'target'), `no object or light with ID "${track.target}"`);
+    } else if (definition && definition.target !== owner.target) {
+      report.error(propertyPath, `"${track.property}" cannot be animated on a ${owner.target}`);
+    } else if (definition && definition.objectTypes && !definition.objectTypes.includes(owner.type)) {
+      report.error(propertyPath, `"${track.property}" cannot be animated on a ${owner.type}`);
+    }
+
+    if (!Array.isArray(track.keyframes)) {
+      report.error(joinPath(trackPath, 'keyframes'), 'must be an array');
+      return;
+    }
+    track.keyframes.forEach((keyframe, keyframeIndex) => {
+      const keyframePath = joinPath(joinPath(trackPath, 'keyframes'), keyframeIndex);
+      if (!keyframe || typeof keyframe !== 'object') {
+        report.error(keyframePath, `must be an object (got ${describeValue(keyframe)})`);
+        return;
+      }
+      checkNumber(report, keyframe.time, joinPath(keyframePath, 'time'));
+      const valuePath = joinPath(keyframePath, 'value');
+      if (definition?.kind === 'number') {
+        checkNumber(report, keyframe.value, valuePath, definition.limits);
+      } else if (definition?.kind === 'vector') {
+        checkVector(report, keyframe.value, valuePath);
+      } else if (definition?.kind === 'color') {
+        checkColor(report, keyframe.value, valuePath);
+      }
+      if (keyframe.easing !== undefined && !Object.hasOwn(EASINGS, keyframe.easing)) {
+        report.error(joinPath(keyframePath, 'easing'), `unknown easing "${keyframe.easing}" (expected one of ${Object.keys(EASINGS).join(', ')})`);
+      }
+    });
+  });
+}
+
+/**
+ * Check a list of lights and warn when there are none
+ * @param {ValidationReport} report - Report to add issues to
+ * @param {Array} lights - Lights to check
+ */
+function checkLights(report, lights) {
+  lights.forEach((light, index) => checkLight(report, light, joinPath('lights', index)));
+  if (lights.length === 0) {
+    report.warning('lights', 'scene has no lights; only ambient lighting will be visible');
+  }
+}
+
+/**
+ * Validate a scene: either a live Scene or a serialized scene document
+ * (the latter must already be in the current schema version)
+ * @param {Scene|Object} scene - Scene to validate
+ * @returns {{valid: boolean, errors: Array<{path: string, message: string}>, warnings: Array<{path: string, message: string}>}}
+ * Validation result; paths are relative to the scene (e.g. "objects[2].radius")
+ */
+export function validateScene(scene) {
+  const report = new ValidationReport();
+
+  if (scene instanceof Scene) {
+    scene.objects.forEach((object, index) => checkObject(report, object, joinPath('objects', index)));
+    checkLights(report, scene.lights);
+  } else if (scene && typeof scene === 'object') {
+    checkDocument(report, scene);
+  } else {
+    report.error('', 'scene must be a Scene or a scene document');
+  }
+
+  return report.toResult();
+}
+
+/**
+ * Validate a single object specification (as accepted by SceneManager.addObject)
+ * or geometry instance
+ * @param {Object} object - Object to validate
+ * @returns {{valid: boolean, errors: Array, warnings: Array}} Validation result with paths relative to the object
+ */
+export function validateObject(object) {
+  const report = new ValidationReport();
+  checkObject(report, object, '');
+  return report.toResult();
+}
+
+/**
+ * Validate a single light
+ * @param {Light|Object} light - Light to validate
+ * @returns {{valid: boolean, errors: Array, warnings: Array}} Validation result with paths relative to the light
+ */
+export function validateLight(light) {
+  const report = new ValidationReport();
+  checkLight(report, light, '');
+  return report.toResult();
+}
+
+/**
+ * Throw a SceneValidationError if a validation result has errors
+ * @param {{errors: Array, warnings: Array}} result - Validation result
+ * @throws {SceneValidationError} If there are errors
+ */
+export function assertValid(result) {
+  if (result.errors.length > 0) {
+    throw new SceneValidationError(result.errors, result.warnings);
+  }
+}
@@ -0,0 +1,101 @@
+/**
+ * Tiled CPU rendering
+ * Splits an image into tiles and renders them independently. Each pixel only
+ * depends on the scene and camera, so tiles can be rendered in any order (or
+ * on any worker) and the assembled image is always the same.
+ */
+import { traceRay } from './raytracer.js';
+
+/**
+ * Default tile edge length in pixels
+ */
+export const DEFAULT_TILE_SIZE = 32;
+
+/**
+ * Default number of rays per pixel for cameras with motion blur
+ */
+export const DEFAULT_TIME_SAMPLES = 8;
+
+/**
+ * Split an image into tiles in row-major order. Tiles on the right and bottom
+ * edges are cropped to the image.
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} tileSize - Tile edge length in pixels (default: 32)
+ * @returns {Array<{index: number, x: number, y: number, width: number, height: number}>} The tiles
+ */
+export function createTiles(width, height, tileSize = DEFAULT_TILE_SIZE) {
+  const tiles = [];
+  for (let y = 0; y < height; y += tileSize) {
+    for (let x = 0; x < width; x += tileSize) {
+      tiles.push({
+        index: tiles.length,
+        x,
+        y,
+        width: Math.min(tileSize, width - x),
+        height: Math.min(tileSize, height - y)
+      });
+    }
+  }
+  return tiles;
+}
+
+/**
+ * Render one tile of an image. With a camera whose shutter is open for a
+ * while, each pixel averages rays at evenly spaced times over the shutter
+ * interval, so moving objects blur.
+ * @param {Object} tile - Tile from createTiles
+ * @param {Scene} scene - Scene to render
+ * @param {Camera} camera - Camera to render from
+ * @param {Object} options - Render options
+ * @param {number} options.imageWidth - Full image width in pixels
+ * @param {number} options.imageHeight - Full image height in pixels
+ * @param {Object} options.backgroundColor - RGB color for rays that miss everything
+ * @param {number} options.timeSamples - Rays per pixel for cameras with motion blur
+ * (default: DEFAULT_TIME_SAMPLES)
+ * @param {RenderStats} options.stats - Optional statistics to count rays in
+ * @returns {Uint8ClampedArray} RGBA pixels of the tile, row by row
+ */
+export function renderTile(tile, scene, camera, options) {
+  const { imageWidth, imageHeight, backgroundColor, stats = null } = options;
+  const timeSamples = camera.hasMotionBlur() ? (options.timeSamples ?? DEFAULT_TIME_SAMPLES) : 1;
+  const pixels = new Uint8ClampedArray(tile.width * tile.height * 4);
+
+  for (let row = 0; row < tile.height; row++) {
+    for (let column = 0; column < tile.width; column++) {
+      const color = { r: 0, g: 0, b: 0 };
+      for (let sample = 0; sample < timeSamples; sample++) {
+        // A single ray is taken mid-shutter
+        const timeSample = timeSamples > 1 ? (sample + 0.5) / timeSamples : null;
+        const ray = camera.generateRay(tile.x + column, tile.y + row, imageWidth, imageHeight, null, timeSample);
+        const sampleColor = traceRay(ray, scene, backgroundColor, 0, stats);
+        color.r += sampleColor.r / timeSamples;
+        color.g += sampleColor.g / timeSamples;
+        color.b += sampleColor.b / timeSamples;
+      }
+
+      const index = (row * tile.width + column) * 4;
+      pixels[index + 0] = Math.floor(color.r * 255);
+      pixels[index + 1] = Math.floor(color.g * 255);
+      pixels[index + 2] = Math.floor(color.b * 255);
+      pixels[index + 3] = 255;
+    }
+  }
+
+  return pixels;
+}
+
+/**
+ * Copy a rendered tile into a full-image RGBA buffer
+ * @param {Uint8ClampedArray} image - Full image buffer
+ * @param {number} imageWidth - Full image width in pixels
+ * @param {Object} tile - The tile
+ * @param {Uint8ClampedArray} pixels - RGBA pixels of the tile
+ */
+export function blitTile(image, imageWidth, tile, pixels) {
+  const rowBytes = tile.width * 4;
+  for (let row = 0; row < tile.height; row++) {
+    const source = row * rowBytes;
+    image.set(pixels.subarray(source, source + rowBytes), ((tile.y + row) * imageWidth + tile.x) * 4);
+  }
+}
@@ -0,0 +1,423 @@
+/**
+ * Animation timeline
+ * Animates scene content over time. A timeline holds one track per animated
+ * property of an object or light, addressed by its SceneManager ID (e.g. the
+ * radius of "obj_3" or the intensity of "light_1"). Each track has timed
+ * keyframes; the easing of a keyframe shapes the change from it to the next
+ * one. Evaluating the timeline at a time gives every track's value, and
+ * applying it sets those values through the SceneManager update methods, so
+ * change listeners (e.g. progressive rendering) see every step. Applying it
+ * over an interval (a camera's shutter) also gives animated positions a
+ * Motion across the interval, for motion blur.
+ *
+ * Timeline documents (see toJSON):
+ *   {
+ *     duration: number,
+ *     tracks: [{ target, property, keyframes: [{ time, value, easing }] }]
+ *   }
+ * Positions are stored as [x, y, z] arrays and colors as {r, g, b}.
+ */
+import { Vector3, subtract } from './math.js';
+import { Sphere, Plane } from './raytracer.js';
+import { Motion } from './motion.js';
+
+/**
+ * Easing curves, mapping the fraction of time between two keyframes to the
+ * fraction of the change made by then
+ */
+export const EASINGS = {
+  linear: (t) => t,
+  step: () => 0,
+  easeIn: (t) => t * t,
+  easeOut: (t) => t * (2 - t),
+  easeInOut: (t) => t * t * (3 - 2 * t)
+};
+
+/**
+ * Animatable properties: the kind of value they take, whether they belong to
+ * objects or lights, which objects have them, the range of numbers they
+ * accept, how to read them from the scene and how to apply them through the
+ * SceneManager
+ */
+export const TRACK_PROPERTIES = {
+  position: {
+    kind: 'vector',
+    target: 'object',
+    objectTypes: ['sphere', 'plane'],
+    read: (object) => (object instanceof Sphere ? object.center : object.point),
+    apply: (sceneManager, id, value) => sceneManager.updateObjectPosition(id, value)
+  },
+  radius: {
+    kind: 'number',
+    target: 'object',
+    objectTypes: ['sphere'],
+    limits: { positive: true },
+    read: (object) => object.radius,
+    apply: (sceneManager, id, value) => sceneManager.updateSphereRadius(id, value)
+  },
+  color: {
+    kind: 'color',
+    target: 'object',
+    read: (object) => object.material.color,
+    apply: (sceneManager, id, value) => sceneManager.updateObjectColor(id, value)
+  },
+  intensity: {
+    kind: 'number',
+    target: 'light',
+    limits: { min: 0 },
+    read: (light) => light.intensity,
+    apply: (sceneManager, id, value) => sceneManager.updateLightIntensity(id, value)
+  }
+};
+
+/**
+ * Copy a keyframe value into the form the property uses, checking it
+ * @param {string} kind - Value kind ('number', 'vector' or 'color')
+ * @param {*} value - Value to copy; vectors may be given as [x, y, z] arrays
+ * @param {Object} limits - Range for numbers ({positive} or {min})
+ * @returns {number|Vector3|Object} The copied value
+ * @throws {Error} If the value does not fit the kind
+ * @private
+ */
+function copyValue(kind, value, limits = {}) {
+  if (kind === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Expected a finite number, got ${JSON.stringify(value)}`);
+    }
+    if ((limits.positive && value <= 0) || (limits.min !== undefined && value < limits.min)) {
+      throw new Error(`Expected a number ${limits.positive ? 'greater than 0' : `of at least ${limits.min}`}, got ${value}`);
+    }
+    return value;
+  }
+  if (kind === 'vector') {
+    const [x, y, z] = Array.isArray(value) ? value : [value?.x, value?.y, value?.z];
+    if (![x, y, z].every(Number.isFinite)) {
+      throw new Error('Expected a vector of three finite numbers');
+    }
+    return new Vector3(x, y, z);
+  }
+  const { r, g, b } = value || {};
+  if (![r, g, b].every(Number.isFinite)) {
+    throw new Error('Expected an {r, g, b} color');
+  }
+  return { r, g, b };
+}
+
+/**
+ * Interpolate between two values of a kind
+ * @param {string} kind - Value kind ('number', 'vector' or 'color')
+ * @param {*} a - Value at t = 0
+ * @param {*} b - Value at t = 1
+ * @param {number} t - Interpolation parameter
+ * @returns {*} A new interpolated value
+ * @private
+ */
+function interpolate(kind, a, b, t) {
+  const mix = (from, to) => from + (to - from) * t;
+  if (kind === 'number') {
+    return mix(a, b);
+  }
+  if (kind === 'vector') {
+    return new Vector3(mix(a.x, b.x), mix(a.y, b.y), mix(a.z, b.z));
+  }
+  return { r: mix(a.r, b.r), g: mix(a.g, b.g), b: mix(a.b, b.b) };
+}
+
+/**
+ * Keyframes of one property of one object or light
+ */
+export class Track {
+  /**
+   * Create an empty track
+   * @param {string} target - SceneManager ID of the object or light
+   * @param {string} property - Property to animate (a key of TRACK_PROPERTIES)
+   * @throws {Error} If the property cannot be animated
+   */
+  constructor(target, property) {
+    if (!Object.hasOwn(TRACK_PROPERTIES, property)) {
+      throw new Error(`Cannot animate "${property}" (expected one of ${Object.keys(TRACK_PROPERTIES).join(', ')})`);
+    }
+    this.target = target;
+    this.property = property;
+    this.kind = TRACK_PROPERTIES[property].kind;
+    this.limits = TRACK_PROPERTIES[property].limits;
+    this.keyframes = [];
+  }
+
+  /**
+   * Set the value at a time, replacing any keyframe already at that time
+   * @param {number} time - Time in seconds
+   * @param {*} value - Value for the property
+   * @param {string} easing - Easing towards the next keyframe (a key of EASINGS, default: 'linear')
+   * @returns {Track} This track, for chaining
+   * @throws {Error} If the time, value or easing is invalid
+   */
+  setKeyframe(time, value, easing = 'linear') {
+    if (!Number.isFinite(time)) {
+      throw new Error(`Keyframe time must be a finite number, got ${JSON.stringify(time)}`);
+    }
+    if (!Object.hasOwn(EASINGS, easing)) {
+      throw new Error(`Unknown easing "${easing}" (expected one of ${Object.keys(EASINGS).join(', ')})`);
+    }
+    const keyframe = { time, value: copyValue(this.kind, value, this.limits), easing };
+
+    this.removeKeyframe(time);
+    const index = this.keyframes.findIndex(existing => existing.time > time);
+    this.keyframes.splice(index === -1 ? this.keyframes.length : index, 0, keyframe);
+    return this;
+  }
+
+  /**
+   * Remove the keyframe at a time
+   * @param {number} time - Time of the keyframe in seconds
+   * @returns {boolean} Whether a keyframe was removed
+   */
+  removeKeyframe(time) {
+    const index = this.keyframes.findIndex(keyframe => Math.abs(keyframe.time - time) < 1e-9);
+    if (index === -1) {
+      return false;
+    }
+    this.keyframes.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Get the value at a time. Before the first and after the last keyframe
+   * the value holds.
+   * @param {number} time - Time in seconds
+   * @returns {number|Vector3|Object|null} A new value, or null if the track has no keyframes
+   */
+  evaluate(time) {
+    const { keyframes, kind } = this;
+    if (keyframes.length === 0) {
+      return null;
+    }
+    const next = keyframes.findIndex(keyframe => keyframe.time > time);
+    if (next === 0) {
+      return copyValue(kind, keyframes[0].value);
+    }
+    if (next === -1) {
+      return copyValue(kind, keyframes[keyframes.length - 1].value);
+    }
+
+    const from = keyframes[next - 1];
+    const to = keyframes[next];
+    const t = EASINGS[from.easing]((time - from.time) / (to.time - from.time));
+    return interpolate(kind, from.value, to.value, t);
+  }
+}
+
+/**
+ * Property tracks for the objects and lights of a scene
+ */
+export class Timeline {
+  /**
+   * Create an empty timeline
+   * @param {Object} options - Timeline options
+   * @param {number} options.duration - Length in seconds, e.g. for a scrubber (default: 5)
+   */
+  constructor(options = {}) {
+    this.duration = options.duration ?? 5;
+    this.tracks = [];
+  }
+
+  /**
+   * Get the track of a property
+   * @param {string} target - SceneManager ID of the object or light
+   * @param {string} property - Animated property
+   * @returns {Track|null} The track, or null if the property is not animated
+   */
+  getTrack(target, property) {
+    return this.tracks.find(track => track.target === target && track.property === property) || null;
+  }
+
+  /**
+   * Get the track of a property, creating it if needed
+   * @param {string} target - SceneManager ID of the object or light
+   * @param {string} property - Property to animate (a key of TRACK_PROPERTIES)
+   * @returns {Track} The track
+   * @throws {Error} If the property cannot be animated
+   */
+  addTrack(target, property) {
+    let track = this.getTrack(target, property);
+    if (!track) {
+      track = new Track(target, property);
+      this.tracks.push(track);
+    }
+    return track;
+  }
+
+  /**
+   * Stop animating a property
+   * @param {string} target - SceneManager ID of the object or light
+   * @param {string} property - Animated property
+   * @returns {boolean} Whether a track was removed
+   */
+  removeTrack(target, property) {
+    const track = this.getTrack(target, property);
+    if (!track) {
+      return false;
+    }
+    this.tracks.splice(this.tracks.indexOf(track), 1);
+    return true;
+  }
+
+  /**
+   * Set a property's value at a time
+   * @param {string} target - SceneManager ID of the object or light
+   * @param {string} property - Property to animate (a key of TRACK_PROPERTIES)
+   * @param {number} time - Time in seconds
+   * @param {*} value - Value for the property
+   * @param {string} easing - Easing towards the next keyframe (default: 'linear')
+   * @returns {Timeline} This timeline, for chaining
+   * @throws {Error} If the property cannot be animated or the keyframe is invalid
+   */
+  setKeyframe(target, property, time, value, easing = 'linear') {
+    this.addTrack(target, property).setKeyframe(time, value, easing);
+    return this;
+  }
+
+  /**
+   * Key the current values of every animatable property of an object or light
+   * @param {SceneManager} sceneManager - Scene manager holding the object or light
+   * @param {string} target - SceneManager ID of the object or light
+   * @param {number} time - Time in seconds
+   * @param {string} easing - Easing towards the next keyframe (default: 'linear')
+   * @returns {Array<string>} The properties keyed; empty if there is no such object or light
+   */
+  recordKeyframes(sceneManager, target, time, easing = 'linear') {
+    const object = sceneManager.getObject(target);
+    const light = object ? null : sceneManager.getLight(target);
+    const keyed = [];
+    for (const [property, definition] of Object.entries(TRACK_PROPERTIES)) {
+      const owner = definition.target === 'light' ? light : object;
+      if (!owner || !this._animates(definition, owner)) {
+        continue;
+      }
+      this.setKeyframe(target, property, time, definition.read(owner), easing);
+      keyed.push(property);
+    }
+    return keyed;
+  }
+
+  /**
+   * Check whether an object or light has a property
+   * @param {Object} definition - Entry of TRACK_PROPERTIES
+   * @param {Object} owner - Object or light
+   * @returns {boolean} True if the property can be read and applied
+   * @private
+   */
+  _animates(definition, owner) {
+    if (definition.target === 'light') {
+      return true;
+    }
+    if (definition.objectTypes) {
+      const type = owner instanceof Sphere ? 'sphere' : owner instanceof Plane ? 'plane' : null;
+      return definition.objectTypes.includes(type);
+    }
+    return Boolean(owner.material);
+  }
+
+  /**
+   * Get every track's value at a time
+   * @param {number} time - Time in seconds
+   * @returns {Array<{target: string, property: string, value: *}>} Values of the tracks with keyframes
+   */
+  evaluate(time) {
+    return this.tracks
+      .filter(track => track.keyframes.length > 0)
+      .map(track => ({ target: track.target, property: track.property, value: track.evaluate(time) }));
+  }
+
+  /**
+   * Set the scene to its state at a time
+   * @param {SceneManager} sceneManager - Scene manager to update
+   * @param {number} time - Time in seconds
+   * @returns {Array<string>} Tracks that could not be applied (e.g. "obj_4.radius" after the
+   * object was removed)
+   */
+  apply(sceneManager, time) {
+    const skipped = [];
+    for (const { target, property, value } of this.evaluate(time)) {
+      if (!TRACK_PROPERTIES[property].apply(sceneManager, target, value)) {
+        skipped.push(`${target}.${property}`);
+      }
+    }
+    return skipped;
+  }
+
+  /**
+   * Set the scene to its state at the start of an interval, and give every
+   * object with a position track the motion it makes during the interval,
+   * sampled at evenly spaced times. Objects that do not move during the
+   * interval (or all of them, for an empty interval) have their motion
+   * cleared; apply leaves motions alone.
+   * @param {SceneManager} sceneManager - Scene manager to update
+   * @param {number} startTime - Start of the interval in seconds (e.g. the camera's shutterOpen)
+   * @param {number} endTime - End of the interval in seconds (e.g. the camera's shutterClose)
+   * @param {number} steps - Linear pieces of each motion (default: 8)
+   * @returns {Array<string>} Tracks that could not be applied, as for apply
+   */
+  applyInterval(sceneManager, startTime, endTime, steps = 8) {
+    const skipped = this.apply(sceneManager, startTime);
+    for (const track of this.tracks) {
+      if (track.property !== 'position' || track.keyframes.length === 0 || skipped.includes(`${track.target}.position`)) {
+        continue;
+      }
+
+      let motion = null;
+      if (endTime > startTime) {
+        const start = track.evaluate(startTime);
+        const sampled = new Motion();
+        let moves = false;
+        for (let step = 0; step <= steps; step++) {
+          const time = startTime + ((endTime - startTime) * step) / steps;
+          const offset = subtract(track.evaluate(time), start);
+          moves = moves || offset.x !== 0 || offset.y !== 0 || offset.z !== 0;
+          sampled.setKeyframe(time, offset);
+        }
+        motion = moves ? sampled : null;
+      }
+      if (sceneManager.getObject(track.target)?.motion !== motion) {
+        sceneManager.updateObjectMotion(track.target, motion);
+      }
+    }
+    return skipped;
+  }
+
+  /**
+   * Serialize the timeline to a JSON-compatible document
+   * @returns {Object} Timeline document
+   */
+  toJSON() {
+    return {
+      duration: this.duration,
+      tracks: this.tracks.map(track => ({
+        target: track.target,
+        property: track.property,
+        keyframes: track.keyframes.map(({ time, value, easing }) => ({
+          time,
+          value: track.kind === 'vector' ? [value.x, value.y, value.z] : value,
+          easing
+        }))
+      }))
+    };
+  }
+
+  /**
+   * Create a timeline from a document produced by toJSON
+   * @param {Object} data - Timeline document
+   * @returns {Timeline} The timeline
+   * @throws {Error} If a track or keyframe is invalid
+   */
+  static fromJSON(data) {
+    const timeline = new Timeline({ duration: data.duration });
+    for (const { target, property, keyframes } of data.tracks || []) {
+      const track = timeline.addTrack(target, property);
+      for (const { time, value, easing } of keyframes) {
+        track.setKeyframe(time, value, easing);
+      }
+    }
+    return timeline;
+  }
+}
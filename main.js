@@ -3,50 +3,76 @@
  * Initializes the UI and sets up event listeners for the interactive WebGPU raytracer.
  * This file handles the basic scaffolding for the preview (rasterization) and raytrace modes.
  */
-import { initializeGPU } from './js/gpu.js';
+import { enableDeviceRecovery } from './js/gpu.js';
+import { createPresenter } from './js/presenter.js';
 import { 
   renderPreview, 
   renderRaytrace, 
+  renderProgressive,
+  redrawLastFrame,
+  stopProgressive,
+  isProgressiveRendering,
+  getProgressiveRenderer,
+  getLastRenderStats,
   getCamera, 
   getSceneManager, 
   getScene,
   initSceneAndCamera 
 } from './js/renderer.js';
-import { Vector3 } from './js/math.js';
+import { Vector3, add, scale } from './js/math.js';
+import { OrbitController } from './js/orbit-controller.js';
 import { Material, Light, raytracingSettings } from './js/raytracer.js';
+import { Timeline, EASINGS } from './js/timeline.js';
+import { loadOBJ } from './js/obj-loader.js';
+import { loadGLTF } from './js/gltf-loader.js';
+import { formatRenderStats } from './js/render-stats.js';
+import { DEFAULT_TARGET_PASSES } from './js/progressive-renderer.js';
 
 document.addEventListener('DOMContentLoaded', async () => {
   // UI Elements
   const previewButton = document.getElementById('previewButton');
   const raytraceButton = document.getElementById('raytraceButton');
+  const progressiveButton = document.getElementById('progressiveButton');
+  const cancelButton = document.getElementById('cancelButton');
+  const renderProgress = document.getElementById('renderProgress');
+  const renderProgressBar = document.getElementById('renderProgressBar');
+  const renderProgressText = document.getElementById('renderProgressText');
+  const statsTable = document.getElementById('statsTable');
   const canvas = document.getElementById('canvas');
   const statusElement = document.getElementById('status');
   
   // Initialize scene and camera
   initSceneAndCamera();
   
+  // Animation of the scene content, and the object last clicked in the view for keying it
+  let timeline = new Timeline();
+  let pickedId = null;
+  let timelinePlaying = false;
+  
   // Create controls panel
   createControlsPanel();
   
+  // Orbit controller while the camera is in orbit mode, null for first-person controls
+  let orbitController = null;
+  
   // Initialize key and mouse event handlers for camera control
   initCameraControls(canvas);
   
-  // Store GPU context for reuse
-  let gpuContext = null;
+  // Store the presenter (WebGPU or Canvas 2D) for reuse
+  let presenter = null;
 
   // Update the status to show loading
   updateStatus('Initializing GPU and rendering preview...');
   
-  // Automatically initialize GPU and render the preview when page loads
+  // Automatically set up the canvas and render the preview when page loads
   try {
-    // Initialize GPU
-    gpuContext = await getGPUContext();
-    if (gpuContext) {
+    presenter = await getPresenter();
+    if (presenter) {
       // Render the preview automatically
-      await renderPreview(gpuContext);
-      updateStatus('Preview loaded. Use controls to interact with the scene.');
-    } else {
-      updateStatus('Failed to initialize GPU. Please check if your browser supports WebGPU.');
+      await renderPreview(presenter);
+      updateStatus(presenter.gpu
+        ? 'Preview loaded. Use controls to interact with the scene.'
+        : `WebGPU is not available (${presenter.reason}); previewing and raytracing on the CPU.`);
     }
   } catch (error) {
     console.error('Auto-preview error:', error);
@@ -54,20 +80,40 @@ document.addEventListener('DOMContentLoaded', async () => {
   }
 
   /**
-   * Initializes the GPU if not already initialized.
-   * @returns {Promise<Object>} - The GPU context information
+   * Sets up the presenter for the canvas if not already done: WebGPU when
+   * available, Canvas 2D otherwise.
+   * @returns {Promise<WebGPUPresenter|Canvas2DPresenter|null>} - The presenter, or null if the canvas cannot be drawn on
    */
-  async function getGPUContext() {
-    if (!gpuContext) {
-      gpuContext = await initializeGPU(canvas);
-      
-      if (gpuContext.error) {
-        console.error(gpuContext.error);
-        alert(`WebGPU initialization failed: ${gpuContext.error}`);
+  async function getPresenter() {
+    if (!presenter) {
+      try {
+        presenter = await createPresenter(canvas);
+      } catch (error) {
+        console.error(error);
+        updateStatus(`Cannot draw on the canvas: ${error.message}`);
         return null;
       }
+      
+      if (presenter.gpu) {
+        // Set the GPU up again if the device is lost, e.g. after a driver reset
+        const lostPresenter = presenter;
+        enableDeviceRecovery(presenter.gpu, canvas, {
+          onStatus: updateStatus,
+          onRecovered: () => redrawLastFrame(lostPresenter),
+          onFailed: () => {
+            // Start from scratch on the next render
+            presenter = null;
+          }
+        });
+      } else {
+        // The compute raytracer needs WebGPU
+        const gpuOption = document.querySelector('#raytraceBackend option[value="gpu"]');
+        if (gpuOption) {
+          gpuOption.disabled = true;
+        }
+      }
     }
-    return gpuContext;
+    return presenter;
   }
   
   /**
@@ -96,8 +142,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     const cameraSection = document.createElement('div');
     cameraSection.innerHTML = `
       <h4>Camera Controls</h4>
-      <p>WASD: Move camera | Arrow keys: Rotate camera</p>
+      <p>First person: WASD to move, arrow keys or drag to rotate</p>
+      <p>Orbit: drag or arrow keys to rotate, Shift+drag or A/D to pan, wheel or W/S to zoom</p>
       <div>
+        <label for="cameraMode">Mode:</label>
+        <select id="cameraMode">
+          <option value="firstPerson">First person</option>
+          <option value="orbit">Orbit</option>
+        </select>
         <button id="resetCameraButton">Reset Camera</button>
       </div>
     `;
@@ -112,6 +164,15 @@ document.addEventListener('DOMContentLoaded', async () => {
         <button id="clearSceneButton">Clear Scene</button>
         <button id="defaultSceneButton">Reset to Cornell Box</button>
       </div>
+      <div style="margin-top: 5px;">
+        <button id="saveSceneButton">Save Scene</button>
+        <label for="loadSceneInput">Load Scene:</label>
+        <input type="file" id="loadSceneInput" accept=".json,application/json">
+      </div>
+      <div style="margin-top: 5px;">
+        <label for="importModelInput">Import model (OBJ + MTL, glTF/GLB + resources):</label>
+        <input type="file" id="importModelInput" accept=".obj,.mtl,.gltf,.glb,.bin,.png,.jpg,.jpeg" multiple>
+      </div>
     `;
     controlsPanel.appendChild(sceneSection);
     
@@ -192,20 +253,112 @@ document.addEventListener('DOMContentLoaded', async () => {
       </div>
     `;
     controlsPanel.appendChild(lightingSection);
+    
+    // Add animation timeline section
+    const animationSection = document.createElement('div');
+    animationSection.innerHTML = `
+      <h4>Animation</h4>
+      <p>Click an object in the view to pick it, then key its position, size and color at the current time.</p>
+      <div style="margin-bottom: 10px;">
+        <label for="timelineScrubber">Time: <span id="timelineTime">0.00</span> s</label>
+        <input type="range" id="timelineScrubber" min="0" max="${timeline.duration}" step="0.01" value="0" style="width: 100%;">
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="timelineDuration">Duration (s):</label>
+        <input type="number" id="timelineDuration" min="0.1" step="0.5" value="${timeline.duration}" style="width: 60px;">
+        <label for="keyframeEasing">Easing:</label>
+        <select id="keyframeEasing">
+          ${Object.keys(EASINGS).map(easing => `<option value="${easing}">${easing}</option>`).join('')}
+        </select>
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="shutterTime">Shutter (s):</label>
+        <input type="number" id="shutterTime" min="0" step="0.05" value="0" style="width: 60px;">
+        <small>moving objects blur in progressive renders</small>
+      </div>
+      <div>
+        <button id="keyObjectButton">Key Picked Object</button>
+        <button id="keyLightButton">Key Main Light</button>
+        <button id="playTimelineButton">Play</button>
+      </div>
+    `;
+    controlsPanel.appendChild(animationSection);
 
     // Add raytracing settings section
     const settingsSection = document.createElement('div');
     settingsSection.innerHTML = `
       <h4>Raytracing Settings</h4>
+      <div style="margin-bottom: 10px;">
+        <label for="raytraceBackend">Raytracer:</label>
+        <select id="raytraceBackend">
+          <option value="cpu">CPU (Web Workers)</option>
+          <option value="gpu">GPU (WebGPU compute, spheres and planes)</option>
+        </select>
+      </div>
       <div style="margin-bottom: 10px;">
         <label for="maxReflectionDepth">Max Reflection Depth:</label>
         <input type="range" id="maxReflectionDepth" min="1" max="10" step="1" value="3" style="width: 100%;">
       </div>
+      <div style="margin-bottom: 10px;">
+        <label for="maxRefractionDepth">Max Refraction Depth:</label>
+        <input type="range" id="maxRefractionDepth" min="1" max="10" step="1" value="${raytracingSettings.maxRefractionDepth}" style="width: 100%;">
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="maxDepth">Max Total Depth:</label>
+        <input type="range" id="maxDepth" min="1" max="20" step="1" value="${raytracingSettings.maxDepth}" style="width: 100%;">
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="progressiveSamples">Progressive samples per pixel (0 = unlimited):</label>
+        <input type="number" id="progressiveSamples" min="0" step="1" value="${DEFAULT_TARGET_PASSES}" style="width: 60px;">
+      </div>
       <div>
         <label>
           <input type="checkbox" id="enableRefractionCheckbox" checked> Enable Refraction
         </label>
       </div>
+      <div>
+        <label>
+          <input type="checkbox" id="russianRouletteCheckbox"> Russian Roulette (end faint paths early)
+        </label>
+      </div>
+      <h4>Depth of Field</h4>
+      <p>Blur shows in progressive renders, which average many lens samples.</p>
+      <div style="margin-bottom: 10px;">
+        <label for="apertureSlider">Aperture:</label>
+        <input type="range" id="apertureSlider" min="0" max="0.5" step="0.01" value="0" style="width: 100%;">
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="focusDistance">Focus distance:</label>
+        <input type="number" id="focusDistance" min="0.1" step="0.1" value="1" style="width: 60px;">
+        <button id="autofocusButton">Autofocus</button>
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="apertureBlades">Aperture shape:</label>
+        <select id="apertureBlades">
+          <option value="0">Round</option>
+          <option value="5">5 blades</option>
+          <option value="6">6 blades</option>
+          <option value="8">8 blades</option>
+        </select>
+      </div>
+      <h4>Projection</h4>
+      <div style="margin-bottom: 10px;">
+        <label for="projectionSelect">Projection:</label>
+        <select id="projectionSelect">
+          <option value="perspective">Perspective</option>
+          <option value="orthographic">Orthographic</option>
+          <option value="fisheye">Fisheye</option>
+          <option value="equirectangular">Equirectangular (360°)</option>
+        </select>
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="viewWidth">Orthographic view width:</label>
+        <input type="number" id="viewWidth" min="0.1" step="0.5" value="10" style="width: 60px;">
+      </div>
+      <div style="margin-bottom: 10px;">
+        <label for="fisheyeFov">Fisheye field of view (degrees):</label>
+        <input type="number" id="fisheyeFov" min="1" max="360" step="5" value="180" style="width: 60px;">
+      </div>
     `;
     controlsPanel.appendChild(settingsSection);
     
@@ -224,9 +377,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Add event listeners for the control buttons
     document.getElementById('resetCameraButton').addEventListener('click', resetCamera);
+    document.getElementById('cameraMode').addEventListener('change', setCameraMode);
     document.getElementById('addSphereButton').addEventListener('click', addRandomSphere);
     document.getElementById('clearSceneButton').addEventListener('click', clearScene);
     document.getElementById('defaultSceneButton').addEventListener('click', resetToCornellBox);
+    document.getElementById('importModelInput').addEventListener('change', importModel);
+    document.getElementById('saveSceneButton').addEventListener('click', saveScene);
+    document.getElementById('loadSceneInput').addEventListener('change', loadScene);
     
     // Add event listeners for lighting controls
     document.getElementById('lightIntensity').addEventListener('input', updateMainLight);
@@ -235,6 +392,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     document.getElementById('addLightButton').addEventListener('click', addRandomLight);
     document.getElementById('toggleShadowsButton').addEventListener('click', toggleShadows);
     
+    // Add event listeners for the animation timeline
+    document.getElementById('timelineScrubber').addEventListener('input', scrubTimeline);
+    document.getElementById('timelineDuration').addEventListener('change', setTimelineDuration);
+    document.getElementById('shutterTime').addEventListener('change', setShutterTime);
+    document.getElementById('keyObjectButton').addEventListener('click', keyPickedObject);
+    document.getElementById('keyLightButton').addEventListener('click', keyMainLight);
+    document.getElementById('playTimelineButton').addEventListener('click', toggleTimelinePlayback);
+    
     // Add event listeners for material editor
     document.getElementById('objectSelector').addEventListener('change', selectObject);
     document.getElementById('applyMaterialButton').addEventListener('click', applyMaterial);
@@ -242,7 +407,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Add event listeners for raytracing settings
     document.getElementById('maxReflectionDepth').addEventListener('input', updateRaytracingSettings);
+    document.getElementById('maxRefractionDepth').addEventListener('input', updateRaytracingSettings);
+    document.getElementById('maxDepth').addEventListener('input', updateRaytracingSettings);
+    document.getElementById('russianRouletteCheckbox').addEventListener('change', updateRaytracingSettings);
     document.getElementById('enableRefractionCheckbox').addEventListener('change', updateRaytracingSettings);
+    document.getElementById('progressiveSamples').addEventListener('change', updateProgressiveTarget);
+    
+    // Add event listeners for depth of field
+    document.getElementById('apertureSlider').addEventListener('input', updateLens);
+    document.getElementById('focusDistance').addEventListener('change', updateLens);
+    document.getElementById('apertureBlades').addEventListener('change', updateLens);
+    document.getElementById('autofocusButton').addEventListener('click', autofocus);
+    document.getElementById('projectionSelect').addEventListener('change', updateProjection);
+    document.getElementById('viewWidth').addEventListener('change', updateProjection);
+    document.getElementById('fisheyeFov').addEventListener('change', updateProjection);
   }
   
   /**
@@ -292,11 +470,13 @@ document.addEventListener('DOMContentLoaded', async () => {
     
     // Mouse movement for first-person camera control
     let isMouseDown = false;
+    let dragged = false;
     let lastMouseX = 0;
     let lastMouseY = 0;
     
     canvas.addEventListener('mousedown', (e) => {
       isMouseDown = true;
+      dragged = false;
       lastMouseX = e.clientX;
       lastMouseY = e.clientY;
     });
@@ -311,14 +491,27 @@ document.addEventListener('DOMContentLoaded', async () => {
         const deltaX = e.clientX - lastMouseX;
         const deltaY = e.clientY - lastMouseY;
         
-        // Pan left/right
-        if (deltaX !== 0) {
-          camera.pan(-deltaX * 0.5);
+        if (deltaX !== 0 || deltaY !== 0) {
+          dragged = true;
         }
         
-        // Tilt up/down
-        if (deltaY !== 0) {
-          camera.tilt(-deltaY * 0.5);
+        if (orbitController && e.shiftKey) {
+          // Move the target with the cursor, faster when far away
+          const panScale = orbitController.distance * 0.002;
+          orbitController.pan(-deltaX * panScale, deltaY * panScale);
+        } else if (orbitController) {
+          // Turn the scene with the cursor
+          orbitController.rotate(-deltaX * 0.5, deltaY * 0.5);
+        } else {
+          // Pan left/right
+          if (deltaX !== 0) {
+            camera.pan(-deltaX * 0.5);
+          }
+          
+          // Tilt up/down
+          if (deltaY !== 0) {
+            camera.tilt(-deltaY * 0.5);
+          }
         }
         
         lastMouseX = e.clientX;
@@ -329,6 +522,22 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
     });
     
+    // The mouse wheel zooms in orbit mode by moving the camera towards the target
+    canvas.addEventListener('wheel', (e) => {
+      if (orbitController) {
+        e.preventDefault();
+        orbitController.dolly(Math.exp(e.deltaY * 0.001));
+        updatePreview();
+      }
+    }, { passive: false });
+    
+    // A click without dragging picks the object under the cursor
+    canvas.addEventListener('click', (e) => {
+      if (!dragged) {
+        pickObjectAt(canvas, e);
+      }
+    });
+    
     // Set up animation loop for smooth camera movement
     function updateCamera() {
       const camera = getCamera();
@@ -336,17 +545,31 @@ document.addEventListener('DOMContentLoaded', async () => {
       const rotateSpeed = 2;
       let needsUpdate = false;
       
-      // Handle movement
-      if (keys.w) { camera.moveForward(moveSpeed); needsUpdate = true; }
-      if (keys.s) { camera.moveForward(-moveSpeed); needsUpdate = true; }
-      if (keys.a) { camera.moveRight(-moveSpeed); needsUpdate = true; }
-      if (keys.d) { camera.moveRight(moveSpeed); needsUpdate = true; }
-      
-      // Handle rotation
-      if (keys.arrowUp) { camera.tilt(rotateSpeed); needsUpdate = true; }
-      if (keys.arrowDown) { camera.tilt(-rotateSpeed); needsUpdate = true; }
-      if (keys.arrowLeft) { camera.pan(rotateSpeed); needsUpdate = true; }
-      if (keys.arrowRight) { camera.pan(-rotateSpeed); needsUpdate = true; }
+      if (orbitController) {
+        // Zoom and move the target
+        if (keys.w) { orbitController.dolly(1 - moveSpeed / 5); needsUpdate = true; }
+        if (keys.s) { orbitController.dolly(1 + moveSpeed / 5); needsUpdate = true; }
+        if (keys.a) { orbitController.pan(-moveSpeed, 0); needsUpdate = true; }
+        if (keys.d) { orbitController.pan(moveSpeed, 0); needsUpdate = true; }
+        
+        // Rotate around the target
+        if (keys.arrowUp) { orbitController.rotate(0, rotateSpeed); needsUpdate = true; }
+        if (keys.arrowDown) { orbitController.rotate(0, -rotateSpeed); needsUpdate = true; }
+        if (keys.arrowLeft) { orbitController.rotate(rotateSpeed, 0); needsUpdate = true; }
+        if (keys.arrowRight) { orbitController.rotate(-rotateSpeed, 0); needsUpdate = true; }
+      } else {
+        // Handle movement
+        if (keys.w) { camera.moveForward(moveSpeed); needsUpdate = true; }
+        if (keys.s) { camera.moveForward(-moveSpeed); needsUpdate = true; }
+        if (keys.a) { camera.moveRight(-moveSpeed); needsUpdate = true; }
+        if (keys.d) { camera.moveRight(moveSpeed); needsUpdate = true; }
+        
+        // Handle rotation
+        if (keys.arrowUp) { camera.tilt(rotateSpeed); needsUpdate = true; }
+        if (keys.arrowDown) { camera.tilt(-rotateSpeed); needsUpdate = true; }
+        if (keys.arrowLeft) { camera.pan(rotateSpeed); needsUpdate = true; }
+        if (keys.arrowRight) { camera.pan(-rotateSpeed); needsUpdate = true; }
+      }
       
       // Update preview if camera changed
       if (needsUpdate) {
@@ -365,25 +588,55 @@ document.addEventListener('DOMContentLoaded', async () => {
    * Update the preview rendering (used after camera/scene changes)
    */
   async function updatePreview() {
-    const gpu = await getGPUContext();
-    if (gpu) {
-      await renderPreview(gpu);
+    const currentPresenter = await getPresenter();
+    if (currentPresenter) {
+      await renderPreview(currentPresenter);
     }
   }
   
+  /**
+   * Let change listeners (e.g. progressive rendering) know that the scene was
+   * edited in place, then update the preview
+   */
+  function sceneEdited() {
+    getSceneManager().notifyChange();
+    updatePreview();
+  }
+  
   /**
    * Reset the camera to its default position
    */
   function resetCamera() {
     const camera = getCamera();
+    const target = new Vector3(0, 0, 5);
     camera.position = new Vector3(0, 0, -3);
-    camera.direction = normalize(new Vector3(0, 0, 1));
-    camera.right = new Vector3(1, 0, 0);
-    camera.up = new Vector3(0, 1, 0);
+    camera.lookAt(target);
+    if (orbitController) {
+      orbitController.setTarget(target);
+    }
     updatePreview();
     updateStatus('Camera reset to default position');
   }
   
+  /**
+   * Switch between first-person and orbit camera controls. Orbiting starts
+   * around the object in the center of the view, or a point in front of the
+   * camera when there is none.
+   */
+  function setCameraMode() {
+    const camera = getCamera();
+    if (document.getElementById('cameraMode').value !== 'orbit') {
+      orbitController = null;
+      updateStatus('First-person camera controls');
+      return;
+    }
+    
+    const picked = getSceneManager().pickObject(camera, canvas.width / 2, canvas.height / 2, canvas.width, canvas.height);
+    orbitController = new OrbitController(camera, { target: picked ? picked.intersection.point : undefined });
+    updatePreview();
+    updateStatus(`Orbiting at distance ${orbitController.distance.toFixed(2)}`);
+  }
+  
   /**
    * Add a random sphere to the scene
    */
@@ -421,6 +674,7 @@ document.addEventListener('DOMContentLoaded', async () => {
   function clearScene() {
     const sceneManager = getSceneManager();
     sceneManager.clearScene();
+    setTimeline(new Timeline());
     updatePreview();
     updateStatus('Scene cleared');
   }
@@ -431,10 +685,178 @@ document.addEventListener('DOMContentLoaded', async () => {
   function resetToCornellBox() {
     const sceneManager = getSceneManager();
     sceneManager.createCornellBox();
+    setTimeline(new Timeline());
     updatePreview();
     updateStatus('Reset to Cornell box scene');
   }
   
+  /**
+   * Copy the viewpoint, field of view, lens and projection of a loaded camera
+   * onto the active camera and its controls (the aspect ratio stays matched
+   * to the canvas)
+   * @param {Camera} source - Camera to copy from
+   */
+  function applyCamera(source) {
+    const camera = getCamera();
+    camera.position = source.position;
+    camera.setOrientation(source.orientation);
+    camera.setFov(source.fov);
+    camera.aperture = source.aperture;
+    camera.focusDistance = source.focusDistance;
+    camera.apertureBlades = source.apertureBlades;
+    camera.projection = source.projection;
+    camera.viewWidth = source.viewWidth;
+    camera.fisheyeFov = source.fisheyeFov;
+    camera.shutterOpen = source.shutterOpen;
+    camera.shutterClose = source.shutterClose;
+    
+    document.getElementById('apertureSlider').value = camera.aperture;
+    document.getElementById('focusDistance').value = camera.focusDistance;
+    document.getElementById('apertureBlades').value = camera.apertureBlades;
+    document.getElementById('projectionSelect').value = camera.projection;
+    document.getElementById('viewWidth').value = camera.viewWidth;
+    document.getElementById('fisheyeFov').value = camera.fisheyeFov;
+    document.getElementById('shutterTime').value = camera.shutterClose - camera.shutterOpen;
+    
+    // Keep orbiting at the same distance, around the point the camera now looks at
+    if (orbitController) {
+      orbitController.setTarget(add(camera.position, scale(camera.direction, orbitController.distance)));
+    }
+  }
+  
+  /**
+   * Download the current scene, camera, render settings and animation timeline as a JSON file
+   */
+  function saveScene() {
+    const data = getSceneManager().toJSON({ camera: getCamera(), settings: raytracingSettings, timeline });
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = 'scene.json';
+    link.click();
+    URL.revokeObjectURL(url);
+    
+    updateStatus(`Saved scene (${data.objects.length} objects, ${data.lights.length} lights)`);
+  }
+  
+  /**
+   * Load a scene saved with saveScene, restoring the camera, render settings and animation timeline
+   * @param {Event} event - Change event from the file input
+   */
+  async function loadScene(event) {
+    const file = event.target.files[0];
+    if (!file) {
+      return;
+    }
+    
+    try {
+      const { camera, settings, timeline: loadedTimeline, warnings } = getSceneManager().fromJSON(await file.text());
+      
+      setTimeline(loadedTimeline || new Timeline());
+      if (camera) {
+        applyCamera(camera);
+      }
+      if (settings) {
+        Object.assign(raytracingSettings, settings);
+        document.getElementById('maxReflectionDepth').value = raytracingSettings.maxReflectionDepth;
+        document.getElementById('maxRefractionDepth').value = raytracingSettings.maxRefractionDepth;
+        document.getElementById('maxDepth').value = raytracingSettings.maxDepth;
+        document.getElementById('russianRouletteCheckbox').checked = raytracingSettings.russianRoulette;
+        document.getElementById('enableRefractionCheckbox').checked = raytracingSettings.enableRefraction;
+      }
+      warnings.forEach(warning => console.warn(`Scene load: ${warning}`));
+      
+      updatePreview();
+      updateStatus(`Loaded ${file.name}${warnings.length > 0 ? ` with ${warnings.length} warning(s), see console` : ''}`);
+    } catch (error) {
+      console.error('Scene load failed:', error);
+      updateStatus(`Scene load failed: ${error.message}`);
+    }
+    
+    event.target.value = '';
+  }
+  
+  /**
+   * Import the model chosen in the file input (OBJ with MTL files, or glTF/GLB
+   * with its external buffers and images)
+   * @param {Event} event - Change event from the file input
+   */
+  async function importModel(event) {
+    const files = Array.from(event.target.files);
+    const hasExtension = (file, ...extensions) =>
+      extensions.some(extension => file.name.toLowerCase().endsWith(extension));
+    const gltfFile = files.find(file => hasExtension(file, '.gltf', '.glb'));
+    const objFile = files.find(file => hasExtension(file, '.obj'));
+    
+    try {
+      if (gltfFile) {
+        await importGLTFFile(gltfFile, files.filter(file => file !== gltfFile));
+      } else if (objFile) {
+        await importOBJFile(objFile, files.filter(file => hasExtension(file, '.mtl')));
+      } else {
+        updateStatus('Select an .obj, .gltf or .glb file to import');
+      }
+    } catch (error) {
+      console.error('Model import failed:', error);
+      updateStatus(`Model import failed: ${error.message}`);
+    }
+    
+    // Allow the same file to be imported again
+    event.target.value = '';
+  }
+  
+  /**
+   * Import an OBJ file with its material libraries
+   * @param {File} objFile - The OBJ file
+   * @param {Array<File>} mtlFiles - MTL files
+   */
+  async function importOBJFile(objFile, mtlFiles) {
+    const objSource = await objFile.arrayBuffer();
+    const mtl = await Promise.all(mtlFiles.map(file => file.arrayBuffer()));
+    const { ids, missingMaterials } = loadOBJ(getSceneManager(), objSource, { mtl });
+    
+    updatePreview();
+    let message = `Imported ${objFile.name} (${ids.length} mesh${ids.length === 1 ? '' : 'es'})`;
+    if (missingMaterials.length > 0) {
+      message += `; missing materials: ${missingMaterials.join(', ')}`;
+    }
+    updateStatus(message);
+  }
+  
+  /**
+   * Import a glTF/GLB file, using the other selected files as external resources.
+   * The first camera in the asset, if any, replaces the current view.
+   * @param {File} gltfFile - The .gltf or .glb file
+   * @param {Array<File>} resourceFiles - External buffers and images
+   */
+  async function importGLTFFile(gltfFile, resourceFiles) {
+    const resources = {};
+    for (const file of resourceFiles) {
+      resources[file.name] = await file.arrayBuffer();
+    }
+    
+    const camera = getCamera();
+    const result = await loadGLTF(getSceneManager(), await gltfFile.arrayBuffer(), {
+      resources,
+      aspectRatio: camera.aspectRatio
+    });
+    
+    if (result.camera) {
+      applyCamera(result.camera);
+    }
+    
+    result.warnings.forEach(warning => console.warn(`glTF import (${warning.path}): ${warning.message}`));
+    
+    updatePreview();
+    let message = `Imported ${gltfFile.name} (${result.ids.length} meshes, ${result.lights.length} lights)`;
+    if (result.warnings.length > 0) {
+      message += `; ${result.warnings.length} warning(s), see console`;
+    }
+    updateStatus(message);
+  }
+  
   /**
    * Update the status text
    * @param {string} message - Status message to display
@@ -462,9 +884,9 @@ document.addEventListener('DOMContentLoaded', async () => {
     previewButton.disabled = true;
     updateStatus('Rendering preview...');
     try {
-      const gpu = await getGPUContext();
-      if (gpu) {
-        await renderPreview(gpu);
+      const currentPresenter = await getPresenter();
+      if (currentPresenter) {
+        await renderPreview(currentPresenter);
         updateStatus('Preview render completed');
       }
     } catch (error) {
@@ -475,18 +897,97 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
   });
 
+  // Aborts the raytrace in progress when the Cancel button is clicked
+  let raytraceController = null;
+  
+  /**
+   * Show the progress of a raytrace in the progress bar
+   * @param {{progress: number, elapsed: number, eta: number}} progress - Progress reported by renderRaytrace
+   */
+  function showRenderProgress({ progress, elapsed, eta }) {
+    renderProgressBar.value = progress;
+    renderProgressText.textContent =
+      `${Math.floor(progress * 100)}% - ${(elapsed / 1000).toFixed(1)} s elapsed, about ${(eta / 1000).toFixed(1)} s left`;
+  }
+
+  /**
+   * Show render statistics in the stats panel
+   * @param {RenderStats} stats - Statistics to show
+   */
+  function showRenderStats(stats) {
+    statsTable.replaceChildren(...formatRenderStats(stats).map(([label, value]) => {
+      const row = document.createElement('tr');
+      const labelCell = document.createElement('td');
+      const valueCell = document.createElement('td');
+      labelCell.textContent = label;
+      valueCell.textContent = value;
+      row.append(labelCell, valueCell);
+      return row;
+    }));
+  }
+
   raytraceButton.addEventListener('click', async () => {
+    stopProgressive();
     raytraceButton.disabled = true;
+    raytraceController = new AbortController();
+    cancelButton.disabled = false;
+    renderProgressBar.value = 0;
+    renderProgressText.textContent = '';
+    renderProgress.style.visibility = 'visible';
     updateStatus('Starting raytracing...');
     try {
-      const gpu = await getGPUContext();
-      if (gpu) {
-        await renderRaytrace(gpu);
+      const currentPresenter = await getPresenter();
+      if (currentPresenter) {
+        await renderRaytrace(currentPresenter, {
+          backend: document.getElementById('raytraceBackend').value,
+          signal: raytraceController.signal,
+          onProgress: showRenderProgress
+        });
+        const stats = getLastRenderStats();
+        if (stats) {
+          showRenderStats(stats);
+        }
       }
     } catch (error) {
       console.error('Raytracing error:', error);
       updateStatus(`Error: ${error.message}`);
     } finally {
+      raytraceController = null;
+      cancelButton.disabled = true;
+      renderProgress.style.visibility = 'hidden';
+      raytraceButton.disabled = false;
+    }
+  });
+
+  cancelButton.addEventListener('click', () => {
+    if (raytraceController) {
+      raytraceController.abort();
+    }
+  });
+
+  progressiveButton.addEventListener('click', async () => {
+    if (isProgressiveRendering()) {
+      stopProgressive();
+      return;
+    }
+    
+    const currentPresenter = await getPresenter();
+    if (!currentPresenter) return;
+    
+    progressiveButton.textContent = 'Stop Progressive';
+    raytraceButton.disabled = true;
+    updateStatus('Starting progressive rendering...');
+    try {
+      await renderProgressive(currentPresenter, {
+        targetPasses: getProgressiveTarget(),
+        onPass: ({ renderStats }) => showRenderStats(renderStats)
+      });
+      updateStatus('Progressive rendering stopped');
+    } catch (error) {
+      console.error('Progressive rendering error:', error);
+      updateStatus(`Error: ${error.message}`);
+    } finally {
+      progressiveButton.textContent = 'Progressive Render';
       raytraceButton.disabled = false;
     }
   });
@@ -512,7 +1013,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       mainLight.intensity = intensityValue;
       mainLight.color = { r, g, b };
       
-      updatePreview();
+      sceneEdited();
       updateStatus(`Main light updated (intensity: ${intensityValue.toFixed(1)})`);
     } else {
       updateStatus('No lights found in scene');
@@ -533,7 +1034,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       
       secondaryLight.intensity = intensityValue;
       
-      updatePreview();
+      sceneEdited();
       updateStatus(`Secondary light updated (intensity: ${intensityValue.toFixed(1)})`);
     } else {
       updateStatus('No secondary light found in scene');
@@ -561,7 +1062,7 @@ document.addEventListener('DOMContentLoaded', async () => {
     const intensity = Math.random() * 0.5 + 0.5;
     
     // Add a new point light
-    scene.addLight(new Light('point', {
+    sceneManager.addLight(new Light('point', {
       position,
       color,
       intensity
@@ -571,6 +1072,152 @@ document.addEventListener('DOMContentLoaded', async () => {
     updateStatus(`Added light at position (${x.toFixed(1)}, ${y.toFixed(1)}, ${z.toFixed(1)})`);
   }
 
+  /**
+   * Replace the animation timeline, stopping playback and moving the scrubber back to the start
+   * @param {Timeline} newTimeline - The timeline to use
+   */
+  function setTimeline(newTimeline) {
+    timeline = newTimeline;
+    timelinePlaying = false;
+    document.getElementById('playTimelineButton').textContent = 'Play';
+    document.getElementById('timelineDuration').value = timeline.duration;
+    document.getElementById('timelineScrubber').max = timeline.duration;
+    setTimelineTime(0);
+  }
+  
+  /**
+   * Move the scrubber to a time
+   * @param {number} time - Time in seconds
+   */
+  function setTimelineTime(time) {
+    document.getElementById('timelineScrubber').value = time;
+    document.getElementById('timelineTime').textContent = time.toFixed(2);
+  }
+  
+  /**
+   * Get the time the scrubber is at
+   * @returns {number} Time in seconds
+   */
+  function getTimelineTime() {
+    return parseFloat(document.getElementById('timelineScrubber').value);
+  }
+  
+  /**
+   * Set the scene to its state at a time of the timeline and update the preview.
+   * The camera's shutter opens at that time, and objects moving while it is
+   * open get motion blur in raytraced images.
+   * @param {number} time - Time in seconds
+   */
+  async function showTimelineAt(time) {
+    const camera = getCamera();
+    const shutter = parseFloat(document.getElementById('shutterTime').value);
+    camera.shutterOpen = time;
+    camera.shutterClose = time + (shutter > 0 ? shutter : 0);
+    const skipped = timeline.applyInterval(getSceneManager(), camera.shutterOpen, camera.shutterClose);
+    if (skipped.length > 0) {
+      updateStatus(`Not animated (object or light missing): ${skipped.join(', ')}`);
+    }
+    await updatePreview();
+  }
+  
+  /**
+   * Show the scene at the time the scrubber was dragged to
+   */
+  function scrubTimeline() {
+    const time = getTimelineTime();
+    setTimelineTime(time);
+    showTimelineAt(time);
+  }
+  
+  /**
+   * Apply the shutter control, showing the scene at the scrubber's time again
+   */
+  function setShutterTime() {
+    const shutterInput = document.getElementById('shutterTime');
+    if (!(parseFloat(shutterInput.value) >= 0)) {
+      shutterInput.value = 0;
+    }
+    showTimelineAt(getTimelineTime());
+  }
+  
+  /**
+   * Apply the duration control to the timeline and the scrubber
+   */
+  function setTimelineDuration() {
+    const duration = parseFloat(document.getElementById('timelineDuration').value);
+    if (!(duration > 0)) {
+      document.getElementById('timelineDuration').value = timeline.duration;
+      return;
+    }
+    timeline.duration = duration;
+    document.getElementById('timelineScrubber').max = duration;
+    setTimelineTime(Math.min(getTimelineTime(), duration));
+  }
+  
+  /**
+   * Key the current state of an object or light at the scrubber's time
+   * @param {string} id - SceneManager ID of the object or light
+   * @param {string} name - Name for the status message
+   */
+  function keyTarget(id, name) {
+    const time = getTimelineTime();
+    const easing = document.getElementById('keyframeEasing').value;
+    const keyed = timeline.recordKeyframes(getSceneManager(), id, time, easing);
+    updateStatus(keyed.length > 0
+      ? `Keyed ${keyed.join(', ')} of ${name} at ${time.toFixed(2)} s`
+      : `${name} has nothing to animate`);
+  }
+  
+  /**
+   * Key the object last clicked in the view
+   */
+  function keyPickedObject() {
+    if (!pickedId || !getSceneManager().getObject(pickedId)) {
+      updateStatus('Click an object in the view to pick it first');
+      return;
+    }
+    keyTarget(pickedId, pickedId);
+  }
+  
+  /**
+   * Key the intensity of the main light (the first light in the scene)
+   */
+  function keyMainLight() {
+    const sceneManager = getSceneManager();
+    const lightId = getScene().lights.length > 0 ? sceneManager.getLightId(getScene().lights[0]) : null;
+    if (!lightId) {
+      updateStatus('No main light to key');
+      return;
+    }
+    keyTarget(lightId, 'main light');
+  }
+  
+  /**
+   * Play the timeline in a loop from the scrubber's time, or stop playing
+   */
+  function toggleTimelinePlayback() {
+    const playButton = document.getElementById('playTimelineButton');
+    timelinePlaying = !timelinePlaying;
+    playButton.textContent = timelinePlaying ? 'Pause' : 'Play';
+    if (!timelinePlaying) {
+      return;
+    }
+    
+    const startTime = getTimelineTime();
+    const startClock = performance.now();
+    const step = async () => {
+      if (!timelinePlaying) {
+        return;
+      }
+      const time = (startTime + (performance.now() - startClock) / 1000) % timeline.duration;
+      setTimelineTime(time);
+      // Wait for the preview so that slow frames are skipped rather than queued
+      await showTimelineAt(time);
+      requestAnimationFrame(step);
+    };
+    requestAnimationFrame(step);
+  }
+  
   /**
    * Toggle shadow rendering on/off
    */
@@ -583,14 +1230,98 @@ document.addEventListener('DOMContentLoaded', async () => {
     updatePreview();
   }
 
+  /**
+   * Read the number of passes progressive rendering accumulates from the UI
+   * @returns {number} Passes to accumulate, 0 for no limit
+   */
+  function getProgressiveTarget() {
+    return Math.max(0, parseInt(document.getElementById('progressiveSamples').value) || 0);
+  }
+
+  /**
+   * Apply the progressive sample target from the UI, also to a render in progress
+   */
+  function updateProgressiveTarget() {
+    const progressive = getProgressiveRenderer();
+    if (progressive) {
+      progressive.targetPasses = getProgressiveTarget();
+    }
+  }
+
   /**
    * Update raytracing settings based on UI
    */
   function updateRaytracingSettings() {
     raytracingSettings.maxReflectionDepth = parseInt(document.getElementById('maxReflectionDepth').value);
+    raytracingSettings.maxRefractionDepth = parseInt(document.getElementById('maxRefractionDepth').value);
+    raytracingSettings.maxDepth = parseInt(document.getElementById('maxDepth').value);
     raytracingSettings.enableRefraction = document.getElementById('enableRefractionCheckbox').checked;
+    raytracingSettings.russianRoulette = document.getElementById('russianRouletteCheckbox').checked;
+    
+    updateStatus(`Updated raytracing settings (Reflection Depth: ${raytracingSettings.maxReflectionDepth}, Refraction Depth: ${raytracingSettings.maxRefractionDepth}, Total Depth: ${raytracingSettings.maxDepth}, Refraction: ${raytracingSettings.enableRefraction ? 'On' : 'Off'}, Russian Roulette: ${raytracingSettings.russianRoulette ? 'On' : 'Off'})`);
+  }
+
+  /**
+   * Apply the depth of field controls to the camera
+   */
+  function updateLens() {
+    const camera = getCamera();
+    camera.aperture = parseFloat(document.getElementById('apertureSlider').value);
+    camera.focusDistance = Math.max(0.1, parseFloat(document.getElementById('focusDistance').value) || 1);
+    camera.apertureBlades = parseInt(document.getElementById('apertureBlades').value);
+    
+    updateStatus(camera.aperture > 0
+      ? `Depth of field: aperture ${camera.aperture.toFixed(2)}, focus distance ${camera.focusDistance.toFixed(2)}`
+      : 'Depth of field off (pinhole camera)');
+  }
+
+  /**
+   * Focus the camera on the object in the center of the view
+   */
+  function autofocus() {
+    const distance = getCamera().autofocus(getScene());
+    if (distance === null) {
+      updateStatus('Autofocus: nothing in the center of the view');
+      return;
+    }
+    document.getElementById('focusDistance').value = distance.toFixed(2);
+    updateStatus(`Focused at distance ${distance.toFixed(2)}`);
+  }
+
+  /**
+   * Apply the projection controls to the camera and update the preview
+   */
+  function updateProjection() {
+    const camera = getCamera();
+    camera.projection = document.getElementById('projectionSelect').value;
+    camera.viewWidth = Math.max(0.1, parseFloat(document.getElementById('viewWidth').value) || 10);
+    camera.fisheyeFov = Math.min(360, Math.max(1, parseFloat(document.getElementById('fisheyeFov').value) || 180));
+    
+    updatePreview();
+    updateStatus(camera.hasProjectionMatrix()
+      ? `${camera.projection} projection`
+      : `${camera.projection} projection (the preview is a coarse CPU raytrace)`);
+  }
+
+  /**
+   * Report the object under the mouse cursor
+   * @param {HTMLCanvasElement} canvas - The canvas that was clicked
+   * @param {MouseEvent} event - The click event
+   */
+  function pickObjectAt(canvas, event) {
+    // The canvas may be scaled by CSS, so convert to canvas pixels
+    const rect = canvas.getBoundingClientRect();
+    const x = (event.clientX - rect.left) * canvas.width / rect.width;
+    const y = (event.clientY - rect.top) * canvas.height / rect.height;
     
-    updateStatus(`Updated raytracing settings (Reflection Depth: ${raytracingSettings.maxReflectionDepth}, Refraction: ${raytracingSettings.enableRefraction ? 'On' : 'Off'})`);
+    const picked = getSceneManager().pickObject(getCamera(), x, y, canvas.width, canvas.height);
+    if (!picked) {
+      updateStatus('Nothing under the cursor');
+      return;
+    }
+    pickedId = picked.id;
+    const name = picked.id || 'unnamed object';
+    updateStatus(`Picked ${name} (${picked.object.constructor.name}) at distance ${picked.intersection.distance.toFixed(2)}`);
   }
 
   /**
@@ -734,7 +1465,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 { r: 1-r, g: 1-g, b: 1-b }, // Complementary color
                 5
               );
-              updatePreview();
+              sceneEdited();
             });
             break;
           case 'gradient':
@@ -744,7 +1475,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 { r: r*0.5, g: g*0.5, b: b*0.5 }, // Darker version
                 'vertical'
               );
-              updatePreview();
+              sceneEdited();
             });
             break;
           case 'marble':
@@ -754,7 +1485,7 @@ document.addEventListener('DOMContentLoaded', async () => {
                 { r: 1-r, g: 1-g, b: 1-b }, // Complementary color
                 10, 5
               );
-              updatePreview();
+              sceneEdited();
             });
             break;
         }
@@ -762,7 +1493,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         material.texture = null;
       }
       
-      updatePreview();
+      sceneEdited();
       updateStatus(`Applied material changes to ${objectId}`);
     }
   }
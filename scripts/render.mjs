@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Headless renderer
+ * Renders a saved scene file (see js/scene-serializer.js) to a PNG or PPM image
+ * using the CPU raytracer, without a browser. With a camera path file (see
+ * js/camera-path.js) or --turntable it renders an image sequence instead,
+ * following the scene's animation timeline if it has one.
+ *
+ * Usage:
+ *   node scripts/render.mjs scene.json -o out.png [--width 800] [--height 600] [--spp 1] [--seed 1]
+ *   node scripts/render.mjs scene.json -o frames/####.png --turntable [--frames 24]
+ *
+ * Exit codes: 0 on success, 1 for bad arguments or file errors, 2 for an invalid scene.
+ */
+import { readFile, writeFile, mkdir } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import { deflateSync } from 'zlib';
+import { Vector3 } from '../js/math.js';
+import { Scene, raytracingSettings } from '../js/raytracer.js';
+import { Camera } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { renderImage, renderSequence } from '../js/offline-renderer.js';
+import { CameraPath, createTurntablePath } from '../js/camera-path.js';
+import { RenderStats } from '../js/render-stats.js';
+import { encodePNG, encodePPM } from '../js/image-encoders.js';
+
+const USAGE = `Usage: render <scene.json> -o <out.png|out.ppm> [options]
+
+Options:
+  -o, --output <file>   Output image; the format is taken from the extension (.png or .ppm)
+  -w, --width <px>      Image width (default: 800)
+  -h, --height <px>     Image height (default: 600)
+  -s, --spp <n>         Samples per pixel (default: 1)
+      --seed <n>        Seed for the sample jitter (default: 1)
+      --path <file>     Render a sequence along the camera path in this JSON file
+      --turntable       Render a sequence circling the scene once
+      --frames <n>      Frames in the sequence (default: 24)
+      --help            Show this help
+
+Sequences number their frames from 1: a run of # in the output name is replaced
+by the zero-padded frame number (frames/####.png), otherwise the number is
+added before the extension (out.png becomes out-0001.png, out-0002.png, ...).`;
+
+// Same background as the browser renderer
+const BACKGROUND_COLOR = { r: 0.1, g: 0.1, b: 0.2 };
+
+const ENCODERS = {
+  '.png': (pixels, width, height) => encodePNG(pixels, width, height, { deflate: deflateSync }),
+  '.ppm': encodePPM
+};
+
+/**
+ * Parse a positive integer option
+ * @param {string|undefined} value - Option value
+ * @param {string} name - Option name for the error message
+ * @param {number} fallback - Value to use when the option is absent
+ * @returns {number} The parsed value
+ */
+function parsePositiveInteger(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new Error(`--${name} must be a positive integer, got "${value}"`);
+  }
+  return number;
+}
+
+/**
+ * Get the file name of a frame in a sequence
+ * @param {string} pattern - Output file name, optionally with a run of # for the frame number
+ * @param {number} frame - Frame number, counting from 1
+ * @returns {string} The frame's file name
+ */
+export function getFramePath(pattern, frame) {
+  const directory = path.dirname(pattern);
+  const base = path.basename(pattern);
+  const run = base.match(/#+/);
+  if (run) {
+    const name = base.replace(run[0], String(frame).padStart(run[0].length, '0'));
+    return path.join(directory, name);
+  }
+  const extension = path.extname(base);
+  return path.join(directory, `${path.basename(base, extension)}-${String(frame).padStart(4, '0')}${extension}`);
+}
+
+/**
+ * Create the camera used when the scene file does not include one. It
+ * matches the initial view of the browser app.
+ * @param {number} aspectRatio - Image aspect ratio
+ * @returns {Camera} The camera
+ */
+function createDefaultCamera(aspectRatio) {
+  return new Camera({
+    position: new Vector3(0, 0, -10),
+    lookAt: new Vector3(0, 0, 5),
+    up: new Vector3(0, 1, 0),
+    fov: 60,
+    aspectRatio
+  });
+}
+
+/**
+ * Run the render command
+ * @param {Array<string>} args - Command-line arguments (without node and the script)
+ * @param {Object} io - Output streams
+ * @param {{write: Function}} io.stdout - Stream for results
+ * @param {{write: Function}} io.stderr - Stream for errors, warnings and progress
+ * @returns {Promise<number>} The exit code
+ */
+export async function runRender(args, io = { stdout: process.stdout, stderr: process.stderr }) {
+  const { stdout, stderr } = io;
+
+  let options;
+  try {
+    const { values, positionals } = parseArgs({
+      args,
+      allowPositionals: true,
+      options: {
+        output: { type: 'string', short: 'o' },
+        width: { type: 'string', short: 'w' },
+        height: { type: 'string', short: 'h' },
+        spp: { type: 'string', short: 's' },
+        seed: { type: 'string' },
+        path: { type: 'string' },
+        turntable: { type: 'boolean' },
+        frames: { type: 'string' },
+        help: { type: 'boolean' }
+      }
+    });
+
+    if (values.help) {
+      stdout.write(`${USAGE}\n`);
+      return 0;
+    }
+    if (positionals.length !== 1) {
+      throw new Error('Expected exactly one scene file');
+    }
+    if (!values.output) {
+      throw new Error('Missing output file (-o)');
+    }
+
+    const extension = path.extname(values.output).toLowerCase();
+    if (!ENCODERS[extension]) {
+      throw new Error(`Unsupported output format "${extension || values.output}" (use .png or .ppm)`);
+    }
+
+    options = {
+      scenePath: positionals[0],
+      outputPath: values.output,
+      encode: ENCODERS[extension],
+      width: parsePositiveInteger(values.width, 'width', 800),
+      height: parsePositiveInteger(values.height, 'height', 600),
+      samplesPerPixel: parsePositiveInteger(values.spp, 'spp', 1),
+      seed: values.seed === undefined ? 1 : Number(values.seed),
+      cameraPathFile: values.path,
+      turntable: values.turntable || false,
+      frames: parsePositiveInteger(values.frames, 'frames', 24)
+    };
+    if (!Number.isInteger(options.seed)) {
+      throw new Error(`--seed must be an integer, got "${values.seed}"`);
+    }
+    if (options.cameraPathFile && options.turntable) {
+      throw new Error('Use either --path or --turntable, not both');
+    }
+    if (values.frames !== undefined && !options.cameraPathFile && !options.turntable) {
+      throw new Error('--frames needs --path or --turntable');
+    }
+  } catch (err) {
+    stderr.write(`render: ${err.message}\n\n${USAGE}\n`);
+    return 1;
+  }
+
+  let source;
+  try {
+    source = await readFile(options.scenePath, 'utf8');
+  } catch (err) {
+    stderr.write(`render: cannot read ${options.scenePath}: ${err.message}\n`);
+    return 1;
+  }
+
+  // Load the scene; invalid JSON and validation errors both land here
+  const sceneManager = new SceneManager(new Scene());
+  let loaded;
+  try {
+    loaded = sceneManager.fromJSON(source);
+  } catch (err) {
+    stderr.write(`render: invalid scene ${options.scenePath}: ${err.message}\n`);
+    return 2;
+  }
+  for (const warning of loaded.warnings) {
+    stderr.write(`render: warning: ${warning}\n`);
+  }
+
+  if (loaded.settings) {
+    Object.assign(raytracingSettings, loaded.settings);
+  }
+
+  const { width, height, samplesPerPixel, seed } = options;
+  const camera = loaded.camera || createDefaultCamera(width / height);
+  camera.aspectRatio = width / height;
+
+  // Show an animated scene as it is while the saved camera's shutter is open;
+  // sequences apply the timeline again at each frame's time
+  const { timeline } = loaded;
+  if (timeline) {
+    for (const track of timeline.applyInterval(sceneManager, camera.shutterOpen, camera.shutterClose)) {
+      stderr.write(`render: warning: ${track} is not animated (object or light missing)\n`);
+    }
+  }
+
+  let cameraPath = null;
+  if (options.cameraPathFile) {
+    let pathSource;
+    try {
+      pathSource = await readFile(options.cameraPathFile, 'utf8');
+    } catch (err) {
+      stderr.write(`render: cannot read ${options.cameraPathFile}: ${err.message}\n`);
+      return 1;
+    }
+    try {
+      cameraPath = CameraPath.fromJSON(pathSource);
+    } catch (err) {
+      stderr.write(`render: invalid camera path ${options.cameraPathFile}: ${err.message}\n`);
+      return 2;
+    }
+  } else if (options.turntable) {
+    try {
+      cameraPath = createTurntablePath(sceneManager.scene, { fov: camera.fov });
+    } catch (err) {
+      stderr.write(`render: cannot render a turntable of ${options.scenePath}: ${err.message}\n`);
+      return 2;
+    }
+  }
+
+  const startTime = performance.now();
+  let lastPercent = -1;
+  const stats = new RenderStats();
+  const renderOptions = {
+    width,
+    height,
+    samplesPerPixel,
+    seed,
+    backgroundColor: BACKGROUND_COLOR,
+    stats,
+    onProgress: (fraction) => {
+      const percent = Math.floor(fraction * 100);
+      if (percent !== lastPercent) {
+        lastPercent = percent;
+        stderr.write(`\rRendering... ${percent}%`);
+      }
+    }
+  };
+
+  let outputDescription = options.outputPath;
+  if (cameraPath) {
+    // Frames usually go to a directory of their own, which may not exist yet
+    const frameDirectory = path.dirname(getFramePath(options.outputPath, 1));
+    try {
+      await mkdir(frameDirectory, { recursive: true });
+    } catch (err) {
+      stderr.write(`render: cannot create ${frameDirectory}: ${err.message}\n`);
+      return 1;
+    }
+    try {
+      await renderSequence(sceneManager.scene, camera, cameraPath, {
+        ...renderOptions,
+        frames: options.frames,
+        timeline,
+        sceneManager,
+        onFrame: async (pixels, index) => {
+          const framePath = getFramePath(options.outputPath, index + 1);
+          try {
+            await writeFile(framePath, options.encode(pixels, width, height));
+          } catch (err) {
+            // Stops the sequence
+            throw new Error(`cannot write ${framePath}: ${err.message}`);
+          }
+        }
+      });
+    } catch (err) {
+      stderr.write(`\nrender: ${err.message}\n`);
+      return 1;
+    }
+    stderr.write('\n');
+    outputDescription = `${options.frames} frames ${getFramePath(options.outputPath, 1)} to ${getFramePath(options.outputPath, options.frames)}`;
+  } else {
+    const pixels = renderImage(sceneManager.scene, camera, renderOptions);
+    stderr.write('\n');
+
+    try {
+      await writeFile(options.outputPath, options.encode(pixels, width, height));
+    } catch (err) {
+      stderr.write(`render: cannot write ${options.outputPath}: ${err.message}\n`);
+      return 1;
+    }
+  }
+
+  const seconds = ((performance.now() - startTime) / 1000).toFixed(2);
+  stdout.write(`Rendered ${width}x${height} at ${samplesPerPixel} spp in ${seconds} s to ${outputDescription}\n`);
+  stdout.write(`${stats.totalRays.toLocaleString('en-US')} rays (${Math.round(stats.raysPerSecond).toLocaleString('en-US')} rays/sec), ${stats.intersectionTests.toLocaleString('en-US')} intersection tests, max depth ${stats.maxDepth}\n`);
+  return 0;
+}
+
+// Run when executed directly rather than imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  process.exitCode = await runRender(process.argv.slice(2));
+}
@@ -155,4 +155,39 @@ test.describe('Raytracer Visual Tests', () => {
     // Log the screenshot path prominently
     logScreenshotPath('Material editor', screenshotPath);
   });
+
+  // Compare the WebGPU compute raytracer against the CPU reference
+  test('GPU compute raytracer matches the CPU raytracer', async ({ page }) => {
+    // Navigate to the application
+    await page.goto('/');
+    
+    // Wait for the Cornell box to be set up
+    await waitForStatus(page, 'Preview loaded');
+    
+    // Render the same scene with both raytracers in the page
+    const comparison = await page.evaluate(async () => {
+      const adapter = navigator.gpu ? await navigator.gpu.requestAdapter() : null;
+      if (!adapter) {
+        return null;
+      }
+      const device = await adapter.requestDevice();
+      const { getScene, getCamera } = await import('/js/renderer.js');
+      const { renderImage } = await import('/js/offline-renderer.js');
+      const { GpuRaytracer, compareImages } = await import('/js/gpu-raytracer.js');
+      
+      // Same aspect ratio as the canvas, so the camera frames the scene the same way
+      const options = { width: 200, height: 150, backgroundColor: { r: 0.1, g: 0.1, b: 0.2 } };
+      const gpuPixels = await new GpuRaytracer(device).render(getScene(), getCamera(), options);
+      const cpuPixels = renderImage(getScene(), getCamera(), options);
+      return compareImages(gpuPixels, cpuPixels);
+    });
+    
+    test.skip(comparison === null, 'WebGPU is not available in this browser');
+    
+    // Single-precision floats on the GPU may flip a few pixels along edges
+    expect(
+      comparison.mismatchRatio,
+      `GPU vs CPU: ${comparison.mismatchedPixels} pixels differ, by up to ${comparison.maxDifference}`
+    ).toBeLessThan(0.01);
+  });
 }); 
\ No newline at end of file
@@ -0,0 +1,100 @@
+/**
+ * Tests for the AABB module
+ */
+import { describe, it, expect } from 'vitest';
+import { Vector3, normalize } from '../js/math.js';
+import { AABB } from '../js/aabb.js';
+import { Ray } from '../js/raytracer.js';
+
+describe('AABB Module', () => {
+  describe('construction and growth', () => {
+    it('should start empty when created without corners', () => {
+      const box = new AABB();
+      expect(box.isEmpty()).toBe(true);
+      expect(box.surfaceArea()).toBe(0);
+    });
+
+    it('should grow to contain points', () => {
+      const box = new AABB();
+      box.expandByPoint(new Vector3(1, 2, 3));
+      box.expandByPoint(new Vector3(-1, 0, 5));
+
+      expect(box.isEmpty()).toBe(false);
+      expect(box.min).toEqual(new Vector3(-1, 0, 3));
+      expect(box.max).toEqual(new Vector3(1, 2, 5));
+    });
+
+    it('should compute the union of two boxes without modifying them', () => {
+      const a = new AABB(new Vector3(0, 0, 0), new Vector3(1, 1, 1));
+      const b = new AABB(new Vector3(2, -1, 0), new Vector3(3, 0, 4));
+      const union = AABB.union(a, b);
+
+      expect(union.min).toEqual(new Vector3(0, -1, 0));
+      expect(union.max).toEqual(new Vector3(3, 1, 4));
+      expect(a.max).toEqual(new Vector3(1, 1, 1));
+    });
+
+    it('should ignore empty boxes in a union', () => {
+      const a = new AABB(new Vector3(0, 0, 0), new Vector3(1, 1, 1));
+      const union = AABB.union(a, new AABB());
+      expect(union).toEqual(a);
+    });
+  });
+
+  describe('measurements', () => {
+    it('should compute the centroid', () => {
+      const box = new AABB(new Vector3(0, 0, 0), new Vector3(2, 4, 6));
+      expect(box.centroid()).toEqual(new Vector3(1, 2, 3));
+    });
+
+    it('should compute the surface area', () => {
+      const box = new AABB(new Vector3(0, 0, 0), new Vector3(1, 2, 3));
+      expect(box.surfaceArea()).toBe(2 * (1 * 2 + 2 * 3 + 3 * 1));
+    });
+
+    it('should check containment of another box', () => {
+      const outer = new AABB(new Vector3(0, 0, 0), new Vector3(4, 4, 4));
+      const inner = new AABB(new Vector3(1, 1, 1), new Vector3(2, 2, 2));
+      expect(outer.containsBox(inner)).toBe(true);
+      expect(inner.containsBox(outer)).toBe(false);
+    });
+  });
+
+  describe('intersectRay', () => {
+    const box = new AABB(new Vector3(-1, -1, -1), new Vector3(1, 1, 1));
+
+    it('should return the entry distance for a ray hitting the box', () => {
+      const ray = new Ray(new Vector3(0, 0, -5), new Vector3(0, 0, 1));
+      expect(box.intersectRay(ray)).toBeCloseTo(4);
+    });
+
+    it('should return Infinity for a ray missing the box', () => {
+      const ray = new Ray(new Vector3(0, 3, -5), new Vector3(0, 0, 1));
+      expect(box.intersectRay(ray)).toBe(Infinity);
+    });
+
+    it('should return Infinity when the box is behind the ray', () => {
+      const ray = new Ray(new Vector3(0, 0, 5), new Vector3(0, 0, 1));
+      expect(box.intersectRay(ray)).toBe(Infinity);
+    });
+
+    it('should report a hit for a ray starting inside the box', () => {
+      const ray = new Ray(new Vector3(0, 0, 0), normalize(new Vector3(1, 1, 0)));
+      expect(box.intersectRay(ray)).toBeLessThan(0);
+    });
+
+    it('should respect the maximum distance', () => {
+      const ray = new Ray(new Vector3(0, 0, -5), new Vector3(0, 0, 1));
+      expect(box.intersectRay(ray, 3)).toBe(Infinity);
+      expect(box.intersectRay(ray, 4.5)).toBeCloseTo(4);
+    });
+
+    it('should handle rays parallel to a slab', () => {
+      const inside = new Ray(new Vector3(0.5, 0, -5), new Vector3(0, 0, 1));
+      const outside = new Ray(new Vector3(1.5, 0, -5), new Vector3(0, 0, 1));
+      expect(inside.direction.x).toBe(0);
+      expect(box.intersectRay(inside)).toBeCloseTo(4);
+      expect(box.intersectRay(outside)).toBe(Infinity);
+    });
+  });
+});
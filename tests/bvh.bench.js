@@ -0,0 +1,72 @@
+/**
+ * Benchmark comparing BVH traversal with brute-force intersection.
+ * Run with: npm run test:bench
+ */
+import { describe, bench } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Camera } from '../js/camera.js';
+import { Sphere, Plane, Material, Scene, Light, traceRay, raytracingSettings } from '../js/raytracer.js';
+
+const WIDTH = 80;
+const HEIGHT = 60;
+
+/**
+ * Build a scene with a grid of spheres above a floor
+ * @param {number} sphereCount - Number of spheres
+ * @returns {Scene} The scene
+ */
+function createSphereGrid(sphereCount) {
+  const scene = new Scene();
+  scene.addObject(new Plane(new Vector3(0, -2, 0), new Vector3(0, 1, 0), new Material({ r: 0.8, g: 0.8, b: 0.8 })));
+
+  const side = Math.ceil(Math.sqrt(sphereCount));
+  for (let i = 0; i < sphereCount; i++) {
+    const column = i % side;
+    const row = Math.floor(i / side);
+    scene.addObject(new Sphere(
+      new Vector3((column - side / 2) * 0.6, Math.sin(i) * 0.5, 4 + row * 0.6),
+      0.25,
+      new Material({ r: (column / side), g: 0.5, b: (row / side) })
+    ));
+  }
+
+  scene.addLight(new Light('point', { position: new Vector3(0, 5, 0), intensity: 1.0 }));
+  return scene;
+}
+
+/**
+ * Render the scene into a throwaway buffer
+ * @param {Scene} scene - Scene to render
+ * @param {Camera} camera - Camera to render from
+ */
+function render(scene, camera) {
+  const backgroundColor = { r: 0, g: 0, b: 0 };
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      traceRay(camera.generateRay(x, y, WIDTH, HEIGHT), scene, backgroundColor, 0);
+    }
+  }
+}
+
+const camera = new Camera({
+  position: new Vector3(0, 3, -4),
+  lookAt: new Vector3(0, 0, 8),
+  fov: 60,
+  aspectRatio: WIDTH / HEIGHT
+});
+
+for (const sphereCount of [10, 100, 400]) {
+  describe(`${sphereCount} spheres, ${WIDTH}x${HEIGHT} render`, () => {
+    const scene = createSphereGrid(sphereCount);
+
+    bench('brute force', () => {
+      raytracingSettings.useAccelerationStructure = false;
+      render(scene, camera);
+    }, { iterations: 3 });
+
+    bench('BVH', () => {
+      raytracingSettings.useAccelerationStructure = true;
+      render(scene, camera);
+    }, { iterations: 3 });
+  });
+}
@@ -0,0 +1,411 @@
+/**
+ * Tests for the BVH module
+ */
+import { describe, it, expect, afterEach } from 'vitest';
+import { Vector3, normalize, createRandom } from '../js/math.js';
+import { BVH } from '../js/bvh.js';
+import { Camera } from '../js/camera.js';
+import {
+  Ray,
+  Sphere,
+  Plane,
+  Material,
+  Scene,
+  Light,
+  computeRayIntersection,
+  computeRayIntersectionBruteForce,
+  isRayOccluded,
+  traceRay,
+  raytracingSettings
+} from '../js/raytracer.js';
+
+/**
+ * Build a scene with many random spheres inside a box of planes
+ * @param {number} sphereCount - Number of spheres to create
+ * @param {number} seed - Random seed
+ * @returns {Scene} The scene
+ */
+function createRandomScene(sphereCount, seed = 1) {
+  const random = createRandom(seed);
+  const scene = new Scene();
+
+  scene.addObject(new Plane(new Vector3(0, -5, 0), new Vector3(0, 1, 0), new Material({ r: 0.9, g: 0.9, b: 0.9 })));
+  scene.addObject(new Plane(new Vector3(0, 0, 25), new Vector3(0, 0, -1), new Material({ r: 0.2, g: 0.2, b: 0.9 })));
+
+  for (let i = 0; i < sphereCount; i++) {
+    scene.addObject(new Sphere(
+      new Vector3(random() * 20 - 10, random() * 10 - 4, random() * 15 + 5),
+      random() * 0.6 + 0.1,
+      new Material({ r: random(), g: random(), b: random() }, {
+        reflection: random() < 0.2 ? 0.5 : 0,
+        transparency: random() < 0.1 ? 0.8 : 0
+      })
+    ));
+  }
+
+  scene.addLight(new Light('point', {
+    position: new Vector3(0, 4, 10),
+    color: { r: 1, g: 1, b: 1 },
+    intensity: 1.0
+  }));
+  scene.addLight(new Light('directional', {
+    direction: normalize(new Vector3(0.3, -1, 0.4)),
+    color: { r: 0.4, g: 0.4, b: 0.4 },
+    intensity: 0.5
+  }));
+
+  return scene;
+}
+
+/**
+ * Render a small image with the given scene and camera
+ * @param {Scene} scene - Scene to render
+ * @param {Camera} camera - Camera to render from
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Array<Object>} Pixel colors in row-major order
+ */
+function renderImage(scene, camera, width, height) {
+  const pixels = [];
+  const backgroundColor = { r: 0.1, g: 0.1, b: 0.2 };
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      pixels.push(traceRay(camera.generateRay(x, y, width, height), scene, backgroundColor, 0));
+    }
+  }
+  return pixels;
+}
+
+describe('BVH Module', () => {
+  describe('construction', () => {
+    it('should keep unbounded primitives out of the hierarchy', () => {
+      const scene = createRandomScene(10);
+      const bvh = new BVH(scene.objects);
+
+      expect(bvh.unbounded.length).toBe(2);
+      expect(bvh.unbounded.every(item => item.primitive instanceof Plane)).toBe(true);
+      expect(bvh.root).not.toBeNull();
+    });
+
+    it('should contain every bounded primitive in exactly one leaf', () => {
+      const scene = createRandomScene(200);
+      const bvh = new BVH(scene.objects);
+
+      const seen = [];
+      const stack = [bvh.root];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.items) {
+          expect(node.items.length).toBeGreaterThan(0);
+          for (const item of node.items) {
+            expect(node.bounds.containsBox(item.bounds)).toBe(true);
+            seen.push(item.primitive);
+          }
+        } else {
+          expect(node.bounds.containsBox(node.left.bounds)).toBe(true);
+          expect(node.bounds.containsBox(node.right.bounds)).toBe(true);
+          stack.push(node.left, node.right);
+        }
+      }
+
+      const spheres = scene.objects.filter(object => object instanceof Sphere);
+      expect(seen.length).toBe(spheres.length);
+      expect(new Set(seen).size).toBe(spheres.length);
+    });
+
+    it('should handle an empty primitive list', () => {
+      const bvh = new BVH([]);
+      const ray = new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1));
+
+      expect(bvh.root).toBeNull();
+      expect(bvh.intersect(ray)).toBeNull();
+      expect(bvh.intersectsAny(ray)).toBe(false);
+      expect(bvh.getBounds().isEmpty()).toBe(true);
+    });
+
+    it('should handle primitives with identical centroids', () => {
+      const material = new Material({ r: 1, g: 0, b: 0 });
+      const spheres = Array.from({ length: 20 }, (_, i) => new Sphere(new Vector3(0, 0, 5), 0.1 + i * 0.05, material));
+      const bvh = new BVH(spheres);
+      const ray = new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1));
+
+      expect(bvh.intersect(ray).distance).toBeCloseTo(5 - 0.1 - 19 * 0.05);
+    });
+
+    it('should support custom primitive accessors', () => {
+      const boxes = [
+        { center: new Vector3(0, 0, 5) },
+        { center: new Vector3(0, 0, 10) }
+      ];
+      const bvh = new BVH([0, 1], {
+        getBounds: (index) => new Sphere(boxes[index].center, 1).getBoundingBox(),
+        intersect: (index, ray) => new Sphere(boxes[index].center, 1, { index }).intersect(ray)
+      });
+
+      const hit = bvh.intersect(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)));
+      expect(hit.material.index).toBe(0);
+    });
+  });
+
+  describe('traversal', () => {
+    it('should find the same nearest intersection as brute force', () => {
+      const scene = createRandomScene(300, 7);
+      const random = createRandom(99);
+
+      for (let i = 0; i < 500; i++) {
+        const origin = new Vector3(random() * 4 - 2, random() * 4 - 2, random() * 2 - 2);
+        const direction = normalize(new Vector3(random() * 2 - 1, random() * 2 - 1, random()));
+        const ray = new Ray(origin, direction);
+
+        const expected = computeRayIntersectionBruteForce(ray, scene);
+        const actual = computeRayIntersection(ray, scene);
+
+        if (expected === null) {
+          expect(actual).toBeNull();
+        } else {
+          expect(actual.distance).toBe(expected.distance);
+          expect(actual.material).toBe(expected.material);
+        }
+      }
+    });
+
+    it('should agree with brute force on occlusion queries', () => {
+      const scene = createRandomScene(300, 3);
+      const random = createRandom(5);
+
+      for (let i = 0; i < 300; i++) {
+        const origin = new Vector3(random() * 20 - 10, random() * 10 - 4, random() * 15 + 5);
+        const direction = normalize(new Vector3(random() * 2 - 1, random() * 2 - 1, random() * 2 - 1));
+        const ray = new Ray(origin, direction);
+        const maxDistance = random() * 10;
+
+        const nearest = computeRayIntersectionBruteForce(ray, scene);
+        const expected = nearest !== null && nearest.distance < maxDistance;
+        expect(isRayOccluded(ray, scene, maxDistance)).toBe(expected);
+      }
+    });
+
+    it('should prefer the earlier object when two hits are equally distant', () => {
+      const first = new Material({ r: 1, g: 0, b: 0 });
+      const second = new Material({ r: 0, g: 1, b: 0 });
+      const scene = new Scene();
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, first));
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, second));
+
+      const hit = computeRayIntersection(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)), scene);
+      expect(hit.material).toBe(first);
+    });
+  });
+
+  describe('incremental updates', () => {
+    /**
+     * Check that the BVH gives the same answers as brute force for a set of rays
+     * @param {Scene} scene - Scene to check
+     * @param {number} seed - Random seed for the rays
+     */
+    function expectMatchesBruteForce(scene, seed) {
+      const random = createRandom(seed);
+      for (let i = 0; i < 200; i++) {
+        const origin = new Vector3(random() * 4 - 2, random() * 4 - 2, random() * 2 - 2);
+        const direction = normalize(new Vector3(random() * 2 - 1, random() * 2 - 1, random()));
+        const ray = new Ray(origin, direction);
+
+        const expected = computeRayIntersectionBruteForce(ray, scene);
+        const actual = scene.getAccelerator().intersect(ray);
+        expect(actual?.distance).toBe(expected?.distance);
+        expect(actual?.material).toBe(expected?.material);
+      }
+    }
+
+    /**
+     * Count the bounded primitives stored in the leaves of a BVH
+     * @param {BVH} bvh - Hierarchy to inspect
+     * @returns {number} Number of primitives in leaves
+     */
+    function countLeafItems(bvh) {
+      let count = 0;
+      const stack = bvh.root ? [bvh.root] : [];
+      while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.items) {
+          count += node.items.length;
+        } else {
+          expect(node.left.parent).toBe(node);
+          expect(node.right.parent).toBe(node);
+          stack.push(node.left, node.right);
+        }
+      }
+      return count;
+    }
+
+    it('should insert objects added after the build without rebuilding', () => {
+      const scene = createRandomScene(100, 21);
+      const accelerator = scene.getAccelerator();
+      const random = createRandom(4);
+
+      for (let i = 0; i < 50; i++) {
+        scene.addObject(new Sphere(
+          new Vector3(random() * 20 - 10, random() * 10 - 4, random() * 15 + 5),
+          0.3,
+          new Material({ r: 1, g: 1, b: 0 })
+        ));
+      }
+      scene.addObject(new Plane(new Vector3(0, 5, 0), new Vector3(0, -1, 0), new Material({ r: 1, g: 1, b: 1 })));
+
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(accelerator.unbounded.length).toBe(3);
+      expect(countLeafItems(accelerator)).toBe(150);
+      expectMatchesBruteForce(scene, 8);
+    });
+
+    it('should remove objects and collapse empty leaves', () => {
+      const scene = createRandomScene(100, 22);
+      const accelerator = scene.getAccelerator();
+
+      const spheres = scene.objects.filter(object => object instanceof Sphere);
+      spheres.slice(0, 70).forEach(sphere => expect(scene.removeObject(sphere)).toBe(true));
+      expect(scene.removeObject(scene.objects[0])).toBe(true); // A plane
+
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(accelerator.unbounded.length).toBe(1);
+      expect(countLeafItems(accelerator)).toBe(30);
+      expectMatchesBruteForce(scene, 9);
+    });
+
+    it('should return false when removing an object that is not in the scene', () => {
+      const scene = createRandomScene(10);
+      scene.getAccelerator();
+      const stranger = new Sphere(new Vector3(0, 0, 0), 1, new Material({ r: 1, g: 1, b: 1 }));
+
+      expect(scene.removeObject(stranger)).toBe(false);
+      expect(scene.accelerator.remove(stranger)).toBe(false);
+    });
+
+    it('should refit small moves without rebuilding any subtree', () => {
+      const scene = createRandomScene(200, 23);
+      const accelerator = scene.getAccelerator();
+      const root = accelerator.root;
+
+      for (const object of scene.objects) {
+        if (object instanceof Sphere) {
+          object.center = new Vector3(object.center.x + 0.01, object.center.y, object.center.z);
+          scene.updateObject(object);
+        }
+      }
+
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(accelerator.root).toBe(root);
+      expect(accelerator.subtreeRebuilds).toBe(0);
+      expectMatchesBruteForce(scene, 10);
+    });
+
+    it('should rebuild only the degraded subtree after a large move', () => {
+      const scene = createRandomScene(200, 24);
+      const accelerator = scene.getAccelerator();
+
+      const sphere = scene.objects.find(object => object instanceof Sphere);
+      sphere.center = new Vector3(sphere.center.x + 30, sphere.center.y + 30, sphere.center.z);
+      scene.updateObject(sphere);
+
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(accelerator.subtreeRebuilds).toBeGreaterThan(0);
+      expect(accelerator.root.bounds.containsBox(sphere.getBoundingBox())).toBe(true);
+      expect(countLeafItems(accelerator)).toBe(200);
+      expectMatchesBruteForce(scene, 11);
+    });
+
+    it('should stay correct through a mix of random edits', () => {
+      const scene = createRandomScene(80, 25);
+      scene.getAccelerator();
+      const random = createRandom(12);
+
+      for (let i = 0; i < 200; i++) {
+        const spheres = scene.objects.filter(object => object instanceof Sphere);
+        const action = random();
+        if (action < 0.3) {
+          scene.addObject(new Sphere(
+            new Vector3(random() * 20 - 10, random() * 10 - 4, random() * 15 + 5),
+            random() + 0.1,
+            new Material({ r: random(), g: random(), b: random() })
+          ));
+        } else if (action < 0.5 && spheres.length > 0) {
+          scene.removeObject(spheres[Math.floor(random() * spheres.length)]);
+        } else if (spheres.length > 0) {
+          const sphere = spheres[Math.floor(random() * spheres.length)];
+          sphere.center = new Vector3(random() * 20 - 10, random() * 10 - 4, random() * 15 + 5);
+          sphere.radius = random() + 0.1;
+          scene.updateObject(sphere);
+        }
+      }
+
+      expectMatchesBruteForce(scene, 13);
+    });
+
+    it('should empty the hierarchy when the scene is cleared', () => {
+      const scene = createRandomScene(50);
+      const accelerator = scene.getAccelerator();
+
+      scene.clearObjects();
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(accelerator.root).toBeNull();
+      expect(accelerator.unbounded.length).toBe(0);
+
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 1, g: 0, b: 0 })));
+      const hit = computeRayIntersection(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)), scene);
+      expect(hit.distance).toBeCloseTo(4);
+    });
+  });
+
+  describe('Scene integration', () => {
+    afterEach(() => {
+      raytracingSettings.useAccelerationStructure = true;
+      raytracingSettings.enableShadows = true;
+      raytracingSettings.enableRefraction = true;
+    });
+
+    it('should build the accelerator lazily and reuse it', () => {
+      const scene = createRandomScene(20);
+      expect(scene.accelerator).toBeNull();
+
+      const accelerator = scene.getAccelerator();
+      expect(accelerator).toBeInstanceOf(BVH);
+      expect(scene.getAccelerator()).toBe(accelerator);
+    });
+
+    it('should keep the accelerator up to date after objects are added', () => {
+      const scene = createRandomScene(20);
+      const accelerator = scene.getAccelerator();
+
+      scene.addObject(new Sphere(new Vector3(0, 0, 3), 0.5, new Material({ r: 1, g: 1, b: 1 })));
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(scene.getAccelerator().primitiveCount).toBe(scene.objects.length);
+    });
+
+    it('should rebuild the accelerator when the objects array is replaced directly', () => {
+      const scene = createRandomScene(20);
+      scene.getAccelerator();
+
+      scene.objects = [];
+      const ray = new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1));
+      expect(computeRayIntersection(ray, scene)).toBeNull();
+    });
+
+    it('should render an identical image to the brute-force path', () => {
+      const scene = createRandomScene(150, 11);
+      const camera = new Camera({
+        position: new Vector3(0, 0, -2),
+        lookAt: new Vector3(0, 0, 10),
+        fov: 60,
+        aspectRatio: 4 / 3
+      });
+
+      raytracingSettings.useAccelerationStructure = false;
+      const bruteForce = renderImage(scene, camera, 32, 24);
+
+      raytracingSettings.useAccelerationStructure = true;
+      const accelerated = renderImage(scene, camera, 32, 24);
+
+      expect(accelerated).toEqual(bruteForce);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Tests for camera keyframe paths and the turntable preset
+ */
+import { describe, it, expect } from 'vitest';
+import { Vector3, subtract, length, normalize, dot } from '../js/math.js';
+import { Camera } from '../js/camera.js';
+import { Scene, Sphere, Plane, Material } from '../js/raytracer.js';
+import { CameraPath, getSceneBounds, createTurntablePath } from '../js/camera-path.js';
+
+describe('CameraPath', () => {
+  /**
+   * Create a path along the x axis looking down -z
+   * @param {Object} options - Extra path options
+   * @returns {CameraPath} The path
+   */
+  function createLinePath(options = {}) {
+    return new CameraPath({
+      ...options,
+      keyframes: [
+        { time: 2, position: [2, 0, 0], target: [2, 0, -1], fov: 40 },
+        { time: 0, position: [0, 0, 0], target: [0, 0, -1], fov: 60, focusDistance: 5 },
+        { time: 1, position: [1, 0, 0], target: [1, 0, -1] },
+        { time: 3, position: [3, 0, 0], target: [3, 0, -1] }
+      ]
+    });
+  }
+
+  it('should sort keyframes by time', () => {
+    const path = createLinePath();
+
+    expect(path.keyframes.map(keyframe => keyframe.time)).toEqual([0, 1, 2, 3]);
+    expect(path.startTime).toBe(0);
+    expect(path.duration).toBe(3);
+  });
+
+  it('should pass through the keyframes and interpolate between them', () => {
+    const path = createLinePath();
+
+    expect(path.evaluate(1).position.x).toBeCloseTo(1);
+    // Evenly spaced keyframes on a line move at an even speed between the end segments
+    expect(path.evaluate(1.5).position.x).toBeCloseTo(1.5);
+    expect(path.evaluate(1.25).position.x).toBeCloseTo(1.25);
+    expect(path.evaluate(1.5).position.y).toBeCloseTo(0);
+  });
+
+  it('should hold still outside the keyframe times', () => {
+    const path = createLinePath();
+
+    expect(path.evaluate(-5).position.x).toBeCloseTo(0);
+    expect(path.evaluate(10).position.x).toBeCloseTo(3);
+  });
+
+  it('should use the defaults for keyframes without fov or focus distance', () => {
+    const path = createLinePath();
+
+    expect(path.evaluate(0, { fov: 50 }).fov).toBeCloseTo(60);
+    expect(path.evaluate(1, { fov: 50 }).fov).toBeCloseTo(50);
+    expect(path.evaluate(2, { fov: 50 }).fov).toBeCloseTo(40);
+    expect(path.evaluate(0, { focusDistance: 3 }).focusDistance).toBeCloseTo(5);
+    expect(path.evaluate(3, { focusDistance: 3 }).focusDistance).toBeCloseTo(3);
+  });
+
+  it('should turn smoothly between keyframe orientations', () => {
+    const path = new CameraPath({
+      keyframes: [
+        { time: 0, position: [0, 0, 0], target: [0, 0, -1] },
+        { time: 1, position: [0, 0, 0], target: [-1, 0, 0] }
+      ]
+    });
+    const camera = new Camera();
+
+    path.applyTo(camera, 0.5);
+
+    expect(camera.yaw).toBeCloseTo(45);
+    expect(camera.roll).toBeCloseTo(0);
+  });
+
+  it('should move a camera along the path', () => {
+    const path = createLinePath();
+    const camera = new Camera({ fov: 70, focusDistance: 2 });
+
+    path.applyTo(camera, 2);
+
+    expect(camera.position.x).toBeCloseTo(2);
+    expect(camera.direction.z).toBeCloseTo(-1);
+    expect(camera.fov).toBeCloseTo(40);
+    expect(camera.fovRadians).toBeCloseTo((40 * Math.PI) / 180);
+    expect(camera.focusDistance).toBeCloseTo(2);
+  });
+
+  it('should wrap time and continue smoothly on a looping path', () => {
+    const path = new CameraPath({ loop: true });
+    for (let i = 0; i <= 4; i++) {
+      const angle = (i * Math.PI) / 2;
+      path.addKeyframe({ time: i, position: [Math.sin(angle), 0, Math.cos(angle)], target: [0, 0, 0] });
+    }
+
+    expect(path.evaluate(4.5).position.x).toBeCloseTo(path.evaluate(0.5).position.x);
+    expect(path.evaluate(-0.5).position.z).toBeCloseTo(path.evaluate(3.5).position.z);
+    // Symmetric around the closing keyframe, so no kink where the loop closes
+    const before = path.evaluate(3.9).position;
+    const after = path.evaluate(0.1).position;
+    expect(before.x).toBeCloseTo(-after.x);
+    expect(before.z).toBeCloseTo(after.z);
+  });
+
+  it('should space frame times over the path', () => {
+    expect(createLinePath().getFrameTimes(4)).toEqual([0, 1, 2, 3]);
+    // The end of a loop shows the same view as the start
+    expect(createLinePath({ loop: true }).getFrameTimes(3)).toEqual([0, 1, 2]);
+    expect(createLinePath().getFrameTimes(1)).toEqual([0]);
+  });
+
+  it('should round-trip through JSON', () => {
+    const path = createLinePath({ loop: true });
+
+    const copy = CameraPath.fromJSON(JSON.stringify(path));
+
+    expect(copy.loop).toBe(true);
+    expect(copy.toJSON()).toEqual(path.toJSON());
+    expect(copy.toJSON().keyframes[1]).toEqual({ time: 1, position: [1, 0, 0], target: [1, 0, -1] });
+  });
+
+  it('should reject invalid keyframes', () => {
+    expect(() => CameraPath.fromJSON({ keyframes: [] })).toThrow(/non-empty keyframes/);
+    expect(() => new CameraPath().addKeyframe({ time: 'soon', position: [0, 0, 0], target: [0, 0, 1] })).toThrow(/time/);
+    expect(() => new CameraPath().addKeyframe({ time: 0, position: [0, 0], target: [0, 0, 1] })).toThrow(/position/);
+    expect(() => new CameraPath().addKeyframe({ time: 0, position: [0, 0, 0], target: [0, 0, 1], fov: -10 })).toThrow(/fov/);
+    expect(() => new CameraPath().evaluate(0)).toThrow(/no keyframes/);
+  });
+});
+
+describe('Turntable', () => {
+  /**
+   * Create a scene with two spheres above a ground plane
+   * @returns {Scene} The scene
+   */
+  function createScene() {
+    const scene = new Scene();
+    const material = new Material({ r: 1, g: 1, b: 1 });
+    scene.addObject(new Plane(new Vector3(0, -1, 0), new Vector3(0, 1, 0), material));
+    scene.addObject(new Sphere(new Vector3(-1, 0, 0), 1, material));
+    scene.addObject(new Sphere(new Vector3(3, 0, 0), 1, material));
+    return scene;
+  }
+
+  it('should measure the bounded objects only', () => {
+    const bounds = getSceneBounds(createScene());
+
+    expect(bounds.min.x).toBeCloseTo(-2);
+    expect(bounds.max.x).toBeCloseTo(4);
+    expect(bounds.min.y).toBeCloseTo(-1);
+    expect(getSceneBounds(new Scene())).toBeNull();
+  });
+
+  it('should circle the scene looking at its center', () => {
+    const scene = createScene();
+    const path = createTurntablePath(scene, { duration: 8, elevation: 30, fov: 50 });
+    const center = new Vector3(1, 0, 0);
+    const camera = new Camera();
+
+    expect(path.loop).toBe(true);
+    expect(path.duration).toBe(8);
+    const distances = [];
+    for (const time of [0, 1.3, 2, 4, 6.7]) {
+      path.applyTo(camera, time);
+      const toCenter = subtract(center, camera.position);
+      distances.push(length(toCenter));
+      expect(dot(normalize(toCenter), camera.direction)).toBeGreaterThan(0.999);
+      expect(camera.roll).toBeCloseTo(0, 1);
+      expect(camera.fov).toBeCloseTo(50);
+    }
+    // Starts on the -z side, a quarter turn later on +x
+    path.applyTo(camera, 0);
+    expect(camera.position.z).toBeLessThan(0);
+    expect(camera.pitch).toBeCloseTo(-30);
+    path.applyTo(camera, 2);
+    expect(camera.position.x).toBeGreaterThan(center.x);
+    expect(Math.max(...distances) - Math.min(...distances)).toBeLessThan(0.01 * distances[0]);
+  });
+
+  it('should keep the scene in view', () => {
+    const radius = Math.hypot(6, 2, 2) / 2;
+    const path = createTurntablePath(createScene(), { fov: 60, margin: 1 });
+
+    const distance = length(subtract(path.evaluate(0).position, new Vector3(1, 0, 0)));
+    expect(distance).toBeCloseTo(radius / Math.sin(Math.PI / 6));
+  });
+
+  it('should refuse a scene without bounded objects', () => {
+    expect(() => createTurntablePath(new Scene())).toThrow(/no bounded objects/);
+  });
+});
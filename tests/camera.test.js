@@ -2,8 +2,9 @@
  * Tests for the Camera module
  */
 import { describe, it, expect, beforeEach } from 'vitest';
-import { Vector3 } from '../js/math.js';
-import { Camera } from '../js/camera.js';
+import { Vector3, Quaternion, dot, subtract, scale, add, createRandom } from '../js/math.js';
+import { Camera, sampleAperture, MAX_PITCH } from '../js/camera.js';
+import { Scene, Sphere, Plane, Material } from '../js/raytracer.js';
 
 describe('Camera Module', () => {
   let camera;
@@ -36,6 +37,13 @@ describe('Camera Module', () => {
       expect(camera.fov).toBe(60);
     });
     
+    it('should keep the field of view in radians in step when it changes', () => {
+      camera.setFov(90);
+      
+      expect(camera.fov).toBe(90);
+      expect(camera.fovRadians).toBeCloseTo(Math.PI / 2);
+    });
+    
     it('should create right and up vectors that form an orthonormal basis', () => {
       // right, up, and direction should be perpendicular to each other
       const dotRightUp = camera.right.x * camera.up.x + camera.right.y * camera.up.y + camera.right.z * camera.up.z;
@@ -103,6 +111,116 @@ describe('Camera Module', () => {
       expect(dotRightDir).toBeCloseTo(0, 1);
       expect(dotUpDir).toBeCloseTo(0, 1);
     });
+    
+    it('should keep the basis orthonormal and the horizon level over many moves', () => {
+      for (let i = 0; i < 500; i++) {
+        camera.pan(7);
+        camera.tilt(i % 2 ? 13 : -11);
+      }
+      
+      const { right, up, direction } = camera;
+      for (const vector of [right, up, direction]) {
+        expect(Math.hypot(vector.x, vector.y, vector.z)).toBeCloseTo(1, 10);
+      }
+      expect(dot(right, up)).toBeCloseTo(0, 10);
+      expect(dot(right, direction)).toBeCloseTo(0, 10);
+      expect(dot(up, direction)).toBeCloseTo(0, 10);
+      // Right-handed, and no roll creeps in
+      const back = scale(direction, -1);
+      expect(dot(right, new Vector3(up.y * back.z - up.z * back.y, up.z * back.x - up.x * back.z, up.x * back.y - up.y * back.x))).toBeCloseTo(1, 10);
+      expect(camera.right.y).toBeCloseTo(0, 10);
+      expect(camera.roll).toBeCloseTo(0, 8);
+      // Tilting stops short of straight up instead of flipping over
+      expect(camera.pitch).toBeCloseTo(MAX_PITCH, 8);
+    });
+    
+    it('should tilt around its own right vector after panning', () => {
+      camera.pan(90);
+      camera.tilt(30);
+      
+      expect(camera.direction.x).toBeCloseTo(-Math.cos(Math.PI / 6));
+      expect(camera.direction.y).toBeCloseTo(0.5);
+      expect(camera.direction.z).toBeCloseTo(0);
+      expect(camera.right.z).toBeCloseTo(-1);
+    });
+  });
+  
+  describe('Orientation', () => {
+    it('should report yaw, pitch and roll', () => {
+      expect(camera.yaw).toBeCloseTo(0);
+      expect(camera.pitch).toBeCloseTo(0);
+      expect(camera.roll).toBeCloseTo(0);
+      
+      camera.pan(40);
+      camera.tilt(-25);
+      expect(camera.yaw).toBeCloseTo(40);
+      expect(camera.pitch).toBeCloseTo(-25);
+      expect(camera.roll).toBeCloseTo(0);
+    });
+    
+    it('should set the orientation from yaw, pitch and roll', () => {
+      camera.setYawPitchRoll(-120, 35, 15);
+      
+      expect(camera.yaw).toBeCloseTo(-120);
+      expect(camera.pitch).toBeCloseTo(35);
+      expect(camera.roll).toBeCloseTo(15);
+      
+      camera.setYawPitchRoll(0, 0, 90);
+      expect(camera.direction.z).toBeCloseTo(-1);
+      expect(camera.up.x).toBeCloseTo(-1);
+      expect(camera.right.y).toBeCloseTo(1);
+    });
+    
+    it('should look at a target with the up guide', () => {
+      camera.position = new Vector3(1, 2, 3);
+      camera.lookAt(new Vector3(4, 6, 3));
+      
+      expect(camera.direction.x).toBeCloseTo(0.6);
+      expect(camera.direction.y).toBeCloseTo(0.8);
+      expect(camera.right.z).toBeCloseTo(1);
+      expect(camera.roll).toBeCloseTo(0);
+      
+      camera.lookAt(new Vector3(1, 2, 10), new Vector3(1, 0, 0));
+      expect(camera.direction.z).toBeCloseTo(1);
+      expect(camera.up.x).toBeCloseTo(1);
+    });
+    
+    it('should pick a right vector when looking straight up', () => {
+      camera.lookAt(new Vector3(0, 5, 0));
+      
+      expect(camera.direction.y).toBeCloseTo(1);
+      expect(dot(camera.right, camera.direction)).toBeCloseTo(0);
+      expect(Math.hypot(camera.up.x, camera.up.y, camera.up.z)).toBeCloseTo(1);
+    });
+    
+    it('should derive the basis from the orientation quaternion', () => {
+      const copy = new Camera();
+      copy.setOrientation(camera.orientation);
+      expect(copy.direction).toEqual(camera.direction);
+      
+      // Quaternions are normalized
+      copy.setOrientation({ x: 0, y: 2, z: 0, w: 0 });
+      expect(copy.direction.z).toBeCloseTo(1);
+      expect(copy.right.x).toBeCloseTo(-1);
+    });
+    
+    it('should slerp along the shortest arc', () => {
+      const half = Math.SQRT1_2;
+      const start = { x: 0, y: 0, z: 0, w: 1 };
+      const quarterTurn = { x: 0, y: half, z: 0, w: half };
+      
+      const middle = Quaternion.slerp(start, quarterTurn, 0.5);
+      camera.setOrientation(middle);
+      expect(camera.yaw).toBeCloseTo(45);
+      
+      // -q is the same rotation; it must not send the slerp the long way round
+      const flipped = { x: 0, y: -half, z: 0, w: -half };
+      camera.setOrientation(Quaternion.slerp(start, flipped, 0.5));
+      expect(camera.yaw).toBeCloseTo(45);
+      
+      expect(Quaternion.slerp(start, quarterTurn, 0).w).toBeCloseTo(1);
+      expect(Quaternion.slerp(start, quarterTurn, 1).y).toBeCloseTo(half);
+    });
   });
   
   describe('Ray generation', () => {
@@ -132,4 +250,276 @@ describe('Camera Module', () => {
       expect(rayBottomLeft.direction.y).toBeLessThan(0);
     });
   });
-}); 
\ No newline at end of file
+  
+  describe('Projections', () => {
+    /**
+     * Angle between two vectors in degrees
+     * @param {Vector3} a - First vector
+     * @param {Vector3} b - Second vector
+     * @returns {number} Angle in degrees
+     */
+    function angleBetween(a, b) {
+      const cosine = dot(a, b) / Math.hypot(a.x, a.y, a.z) / Math.hypot(b.x, b.y, b.z);
+      return (Math.acos(Math.min(1, Math.max(-1, cosine))) * 180) / Math.PI;
+    }
+    
+    it('should reject unknown projections', () => {
+      expect(() => new Camera({ projection: 'cylindrical' })).toThrow(/Unknown camera projection/);
+    });
+    
+    it('should cast parallel orthographic rays from the view rectangle', () => {
+      const ortho = new Camera({ aspectRatio: 2, projection: 'orthographic', viewWidth: 8 });
+      
+      const corner = ortho.generateRay(0, 0, 200, 100);
+      expect(corner.direction).toEqual(ortho.direction);
+      expect(corner.origin.x).toBeCloseTo(-4);
+      expect(corner.origin.y).toBeCloseTo(2);
+      expect(corner.origin.z).toBeCloseTo(0);
+      
+      const center = ortho.generateRay(100, 50, 200, 100);
+      expect(center.origin).toEqual(ortho.position);
+      expect(center.direction).toEqual(ortho.direction);
+    });
+    
+    it('should space fisheye angles evenly from the image center', () => {
+      const fisheye = new Camera({ aspectRatio: 2, projection: 'fisheye', fisheyeFov: 180 });
+      
+      expect(angleBetween(fisheye.generateRay(100, 50, 200, 100).direction, fisheye.direction)).toBeCloseTo(0);
+      // Top edge: half the field of view, straight up
+      const top = fisheye.generateRay(100, 0, 200, 100).direction;
+      expect(angleBetween(top, fisheye.direction)).toBeCloseTo(90);
+      expect(angleBetween(top, fisheye.up)).toBeCloseTo(0);
+      // Equidistant: half way to the edge is half the angle, with square pixels
+      expect(angleBetween(fisheye.generateRay(100, 25, 200, 100).direction, fisheye.direction)).toBeCloseTo(45);
+      expect(angleBetween(fisheye.generateRay(125, 50, 200, 100).direction, fisheye.direction)).toBeCloseTo(45);
+      // The far corners of a wide image look behind the camera, no further than straight back
+      expect(angleBetween(fisheye.generateRay(0, 0, 200, 100).direction, fisheye.direction)).toBeCloseTo(180);
+    });
+    
+    it('should cover the whole sphere with an equirectangular projection', () => {
+      const panorama = new Camera({ projection: 'equirectangular' });
+      const direction = (x, y) => panorama.generateRay(x, y, 360, 180).direction;
+      
+      expect(angleBetween(direction(180, 90), panorama.direction)).toBeCloseTo(0);
+      expect(angleBetween(direction(270, 90), panorama.right)).toBeCloseTo(0);
+      expect(angleBetween(direction(90, 90), panorama.right)).toBeCloseTo(180);
+      expect(angleBetween(direction(0, 90), panorama.direction)).toBeCloseTo(180);
+      expect(angleBetween(direction(123, 0), panorama.up)).toBeCloseTo(0);
+      // One pixel row is one degree of latitude
+      expect(angleBetween(direction(200, 60), panorama.up)).toBeCloseTo(60);
+    });
+  });
+  
+  describe('Depth of field', () => {
+    /**
+     * Find where a ray crosses the plane perpendicular to the view direction
+     * at a given distance in front of the camera
+     * @param {Camera} lensCamera - The camera
+     * @param {Ray} ray - Camera ray
+     * @param {number} distance - Distance of the plane from the camera
+     * @returns {Vector3} Crossing point
+     */
+    function crossPlane(lensCamera, ray, distance) {
+      const t = (distance - dot(subtract(ray.origin, lensCamera.position), lensCamera.direction)) / dot(ray.direction, lensCamera.direction);
+      return add(ray.origin, scale(ray.direction, t));
+    }
+    
+    it('should default to a pinhole camera', () => {
+      expect(camera.aperture).toBe(0);
+      const pinhole = camera.generateRay(100, 50, 800, 600);
+      
+      expect(camera.generateRay(100, 50, 800, 600, { u: 0.9, v: 0.1 })).toEqual(pinhole);
+    });
+    
+    it('should start rays on the lens and meet at the focus plane', () => {
+      const lensCamera = new Camera({
+        position: new Vector3(1, 2, 3),
+        lookAt: new Vector3(2, 1, 10),
+        aperture: 0.5,
+        focusDistance: 6
+      });
+      const pinhole = lensCamera.generateRay(200, 150, 800, 600);
+      const focused = crossPlane(lensCamera, pinhole, 6);
+      
+      for (const lensSample of [{ u: 0, v: 0 }, { u: 0.9, v: 0.2 }, { u: 0.3, v: 0.7 }]) {
+        const ray = lensCamera.generateRay(200, 150, 800, 600, lensSample);
+        const offset = subtract(ray.origin, lensCamera.position);
+        
+        // On the lens: in the plane of right and up, within the aperture radius
+        expect(dot(offset, lensCamera.direction)).toBeCloseTo(0, 10);
+        expect(Math.hypot(offset.x, offset.y, offset.z)).toBeLessThanOrEqual(0.25 + 1e-9);
+        
+        const point = crossPlane(lensCamera, ray, 6);
+        expect(point.x).toBeCloseTo(focused.x, 10);
+        expect(point.y).toBeCloseTo(focused.y, 10);
+        expect(point.z).toBeCloseTo(focused.z, 10);
+      }
+      
+      // Rays spread out again away from the focus plane
+      const near = lensCamera.generateRay(200, 150, 800, 600, { u: 0, v: 0.5 });
+      const far = lensCamera.generateRay(200, 150, 800, 600, { u: 1, v: 0.5 });
+      const spread = subtract(crossPlane(lensCamera, near, 12), crossPlane(lensCamera, far, 12));
+      expect(Math.hypot(spread.x, spread.y, spread.z)).toBeCloseTo(0.5, 5);
+    });
+    
+    it('should sample the whole aperture uniformly', () => {
+      const random = createRandom(7);
+      const samples = Array.from({ length: 4000 }, () => sampleAperture(random(), random()));
+      
+      expect(samples.every(({ x, y }) => Math.hypot(x, y) <= 1 + 1e-12)).toBe(true);
+      // A uniform disk has a quarter of its area inside radius 0.5
+      const inner = samples.filter(({ x, y }) => Math.hypot(x, y) < 0.5).length / samples.length;
+      expect(inner).toBeCloseTo(0.25, 1);
+      expect(sampleAperture(0.5, 0.5)).toEqual({ x: 0, y: 0 });
+    });
+    
+    it('should keep polygonal apertures inside their blades', () => {
+      const blades = 6;
+      const random = createRandom(3);
+      // Inside a regular polygon, the distance along each edge normal is at most the apothem
+      const apothem = Math.cos(Math.PI / blades);
+      const normals = Array.from({ length: blades }, (_, i) => Math.PI / 2 + (2 * Math.PI * (i + 0.5)) / blades);
+      
+      let maxRadius = 0;
+      for (let i = 0; i < 2000; i++) {
+        const { x, y } = sampleAperture(random(), random(), blades);
+        for (const angle of normals) {
+          expect(x * Math.cos(angle) + y * Math.sin(angle)).toBeLessThanOrEqual(apothem + 1e-9);
+        }
+        maxRadius = Math.max(maxRadius, Math.hypot(x, y));
+      }
+      expect(maxRadius).toBeGreaterThan(0.9);
+      // One corner points up
+      expect(sampleAperture(0.999999 / blades, 0, blades).y).toBeCloseTo(1, 5);
+    });
+    
+    it('should autofocus on the object in the center of the view', () => {
+      const scene = new Scene();
+      const material = new Material({ r: 1, g: 1, b: 1 });
+      scene.addObject(new Sphere(new Vector3(0, 0, -8), 1, material));
+      
+      expect(camera.autofocus(scene)).toBeCloseTo(7);
+      expect(camera.focusDistance).toBeCloseTo(7);
+      
+      // Nothing in the center leaves the focus alone
+      camera.pan(90);
+      expect(camera.autofocus(scene)).toBeNull();
+      expect(camera.focusDistance).toBeCloseTo(7);
+      
+      scene.addObject(new Plane(new Vector3(-3, 0, 0), new Vector3(1, 0, 0), material));
+      expect(Math.abs(camera.autofocus(scene))).toBeCloseTo(3);
+    });
+  });
+  
+  describe('Motion blur', () => {
+    it('should sample ray times within the shutter interval', () => {
+      const shutterCamera = new Camera({ shutterOpen: 1, shutterClose: 1.5 });
+      
+      expect(camera.hasMotionBlur()).toBe(false);
+      expect(camera.generateRay(100, 50, 800, 600, null, 0.7).time).toBe(0);
+      expect(shutterCamera.hasMotionBlur()).toBe(true);
+      expect(shutterCamera.generateRay(100, 50, 800, 600, null, 0).time).toBe(1);
+      expect(shutterCamera.generateRay(100, 50, 800, 600, null, 0.5).time).toBe(1.25);
+      
+      // Without a time sample the ray samples the middle of the interval, lens rays too
+      expect(shutterCamera.generateRay(100, 50, 800, 600).time).toBe(1.25);
+      shutterCamera.aperture = 0.5;
+      expect(shutterCamera.generateRay(100, 50, 800, 600, { u: 0.2, v: 0.8 }, 1).time).toBe(1.5);
+    });
+    
+    it('should not let the shutter close before it opens', () => {
+      expect(new Camera({ shutterOpen: 2, shutterClose: 1 }).shutterClose).toBe(2);
+    });
+  });
+  
+  describe('View and projection matrices', () => {
+    /**
+     * Transform a point by a column-major 4x4 matrix
+     * @param {Float32Array} m - Matrix
+     * @param {Array<number>} p - Homogeneous point [x, y, z, w]
+     * @returns {Array<number>} Transformed point
+     */
+    function transform(m, p) {
+      return [0, 1, 2, 3].map(row => m[row] * p[0] + m[4 + row] * p[1] + m[8 + row] * p[2] + m[12 + row] * p[3]);
+    }
+    
+    it('should move the camera to the origin looking down -z', () => {
+      const moved = new Camera({ position: new Vector3(1, 2, 3), lookAt: new Vector3(1, 2, 10) });
+      
+      const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+      camera.getViewMatrix().forEach((value, i) => expect(value).toBeCloseTo(identity[i]));
+      const local = transform(moved.getViewMatrix(), [1, 2, 8, 1]);
+      expect(local[0]).toBeCloseTo(0);
+      expect(local[1]).toBeCloseTo(0);
+      expect(local[2]).toBeCloseTo(-5);
+    });
+    
+    it('should map the near and far planes to depths 0 and 1', () => {
+      const projection = camera.getProjectionMatrix(0.5, 50);
+      
+      const near = transform(projection, [0, 0, -0.5, 1]);
+      const far = transform(projection, [0, 0, -50, 1]);
+      expect(near[2] / near[3]).toBeCloseTo(0);
+      expect(far[2] / far[3]).toBeCloseTo(1);
+    });
+    
+    it('should project points on generated rays onto their pixels', () => {
+      const rotated = new Camera({
+        position: new Vector3(1, -2, 3),
+        lookAt: new Vector3(4, 0, 10),
+        fov: 45,
+        aspectRatio: 4 / 3
+      });
+      rotated.pan(20);
+      rotated.tilt(-10);
+      const view = rotated.getViewMatrix();
+      const projection = rotated.getProjectionMatrix();
+      
+      for (const [x, y] of [[0, 0], [800, 600], [123, 456], [400, 300]]) {
+        const ray = rotated.generateRay(x, y, 800, 600);
+        const point = ray.at(7);
+        const clip = transform(projection, transform(view, [point.x, point.y, point.z, 1]));
+        
+        expect(clip[0] / clip[3]).toBeCloseTo((x / 800) * 2 - 1, 5);
+        expect(clip[1] / clip[3]).toBeCloseTo(1 - (y / 600) * 2, 5);
+      }
+    });
+    
+    it('should project orthographic rays onto their pixels at any distance', () => {
+      const ortho = new Camera({
+        position: new Vector3(1, -2, 3),
+        lookAt: new Vector3(4, 0, 10),
+        aspectRatio: 4 / 3,
+        projection: 'orthographic',
+        viewWidth: 6
+      });
+      const view = ortho.getViewMatrix();
+      const projection = ortho.getProjectionMatrix(0.1, 100);
+      
+      for (const [x, y] of [[0, 0], [800, 600], [123, 456]]) {
+        const ray = ortho.generateRay(x, y, 800, 600);
+        for (const distance of [1, 20]) {
+          const point = ray.at(distance);
+          const clip = transform(projection, transform(view, [point.x, point.y, point.z, 1]));
+          
+          expect(clip[3]).toBeCloseTo(1);
+          expect(clip[0]).toBeCloseTo((x / 800) * 2 - 1, 5);
+          expect(clip[1]).toBeCloseTo(1 - (y / 600) * 2, 5);
+        }
+      }
+      const near = transform(projection, [0, 0, -0.1, 1]);
+      const far = transform(projection, [0, 0, -100, 1]);
+      expect(near[2]).toBeCloseTo(0);
+      expect(far[2]).toBeCloseTo(1);
+    });
+    
+    it('should only have matrices for perspective and orthographic projections', () => {
+      expect(camera.hasProjectionMatrix()).toBe(true);
+      for (const projection of ['fisheye', 'equirectangular']) {
+        const curved = new Camera({ projection });
+        expect(curved.hasProjectionMatrix()).toBe(false);
+        expect(() => curved.getProjectionMatrix()).toThrow(/no projection matrix/);
+      }
+    });
+  });
+});
@@ -0,0 +1,304 @@
+/**
+ * Tests for the glTF 2.0 importer
+ */
+import { describe, it, expect } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Ray, Scene, computeRayIntersection, calculateLighting } from '../js/raytracer.js';
+import { TriangleMesh } from '../js/mesh.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { CheckerboardTexture, GradientTexture } from '../js/textures.js';
+import { loadGLTF, parseGLB } from '../js/gltf-loader.js';
+
+/**
+ * Encode bytes as a base64 data URI
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Data URI
+ */
+function toDataUri(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return `data:application/octet-stream;base64,${btoa(binary)}`;
+}
+
+/**
+ * Build a glTF document with a unit quad (two triangles in the XY plane),
+ * a camera and a point light. The quad node is moved to z = 5.
+ * @returns {{json: Object, bytes: Uint8Array}} Document (buffer left without a URI) and buffer bytes
+ */
+function createQuadAsset() {
+  const positions = new Float32Array([-1, -1, 0, 1, -1, 0, 1, 1, 0, -1, 1, 0]);
+  const normals = new Float32Array([0, 0, 1, 0, 0, 1, 0, 0, 1, 0, 0, 1]);
+  const uvs = new Float32Array([0, 1, 1, 1, 1, 0, 0, 0]);
+  const indices = new Uint16Array([0, 1, 2, 0, 2, 3]);
+
+  const bytes = new Uint8Array(positions.byteLength + normals.byteLength + uvs.byteLength + indices.byteLength);
+  let offset = 0;
+  const views = [positions, normals, uvs, indices].map(array => {
+    bytes.set(new Uint8Array(array.buffer), offset);
+    const view = { buffer: 0, byteOffset: offset, byteLength: array.byteLength };
+    offset += array.byteLength;
+    return view;
+  });
+
+  const json = {
+    asset: { version: '2.0' },
+    extensionsUsed: ['KHR_lights_punctual', 'KHR_texture_transform'],
+    scene: 0,
+    scenes: [{ nodes: [0, 1, 2] }],
+    nodes: [
+      { mesh: 0, translation: [0, 0, 5] },
+      // Camera at the origin looking down +Z (rotated 180 degrees about Y)
+      { camera: 0, rotation: [0, 1, 0, 0] },
+      { extensions: { KHR_lights_punctual: { light: 0 } }, translation: [0, 2, 0] }
+    ],
+    meshes: [{
+      primitives: [{
+        attributes: { POSITION: 0, NORMAL: 1, TEXCOORD_0: 2 },
+        indices: 3,
+        material: 0
+      }]
+    }],
+    materials: [{
+      pbrMetallicRoughness: { baseColorFactor: [0.8, 0.1, 0.1, 1], metallicFactor: 0, roughnessFactor: 0.5 }
+    }],
+    cameras: [{ type: 'perspective', perspective: { yfov: Math.PI / 3, aspectRatio: 1.5, znear: 0.1 } }],
+    extensions: {
+      KHR_lights_punctual: { lights: [{ type: 'point', color: [1, 0.5, 0.25], intensity: 2 }] }
+    },
+    buffers: [{ byteLength: bytes.byteLength }],
+    bufferViews: views,
+    accessors: [
+      { bufferView: 0, componentType: 5126, count: 4, type: 'VEC3', min: [-1, -1, 0], max: [1, 1, 0] },
+      { bufferView: 1, componentType: 5126, count: 4, type: 'VEC3' },
+      { bufferView: 2, componentType: 5126, count: 4, type: 'VEC2' },
+      { bufferView: 3, componentType: 5123, count: 6, type: 'SCALAR' }
+    ]
+  };
+
+  return { json, bytes };
+}
+
+/**
+ * Pack a glTF document and binary chunk into a GLB container
+ * @param {Object} json - glTF document
+ * @param {Uint8Array} bin - Binary chunk
+ * @returns {ArrayBuffer} GLB bytes
+ */
+function packGLB(json, bin) {
+  const jsonBytes = new TextEncoder().encode(JSON.stringify(json));
+  const jsonLength = Math.ceil(jsonBytes.length / 4) * 4;
+  const binLength = Math.ceil(bin.length / 4) * 4;
+  const total = 12 + 8 + jsonLength + 8 + binLength;
+
+  const buffer = new ArrayBuffer(total);
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  view.setUint32(0, 0x46546C67, true);
+  view.setUint32(4, 2, true);
+  view.setUint32(8, total, true);
+  view.setUint32(12, jsonLength, true);
+  view.setUint32(16, 0x4E4F534A, true);
+  bytes.fill(0x20, 20, 20 + jsonLength);
+  bytes.set(jsonBytes, 20);
+  view.setUint32(20 + jsonLength, binLength, true);
+  view.setUint32(24 + jsonLength, 0x004E4942, true);
+  bytes.set(bin, 28 + jsonLength);
+  return buffer;
+}
+
+/**
+ * Create a glTF document with an embedded (data URI) buffer
+ * @returns {Object} glTF document
+ */
+function createEmbeddedAsset() {
+  const { json, bytes } = createQuadAsset();
+  json.buffers[0].uri = toDataUri(bytes);
+  return json;
+}
+
+describe('glTF Loader', () => {
+  describe('loadGLTF', () => {
+    it('should import meshes in world space through the scene manager', async () => {
+      const sceneManager = new SceneManager(new Scene());
+      const { ids } = await loadGLTF(sceneManager, createEmbeddedAsset());
+
+      expect(ids).toHaveLength(1);
+      const mesh = sceneManager.getObject(ids[0]);
+      expect(mesh).toBeInstanceOf(TriangleMesh);
+      expect(mesh.triangleCount).toBe(2);
+
+      // The node translation moves the quad to z = 5
+      const hit = computeRayIntersection(new Ray(new Vector3(0.2, 0.3, 0), new Vector3(0, 0, 1)), sceneManager.scene);
+      expect(hit).not.toBeNull();
+      expect(hit.distance).toBeCloseTo(5);
+      expect(hit.uv.u).toBeCloseTo(0.6);
+      expect(hit.uv.v).toBeCloseTo(0.35);
+    });
+
+    it('should accept JSON text and GLB binaries', async () => {
+      const { json, bytes } = createQuadAsset();
+
+      const fromGLB = await loadGLTF(new SceneManager(new Scene()), packGLB(json, bytes));
+      expect(fromGLB.ids).toHaveLength(1);
+
+      const fromText = await loadGLTF(new SceneManager(new Scene()), JSON.stringify(createEmbeddedAsset()));
+      expect(fromText.ids).toHaveLength(1);
+    });
+
+    it('should resolve external buffers from the resources map', async () => {
+      const { json, bytes } = createQuadAsset();
+      json.buffers[0].uri = 'quad.bin';
+
+      const result = await loadGLTF(new SceneManager(new Scene()), json, { resources: { 'quad.bin': bytes.buffer } });
+      expect(result.ids).toHaveLength(1);
+
+      await expect(loadGLTF(new SceneManager(new Scene()), json)).rejects.toThrow(/quad\.bin/);
+    });
+
+    it('should apply parent transforms to children', async () => {
+      const json = createEmbeddedAsset();
+      json.scenes[0].nodes = [3];
+      json.nodes.push({ children: [0], scale: [2, 2, 2] });
+
+      const sceneManager = new SceneManager(new Scene());
+      await loadGLTF(sceneManager, json);
+
+      // Parent scale doubles both the quad size and its translation
+      const hit = computeRayIntersection(new Ray(new Vector3(1.5, 0, 0), new Vector3(0, 0, 1)), sceneManager.scene);
+      expect(hit).not.toBeNull();
+      expect(hit.distance).toBeCloseTo(10);
+    });
+
+    it('should convert metallic-roughness materials', async () => {
+      const json = createEmbeddedAsset();
+      json.materials.push({ pbrMetallicRoughness: { metallicFactor: 1, roughnessFactor: 0 } });
+      json.meshes[0].primitives.push({ ...json.meshes[0].primitives[0], material: 1 });
+
+      const sceneManager = new SceneManager(new Scene());
+      const { ids } = await loadGLTF(sceneManager, json);
+      const dielectric = sceneManager.getObject(ids[0]).material;
+      const metal = sceneManager.getObject(ids[1]).material;
+
+      expect(dielectric.color).toEqual({ r: 0.8, g: 0.1, b: 0.1 });
+      expect(dielectric.reflection).toBe(0);
+      expect(metal.reflection).toBeCloseTo(1);
+      expect(metal.shininess).toBeGreaterThan(dielectric.shininess);
+    });
+
+    it('should import perspective cameras', async () => {
+      const { camera, cameras } = await loadGLTF(new SceneManager(new Scene()), createEmbeddedAsset());
+
+      expect(cameras).toHaveLength(1);
+      expect(camera.fov).toBeCloseTo(60);
+      expect(camera.aspectRatio).toBe(1.5);
+      expect(camera.direction.z).toBeCloseTo(1);
+      expect(camera.up.y).toBeCloseTo(1);
+    });
+
+    it('should import KHR_lights_punctual lights', async () => {
+      const sceneManager = new SceneManager(new Scene());
+      const { lights } = await loadGLTF(sceneManager, createEmbeddedAsset());
+
+      expect(lights).toHaveLength(1);
+      expect(sceneManager.scene.lights).toContain(lights[0]);
+      expect(lights[0].type).toBe('point');
+      expect(lights[0].position.y).toBeCloseTo(2);
+      expect(lights[0].color).toEqual({ r: 1, g: 0.5, b: 0.25 });
+      expect(lights[0].intensity).toBe(2);
+    });
+
+    it('should report unsupported features as warnings', async () => {
+      const json = createEmbeddedAsset();
+      json.extensionsRequired = ['KHR_draco_mesh_compression'];
+      json.extensions.KHR_lights_punctual.lights[0].type = 'spot';
+      json.cameras[0] = { type: 'orthographic', orthographic: { xmag: 1, ymag: 1, znear: 0, zfar: 10 } };
+
+      const { ids, warnings } = await loadGLTF(new SceneManager(new Scene()), json);
+
+      expect(ids).toHaveLength(1);
+      expect(warnings).toContainEqual(expect.objectContaining({
+        code: 'UNSUPPORTED_EXTENSION', extension: 'KHR_texture_transform', required: false
+      }));
+      expect(warnings).toContainEqual(expect.objectContaining({
+        code: 'UNSUPPORTED_EXTENSION', extension: 'KHR_draco_mesh_compression', required: true
+      }));
+      expect(warnings).toContainEqual(expect.objectContaining({ code: 'UNSUPPORTED_CAMERA', path: 'cameras[0]' }));
+      expect(warnings).toContainEqual(expect.objectContaining({ code: 'UNSUPPORTED_LIGHT_TYPE' }));
+    });
+
+    it('should decode base-color textures with the provided decoder', async () => {
+      const json = createEmbeddedAsset();
+      json.images = [{ uri: toDataUri(new Uint8Array([137, 80, 78, 71])), mimeType: 'image/png' }];
+      json.textures = [{ source: 0 }];
+      json.materials[0].pbrMetallicRoughness.baseColorTexture = { index: 0 };
+
+      const texture = new CheckerboardTexture({ r: 1, g: 1, b: 1 }, { r: 0, g: 0, b: 0 });
+      const decoded = [];
+      const decodeImage = async (bytes, mimeType) => {
+        decoded.push({ bytes, mimeType });
+        return texture;
+      };
+
+      const sceneManager = new SceneManager(new Scene());
+      const { ids } = await loadGLTF(sceneManager, json, { decodeImage });
+
+      expect(decoded).toHaveLength(1);
+      expect(decoded[0].mimeType).toBe('image/png');
+      expect(Array.from(decoded[0].bytes)).toEqual([137, 80, 78, 71]);
+      expect(sceneManager.getObject(ids[0]).material.texture).toBe(texture);
+    });
+
+    it('should shade meshes from their base-color texture at the vertex UVs', async () => {
+      const json = createEmbeddedAsset();
+      json.images = [{ uri: toDataUri(new Uint8Array([137, 80, 78, 71])), mimeType: 'image/png' }];
+      json.textures = [{ source: 0 }];
+      json.materials[0].pbrMetallicRoughness.baseColorTexture = { index: 0 };
+      // Black on the left edge of the quad (u = 0), white on the right (u = 1)
+      const decodeImage = async () => new GradientTexture({ r: 0, g: 0, b: 0 }, { r: 1, g: 1, b: 1 }, 'horizontal');
+
+      const sceneManager = new SceneManager(new Scene());
+      await loadGLTF(sceneManager, json, { decodeImage });
+
+      // The light is straight above the middle of the quad, so both sides are lit alike
+      const shade = x => {
+        const ray = new Ray(new Vector3(x, 0, 0), new Vector3(0, 0, 1));
+        return calculateLighting(computeRayIntersection(ray, sceneManager.scene), ray, sceneManager.scene);
+      };
+      const left = shade(-0.5);
+      const right = shade(0.5);
+      expect(right.g).toBeCloseTo(3 * left.g);
+      expect(right.b).toBeCloseTo(3 * left.b);
+    });
+
+    it('should warn when textures cannot be decoded', async () => {
+      const json = createEmbeddedAsset();
+      json.images = [{ uri: 'missing.png' }];
+      json.textures = [{ source: 0 }];
+      json.materials[0].pbrMetallicRoughness.baseColorTexture = { index: 0 };
+
+      const { ids, warnings } = await loadGLTF(new SceneManager(new Scene()), json);
+
+      expect(ids).toHaveLength(1);
+      expect(warnings).toContainEqual(expect.objectContaining({ code: 'MISSING_TEXTURE', path: 'textures[0]' }));
+    });
+
+    it('should reject assets that are not glTF 2.0', async () => {
+      await expect(loadGLTF(new SceneManager(new Scene()), { asset: { version: '1.0' } }))
+        .rejects.toThrow(/version/);
+    });
+  });
+
+  describe('parseGLB', () => {
+    it('should split the JSON and binary chunks', () => {
+      const { json, bytes } = createQuadAsset();
+      const result = parseGLB(packGLB(json, bytes));
+
+      expect(result.json.asset.version).toBe('2.0');
+      expect(result.binary.byteLength).toBeGreaterThanOrEqual(bytes.byteLength);
+    });
+
+    it('should reject data without the glTF magic', () => {
+      expect(() => parseGLB(new ArrayBuffer(16))).toThrow(/magic/);
+    });
+  });
+});
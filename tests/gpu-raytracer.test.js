@@ -0,0 +1,234 @@
+/**
+ * Tests for the WebGPU compute raytracer. The shader itself needs a GPU, so
+ * these cover the buffers, dispatches and readback around it.
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Material, Sphere, Plane, Scene, Light } from '../js/raytracer.js';
+import { Triangle } from '../js/mesh.js';
+import { Motion } from '../js/motion.js';
+import { Camera } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { RenderStats } from '../js/render-stats.js';
+import { RENDER_PARAMS_WORDS, OBJECT_WORDS, MATERIAL_WORDS, TEXTURE_TYPE_CHECKERBOARD } from '../js/scene-packing.js';
+import { CheckerboardTexture } from '../js/textures.js';
+import { GpuRaytracer, GPU_BAND_ROWS, compareImages } from '../js/gpu-raytracer.js';
+
+describe('GpuRaytracer', () => {
+  const material = new Material({ r: 1, g: 0, b: 0 });
+  let device;
+  let scene;
+  let camera;
+  let readback;
+
+  /**
+   * Create a GPU device stand-in. Mapping a buffer returns the contents of
+   * `readback`, which plays the part of the pixels and counters the shader wrote.
+   * @returns {Object} Device-like object
+   */
+  function createDevice() {
+    const createBuffer = vi.fn(descriptor => ({
+      ...descriptor,
+      destroy: vi.fn(),
+      mapAsync: vi.fn(async () => {}),
+      getMappedRange: vi.fn(() => readback),
+      unmap: vi.fn()
+    }));
+    const pass = { setPipeline: vi.fn(), setBindGroup: vi.fn(), dispatchWorkgroups: vi.fn(), end: vi.fn() };
+    return {
+      pass,
+      createShaderModule: vi.fn(() => ({})),
+      createComputePipeline: vi.fn(() => ({ getBindGroupLayout: vi.fn(() => ({})) })),
+      createBindGroup: vi.fn(descriptor => descriptor),
+      createBuffer,
+      createCommandEncoder: vi.fn(() => ({
+        beginComputePass: vi.fn(() => pass),
+        copyBufferToBuffer: vi.fn(),
+        finish: vi.fn(() => ({}))
+      })),
+      queue: { writeBuffer: vi.fn(), submit: vi.fn(), onSubmittedWorkDone: vi.fn(async () => {}) }
+    };
+  }
+
+  /**
+   * Fill the readback data for an image
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {Array<number>} counters - Values of the shader's ray counters
+   */
+  function setReadback(width, height, counters) {
+    readback = new ArrayBuffer(width * height * 4 + counters.length * 4);
+    new Uint8Array(readback, 0, width * height * 4).fill(128);
+    new Uint32Array(readback, width * height * 4).set(counters);
+  }
+
+  beforeEach(() => {
+    vi.stubGlobal('GPUBufferUsage', { MAP_READ: 0x1, COPY_SRC: 0x4, COPY_DST: 0x8, UNIFORM: 0x40, STORAGE: 0x80 });
+    vi.stubGlobal('GPUMapMode', { READ: 0x1 });
+    device = createDevice();
+    scene = new Scene();
+    scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, material));
+    scene.addObject(new Plane(new Vector3(0, -1, 0), new Vector3(0, 1, 0), material));
+    scene.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+    camera = new Camera({ position: new Vector3(0, 0, 0), lookAt: new Vector3(0, 0, 5) });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should only accept scenes of spheres and planes', () => {
+    expect(GpuRaytracer.canRender(scene)).toBe(true);
+
+    scene.addObject(new Triangle(new Vector3(0, 0, 0), new Vector3(1, 0, 0), new Vector3(0, 1, 0), material));
+
+    expect(GpuRaytracer.canRender(scene)).toBe(false);
+  });
+
+  it('should leave moving objects to the CPU', () => {
+    scene.objects[0].motion = Motion.linear([1, 0, 0]);
+
+    expect(GpuRaytracer.canRender(scene)).toBe(false);
+  });
+
+  it('should trace the image in bands of rows and read back the pixels', async () => {
+    const width = 20;
+    const height = GPU_BAND_ROWS * 2 + 10;
+    setReadback(width, height, [360, 300, 12, 4, 1500, 2]);
+    const raytracer = new GpuRaytracer(device);
+    const onProgress = vi.fn();
+
+    const pixels = await raytracer.render(scene, camera, { width, height, onProgress });
+
+    expect(pixels).toBeInstanceOf(Uint8ClampedArray);
+    expect(pixels).toHaveLength(width * height * 4);
+    expect(pixels[0]).toBe(128);
+    expect(device.pass.dispatchWorkgroups.mock.calls).toEqual([[3, 8], [3, 8], [3, 2]]);
+    expect(onProgress.mock.calls.map(([rows]) => rows)).toEqual([64, 128, 138]);
+
+    // Each band is told which row it starts at
+    const paramWrites = device.queue.writeBuffer.mock.calls.filter(([buffer]) => buffer === raytracer.paramsBuffer);
+    expect(paramWrites.map(([, , data]) => new Uint32Array(data.buffer)[22])).toEqual([0, 64, 128]);
+    expect(raytracer.paramsBuffer.size).toBe(RENDER_PARAMS_WORDS * 4);
+
+    const bindGroup = device.createBindGroup.mock.calls[0][0];
+    expect(bindGroup.entries.map(entry => entry.resource.buffer.label)).toEqual([
+      'Raytracer parameters', 'Raytracer objects', 'Raytracer materials', 'Raytracer lights', 'Raytracer pixels', 'Raytracer counters',
+      'Raytracer textures', 'Raytracer texels'
+    ]);
+  });
+
+  it('should upload the textures the shader samples', async () => {
+    setReadback(8, 8, [0, 0, 0, 0, 0, 0]);
+    const texture = new CheckerboardTexture({ r: 1, g: 1, b: 1 }, { r: 0, g: 0, b: 0 }, 2);
+    scene.objects[1].material = new Material({ r: 1, g: 1, b: 1 }, { texture });
+    const raytracer = new GpuRaytracer(device);
+
+    await raytracer.render(scene, camera, { width: 8, height: 8 });
+
+    const textureWrite = device.queue.writeBuffer.mock.calls.find(([buffer]) => buffer === raytracer.sceneBuffers.textures);
+    const records = new Float32Array(textureWrite[2].buffer);
+    expect(new Uint32Array(textureWrite[2].buffer)[0]).toBe(TEXTURE_TYPE_CHECKERBOARD);
+    expect(records[11]).toBe(2);
+
+    // The plane's material refers to the first texture
+    const materialWrite = device.queue.writeBuffer.mock.calls.find(([buffer]) => buffer === raytracer.sceneBuffers.materials);
+    expect(new Uint32Array(materialWrite[2].buffer)[MATERIAL_WORDS + 10]).toBe(0);
+  });
+
+  it('should add the shader counters to the statistics and free its image buffers', async () => {
+    setReadback(8, 8, [64, 60, 5, 0, 300, 3]);
+    const stats = new RenderStats();
+    stats.primaryRays = 10;
+    stats.maxDepth = 4;
+    const raytracer = new GpuRaytracer(device);
+
+    await raytracer.render(scene, camera, { width: 8, height: 8, stats });
+
+    expect(stats).toMatchObject({
+      primaryRays: 74,
+      shadowRays: 60,
+      reflectionRays: 5,
+      refractionRays: 0,
+      intersectionTests: 300,
+      maxDepth: 4
+    });
+    const sceneBuffers = Object.values(raytracer.sceneBuffers);
+    const renderBuffers = device.createBuffer.mock.results.slice(1).map(result => result.value)
+      .filter(buffer => !sceneBuffers.includes(buffer));
+    expect(renderBuffers.length).toBeGreaterThan(0);
+    for (const buffer of renderBuffers) {
+      expect(buffer.destroy).toHaveBeenCalled();
+    }
+
+    // The scene stays on the GPU until the raytracer is destroyed
+    expect(sceneBuffers).toHaveLength(5);
+    expect(sceneBuffers.some(buffer => buffer.destroy.mock.calls.length > 0)).toBe(false);
+    raytracer.destroy();
+    for (const buffer of sceneBuffers) {
+      expect(buffer.destroy).toHaveBeenCalled();
+    }
+  });
+
+  it('should only upload the records changed since the last render', async () => {
+    setReadback(8, 8, [0, 0, 0, 0, 0, 0]);
+    const sceneManager = new SceneManager(scene);
+    const id = sceneManager.addObject(new Sphere(new Vector3(2, 0, 5), 1, material));
+    const raytracer = new GpuRaytracer(device);
+    raytracer.watch(sceneManager);
+    await raytracer.render(scene, camera, { width: 8, height: 8 });
+    const objectBuffer = raytracer.sceneBuffers.objects;
+    device.queue.writeBuffer.mockClear();
+
+    sceneManager.updateSphereRadius(id, 2);
+    await raytracer.render(scene, camera, { width: 8, height: 8 });
+
+    expect(raytracer.sceneBuffers.objects).toBe(objectBuffer);
+    const sceneWrites = device.queue.writeBuffer.mock.calls.filter(([buffer]) => Object.values(raytracer.sceneBuffers).includes(buffer));
+    expect(sceneWrites).toHaveLength(2);
+    const [buffer, byteOffset, data, start, size] = sceneWrites[0];
+    expect(buffer).toBe(objectBuffer);
+    expect([byteOffset, start, size]).toEqual([2 * OBJECT_WORDS * 4, 2 * OBJECT_WORDS, OBJECT_WORDS]);
+    expect(data[start + 7]).toBe(2);
+    expect(sceneWrites[1][0]).toBe(raytracer.sceneBuffers.materials);
+
+    // Objects added behind the scene manager's back replace the buffer
+    scene.addObject(new Sphere(new Vector3(-2, 0, 5), 1, material));
+    await raytracer.render(scene, camera, { width: 8, height: 8 });
+    expect(raytracer.sceneBuffers.objects).not.toBe(objectBuffer);
+    expect(objectBuffer.destroy).toHaveBeenCalled();
+  });
+
+  it('should stop between bands when aborted', async () => {
+    setReadback(8, GPU_BAND_ROWS * 3, [0, 0, 0, 0, 0, 0]);
+    const controller = new AbortController();
+    const onProgress = vi.fn(() => controller.abort());
+
+    await expect(new GpuRaytracer(device).render(scene, camera, {
+      width: 8, height: GPU_BAND_ROWS * 3, signal: controller.signal, onProgress
+    })).rejects.toMatchObject({ name: 'AbortError' });
+
+    expect(device.pass.dispatchWorkgroups).toHaveBeenCalledTimes(1);
+  });
+
+  it('should refuse scenes with other objects', async () => {
+    scene.addObject(new Triangle(new Vector3(0, 0, 0), new Vector3(1, 0, 0), new Vector3(0, 1, 0), material));
+
+    await expect(new GpuRaytracer(device).render(scene, camera, { width: 8, height: 8 }))
+      .rejects.toThrow('only supports spheres and planes');
+  });
+});
+
+describe('compareImages', () => {
+  it('should count pixels that differ beyond the tolerance', () => {
+    const expected = new Uint8ClampedArray([10, 20, 30, 255, 10, 20, 30, 255, 0, 0, 0, 255]);
+    const actual = new Uint8ClampedArray([11, 20, 30, 255, 10, 26, 30, 255, 0, 0, 0, 255]);
+
+    expect(compareImages(actual, expected)).toEqual({ maxDifference: 6, mismatchedPixels: 1, mismatchRatio: 1 / 3 });
+    expect(compareImages(actual, expected, 6).mismatchedPixels).toBe(0);
+  });
+
+  it('should reject images of different sizes', () => {
+    expect(() => compareImages(new Uint8ClampedArray(4), new Uint8ClampedArray(8))).toThrow('differ in size');
+  });
+});
@@ -2,7 +2,7 @@
  * GPU module tests
  */
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { initializeGPU, createCommandEncoder, createClearPassDescriptor } from '../js/gpu.js';
+import { initializeGPU, enableDeviceRecovery, createCommandEncoder, createClearPassDescriptor } from '../js/gpu.js';
 
 // Mock WebGPU API since it's not available in the test environment
 describe('GPU Module', () => {
@@ -44,10 +44,12 @@ describe('GPU Module', () => {
         getPreferredCanvasFormat: vi.fn(() => 'rgba8unorm')
       }
     };
+    vi.stubGlobal('GPUTextureUsage', { COPY_DST: 0x2, RENDER_ATTACHMENT: 0x10 });
   });
   
   afterEach(() => {
     vi.resetAllMocks();
+    vi.unstubAllGlobals();
   });
   
   describe('initializeGPU', () => {
@@ -86,6 +88,105 @@ describe('GPU Module', () => {
     });
   });
 
+  describe('enableDeviceRecovery', () => {
+    /**
+     * Create a mock device that is lost when its lose() method is called
+     * @returns {Object} Mock device
+     */
+    function createLosableDevice() {
+      let resolveLost;
+      return {
+        queue: { submit: vi.fn() },
+        lost: new Promise(resolve => { resolveLost = resolve; }),
+        lose: (reason = 'unknown') => resolveLost({ message: 'Test device loss', reason })
+      };
+    }
+    
+    let devices;
+    
+    beforeEach(() => {
+      devices = [];
+      mockAdapter.requestDevice = vi.fn(() => {
+        const device = createLosableDevice();
+        devices.push(device);
+        return Promise.resolve(device);
+      });
+      vi.spyOn(console, 'error').mockImplementation(() => {});
+      vi.spyOn(console, 'log').mockImplementation(() => {});
+    });
+    
+    it('should re-initialize the context in place and redraw after the device is lost', async () => {
+      const gpu = await initializeGPU(mockCanvas);
+      const onStatus = vi.fn();
+      const onRecovered = vi.fn();
+      enableDeviceRecovery(gpu, mockCanvas, { onStatus, onRecovered });
+      
+      devices[0].lose();
+      await vi.waitFor(() => expect(onRecovered).toHaveBeenCalledWith(gpu));
+      
+      expect(gpu.device).toBe(devices[1]);
+      expect(gpu.context).toBe(mockContext);
+      expect(mockContext.configure).toHaveBeenLastCalledWith(expect.objectContaining({ device: devices[1] }));
+      expect(onStatus.mock.calls.map(([message]) => message)).toEqual([
+        'GPU device lost, reinitializing (attempt 1 of 3)...',
+        'GPU device restored'
+      ]);
+      
+      // The new device is watched as well
+      devices[1].lose();
+      await vi.waitFor(() => expect(onRecovered).toHaveBeenCalledTimes(2));
+      expect(gpu.device).toBe(devices[2]);
+    });
+    
+    it('should give up after the maximum number of attempts', async () => {
+      const gpu = await initializeGPU(mockCanvas);
+      const onFailed = vi.fn();
+      const onRecovered = vi.fn();
+      enableDeviceRecovery(gpu, mockCanvas, { maxAttempts: 2, retryDelay: 0, onFailed, onRecovered });
+      global.navigator.gpu.requestAdapter = vi.fn(() => Promise.resolve(null));
+      
+      devices[0].lose();
+      await vi.waitFor(() => expect(onFailed).toHaveBeenCalledWith('Failed to get GPU adapter.'));
+      
+      expect(global.navigator.gpu.requestAdapter).toHaveBeenCalledTimes(2);
+      expect(onRecovered).not.toHaveBeenCalled();
+      expect(gpu.error).toBe('Failed to get GPU adapter.');
+    });
+    
+    it('should retry until a device can be created again', async () => {
+      const gpu = await initializeGPU(mockCanvas);
+      const onRecovered = vi.fn();
+      enableDeviceRecovery(gpu, mockCanvas, { retryDelay: 0, onRecovered });
+      global.navigator.gpu.requestAdapter = vi.fn()
+        .mockResolvedValueOnce(null)
+        .mockResolvedValue(mockAdapter);
+      
+      devices[0].lose();
+      await vi.waitFor(() => expect(onRecovered).toHaveBeenCalled());
+      
+      expect(global.navigator.gpu.requestAdapter).toHaveBeenCalledTimes(2);
+      expect(gpu.device).toBe(devices[1]);
+    });
+    
+    it('should not recover a device destroyed on purpose or after being stopped', async () => {
+      const gpu = await initializeGPU(mockCanvas);
+      const onStatus = vi.fn();
+      enableDeviceRecovery(gpu, mockCanvas, { onStatus });
+      
+      devices[0].lose('destroyed');
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(onStatus).not.toHaveBeenCalled();
+      
+      const other = await initializeGPU(mockCanvas);
+      const stop = enableDeviceRecovery(other, mockCanvas, { onStatus });
+      stop();
+      devices[1].lose();
+      await new Promise(resolve => setTimeout(resolve, 0));
+      expect(onStatus).not.toHaveBeenCalled();
+      expect(devices).toHaveLength(2);
+    });
+  });
+
   describe('createCommandEncoder', () => {
     it('should call device.createCommandEncoder', () => {
       createCommandEncoder(mockDevice);
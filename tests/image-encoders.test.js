@@ -0,0 +1,115 @@
+/**
+ * Tests for the PNG and PPM encoders
+ */
+import { describe, it, expect } from 'vitest';
+import { inflateSync, deflateSync } from 'zlib';
+import { crc32, zlibStore, encodePNG, encodePPM } from '../js/image-encoders.js';
+
+/**
+ * Split a PNG file into its chunks
+ * @param {Uint8Array} file - PNG file
+ * @returns {Array<{type: string, data: Uint8Array, crc: number}>} The chunks
+ */
+function readChunks(file) {
+  const view = new DataView(file.buffer, file.byteOffset, file.byteLength);
+  const chunks = [];
+  let offset = 8;
+  while (offset < file.length) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...file.subarray(offset + 4, offset + 8));
+    chunks.push({
+      type,
+      data: file.subarray(offset + 8, offset + 8 + length),
+      crc: view.getUint32(offset + 8 + length),
+      crcInput: file.subarray(offset + 4, offset + 8 + length)
+    });
+    offset += length + 12;
+  }
+  return chunks;
+}
+
+/**
+ * Create a test image with a different color in every pixel
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function createImage(width, height) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    pixels.set([i % 256, (i * 7) % 256, (i * 13) % 256, 255], i * 4);
+  }
+  return pixels;
+}
+
+describe('Image encoders', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(new TextEncoder().encode('123456789'))).toBe(0xCBF43926);
+    expect(crc32(new Uint8Array(0))).toBe(0);
+  });
+
+  it('should produce zlib streams that inflate to the input', () => {
+    const small = Uint8Array.from([1, 2, 3, 4, 5]);
+    const large = new Uint8Array(150000).map((_, i) => i % 251);
+
+    expect(inflateSync(zlibStore(small))).toEqual(Buffer.from(small));
+    expect(inflateSync(zlibStore(large))).toEqual(Buffer.from(large));
+    expect(inflateSync(zlibStore(new Uint8Array(0)))).toHaveLength(0);
+  });
+
+  describe('encodePNG', () => {
+    it('should write a valid RGBA PNG', () => {
+      const pixels = createImage(5, 3);
+      const file = encodePNG(pixels, 5, 3);
+
+      expect(Array.from(file.subarray(0, 8))).toEqual([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+
+      const chunks = readChunks(file);
+      expect(chunks.map(chunk => chunk.type)).toEqual(['IHDR', 'IDAT', 'IEND']);
+      for (const chunk of chunks) {
+        expect(chunk.crc).toBe(crc32(chunk.crcInput));
+      }
+
+      const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+      expect(header.getUint32(0)).toBe(5);
+      expect(header.getUint32(4)).toBe(3);
+      expect(Array.from(chunks[0].data.subarray(8))).toEqual([8, 6, 0, 0, 0]);
+
+      // Each row is a filter byte followed by the row's pixels
+      const raw = inflateSync(chunks[1].data);
+      expect(raw).toHaveLength(3 * (1 + 5 * 4));
+      expect(raw[0]).toBe(0);
+      expect(Array.from(raw.subarray(1, 21))).toEqual(Array.from(pixels.subarray(0, 20)));
+      expect(Array.from(raw.subarray(43, 63))).toEqual(Array.from(pixels.subarray(40, 60)));
+    });
+
+    it('should use the given compressor', () => {
+      const pixels = new Uint8ClampedArray(64 * 64 * 4).fill(200);
+
+      const stored = encodePNG(pixels, 64, 64);
+      const compressed = encodePNG(pixels, 64, 64, { deflate: deflateSync });
+
+      expect(compressed.length).toBeLessThan(stored.length / 10);
+      expect(inflateSync(readChunks(compressed)[1].data)).toEqual(inflateSync(readChunks(stored)[1].data));
+    });
+
+    it('should reject buffers that do not match the size', () => {
+      expect(() => encodePNG(new Uint8ClampedArray(10), 2, 2)).toThrow(/Expected 16 bytes/);
+      expect(() => encodePNG(new Uint8ClampedArray(0), 0, 0)).toThrow(/Invalid image size/);
+    });
+  });
+
+  describe('encodePPM', () => {
+    it('should write a binary PPM without alpha', () => {
+      const pixels = createImage(2, 2);
+      const file = encodePPM(pixels, 2, 2);
+      const header = 'P6\n2 2\n255\n';
+
+      expect(new TextDecoder().decode(file.subarray(0, header.length))).toBe(header);
+      expect(file).toHaveLength(header.length + 12);
+      expect(Array.from(file.subarray(header.length, header.length + 6))).toEqual([
+        pixels[0], pixels[1], pixels[2], pixels[4], pixels[5], pixels[6]
+      ]);
+    });
+  });
+});
@@ -2,7 +2,33 @@
  * Tests for the math module
  */
 import { describe, it, expect } from 'vitest';
-import { Vector3, dot, cross, normalize, subtract, add, scale, length } from '../js/math.js';
+import {
+  Vector3, dot, cross, normalize, subtract, add, scale, length, createRandom,
+  Quaternion, Matrix4, Transform
+} from '../js/math.js';
+
+/**
+ * Expect a vector to be close to components
+ * @param {Vector3} v - Vector to check
+ * @param {number} x - Expected x
+ * @param {number} y - Expected y
+ * @param {number} z - Expected z
+ */
+function expectVector(v, x, y, z) {
+  expect(v.x).toBeCloseTo(x);
+  expect(v.y).toBeCloseTo(y);
+  expect(v.z).toBeCloseTo(z);
+}
+
+/**
+ * Expect two matrices to have close elements
+ * @param {Matrix4} actual - Matrix to check
+ * @param {Matrix4} expected - Expected matrix
+ */
+function expectMatrix(actual, expected) {
+  actual.elements.forEach((value, i) => expect(value).toBeCloseTo(expected.elements[i]));
+}
+
 
 describe('Math Module', () => {
   describe('Vector3', () => {
@@ -85,4 +111,253 @@ describe('Math Module', () => {
       expect(length(v)).toBe(5);
     });
   });
-}); 
\ No newline at end of file
+
+  describe('createRandom', () => {
+    it('should repeat the same sequence for the same seed', () => {
+      const first = createRandom(42);
+      const second = createRandom(42);
+      const other = createRandom(43);
+
+      const sequence = Array.from({ length: 5 }, () => first());
+      expect(Array.from({ length: 5 }, () => second())).toEqual(sequence);
+      expect(Array.from({ length: 5 }, () => other())).not.toEqual(sequence);
+    });
+
+    it('should return numbers in [0, 1)', () => {
+      const random = createRandom(7);
+      for (let i = 0; i < 1000; i++) {
+        const value = random();
+        expect(value).toBeGreaterThanOrEqual(0);
+        expect(value).toBeLessThan(1);
+      }
+    });
+  });
+
+  describe('Quaternion', () => {
+    it('should default to the identity rotation', () => {
+      const q = new Quaternion();
+      expect([q.x, q.y, q.z, q.w]).toEqual([0, 0, 0, 1]);
+      expectVector(q.rotateVector(new Vector3(1, 2, 3)), 1, 2, 3);
+    });
+
+    it('should rotate counterclockwise about an axis given as axis and angle', () => {
+      const q = Quaternion.fromAxisAngle(new Vector3(0, 0, 2), Math.PI / 2);
+
+      expect(q.length()).toBeCloseTo(1);
+      expectVector(q.rotateVector(new Vector3(1, 0, 0)), 0, 1, 0);
+      expectVector(q.rotateVector(new Vector3(0, 0, 1)), 0, 0, 1);
+    });
+
+    it('should apply the right-hand rotation first when multiplied', () => {
+      const yaw = Quaternion.fromAxisAngle(new Vector3(0, 1, 0), Math.PI / 2);
+      const roll = Quaternion.fromAxisAngle(new Vector3(0, 0, 1), Math.PI / 2);
+      const v = new Vector3(1, 0, 0);
+
+      const combined = yaw.multiply(roll).rotateVector(v);
+      const sequential = yaw.rotateVector(roll.rotateVector(v));
+      expectVector(combined, sequential.x, sequential.y, sequential.z);
+      expectVector(combined, 0, 1, 0);
+    });
+
+    it('should undo a rotation with its conjugate', () => {
+      const q = Quaternion.fromAxisAngle(new Vector3(1, 1, 0), 1.2);
+      expectVector(q.conjugate().rotateVector(q.rotateVector(new Vector3(0.3, -2, 5))), 0.3, -2, 5);
+    });
+
+    it('should normalize and reject a zero quaternion', () => {
+      const q = new Quaternion(0, 0, 3, 4).normalize();
+      expect([q.x, q.y, q.z, q.w]).toEqual([0, 0, 0.6, 0.8]);
+      expect(() => new Quaternion(0, 0, 0, 0).normalize()).toThrow(/zero/);
+    });
+
+    it('should slerp along the shorter arc at constant angular speed', () => {
+      const a = new Quaternion();
+      const b = Quaternion.fromAxisAngle(new Vector3(0, 1, 0), Math.PI / 2);
+      const half = Quaternion.slerp(a, b, 0.5);
+      const expected = Quaternion.fromAxisAngle(new Vector3(0, 1, 0), Math.PI / 4);
+
+      expect(half.x).toBeCloseTo(expected.x);
+      expect(half.y).toBeCloseTo(expected.y);
+      expect(half.z).toBeCloseTo(expected.z);
+      expect(half.w).toBeCloseTo(expected.w);
+
+      // -b is the same rotation; the result must not take the long way round
+      const negated = new Quaternion(-b.x, -b.y, -b.z, -b.w);
+      const quarter = Quaternion.slerp(a, negated, 0.5).rotateVector(new Vector3(0, 0, 1));
+      expectVector(quarter, Math.SQRT1_2, 0, Math.SQRT1_2);
+    });
+
+    it('should build a basis it maps the axes onto', () => {
+      const right = normalize(new Vector3(1, 0, -1));
+      const up = new Vector3(0, 1, 0);
+      const back = cross(right, up);
+      const q = Quaternion.fromBasis(right, up, back);
+
+      expectVector(q.rotateVector(new Vector3(1, 0, 0)), right.x, right.y, right.z);
+      expectVector(q.rotateVector(new Vector3(0, 0, 1)), back.x, back.y, back.z);
+    });
+
+    it('should convert to a rotation matrix with the same effect', () => {
+      const q = Quaternion.fromAxisAngle(new Vector3(1, 2, 3), 0.7);
+      const v = new Vector3(-1, 4, 2);
+      const rotated = q.rotateVector(v);
+      expectVector(q.toMatrix4().transformDirection(v), rotated.x, rotated.y, rotated.z);
+    });
+  });
+
+  describe('Matrix4', () => {
+    it('should default to the identity and require 16 elements', () => {
+      const m = new Matrix4();
+      expect(m.get(0, 0)).toBe(1);
+      expect(m.get(1, 0)).toBe(0);
+      expect(m.get(3, 3)).toBe(1);
+      expect(() => new Matrix4([1, 2, 3])).toThrow(/16 elements/);
+    });
+
+    it('should store elements column-major', () => {
+      const m = Matrix4.translation(new Vector3(1, 2, 3));
+      expect(m.get(0, 3)).toBe(1);
+      expect(m.elements[13]).toBe(2);
+      expect(m.transpose().get(3, 2)).toBe(3);
+      expect(m.transpose().transpose()).toEqual(m);
+    });
+
+    it('should multiply so that the right-hand matrix is applied first', () => {
+      const translate = Matrix4.translation(new Vector3(1, 0, 0));
+      const grow = Matrix4.scaling(new Vector3(2, 2, 2));
+
+      expectVector(translate.multiply(grow).transformPoint(new Vector3(1, 1, 1)), 3, 2, 2);
+      expectVector(grow.multiply(translate).transformPoint(new Vector3(1, 1, 1)), 4, 2, 2);
+      expect(translate.multiply(new Matrix4())).toEqual(translate);
+    });
+
+    it('should invert a general affine matrix', () => {
+      const m = Matrix4.compose(
+        new Vector3(3, -1, 2),
+        Quaternion.fromAxisAngle(new Vector3(1, 1, 1), 0.9),
+        new Vector3(2, 0.5, 3)
+      );
+      expectMatrix(m.multiply(m.invert()), new Matrix4());
+      expectMatrix(m.invert().multiply(m), new Matrix4());
+    });
+
+    it('should refuse to invert a singular matrix', () => {
+      expect(() => Matrix4.scaling(new Vector3(1, 0, 1)).invert()).toThrow('Cannot invert a singular matrix');
+    });
+
+    it('should transform points with translation and directions without', () => {
+      const m = Matrix4.translation(new Vector3(5, 0, 0));
+      expectVector(m.transformPoint(new Vector3(1, 2, 3)), 6, 2, 3);
+      expectVector(m.transformDirection(new Vector3(1, 2, 3)), 1, 2, 3);
+    });
+
+    it('should compose translation, rotation and scale with scale applied first', () => {
+      const rotation = Quaternion.fromAxisAngle(new Vector3(0, 0, 1), Math.PI / 2);
+      const m = Matrix4.compose(new Vector3(0, 0, 10), rotation, new Vector3(2, 1, 1));
+      const expected = Matrix4.translation(new Vector3(0, 0, 10))
+        .multiply(rotation.toMatrix4())
+        .multiply(Matrix4.scaling(new Vector3(2, 1, 1)));
+
+      expectMatrix(m, expected);
+      expectVector(m.transformPoint(new Vector3(1, 0, 0)), 0, 2, 10);
+    });
+
+    it('should move the eye to the origin looking down -z with lookAt', () => {
+      const eye = new Vector3(0, 0, 5);
+      const view = Matrix4.lookAt(eye, new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+
+      expectVector(view.transformPoint(eye), 0, 0, 0);
+      expectVector(view.transformPoint(new Vector3(0, 0, 0)), 0, 0, -5);
+      expectVector(view.transformPoint(new Vector3(1, 1, 5)), 1, 1, 0);
+
+      const side = Matrix4.lookAt(new Vector3(4, 0, 0), new Vector3(0, 0, 0), new Vector3(0, 1, 0));
+      expectVector(side.transformDirection(new Vector3(-1, 0, 0)), 0, 0, -1);
+      expectVector(side.transformDirection(new Vector3(0, 0, -1)), 1, 0, 0);
+    });
+
+    it('should map the view frustum to WebGPU clip space with perspective', () => {
+      const projection = Matrix4.perspective(Math.PI / 2, 2, 1, 100);
+
+      expect(projection.transformPoint(new Vector3(0, 0, -1)).z).toBeCloseTo(0);
+      expect(projection.transformPoint(new Vector3(0, 0, -100)).z).toBeCloseTo(1);
+      // At 90° the top edge is as far up as it is deep, and the side twice as far
+      expectVector(projection.transformPoint(new Vector3(20, 10, -10)), 1, 1, projection.transformPoint(new Vector3(0, 0, -10)).z);
+    });
+
+    it('should map a box to WebGPU clip space with orthographic', () => {
+      const projection = Matrix4.orthographic(4, 2, 0.5, 10.5);
+
+      expectVector(projection.transformPoint(new Vector3(4, -2, -0.5)), 1, -1, 0);
+      expectVector(projection.transformPoint(new Vector3(-2, 1, -10.5)), -0.5, 0.5, 1);
+    });
+
+    it('should return the inverse transpose as the normal matrix', () => {
+      const m = Matrix4.compose(
+        new Vector3(1, 2, 3),
+        Quaternion.fromAxisAngle(new Vector3(0, 1, 0), 0.4),
+        new Vector3(1, 4, 0.5)
+      );
+      const expected = m.invert().transpose();
+      // Only the direction of a normal matters, so compare normalized results
+      const n = new Vector3(1, 1, 1);
+      const actual = normalize(m.normalMatrix().transformDirection(n));
+      const reference = normalize(expected.transformDirection(n));
+      expectVector(actual, reference.x, reference.y, reference.z);
+    });
+
+    it('should convert to a Float32Array', () => {
+      const array = Matrix4.translation(new Vector3(1, 2, 3)).toFloat32Array();
+      expect(array).toBeInstanceOf(Float32Array);
+      expect(Array.from(array.slice(12))).toEqual([1, 2, 3, 1]);
+    });
+  });
+
+  describe('Transform', () => {
+    const transform = Transform.compose(
+      new Vector3(0, 1, 0),
+      Quaternion.fromAxisAngle(new Vector3(0, 0, 1), Math.PI / 2),
+      new Vector3(2, 1, 1)
+    );
+
+    it('should default to the identity', () => {
+      const identity = new Transform();
+      expectVector(identity.transformPoint(new Vector3(1, 2, 3)), 1, 2, 3);
+      expectVector(identity.transformNormal(new Vector3(0, 2, 0)), 0, 1, 0);
+    });
+
+    it('should transform points, vectors and normals', () => {
+      expectVector(transform.transformPoint(new Vector3(1, 0, 0)), 0, 3, 0);
+      expectVector(transform.transformVector(new Vector3(1, 0, 0)), 0, 2, 0);
+
+      // The normal of the plane x + y = 0 stays perpendicular to the transformed plane
+      const tangent = transform.transformVector(new Vector3(1, -1, 0));
+      const normal = transform.transformNormal(new Vector3(1, 1, 0));
+      expect(dot(tangent, normal)).toBeCloseTo(0);
+      expect(length(normal)).toBeCloseTo(1);
+    });
+
+    it('should invert and undo itself', () => {
+      const inverse = transform.inverse();
+      const p = new Vector3(3, -2, 7);
+
+      expectVector(inverse.transformPoint(transform.transformPoint(p)), 3, -2, 7);
+      expectMatrix(inverse.matrix, transform.inverseMatrix);
+      expectMatrix(inverse.inverseMatrix, transform.matrix);
+    });
+
+    it('should apply the other transform first when multiplied', () => {
+      const move = Transform.compose(new Vector3(5, 0, 0));
+      const p = new Vector3(1, 0, 0);
+
+      expectVector(transform.multiply(move).transformPoint(p), 0, 13, 0);
+      expectVector(move.multiply(transform).transformPoint(p), 5, 3, 0);
+      expectVector(transform.multiply(move).inverse().transformPoint(new Vector3(0, 13, 0)), 1, 0, 0);
+    });
+
+    it('should transform normals of a singular transform', () => {
+      const flatten = Transform.compose(undefined, undefined, new Vector3(1, 1, 0));
+      expectVector(flatten.transformNormal(new Vector3(0, 0, 1)), 0, 0, 1);
+      expect(() => flatten.inverseMatrix).toThrow(/singular/);
+    });
+  });
+});
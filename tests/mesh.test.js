@@ -0,0 +1,234 @@
+/**
+ * Tests for the triangle and mesh geometry module
+ */
+import { describe, it, expect } from 'vitest';
+import { Vector3, normalize } from '../js/math.js';
+import { Triangle, TriangleMesh, intersectTriangle } from '../js/mesh.js';
+import { Ray, Material, Scene, computeRayIntersection } from '../js/raytracer.js';
+import { SceneManager } from '../js/scene-manager.js';
+
+/**
+ * Build a flat grid mesh in the XY plane at z = 0
+ * @param {number} cells - Number of cells along each side
+ * @param {number} size - Edge length of the grid
+ * @returns {Object} Positions, indices, uvs and normals
+ */
+function createGrid(cells, size = 2) {
+  const positions = [];
+  const uvs = [];
+  const normals = [];
+  const indices = [];
+  for (let j = 0; j <= cells; j++) {
+    for (let i = 0; i <= cells; i++) {
+      positions.push((i / cells - 0.5) * size, (j / cells - 0.5) * size, 0);
+      uvs.push(i / cells, j / cells);
+      normals.push(0, 0, -1);
+    }
+  }
+  const row = cells + 1;
+  for (let j = 0; j < cells; j++) {
+    for (let i = 0; i < cells; i++) {
+      const a = j * row + i;
+      indices.push(a, a + row, a + 1, a + 1, a + row, a + row + 1);
+    }
+  }
+  return { positions, indices, uvs, normals };
+}
+
+describe('Mesh Module', () => {
+  const material = new Material({ r: 1, g: 0, b: 0 });
+
+  describe('intersectTriangle', () => {
+    const positions = [0, 0, 0, 1, 0, 0, 0, 1, 0];
+
+    it('should return the distance and barycentric coordinates of a hit', () => {
+      const ray = new Ray(new Vector3(0.25, 0.5, -2), new Vector3(0, 0, 1));
+      const hit = intersectTriangle(ray, positions, 0, 1, 2);
+
+      expect(hit.distance).toBeCloseTo(2);
+      expect(hit.u).toBeCloseTo(0.25);
+      expect(hit.v).toBeCloseTo(0.5);
+    });
+
+    it('should miss outside the triangle edges', () => {
+      const ray = new Ray(new Vector3(0.75, 0.75, -2), new Vector3(0, 0, 1));
+      expect(intersectTriangle(ray, positions, 0, 1, 2)).toBeNull();
+    });
+
+    it('should miss rays parallel to the triangle', () => {
+      const ray = new Ray(new Vector3(0.2, 0.2, -1), new Vector3(1, 0, 0));
+      expect(intersectTriangle(ray, positions, 0, 1, 2)).toBeNull();
+    });
+
+    it('should ignore hits behind the ray origin', () => {
+      const ray = new Ray(new Vector3(0.2, 0.2, 2), new Vector3(0, 0, 1));
+      expect(intersectTriangle(ray, positions, 0, 1, 2)).toBeNull();
+    });
+  });
+
+  describe('Triangle', () => {
+    const triangle = new Triangle(
+      new Vector3(-1, -1, 5),
+      new Vector3(1, -1, 5),
+      new Vector3(0, 1, 5),
+      material
+    );
+
+    it('should intersect from the front and report the winding-order normal', () => {
+      const intersection = triangle.intersect(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)));
+
+      expect(intersection).not.toBeNull();
+      expect(intersection.distance).toBeCloseTo(5);
+      expect(intersection.point.z).toBeCloseTo(5);
+      expect(intersection.normal.z).toBeCloseTo(1);
+      expect(intersection.material).toBe(material);
+    });
+
+    it('should also intersect from the back', () => {
+      const intersection = triangle.intersect(new Ray(new Vector3(0, 0, 10), new Vector3(0, 0, -1)));
+      expect(intersection.distance).toBeCloseTo(5);
+    });
+
+    it('should return barycentric coordinates as UVs by default', () => {
+      const intersection = triangle.intersect(new Ray(new Vector3(0, 1, 0), new Vector3(0, 0, 1)));
+      expect(intersection.uv.u).toBeCloseTo(0);
+      expect(intersection.uv.v).toBeCloseTo(1);
+    });
+
+    it('should interpolate vertex normals and UVs', () => {
+      const smooth = new Triangle(
+        new Vector3(-1, -1, 5),
+        new Vector3(1, -1, 5),
+        new Vector3(0, 1, 5),
+        material,
+        {
+          normals: [normalize(new Vector3(-1, 0, -1)), normalize(new Vector3(1, 0, -1)), new Vector3(0, 0, -1)],
+          uvs: [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0.5, v: 1 }]
+        }
+      );
+
+      const intersection = smooth.intersect(new Ray(new Vector3(0, -1 + 1e-6, 0), new Vector3(0, 0, 1)));
+      expect(intersection.normal.x).toBeCloseTo(0);
+      expect(intersection.normal.z).toBeCloseTo(-1);
+      expect(intersection.uv.u).toBeCloseTo(0.5);
+      expect(intersection.uv.v).toBeCloseTo(0);
+    });
+
+    it('should compute its bounding box', () => {
+      const box = triangle.getBoundingBox();
+      expect(box.min).toEqual(new Vector3(-1, -1, 5));
+      expect(box.max).toEqual(new Vector3(1, 1, 5));
+    });
+  });
+
+  describe('TriangleMesh', () => {
+    it('should store vertex data in typed arrays', () => {
+      const mesh = new TriangleMesh(createGrid(2), material);
+
+      expect(mesh.positions).toBeInstanceOf(Float32Array);
+      expect(mesh.indices).toBeInstanceOf(Uint32Array);
+      expect(mesh.normals).toBeInstanceOf(Float32Array);
+      expect(mesh.uvs).toBeInstanceOf(Float32Array);
+      expect(mesh.triangleCount).toBe(8);
+    });
+
+    it('should reject index data that is not a multiple of three', () => {
+      expect(() => new TriangleMesh({ positions: [0, 0, 0, 1, 0, 0], indices: [0, 1] }, material)).toThrow();
+    });
+
+    it('should intersect with interpolated UVs across the mesh', () => {
+      const mesh = new TriangleMesh(createGrid(4), material);
+      const intersection = mesh.intersect(new Ray(new Vector3(0.3, -0.6, -3), new Vector3(0, 0, 1)));
+
+      expect(intersection.distance).toBeCloseTo(3);
+      expect(intersection.uv.u).toBeCloseTo(0.65);
+      expect(intersection.uv.v).toBeCloseTo(0.2);
+      expect(intersection.normal.z).toBeCloseTo(-1);
+    });
+
+    it('should agree with testing every triangle individually', () => {
+      const grid = createGrid(10);
+      // Bend the grid so triangles are not coplanar
+      for (let i = 0; i < grid.positions.length; i += 3) {
+        grid.positions[i + 2] = Math.sin(grid.positions[i] * 3) * 0.3;
+      }
+      const mesh = new TriangleMesh(grid, material);
+
+      for (let i = 0; i < 100; i++) {
+        const ray = new Ray(
+          new Vector3(Math.sin(i) * 0.9, Math.cos(i * 1.3) * 0.9, -3),
+          normalize(new Vector3(Math.sin(i * 0.7) * 0.1, Math.cos(i * 0.3) * 0.1, 1))
+        );
+
+        let expected = null;
+        for (let t = 0; t < mesh.triangleCount; t++) {
+          const hit = intersectTriangle(ray, mesh.positions, mesh.indices[t * 3], mesh.indices[t * 3 + 1], mesh.indices[t * 3 + 2]);
+          if (hit && (!expected || hit.distance < expected.distance)) {
+            expected = hit;
+          }
+        }
+
+        const actual = mesh.intersect(ray);
+        expect(actual?.distance).toBe(expected?.distance);
+      }
+    });
+
+    it('should generate smooth vertex normals on request', () => {
+      // Two triangles folded along the y axis
+      const data = {
+        positions: [0, -1, 0, 0, 1, 0, -1, 0, -1, 1, 0, -1],
+        indices: [0, 1, 2, 0, 3, 1]
+      };
+      const mesh = new TriangleMesh(data, material, { smooth: true });
+
+      // The shared edge gets the average of both face normals
+      expect(mesh.normals[0]).toBeCloseTo(0);
+      expect(mesh.normals[2]).toBeCloseTo(1);
+
+      const flat = new TriangleMesh(data, material);
+      expect(flat.normals).toBeNull();
+    });
+
+    it('should behave as a single object in a scene', () => {
+      const scene = new Scene();
+      const mesh = new TriangleMesh(createGrid(8), material);
+      scene.addObject(mesh);
+
+      expect(scene.objects.length).toBe(1);
+      const intersection = computeRayIntersection(new Ray(new Vector3(0, 0, -2), new Vector3(0, 0, 1)), scene);
+      expect(intersection.material).toBe(material);
+      expect(mesh.getBoundingBox().min).toEqual(new Vector3(-1, -1, 0));
+    });
+
+    it('should handle a 100k-triangle mesh', () => {
+      const mesh = new TriangleMesh(createGrid(224), material);
+      expect(mesh.triangleCount).toBeGreaterThanOrEqual(100000);
+
+      const start = performance.now();
+      for (let i = 0; i < 1000; i++) {
+        const hit = mesh.intersect(new Ray(new Vector3((i % 40) / 40 - 0.5, Math.floor(i / 40) / 40 - 0.5, -1), new Vector3(0, 0, 1)));
+        expect(hit).not.toBeNull();
+      }
+      // A flat loop over 100k triangles would take orders of magnitude longer
+      expect(performance.now() - start).toBeLessThan(1000);
+    });
+  });
+
+  describe('SceneManager specifications', () => {
+    it('should create triangles and meshes from specifications', () => {
+      const scene = new Scene();
+      const sceneManager = new SceneManager(scene);
+
+      const triangleId = sceneManager.addObject({
+        type: 'triangle',
+        vertices: [new Vector3(0, 0, 0), new Vector3(1, 0, 0), new Vector3(0, 1, 0)],
+        material
+      });
+      const meshId = sceneManager.addObject({ type: 'mesh', ...createGrid(2), material, smooth: true });
+
+      expect(sceneManager.getObject(triangleId)).toBeInstanceOf(Triangle);
+      expect(sceneManager.getObject(meshId)).toBeInstanceOf(TriangleMesh);
+      expect(scene.objects.length).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,145 @@
+/**
+ * Tests for object motion and time-sampled rays
+ */
+import { describe, it, expect } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { AABB } from '../js/aabb.js';
+import { Ray, Scene, Sphere, Plane, Material, computeRayIntersection, traceRay } from '../js/raytracer.js';
+import { Triangle, TriangleMesh } from '../js/mesh.js';
+import { Motion } from '../js/motion.js';
+
+const material = new Material({ r: 1, g: 0, b: 0 });
+
+/**
+ * Create a ray along +z through a point of the xy plane
+ * @param {number} x - X coordinate
+ * @param {number} y - Y coordinate
+ * @param {number} time - Time of the ray
+ * @returns {Ray} The ray
+ */
+function rayThrough(x, y, time) {
+  return new Ray(new Vector3(x, y, -10), new Vector3(0, 0, 1), time);
+}
+
+describe('Motion', () => {
+  it('should interpolate offsets linearly and hold them outside the keyframes', () => {
+    const motion = new Motion([
+      { time: 0, offset: [0, 0, 0] },
+      { time: 1, offset: [2, 0, 0] },
+      { time: 3, offset: [2, 4, 0] }
+    ]);
+
+    expect(motion.offsetAt(0.5)).toEqual(new Vector3(1, 0, 0));
+    expect(motion.offsetAt(2)).toEqual(new Vector3(2, 2, 0));
+    expect(motion.offsetAt(-1)).toEqual(new Vector3(0, 0, 0));
+    expect(motion.offsetAt(5)).toEqual(new Vector3(2, 4, 0));
+    expect(new Motion().offsetAt(1)).toEqual(new Vector3(0, 0, 0));
+  });
+
+  it('should move at constant speed for a linear motion', () => {
+    const motion = Motion.linear(new Vector3(0, 3, 0), 1, 2);
+
+    expect(motion.offsetAt(1)).toEqual(new Vector3(0, 0, 0));
+    expect(motion.offsetAt(1.5)).toEqual(new Vector3(0, 1.5, 0));
+    expect(motion.offsetAt(2)).toEqual(new Vector3(0, 3, 0));
+  });
+
+  it('should keep keyframes sorted and replace one at the same time', () => {
+    const motion = new Motion()
+      .setKeyframe(1, [1, 0, 0])
+      .setKeyframe(0, [0, 0, 0])
+      .setKeyframe(1, [5, 0, 0]);
+
+    expect(motion.keyframes.map(keyframe => keyframe.time)).toEqual([0, 1]);
+    expect(motion.offsetAt(1).x).toBe(5);
+    expect(() => motion.setKeyframe(NaN, [0, 0, 0])).toThrow(/time/);
+    expect(() => motion.setKeyframe(2, [0, 'up', 0])).toThrow(/offset/);
+  });
+
+  it('should sweep a bounding box over every keyframe', () => {
+    const motion = new Motion([
+      { time: 0, offset: [0, 0, 0] },
+      { time: 1, offset: [4, -1, 0] }
+    ]);
+    const swept = motion.sweepBoundingBox(new AABB(new Vector3(-1, -1, -1), new Vector3(1, 1, 1)));
+
+    expect(swept.min).toEqual(new Vector3(-1, -2, -1));
+    expect(swept.max).toEqual(new Vector3(5, 1, 1));
+  });
+
+  it('should round-trip through JSON', () => {
+    const motion = Motion.linear([1, 2, 3], 0, 0.5);
+    const restored = Motion.fromJSON(JSON.parse(JSON.stringify(motion.toJSON())));
+
+    expect(restored.keyframes).toEqual(motion.keyframes);
+  });
+});
+
+describe('Moving geometry', () => {
+  it('should intersect a sphere at its position at the ray time', () => {
+    const sphere = new Sphere(new Vector3(0, 0, 0), 1, material);
+    sphere.motion = Motion.linear([4, 0, 0]);
+
+    expect(sphere.intersect(rayThrough(0, 0, 0))).not.toBeNull();
+    expect(sphere.intersect(rayThrough(4, 0, 0))).toBeNull();
+
+    const hit = sphere.intersect(rayThrough(4, 0, 1));
+    expect(hit.distance).toBeCloseTo(9);
+    expect(hit.point.x).toBeCloseTo(4);
+    expect(hit.point.z).toBeCloseTo(-1);
+    expect(hit.normal.z).toBeCloseTo(-1);
+    expect(sphere.intersect(rayThrough(0, 0, 1))).toBeNull();
+  });
+
+  it('should intersect planes, triangles and meshes at their position at the ray time', () => {
+    const plane = new Plane(new Vector3(0, 0, 0), new Vector3(0, 0, -1), material);
+    plane.motion = Motion.linear([0, 0, 5]);
+    expect(plane.intersect(rayThrough(0, 0, 0)).distance).toBeCloseTo(10);
+    expect(plane.intersect(rayThrough(0, 0, 1)).point.z).toBeCloseTo(5);
+
+    const triangle = new Triangle(new Vector3(-1, -1, 0), new Vector3(1, -1, 0), new Vector3(0, 1, 0), material);
+    triangle.motion = Motion.linear([0, 10, 0]);
+    expect(triangle.intersect(rayThrough(0, 0, 0))).not.toBeNull();
+    expect(triangle.intersect(rayThrough(0, 0, 1))).toBeNull();
+    expect(triangle.intersect(rayThrough(0, 10, 1)).point.y).toBeCloseTo(10);
+
+    const mesh = new TriangleMesh({ positions: [-1, -1, 0, 1, -1, 0, 0, 1, 0], indices: [0, 1, 2] }, material);
+    mesh.motion = Motion.linear([0, 10, 0]);
+    expect(mesh.intersect(rayThrough(0, 0, 1))).toBeNull();
+    expect(mesh.intersect(rayThrough(0, 10, 1)).point.y).toBeCloseTo(10);
+    expect(mesh.getBoundingBox().max.y).toBeCloseTo(11);
+  });
+
+  it('should be found through the scene BVH at every time', () => {
+    const scene = new Scene();
+    for (let i = 0; i < 8; i++) {
+      scene.addObject(new Sphere(new Vector3(i * 3, -5, 0), 0.5, material));
+    }
+    const moving = new Sphere(new Vector3(0, 0, 0), 0.5, material);
+    moving.motion = Motion.linear([20, 0, 0]);
+    scene.addObject(moving);
+
+    for (const time of [0, 0.25, 0.5, 1]) {
+      const hit = computeRayIntersection(rayThrough(20 * time, 0, time), scene);
+      expect(hit).not.toBeNull();
+      expect(hit.point.x).toBeCloseTo(20 * time);
+    }
+  });
+
+  it('should pass the ray time on to secondary rays', () => {
+    expect(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)).time).toBe(0);
+
+    const scene = new Scene();
+    scene.addObject(new Plane(new Vector3(0, 0, 0), new Vector3(0, 0, -1), new Material({ r: 1, g: 1, b: 1 }, { reflection: 1 })));
+    // Behind the camera, only seen in the mirror once it has moved into view
+    const sphere = new Sphere(new Vector3(0, -10, -20), 1, new Material({ r: 1, g: 0, b: 0 }, { ambient: 1 }));
+    sphere.motion = Motion.linear([0, 10, 0]);
+    scene.addObject(sphere);
+    const background = { r: 0, g: 0, b: 1 };
+
+    const early = traceRay(rayThrough(0, 0, 0), scene, background);
+    const late = traceRay(rayThrough(0, 0, 1), scene, background);
+    expect(late.r).toBeGreaterThan(early.r);
+    expect(late.b).toBeLessThan(early.b);
+  });
+});
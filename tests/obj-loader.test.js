@@ -0,0 +1,223 @@
+/**
+ * Tests for the Wavefront OBJ/MTL importer
+ */
+import { describe, it, expect } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Ray, Material, Scene, computeRayIntersection } from '../js/raytracer.js';
+import { TriangleMesh } from '../js/mesh.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { parseOBJ, parseMTL, createMaterialFromMTL, loadOBJ } from '../js/obj-loader.js';
+
+// Unit quad at z = 0 written as a single n-gon with normals and texture coordinates
+const QUAD_OBJ = `
+# Blender export
+mtllib quad.mtl
+o Quad
+v -1 -1 0
+v 1 -1 0
+v 1 1 0
+v -1 1 0
+vt 0 0
+vt 1 0
+vt 1 1
+vt 0 1
+vn 0 0 -1
+usemtl Red
+s off
+f 1/1/1 2/2/1 3/3/1 4/4/1
+`;
+
+const QUAD_MTL = `
+newmtl Red
+Ns 250.000000
+Ka 1.000000 1.000000 1.000000
+Kd 0.800000 0.200000 0.200000
+Ks 0.500000 0.500000 0.500000
+Ni 1.450000
+d 0.750000
+illum 2
+`;
+
+describe('OBJ Loader', () => {
+  describe('parseOBJ', () => {
+    it('should triangulate n-gons as fans', () => {
+      const { groups } = parseOBJ(QUAD_OBJ);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].indices).toEqual([0, 1, 2, 0, 2, 3]);
+      expect(groups[0].positions).toHaveLength(12);
+    });
+
+    it('should read normals and flip texture coordinates', () => {
+      const { groups } = parseOBJ(QUAD_OBJ);
+
+      expect(groups[0].normals.slice(0, 3)).toEqual([0, 0, -1]);
+      // OBJ v = 0 is the bottom of the image; the texture classes use v = 0 for the top
+      expect(groups[0].uvs.slice(0, 2)).toEqual([0, 1]);
+      expect(groups[0].uvs.slice(4, 6)).toEqual([1, 0]);
+    });
+
+    it('should record material libraries and usemtl names', () => {
+      const result = parseOBJ(QUAD_OBJ);
+
+      expect(result.materialLibraries).toEqual(['quad.mtl']);
+      expect(result.groups[0].material).toBe('Red');
+    });
+
+    it('should split faces into one group per material', () => {
+      const source = `
+v 0 0 0
+v 1 0 0
+v 0 1 0
+v 1 1 0
+usemtl A
+f 1 2 3
+usemtl B
+f 2 4 3
+usemtl A
+f 3 2 1
+`;
+      const { groups } = parseOBJ(source);
+
+      expect(groups.map(group => group.material)).toEqual(['A', 'B']);
+      expect(groups[0].indices).toHaveLength(6);
+      expect(groups[1].indices).toHaveLength(3);
+      // Each group only carries the vertices it uses
+      expect(groups[1].positions).toHaveLength(9);
+    });
+
+    it('should support negative (relative) indices', () => {
+      const source = `
+v 0 0 0
+v 1 0 0
+v 0 1 0
+f -3 -2 -1
+`;
+      const { groups } = parseOBJ(source);
+
+      expect(groups[0].material).toBeNull();
+      expect(groups[0].positions).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0]);
+    });
+
+    it('should resolve repeated relative indices against the vertices defined so far', () => {
+      const source = `
+v 0 0 0
+v 1 0 0
+v 0 1 0
+vn 0 0 1
+f -3//-1 -2//-1 -1//-1
+v 5 0 0
+v 6 0 0
+v 5 1 0
+f -3//-1 -2//-1 -1//-1
+f 1//1 3//1 4//1
+`;
+      const { groups } = parseOBJ(source);
+
+      expect(groups[0].positions).toEqual([0, 0, 0, 1, 0, 0, 0, 1, 0, 5, 0, 0, 6, 0, 0, 5, 1, 0]);
+      expect(groups[0].indices).toEqual([0, 1, 2, 3, 4, 5, 0, 2, 3]);
+    });
+
+    it('should drop normals and uvs when some faces omit them', () => {
+      const source = `
+v 0 0 0
+v 1 0 0
+v 0 1 0
+vn 0 0 1
+f 1//1 2//1 3//1
+f 1 3 2
+`;
+      const { groups } = parseOBJ(source);
+
+      expect(groups[0].normals).toBeNull();
+      expect(groups[0].uvs).toBeNull();
+    });
+
+    it('should accept an ArrayBuffer', () => {
+      const buffer = new TextEncoder().encode(QUAD_OBJ).buffer;
+      const { groups } = parseOBJ(buffer);
+
+      expect(groups[0].indices).toEqual([0, 1, 2, 0, 2, 3]);
+    });
+
+    it('should throw on out of range indices', () => {
+      expect(() => parseOBJ('v 0 0 0\nv 1 0 0\nf 1 2 3')).toThrow(/line 3/);
+    });
+  });
+
+  describe('parseMTL', () => {
+    it('should read material properties', () => {
+      const materials = parseMTL(QUAD_MTL);
+
+      expect(materials.Red.Kd).toEqual([0.8, 0.2, 0.2]);
+      expect(materials.Red.Ks).toEqual([0.5, 0.5, 0.5]);
+      expect(materials.Red.Ns).toBe(250);
+      expect(materials.Red.d).toBe(0.75);
+      expect(materials.Red.Ni).toBe(1.45);
+    });
+
+    it('should derive opacity from Tr when d is missing', () => {
+      const materials = parseMTL('newmtl Glass\nTr 0.9');
+
+      expect(materials.Glass.d).toBeCloseTo(0.1);
+    });
+  });
+
+  describe('createMaterialFromMTL', () => {
+    it('should map MTL values to material properties', () => {
+      const material = createMaterialFromMTL(parseMTL(QUAD_MTL).Red);
+
+      expect(material).toBeInstanceOf(Material);
+      expect(material.diffuse).toBeCloseTo(0.8);
+      expect(material.color.r * material.diffuse).toBeCloseTo(0.8);
+      expect(material.color.g * material.diffuse).toBeCloseTo(0.2);
+      expect(material.specular).toBeCloseTo(0.5);
+      expect(material.shininess).toBe(250);
+      expect(material.transparency).toBeCloseTo(0.25);
+      expect(material.refractiveIndex).toBeCloseTo(1.45);
+    });
+
+    it('should handle a black diffuse color', () => {
+      const material = createMaterialFromMTL({ Kd: [0, 0, 0] });
+
+      expect(material.color).toEqual({ r: 0, g: 0, b: 0 });
+      expect(material.diffuse).toBe(0);
+    });
+  });
+
+  describe('loadOBJ', () => {
+    it('should register meshes with the scene manager', () => {
+      const sceneManager = new SceneManager(new Scene());
+      const { ids, missingMaterials } = loadOBJ(sceneManager, QUAD_OBJ, { mtl: QUAD_MTL });
+
+      expect(ids).toHaveLength(1);
+      expect(missingMaterials).toEqual([]);
+
+      const mesh = sceneManager.getObject(ids[0]);
+      expect(mesh).toBeInstanceOf(TriangleMesh);
+      expect(mesh.triangleCount).toBe(2);
+      expect(mesh.material.shininess).toBe(250);
+    });
+
+    it('should produce geometry that rays can hit', () => {
+      const sceneManager = new SceneManager(new Scene());
+      loadOBJ(sceneManager, QUAD_OBJ, { mtl: QUAD_MTL });
+
+      const ray = new Ray(new Vector3(0.5, 0.5, -5), new Vector3(0, 0, 1));
+      const hit = computeRayIntersection(ray, sceneManager.scene);
+
+      expect(hit).not.toBeNull();
+      expect(hit.distance).toBeCloseTo(5);
+      expect(hit.material.shininess).toBe(250);
+    });
+
+    it('should fall back to the default material for unknown materials', () => {
+      const sceneManager = new SceneManager(new Scene());
+      const defaultMaterial = new Material({ r: 0, g: 1, b: 0 });
+      const { ids, missingMaterials } = loadOBJ(sceneManager, QUAD_OBJ, { defaultMaterial });
+
+      expect(missingMaterials).toEqual(['Red']);
+      expect(sceneManager.getObject(ids[0]).material).toBe(defaultMaterial);
+    });
+  });
+});
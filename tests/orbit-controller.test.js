@@ -0,0 +1,95 @@
+/**
+ * Tests for the orbit camera controller
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Vector3, subtract, length, dot, normalize } from '../js/math.js';
+import { Camera, MAX_PITCH } from '../js/camera.js';
+import { OrbitController } from '../js/orbit-controller.js';
+
+describe('OrbitController', () => {
+  const target = new Vector3(1, 0, 5);
+  let camera;
+  let controller;
+
+  /**
+   * Check that the camera looks straight at the target
+   */
+  function expectLookingAtTarget() {
+    const toTarget = normalize(subtract(controller.target, camera.position));
+    expect(dot(toTarget, camera.direction)).toBeCloseTo(1, 10);
+  }
+
+  beforeEach(() => {
+    camera = new Camera({ position: new Vector3(1, 0, -5), lookAt: new Vector3(1, 0, 0) });
+    controller = new OrbitController(camera, { target });
+  });
+
+  it('should keep the camera where it is, looking at the target', () => {
+    expect(controller.distance).toBeCloseTo(10);
+    expect(camera.position.x).toBeCloseTo(1);
+    expect(camera.position.z).toBeCloseTo(-5);
+    expectLookingAtTarget();
+  });
+
+  it('should rotate around the target at a constant distance', () => {
+    controller.rotate(90, 0);
+
+    expect(length(subtract(camera.position, target))).toBeCloseTo(10);
+    // Moved to the camera's former right (-x, since it looked down +z)
+    expect(camera.position.x).toBeCloseTo(-9);
+    expect(camera.position.z).toBeCloseTo(5);
+    expectLookingAtTarget();
+
+    controller.rotate(0, 30);
+    expect(camera.position.y).toBeCloseTo(5);
+    expect(camera.pitch).toBeCloseTo(-30);
+    expect(camera.roll).toBeCloseTo(0);
+    expectLookingAtTarget();
+  });
+
+  it('should not rotate over the top', () => {
+    controller.rotate(0, 120);
+
+    expect(camera.pitch).toBeCloseTo(-MAX_PITCH);
+    expectLookingAtTarget();
+  });
+
+  it('should dolly within the distance limits', () => {
+    controller.dolly(0.5);
+    expect(length(subtract(camera.position, target))).toBeCloseTo(5);
+    expectLookingAtTarget();
+
+    controller.dolly(0);
+    expect(controller.distance).toBe(controller.minDistance);
+    controller.dolly(1e9);
+    expect(controller.distance).toBe(controller.maxDistance);
+  });
+
+  it('should pan the target and the camera together', () => {
+    const direction = camera.direction;
+    controller.pan(2, -1);
+
+    expect(controller.target.x).toBeCloseTo(-1);
+    expect(controller.target.y).toBeCloseTo(-1);
+    expect(camera.position.x).toBeCloseTo(-1);
+    expect(camera.position.y).toBeCloseTo(-1);
+    expect(camera.position.z).toBeCloseTo(-5);
+    expect(dot(camera.direction, direction)).toBeCloseTo(1, 10);
+  });
+
+  it('should follow a camera moved with the first-person controls', () => {
+    camera.moveRight(3);
+    camera.moveForward(4);
+    controller.sync();
+
+    expect(controller.distance).toBeCloseTo(Math.hypot(3, 6));
+    expectLookingAtTarget();
+  });
+
+  it('should default to a target in front of the camera', () => {
+    const other = new OrbitController(camera);
+
+    expect(other.distance).toBeCloseTo(10);
+    expect(other.target.z).toBeCloseTo(5);
+  });
+});
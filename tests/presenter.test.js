@@ -0,0 +1,113 @@
+/**
+ * Tests for the WebGPU and Canvas 2D presenters
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { WebGPUPresenter, Canvas2DPresenter, createPresenter } from '../js/presenter.js';
+
+describe('Presenters', () => {
+  let context2d;
+  let gpuContext;
+  let canvas;
+
+  beforeEach(() => {
+    context2d = { putImageData: vi.fn() };
+    gpuContext = { configure: vi.fn(), getCurrentTexture: vi.fn(() => ({ label: 'canvas texture' })) };
+    canvas = {
+      width: 4,
+      height: 2,
+      getContext: vi.fn(type => (type === 'webgpu' ? gpuContext : context2d))
+    };
+    gpuContext.canvas = canvas;
+
+    vi.stubGlobal('GPUTextureUsage', { COPY_DST: 0x2, RENDER_ATTACHMENT: 0x10 });
+    vi.stubGlobal('ImageData', class ImageData {
+      constructor(data, width, height) {
+        Object.assign(this, { data, width, height });
+      }
+    });
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+  });
+
+  describe('createPresenter', () => {
+    it('should use WebGPU when a device can be created', async () => {
+      const device = { lost: new Promise(() => {}), queue: { writeTexture: vi.fn() } };
+      vi.stubGlobal('navigator', {
+        gpu: {
+          requestAdapter: vi.fn(async () => ({ requestDevice: vi.fn(async () => device) })),
+          getPreferredCanvasFormat: vi.fn(() => 'bgra8unorm')
+        }
+      });
+
+      const presenter = await createPresenter(canvas);
+
+      expect(presenter).toBeInstanceOf(WebGPUPresenter);
+      expect(presenter.gpu).toMatchObject({ device, context: gpuContext, presentationFormat: 'bgra8unorm' });
+      expect(presenter.canvas).toBe(canvas);
+      expect(canvas.getContext).not.toHaveBeenCalledWith('2d');
+    });
+
+    it('should fall back to Canvas 2D without WebGPU', async () => {
+      vi.stubGlobal('navigator', {});
+
+      const presenter = await createPresenter(canvas);
+
+      expect(presenter).toBeInstanceOf(Canvas2DPresenter);
+      expect(presenter.gpu).toBe(null);
+      expect(presenter.reason).toContain('not supported');
+      expect(canvas.getContext).toHaveBeenCalledWith('2d');
+    });
+
+    it('should fail when the canvas has no 2D context either', async () => {
+      vi.stubGlobal('navigator', {});
+      canvas.getContext = vi.fn(() => null);
+
+      await expect(createPresenter(canvas)).rejects.toThrow('Canvas 2D rendering is not available');
+    });
+  });
+
+  describe('WebGPUPresenter', () => {
+    it('should write the image to the current canvas texture', () => {
+      const device = { queue: { writeTexture: vi.fn() } };
+      const presenter = new WebGPUPresenter({ device, context: gpuContext });
+      const image = new Uint8ClampedArray(4 * 2 * 4);
+
+      presenter.present(image, 4, 2);
+
+      expect(device.queue.writeTexture).toHaveBeenCalledWith(
+        { texture: { label: 'canvas texture' } },
+        image,
+        { bytesPerRow: 16, rowsPerImage: 2 },
+        { width: 4, height: 2 }
+      );
+    });
+
+    it('should report errors of its GPU context', () => {
+      const gpu = { device: {}, context: gpuContext };
+      const presenter = new WebGPUPresenter(gpu);
+      expect(presenter.error).toBeUndefined();
+
+      gpu.error = 'Failed to get GPU adapter.';
+
+      expect(presenter.error).toBe('Failed to get GPU adapter.');
+    });
+  });
+
+  describe('Canvas2DPresenter', () => {
+    it('should draw the image with putImageData', () => {
+      const presenter = new Canvas2DPresenter(canvas);
+      const image = new Uint8ClampedArray(4 * 2 * 4).fill(200);
+
+      presenter.present(image, 4, 2);
+
+      const [imageData, x, y] = context2d.putImageData.mock.calls[0];
+      expect(imageData).toMatchObject({ data: image, width: 4, height: 2 });
+      expect([x, y]).toEqual([0, 0]);
+    });
+  });
+});
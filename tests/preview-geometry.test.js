@@ -0,0 +1,253 @@
+/**
+ * Tests for the rasterized preview: geometry, uniforms and the pipeline
+ */
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { Vector3, normalize, cross, subtract, dot, length } from '../js/math.js';
+import { Material, Sphere, Plane, Scene, Light } from '../js/raytracer.js';
+import { Triangle, TriangleMesh } from '../js/mesh.js';
+import { Camera } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import {
+  PREVIEW_VERTEX_FLOATS,
+  PREVIEW_UNIFORM_FLOATS,
+  MAX_PREVIEW_LIGHTS,
+  tessellateSphere,
+  createPlaneQuad,
+  buildPreviewGeometry,
+  packPreviewUniforms
+} from '../js/preview-geometry.js';
+import { PreviewRenderer } from '../js/preview-renderer.js';
+
+/**
+ * Get a vertex of flat triangle data
+ * @param {ArrayLike<number>} positions - Flat xyz positions
+ * @param {number} index - Vertex index
+ * @returns {Vector3} The vertex
+ */
+function vertexAt(positions, index) {
+  return new Vector3(positions[index * 3], positions[index * 3 + 1], positions[index * 3 + 2]);
+}
+
+/**
+ * Get the (unnormalized) winding normal of each triangle
+ * @param {{positions: ArrayLike<number>, indices: ArrayLike<number>}} triangles - Triangle data
+ * @returns {Array<{normal: Vector3, centroid: Vector3}>} Per-triangle normal and centroid
+ */
+function faces(triangles) {
+  const result = [];
+  for (let i = 0; i < triangles.indices.length; i += 3) {
+    const [a, b, c] = [0, 1, 2].map(k => vertexAt(triangles.positions, triangles.indices[i + k]));
+    result.push({
+      normal: cross(subtract(b, a), subtract(c, a)),
+      centroid: new Vector3((a.x + b.x + c.x) / 3, (a.y + b.y + c.y) / 3, (a.z + b.z + c.z) / 3)
+    });
+  }
+  return result;
+}
+
+describe('Preview geometry', () => {
+  const red = new Material({ r: 1, g: 0, b: 0 }, { ambient: 0.2, diffuse: 0.6, specular: 0.4, shininess: 16 });
+
+  describe('tessellateSphere', () => {
+    it('should put every vertex on the sphere with outward normals', () => {
+      const center = new Vector3(1, 2, 3);
+      const sphere = tessellateSphere(center, 2, { latitudeBands: 6, longitudeBands: 8 });
+
+      expect(sphere.positions).toHaveLength(7 * 9 * 3);
+      for (let i = 0; i < sphere.positions.length / 3; i++) {
+        const offset = subtract(vertexAt(sphere.positions, i), center);
+        const normal = vertexAt(sphere.normals, i);
+        expect(length(offset)).toBeCloseTo(2);
+        expect(dot(normalize(offset), normal)).toBeCloseTo(1);
+      }
+    });
+
+    it('should wind every triangle counter-clockwise from outside', () => {
+      const center = new Vector3(0, 0, 5);
+      const sphere = tessellateSphere(center, 1, { latitudeBands: 6, longitudeBands: 8 });
+      const triangles = faces(sphere);
+
+      // Two triangles per quad, one at each pole ring
+      expect(triangles).toHaveLength(8 * (2 * 6 - 2));
+      for (const { normal, centroid } of triangles) {
+        expect(length(normal)).toBeGreaterThan(0);
+        expect(dot(normal, subtract(centroid, center))).toBeGreaterThan(0);
+      }
+    });
+  });
+
+  describe('createPlaneQuad', () => {
+    it('should build a quad in the plane facing along its normal', () => {
+      for (const normal of [new Vector3(0, 1, 0), new Vector3(0, 0, -1), normalize(new Vector3(1, 1, 1))]) {
+        const point = new Vector3(0, -2.5, 4);
+        const quad = createPlaneQuad(point, normal, 10);
+
+        for (let i = 0; i < 4; i++) {
+          const corner = vertexAt(quad.positions, i);
+          expect(dot(subtract(corner, point), normal)).toBeCloseTo(0);
+          expect(length(subtract(corner, point))).toBeCloseTo(10 * Math.SQRT2);
+        }
+        for (const face of faces(quad)) {
+          expect(dot(normalize(face.normal), normal)).toBeCloseTo(1);
+        }
+      }
+    });
+  });
+
+  describe('buildPreviewGeometry', () => {
+    it('should interleave positions, normals and materials of all objects', () => {
+      const plane = new Plane(new Vector3(0, -1, 0), new Vector3(0, 1, 0), red);
+      const sphere = new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 0, g: 0, b: 1 }));
+      const geometry = buildPreviewGeometry([plane, sphere], { latitudeBands: 4, longitudeBands: 4 });
+
+      const sphereVertices = 5 * 5;
+      expect(geometry.vertexCount).toBe(4 + sphereVertices);
+      expect(geometry.vertices).toHaveLength(geometry.vertexCount * PREVIEW_VERTEX_FLOATS);
+      expect(geometry.indexCount).toBe(6 + 4 * 6 * 3);
+
+      // First plane vertex: normal, color, material and the one-sided flag
+      expect(geometry.vertices.subarray(3, PREVIEW_VERTEX_FLOATS)).toEqual(new Float32Array([0, 1, 0, 1, 0, 0, 0.2, 0.6, 0.4, 16, 0]));
+      // Sphere vertices follow the plane's and use its blue material
+      expect(geometry.vertices[4 * PREVIEW_VERTEX_FLOATS + 8]).toBe(1);
+      expect(Math.min(...geometry.indices.subarray(6))).toBeGreaterThanOrEqual(4);
+      expect(Math.max(...geometry.indices)).toBeLessThan(geometry.vertexCount);
+    });
+
+    it('should include meshes as double-sided, flat-shaded when they have no normals', () => {
+      const mesh = new TriangleMesh({ positions: [0, 0, 0, 1, 0, 0, 0, 1, 0, 1, 1, 0], indices: [0, 1, 2, 2, 1, 3] }, red);
+      const triangle = new Triangle(new Vector3(0, 0, 1), new Vector3(0, 1, 1), new Vector3(1, 0, 1), red);
+      const geometry = buildPreviewGeometry([mesh, triangle, { material: red }]);
+
+      expect(geometry.vertexCount).toBe(9);
+      expect(geometry.indexCount).toBe(9);
+      for (let i = 0; i < 9; i++) {
+        const vertex = geometry.vertices.subarray(i * PREVIEW_VERTEX_FLOATS, (i + 1) * PREVIEW_VERTEX_FLOATS);
+        expect(vertex[13]).toBe(1);
+        expect(Math.abs(vertex[5])).toBeCloseTo(1);
+      }
+      // The triangle is wound clockwise seen from -z, so its normal points to -z
+      expect(geometry.vertices[6 * PREVIEW_VERTEX_FLOATS + 5]).toBeCloseTo(-1);
+    });
+  });
+
+  describe('packPreviewUniforms', () => {
+    it('should pack matrices, camera position and lights', () => {
+      const camera = new Camera({ position: new Vector3(0, 1, -10), lookAt: new Vector3(0, 0, 5), fov: 50, aspectRatio: 2 });
+      const lights = [
+        new Light('point', { position: new Vector3(1, 2, 3), color: { r: 1, g: 0.5, b: 0 }, intensity: 2 }),
+        new Light('directional', { direction: new Vector3(0, -1, 0) })
+      ];
+
+      const data = packPreviewUniforms(camera, lights, { near: 1, far: 100 });
+
+      expect(data).toHaveLength(PREVIEW_UNIFORM_FLOATS);
+      expect(Array.from(data.subarray(0, 16))).toEqual(Array.from(camera.getViewMatrix()));
+      expect(Array.from(data.subarray(16, 32))).toEqual(Array.from(camera.getProjectionMatrix(1, 100)));
+      expect(Array.from(data.subarray(32, 36))).toEqual([0, 1, -10, 2]);
+      expect(Array.from(data.subarray(36, 48))).toEqual([1, 2, 3, 0, 0, -1, 0, 0, 2, 1, 0, 0]);
+      expect(data[51]).toBe(1);
+      expect(Array.from(data.subarray(52, 55))).toEqual([0, -1, 0]);
+    });
+
+    it('should only include as many lights as the shader supports', () => {
+      const camera = new Camera();
+      const lights = Array.from({ length: MAX_PREVIEW_LIGHTS + 3 }, () => new Light('point', { position: new Vector3(0, 0, 0) }));
+
+      expect(packPreviewUniforms(camera, lights)[35]).toBe(MAX_PREVIEW_LIGHTS);
+    });
+  });
+});
+
+describe('PreviewRenderer', () => {
+  let device;
+  let sceneManager;
+  let camera;
+
+  /**
+   * Create a GPU device stand-in that records the calls the preview makes
+   * @returns {Object} Device-like object
+   */
+  function createDevice() {
+    const createResource = (descriptor) => ({ ...descriptor, destroy: vi.fn(), createView: vi.fn(() => ({})) });
+    return {
+      createShaderModule: vi.fn(() => ({})),
+      createRenderPipeline: vi.fn(() => ({ getBindGroupLayout: vi.fn(() => ({})) })),
+      createBindGroup: vi.fn(() => ({})),
+      createBuffer: vi.fn(createResource),
+      createTexture: vi.fn(descriptor => createResource({ ...descriptor, width: descriptor.size[0], height: descriptor.size[1] })),
+      queue: { writeBuffer: vi.fn() }
+    };
+  }
+
+  /**
+   * Create a render pass stand-in
+   * @returns {Object} Pass-encoder-like object
+   */
+  function createPass() {
+    return {
+      setPipeline: vi.fn(),
+      setBindGroup: vi.fn(),
+      setVertexBuffer: vi.fn(),
+      setIndexBuffer: vi.fn(),
+      drawIndexed: vi.fn()
+    };
+  }
+
+  beforeEach(() => {
+    vi.stubGlobal('GPUBufferUsage', { VERTEX: 0x20, INDEX: 0x10, UNIFORM: 0x40, COPY_DST: 0x8 });
+    vi.stubGlobal('GPUTextureUsage', { RENDER_ATTACHMENT: 0x10 });
+    device = createDevice();
+    sceneManager = new SceneManager(new Scene());
+    sceneManager.createCornellBox();
+    camera = new Camera({ position: new Vector3(0, 0, -10), lookAt: new Vector3(0, 0, 5) });
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('should draw the whole scene with one indexed draw', () => {
+    const preview = new PreviewRenderer(device, 'bgra8unorm');
+    const pass = createPass();
+
+    preview.prepare(sceneManager.scene, camera, 64, 48);
+    preview.draw(pass);
+
+    const expected = buildPreviewGeometry(sceneManager.scene.objects);
+    expect(pass.setIndexBuffer).toHaveBeenCalledWith(preview.indexBuffer, 'uint32');
+    expect(pass.drawIndexed).toHaveBeenCalledWith(expected.indexCount);
+    expect(preview.vertexBuffer.size).toBe(expected.vertices.byteLength);
+    expect(preview.depthTexture).toMatchObject({ width: 64, height: 48, format: 'depth24plus' });
+    expect(device.createRenderPipeline.mock.calls[0][0].fragment.targets).toEqual([{ format: 'bgra8unorm' }]);
+  });
+
+  it('should only rebuild the geometry when the scene changes', () => {
+    const preview = new PreviewRenderer(device, 'bgra8unorm');
+    preview.watch(sceneManager);
+
+    preview.prepare(sceneManager.scene, camera, 64, 48);
+    preview.prepare(sceneManager.scene, camera, 64, 48);
+    const firstVertexBuffer = preview.vertexBuffer;
+    expect(device.createBuffer.mock.calls.filter(([descriptor]) => descriptor.label === 'Preview vertices')).toHaveLength(1);
+    // The uniforms are written for every frame
+    expect(device.queue.writeBuffer.mock.calls.filter(([buffer]) => buffer === preview.uniformBuffer)).toHaveLength(2);
+
+    const sphereId = [...sceneManager.objects.keys()].find(id => sceneManager.getObject(id) instanceof Sphere);
+    sceneManager.updateSphereRadius(sphereId, 0.25);
+    preview.prepare(sceneManager.scene, camera, 64, 48);
+
+    expect(firstVertexBuffer.destroy).toHaveBeenCalled();
+    expect(preview.vertexBuffer).not.toBe(firstVertexBuffer);
+  });
+
+  it('should skip drawing an empty scene', () => {
+    const preview = new PreviewRenderer(device, 'bgra8unorm');
+    const pass = createPass();
+
+    preview.prepare(new Scene(), camera, 64, 48);
+    preview.draw(pass);
+
+    expect(pass.drawIndexed).not.toHaveBeenCalled();
+    expect(preview.vertexBuffer).toBe(null);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Tests for progressive accumulation rendering
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Scene, raytracingSettings } from '../js/raytracer.js';
+import { Camera } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { ProgressiveRenderer, DEFAULT_TARGET_PASSES } from '../js/progressive-renderer.js';
+import { Motion } from '../js/motion.js';
+
+const WIDTH = 16;
+const HEIGHT = 12;
+
+describe('ProgressiveRenderer', () => {
+  let sceneManager;
+  let camera;
+  let savedSettings;
+
+  /**
+   * Create a renderer for the test image
+   * @param {number} seed - Jitter seed
+   * @returns {ProgressiveRenderer} The renderer
+   */
+  function createRenderer(seed = 1) {
+    return new ProgressiveRenderer({ width: WIDTH, height: HEIGHT, seed, backgroundColor: { r: 0.1, g: 0.1, b: 0.2 } });
+  }
+
+  beforeEach(() => {
+    savedSettings = { ...raytracingSettings };
+    sceneManager = new SceneManager(new Scene());
+    sceneManager.createCornellBox();
+    camera = new Camera({
+      position: new Vector3(0, 0, -10),
+      lookAt: new Vector3(0, 0, 5),
+      up: new Vector3(0, 1, 0),
+      fov: 60,
+      aspectRatio: WIDTH / HEIGHT
+    });
+  });
+
+  afterEach(() => {
+    Object.assign(raytracingSettings, savedSettings);
+  });
+
+  it('should average the samples of every pass', () => {
+    const renderer = createRenderer();
+
+    renderer.renderPass(sceneManager.scene, camera);
+    const firstPass = Array.from(renderer.accumulation);
+    renderer.renderPass(sceneManager.scene, camera);
+
+    expect(renderer.passes).toBe(2);
+    expect(Array.from(renderer.accumulation)).not.toEqual(firstPass);
+
+    const image = renderer.resolve();
+    const expectedRed = Math.floor(renderer.accumulation[0] * 255 / 2);
+    expect(image[0]).toBe(expectedRed);
+    expect(image[3]).toBe(255);
+  });
+
+  it('should be reproducible for a seed and differ between seeds', () => {
+    const first = createRenderer(5);
+    const second = createRenderer(5);
+    const other = createRenderer(6);
+
+    for (const renderer of [first, second, other]) {
+      renderer.renderPass(sceneManager.scene, camera);
+      renderer.renderPass(sceneManager.scene, camera);
+    }
+
+    expect(second.accumulation).toEqual(first.accumulation);
+    expect(other.accumulation).not.toEqual(first.accumulation);
+  });
+
+  it('should give the same result however a pass is split', () => {
+    const whole = createRenderer();
+    const split = createRenderer();
+
+    whole.renderPass(sceneManager.scene, camera);
+    let steps = 0;
+    while (!split.step(sceneManager.scene, camera, 0)) {
+      steps++;
+    }
+
+    expect(steps).toBe(HEIGHT - 1);
+    expect(split.accumulation).toEqual(whole.accumulation);
+  });
+
+  it('should show the rows of an unfinished pass', () => {
+    const renderer = createRenderer();
+
+    renderer.step(sceneManager.scene, camera, 0);
+    const image = renderer.resolve();
+
+    expect(renderer.passes).toBe(0);
+    expect(image.subarray(0, WIDTH * 4).some((value, index) => index % 4 !== 3 && value > 0)).toBe(true);
+    expect(image.subarray(WIDTH * 4).every((value, index) => index % 4 === 3 || value === 0)).toBe(true);
+  });
+
+  it('should reset when the camera moves', () => {
+    const renderer = createRenderer();
+    renderer.renderPass(sceneManager.scene, camera);
+    renderer.renderPass(sceneManager.scene, camera);
+
+    expect(renderer.sync(camera)).toBe(false);
+    camera.moveForward(0.5);
+    renderer.renderPass(sceneManager.scene, camera);
+
+    expect(renderer.passes).toBe(1);
+  });
+
+  it('should reset when the lens changes', () => {
+    const renderer = createRenderer();
+    renderer.renderPass(sceneManager.scene, camera);
+
+    camera.aperture = 0.2;
+    expect(renderer.sync(camera)).toBe(true);
+    renderer.renderPass(sceneManager.scene, camera);
+
+    camera.focusDistance = 4;
+    expect(renderer.sync(camera)).toBe(true);
+    renderer.renderPass(sceneManager.scene, camera);
+
+    camera.apertureBlades = 6;
+    expect(renderer.sync(camera)).toBe(true);
+  });
+
+  it('should reset when the shutter changes and blur moving objects', () => {
+    sceneManager.updateObjectMotion('obj_6', Motion.linear([3, 0, 0]));
+    const still = createRenderer();
+    still.renderPass(sceneManager.scene, camera);
+
+    const renderer = createRenderer();
+    renderer.renderPass(sceneManager.scene, camera);
+    expect(Array.from(renderer.accumulation)).toEqual(Array.from(still.accumulation));
+
+    camera.shutterClose = 1;
+    expect(renderer.sync(camera)).toBe(true);
+    renderer.renderPass(sceneManager.scene, camera);
+    expect(Array.from(renderer.accumulation)).not.toEqual(Array.from(still.accumulation));
+  });
+
+  it('should reset when render settings change, but not for the sample target', () => {
+    const renderer = createRenderer();
+    renderer.renderPass(sceneManager.scene, camera);
+
+    expect(renderer.targetPasses).toBe(DEFAULT_TARGET_PASSES);
+    renderer.targetPasses = 8;
+    expect(renderer.sync(camera)).toBe(false);
+
+    raytracingSettings.enableShadows = !raytracingSettings.enableShadows;
+    expect(renderer.sync(camera)).toBe(true);
+    expect(renderer.passes).toBe(0);
+  });
+
+  it('should reset through a scene manager change listener', () => {
+    const renderer = createRenderer();
+    sceneManager.addChangeListener(() => renderer.reset());
+    renderer.renderPass(sceneManager.scene, camera);
+
+    sceneManager.addObject({ type: 'sphere', center: new Vector3(0, 0, 3), radius: 0.5 });
+
+    expect(renderer.passes).toBe(0);
+    expect(renderer.accumulation.every(value => value === 0)).toBe(true);
+  });
+
+  it('should track the pass count and render time', () => {
+    const renderer = createRenderer();
+    renderer.renderPass(sceneManager.scene, camera);
+
+    const stats = renderer.getStats();
+    expect(stats.passes).toBe(1);
+    expect(stats.elapsed).toBeGreaterThan(0);
+    expect(stats.lastPassTime).toBeGreaterThan(0);
+  });
+});
@@ -1,7 +1,7 @@
 /**
  * Tests for the raytracer module
  */
-import { describe, it, expect, beforeEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { Vector3, normalize } from '../js/math.js';
 import { 
   Ray, 
@@ -20,6 +20,9 @@ import {
   calculateFresnelReflection,
   traceRay
 } from '../js/raytracer.js';
+import { Triangle } from '../js/mesh.js';
+import { CheckerboardTexture, GradientTexture } from '../js/textures.js';
+import { RenderStats } from '../js/render-stats.js';
 
 describe('Raytracer Module', () => {
   describe('Ray', () => {
@@ -625,6 +628,160 @@ describe('Advanced Material Features', () => {
       // The colors should be different
       expect(colorWithRefraction).not.toEqual(colorWithoutRefraction);
     });
+
+    it('should start rays leaving a transparent object outside of it', () => {
+      // A red sphere behind a clear sphere that does not bend light
+      scene.addObject(new Sphere(new Vector3(0, 0, 8), 1, new Material({ r: 1, g: 0, b: 0 })));
+      scene.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+      const direct = traceRay(ray, scene, backgroundColor, 0);
+
+      scene.addObject(new Sphere(
+        new Vector3(0, 0, 5),
+        1,
+        new Material({ r: 0, g: 0, b: 0 }, { transparency: 1, refractiveIndex: 1 })
+      ));
+      const stats = new RenderStats();
+      const throughGlass = traceRay(ray, scene, backgroundColor, 0, stats);
+
+      // One refraction enters the sphere and one leaves it towards the red sphere
+      expect(stats.refractionRays).toBe(2);
+      expect(throughGlass.r).toBeCloseTo(direct.r, 5);
+    });
+  });
+  
+  describe('Depth limits', () => {
+    let savedSettings;
+    
+    beforeEach(() => {
+      savedSettings = { ...raytracingSettings };
+      raytracingSettings.maxReflectionDepth = 10;
+      raytracingSettings.maxRefractionDepth = 10;
+      raytracingSettings.maxDepth = 10;
+      raytracingSettings.russianRoulette = false;
+    });
+    
+    afterEach(() => {
+      Object.assign(raytracingSettings, savedSettings);
+    });
+    
+    /**
+     * Build a corridor of two facing mirrors with a red wall at the end
+     */
+    function addMirrorCorridor() {
+      const mirror = new Material({ r: 0.2, g: 0.2, b: 0.2 }, { reflection: 0.8 });
+      scene.addObject(new Plane(new Vector3(-1, 0, 0), new Vector3(1, 0, 0), mirror));
+      scene.addObject(new Plane(new Vector3(1, 0, 0), new Vector3(-1, 0, 0), mirror));
+      scene.addObject(new Plane(new Vector3(0, 0, 10), new Vector3(0, 0, -1), new Material({ r: 1, g: 0, b: 0 })));
+      scene.addLight(new Light('point', { position: new Vector3(0, 0, 5) }));
+    }
+    
+    /**
+     * Build a glass sphere in front of a red sphere
+     */
+    function addGlassSphere() {
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 0.8, g: 0.8, b: 1.0 }, { transparency: 0.9, refractiveIndex: 1.5 })));
+      scene.addObject(new Sphere(new Vector3(0, 0, 8), 1, new Material({ r: 1, g: 0, b: 0 })));
+      scene.addLight(new Light('point', { position: new Vector3(0, 5, 0), intensity: 2.0 }));
+    }
+    
+    // Crosses the corridor about five times before reaching the red wall
+    const corridorRay = () => new Ray(new Vector3(0, 0, 0), normalize(new Vector3(1, 0, 2)));
+    
+    it('should stop reflections at maxReflectionDepth', () => {
+      addMirrorCorridor();
+      
+      raytracingSettings.maxReflectionDepth = 2;
+      const limited = traceRay(corridorRay(), scene, backgroundColor, 0);
+      raytracingSettings.maxReflectionDepth = 8;
+      const full = traceRay(corridorRay(), scene, backgroundColor, 0);
+      
+      expect(full.r).toBeGreaterThan(limited.r);
+    });
+    
+    it('should stop refractions at maxRefractionDepth without limiting reflections', () => {
+      addGlassSphere();
+      raytracingSettings.maxReflectionDepth = 1;
+      
+      // One refraction enters the sphere but cannot leave it
+      raytracingSettings.maxRefractionDepth = 1;
+      const limited = traceRay(ray, scene, backgroundColor, 0);
+      raytracingSettings.maxRefractionDepth = 2;
+      const full = traceRay(ray, scene, backgroundColor, 0);
+      
+      expect(full.r).toBeGreaterThan(limited.r + 0.1);
+    });
+    
+    it('should stop any mix of bounces at maxDepth', () => {
+      addMirrorCorridor();
+      
+      raytracingSettings.maxDepth = 2;
+      const limitedReflection = traceRay(corridorRay(), scene, backgroundColor, 0);
+      raytracingSettings.maxDepth = 8;
+      const fullReflection = traceRay(corridorRay(), scene, backgroundColor, 0);
+      expect(fullReflection.r).toBeGreaterThan(limitedReflection.r);
+      
+      scene = new Scene();
+      addGlassSphere();
+      raytracingSettings.maxDepth = 1;
+      const limitedRefraction = traceRay(ray, scene, backgroundColor, 0);
+      raytracingSettings.maxDepth = 2;
+      const fullRefraction = traceRay(ray, scene, backgroundColor, 0);
+      expect(fullRefraction.r).toBeGreaterThan(limitedRefraction.r + 0.1);
+    });
+    
+    it('should drop low-throughput paths with Russian roulette', () => {
+      addMirrorCorridor();
+      const rays = [];
+      for (let i = 0; i < 50; i++) {
+        rays.push(new Ray(new Vector3(0, 0, 0), normalize(new Vector3(1, (i - 25) / 100, 1 + i / 50))));
+      }
+      
+      /**
+       * Trace all rays
+       * @returns {{colors: Array<Object>, stats: RenderStats}} Colors and statistics
+       */
+      const traceAll = () => {
+        const stats = new RenderStats();
+        const colors = rays.map(r => traceRay(r, scene, backgroundColor, 0, stats));
+        return { colors, stats };
+      };
+      
+      const full = traceAll();
+      raytracingSettings.russianRoulette = true;
+      raytracingSettings.rouletteStartDepth = 1;
+      raytracingSettings.rouletteThreshold = 0.5;
+      const roulette = traceAll();
+      
+      expect(roulette.stats.reflectionRays).toBeLessThan(full.stats.reflectionRays);
+      expect(roulette.colors).not.toEqual(full.colors);
+      // The same rays are always dropped
+      expect(traceAll().colors).toEqual(roulette.colors);
+      // Surviving paths are weighted up, so the image stays about as bright
+      const averageRed = colors => colors.reduce((sum, color) => sum + color.r, 0) / colors.length;
+      expect(averageRed(roulette.colors)).toBeCloseTo(averageRed(full.colors), 1);
+    });
+
+    it('should keep the average of Russian roulette samples unbiased when survivors exceed 1', () => {
+      // Two black mirrors send the ray up into a bright background, so only the
+      // weighted-up survivors of the second bounce carry any color
+      const mirror = new Material({ r: 0, g: 0, b: 0 }, { reflection: 0.5 });
+      scene.addObject(new Plane(new Vector3(0, 0, 5), normalize(new Vector3(-1, 0, -1)), mirror));
+      scene.addObject(new Plane(new Vector3(-5, 0, 5), normalize(new Vector3(1, 1, 0)), mirror));
+      const sky = { r: 0.8, g: 0.8, b: 0.8 };
+      const rays = [];
+      for (let i = 0; i < 1000; i++) {
+        rays.push(new Ray(new Vector3((i % 40) * 1e-4, Math.floor(i / 40) * 1e-4, 0), new Vector3(0, 0, 1)));
+      }
+      const averageRed = () => rays.reduce((sum, r) => sum + traceRay(r, scene, sky, 0).r, 0) / rays.length;
+
+      const expected = averageRed();
+      raytracingSettings.russianRoulette = true;
+      raytracingSettings.rouletteStartDepth = 1;
+      raytracingSettings.rouletteThreshold = 1;
+
+      expect(expected).toBeCloseTo(0.2, 5);
+      expect(averageRed()).toBeCloseTo(expected, 1);
+    });
   });
   
   describe('Textures', () => {
@@ -651,5 +808,45 @@ describe('Advanced Material Features', () => {
       expect(color.g === 1 || color.g === 0).toBeTruthy();
       expect(color.b === 1 || color.b === 0).toBeTruthy();
     });
+    
+    it('should shade a textured triangle from the texture at its interpolated UVs', () => {
+      // Black to white from left to right, lit by the ambient term alone
+      const texture = new GradientTexture({ r: 0, g: 0, b: 0 }, { r: 1, g: 1, b: 1 }, 'horizontal');
+      const material = new Material({ r: 1, g: 0, b: 0 }, { ambient: 1, diffuse: 0, specular: 0, texture });
+      const scene = new Scene();
+      scene.addObject(new Triangle(
+        new Vector3(-1, -1, 5), new Vector3(1, -1, 5), new Vector3(-1, 1, 5),
+        material,
+        { uvs: [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0, v: 1 }] }
+      ));
+      
+      const shade = x => {
+        const ray = new Ray(new Vector3(x, -0.5, 0), new Vector3(0, 0, 1));
+        return calculateLighting(computeRayIntersection(ray, scene), ray, scene);
+      };
+      
+      expect(shade(-0.5).r).toBeCloseTo(0.25);
+      expect(shade(0.4).r).toBeCloseTo(0.7);
+      expect(shade(0.4).g).toBeCloseTo(0.7);
+    });
+    
+    it('should repeat textures on planes once per unit of length', () => {
+      const texture = new CheckerboardTexture({ r: 1, g: 1, b: 1 }, { r: 0, g: 0, b: 0 }, 1);
+      const material = new Material({ r: 0.5, g: 0.5, b: 0.5 }, { ambient: 1, diffuse: 0, specular: 0, texture });
+      const plane = new Plane(new Vector3(0, 0, 0), new Vector3(0, 1, 0), material);
+      const scene = new Scene();
+      scene.addObject(plane);
+      
+      const hit = plane.intersect(new Ray(new Vector3(2.5, 1, -3.5), new Vector3(0, -1, 0)));
+      expect(Math.abs(hit.uv.u)).toBeCloseTo(3.5);
+      expect(Math.abs(hit.uv.v)).toBeCloseTo(2.5);
+      
+      const shade = (x, z) => {
+        const ray = new Ray(new Vector3(x, 1, z), new Vector3(0, -1, 0));
+        return calculateLighting(computeRayIntersection(ray, scene), ray, scene).r;
+      };
+      expect(shade(0.5, 0.5)).not.toBe(shade(1.5, 0.5));
+      expect(shade(0.5, 0.5)).toBe(shade(1.5, 1.5));
+    });
   });
 }); 
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * Tests for the headless command-line renderer
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtemp, readFile, writeFile, readdir, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import path from 'path';
+import { Vector3 } from '../js/math.js';
+import { Scene, Sphere, Material, Light, raytracingSettings } from '../js/raytracer.js';
+import { Camera } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { Timeline } from '../js/timeline.js';
+import { renderImage } from '../js/offline-renderer.js';
+import { runRender, getFramePath } from '../scripts/render.mjs';
+
+/**
+ * Create an output stream that records what is written to it
+ * @returns {{write: Function, text: string}} The stream
+ */
+function createStream() {
+  const stream = {
+    text: '',
+    write(chunk) {
+      stream.text += chunk;
+    }
+  };
+  return stream;
+}
+
+describe('Headless renderer', () => {
+  let directory;
+  let io;
+  let savedSettings;
+
+  /**
+   * Write a Cornell box scene file
+   * @param {Object} options - Options for toJSON
+   * @returns {Promise<string>} Path of the scene file
+   */
+  async function writeCornellBox(options = {}) {
+    const sceneManager = new SceneManager(new Scene());
+    sceneManager.createCornellBox();
+    const scenePath = path.join(directory, 'scene.json');
+    await writeFile(scenePath, JSON.stringify(sceneManager.toJSON(options)));
+    return scenePath;
+  }
+
+  beforeEach(async () => {
+    directory = await mkdtemp(path.join(tmpdir(), 'render-cli-'));
+    io = { stdout: createStream(), stderr: createStream() };
+    savedSettings = { ...raytracingSettings };
+  });
+
+  afterEach(async () => {
+    Object.assign(raytracingSettings, savedSettings);
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it('should render a scene file to PNG', async () => {
+    const scenePath = await writeCornellBox();
+    const outputPath = path.join(directory, 'out.png');
+
+    const code = await runRender([scenePath, '-o', outputPath, '--width', '16', '--height', '12'], io);
+
+    expect(code).toBe(0);
+    expect(io.stdout.text).toMatch(/Rendered 16x12 at 1 spp/);
+    const file = await readFile(outputPath);
+    expect(file.subarray(1, 4).toString()).toBe('PNG');
+    expect(file.readUInt32BE(16)).toBe(16);
+    expect(file.readUInt32BE(20)).toBe(12);
+  });
+
+  it('should render the same pixels as the renderer with the saved camera', async () => {
+    const camera = new Camera({
+      position: new Vector3(0, 0, -10),
+      lookAt: new Vector3(0, 0, 5),
+      fov: 60,
+      aspectRatio: 4 / 3
+    });
+    const scenePath = await writeCornellBox({ camera });
+    const outputPath = path.join(directory, 'out.ppm');
+
+    const code = await runRender([scenePath, '-o', outputPath, '-w', '8', '-h', '6', '--spp', '2'], io);
+    expect(code).toBe(0);
+
+    const sceneManager = new SceneManager(new Scene());
+    sceneManager.createCornellBox();
+    const expected = renderImage(sceneManager.scene, camera, {
+      width: 8,
+      height: 6,
+      samplesPerPixel: 2,
+      backgroundColor: { r: 0.1, g: 0.1, b: 0.2 }
+    });
+
+    const file = await readFile(outputPath);
+    const header = 'P6\n8 6\n255\n';
+    expect(file.subarray(0, header.length).toString()).toBe(header);
+    const rgb = file.subarray(header.length);
+    for (let i = 0; i < 8 * 6; i++) {
+      expect([rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]]).toEqual([expected[i * 4], expected[i * 4 + 1], expected[i * 4 + 2]]);
+    }
+  });
+
+  it('should exit with 2 for an invalid scene', async () => {
+    const scenePath = path.join(directory, 'bad.json');
+    await writeFile(scenePath, JSON.stringify({ version: 1, materials: [], objects: [{ id: 'obj_1', type: 'sphere', center: [0, 0, 0], radius: -1 }], lights: [] }));
+
+    const code = await runRender([scenePath, '-o', path.join(directory, 'out.png')], io);
+
+    expect(code).toBe(2);
+    expect(io.stderr.text).toMatch(/invalid scene .*objects\[0\]\.radius/);
+  });
+
+  it('should exit with 2 for a file that is not JSON', async () => {
+    const scenePath = path.join(directory, 'bad.json');
+    await writeFile(scenePath, 'not json');
+
+    expect(await runRender([scenePath, '-o', path.join(directory, 'out.png')], io)).toBe(2);
+  });
+
+  it('should exit with 1 for bad arguments', async () => {
+    const scenePath = await writeCornellBox();
+
+    expect(await runRender([scenePath], io)).toBe(1);
+    expect(io.stderr.text).toMatch(/Missing output file/);
+    expect(await runRender([scenePath, '-o', 'out.jpg'], io)).toBe(1);
+    expect(await runRender([scenePath, '-o', 'out.png', '--spp', '0'], io)).toBe(1);
+    expect(await runRender([path.join(directory, 'missing.json'), '-o', 'out.png'], io)).toBe(1);
+  });
+
+  it('should render a turntable sequence to numbered frames', async () => {
+    const scenePath = await writeCornellBox();
+    const outputPath = path.join(directory, 'frame-###.ppm');
+
+    const code = await runRender([scenePath, '-o', outputPath, '-w', '4', '-h', '3', '--turntable', '--frames', '3'], io);
+
+    expect(code).toBe(0);
+    expect((await readdir(directory)).filter(name => name.startsWith('frame-')).sort())
+      .toEqual(['frame-001.ppm', 'frame-002.ppm', 'frame-003.ppm']);
+    expect(io.stdout.text).toMatch(/3 frames/);
+    // The camera circles the scene, so the frames differ
+    const first = await readFile(path.join(directory, 'frame-001.ppm'));
+    const second = await readFile(path.join(directory, 'frame-002.ppm'));
+    expect(first.equals(second)).toBe(false);
+  });
+
+  it('should create the directory of the frames', async () => {
+    const scenePath = await writeCornellBox();
+    const outputPath = path.join(directory, 'frames', 'turntable', '####.ppm');
+
+    const code = await runRender([scenePath, '-o', outputPath, '-w', '4', '-h', '3', '--turntable', '--frames', '2'], io);
+
+    expect(code).toBe(0);
+    expect((await readdir(path.join(directory, 'frames', 'turntable'))).sort()).toEqual(['0001.ppm', '0002.ppm']);
+  });
+
+  it('should render a sequence along a camera path file', async () => {
+    const scenePath = await writeCornellBox();
+    const cameraPathFile = path.join(directory, 'path.json');
+    await writeFile(cameraPathFile, JSON.stringify({
+      keyframes: [
+        { time: 0, position: [0, 0, -10], target: [0, 0, 0] },
+        { time: 1, position: [0, 0, -5], target: [0, 0, 0] }
+      ]
+    }));
+
+    const code = await runRender([scenePath, '-o', path.join(directory, 'out.png'), '-w', '4', '-h', '3', '--path', cameraPathFile, '--frames', '2'], io);
+
+    expect(code).toBe(0);
+    expect((await readdir(directory)).filter(name => name.startsWith('out-')).sort())
+      .toEqual(['out-0001.png', 'out-0002.png']);
+  });
+
+  it('should animate the scene along its timeline in a sequence', async () => {
+    const sceneManager = new SceneManager(new Scene());
+    const id = sceneManager.addObject(new Sphere(new Vector3(-50, 0, 5), 4, new Material({ r: 1, g: 0, b: 0 }, { ambient: 1 })));
+    sceneManager.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+    // The sphere moves into view in front of a camera that stands still
+    const timeline = new Timeline();
+    timeline.setKeyframe(id, 'position', 0, [-50, 0, 5]);
+    timeline.setKeyframe(id, 'position', 1, [0, 0, 5]);
+    const scenePath = path.join(directory, 'scene.json');
+    await writeFile(scenePath, JSON.stringify(sceneManager.toJSON({ timeline })));
+    const cameraPathFile = path.join(directory, 'path.json');
+    await writeFile(cameraPathFile, JSON.stringify({
+      keyframes: [
+        { time: 0, position: [0, 0, -10], target: [0, 0, 5] },
+        { time: 1, position: [0, 0, -10], target: [0, 0, 5] }
+      ]
+    }));
+
+    const code = await runRender([scenePath, '-o', path.join(directory, 'frame-#.ppm'), '-w', '5', '-h', '5', '--path', cameraPathFile, '--frames', '2'], io);
+
+    expect(code).toBe(0);
+    const first = await readFile(path.join(directory, 'frame-1.ppm'));
+    const second = await readFile(path.join(directory, 'frame-2.ppm'));
+    expect(first.equals(second)).toBe(false);
+    // The middle pixel shows the sphere once it has arrived
+    const middle = (image) => image[image.length - 5 * 5 * 3 + (2 * 5 + 2) * 3];
+    expect(middle(first)).toBeLessThan(middle(second));
+  });
+
+  it('should exit with 2 for an invalid camera path', async () => {
+    const scenePath = await writeCornellBox();
+    const cameraPathFile = path.join(directory, 'path.json');
+    await writeFile(cameraPathFile, JSON.stringify({ keyframes: [{ time: 0, position: [0, 0, 0], target: [0, 0, 0] }] }));
+
+    const code = await runRender([scenePath, '-o', path.join(directory, 'out.png'), '--path', cameraPathFile], io);
+
+    expect(code).toBe(2);
+    expect(io.stderr.text).toMatch(/invalid camera path .*looks at its own position/);
+  });
+
+  it('should exit with 1 for sequence options that do not fit together', async () => {
+    const scenePath = await writeCornellBox();
+
+    expect(await runRender([scenePath, '-o', 'out.png', '--frames', '4'], io)).toBe(1);
+    expect(await runRender([scenePath, '-o', 'out.png', '--turntable', '--path', 'path.json'], io)).toBe(1);
+  });
+
+  it('should number frame file names', () => {
+    expect(getFramePath(path.join('frames', '####.png'), 7)).toBe(path.join('frames', '0007.png'));
+    expect(getFramePath('shot_##_final.ppm', 123)).toBe('shot_123_final.ppm');
+    expect(getFramePath('out.png', 12)).toBe('out-0012.png');
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Tests for render statistics
+ */
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { Vector3, normalize } from '../js/math.js';
+import { Ray, Material, Sphere, Scene, Light, raytracingSettings, traceRay } from '../js/raytracer.js';
+import { RenderStats, formatRenderStats } from '../js/render-stats.js';
+
+const BACKGROUND = { r: 0, g: 0, b: 0 };
+
+describe('Render statistics', () => {
+  let scene;
+  let savedSettings;
+
+  beforeEach(() => {
+    savedSettings = { ...raytracingSettings };
+    scene = new Scene();
+    scene.addLight(new Light('point', { position: new Vector3(0, 10, 0) }));
+  });
+
+  afterEach(() => {
+    Object.assign(raytracingSettings, savedSettings);
+  });
+
+  describe('tracing', () => {
+    it('should count the rays of a reflective hit', () => {
+      raytracingSettings.useAccelerationStructure = false;
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 1, g: 0, b: 0 }, { reflection: 0.5 })));
+      scene.addObject(new Sphere(new Vector3(20, 0, 5), 1, new Material({ r: 0, g: 1, b: 0 })));
+      const stats = new RenderStats();
+
+      traceRay(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)), scene, BACKGROUND, 0, stats);
+
+      // The reflected ray heads back to the camera and misses everything
+      expect(stats.primaryRays).toBe(1);
+      expect(stats.shadowRays).toBe(1);
+      expect(stats.reflectionRays).toBe(1);
+      expect(stats.refractionRays).toBe(0);
+      expect(stats.maxDepth).toBe(1);
+      // Primary, shadow and reflected rays each test both spheres
+      expect(stats.intersectionTests).toBe(6);
+      expect(stats.totalRays).toBe(3);
+    });
+
+    it('should count refraction rays and the depth they reach', () => {
+      const glass = new Material({ r: 1, g: 1, b: 1 }, { transparency: 0.9, refractiveIndex: 1.5 });
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, glass));
+      const stats = new RenderStats();
+
+      traceRay(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)), scene, BACKGROUND, 0, stats);
+
+      expect(stats.primaryRays).toBe(1);
+      // Entering and leaving the sphere takes at least two levels
+      expect(stats.refractionRays).toBeGreaterThanOrEqual(2);
+      expect(stats.maxDepth).toBeGreaterThanOrEqual(2);
+    });
+
+    it('should need fewer intersection tests with the BVH for the same image', () => {
+      for (let x = -5; x <= 5; x++) {
+        for (let y = -5; y <= 5; y++) {
+          scene.addObject(new Sphere(new Vector3(x * 2, y * 2, 10), 0.5, new Material({ r: 0.5, g: 0.5, b: 0.5 })));
+        }
+      }
+      const rays = [];
+      for (let i = 0; i < 20; i++) {
+        rays.push(new Ray(new Vector3(0, 0, 0), normalize(new Vector3(i / 20 - 0.5, 0.3 - i / 40, 1))));
+      }
+
+      /**
+       * Trace all rays with or without the BVH
+       * @param {boolean} useAccelerationStructure - Whether to use the BVH
+       * @returns {{colors: Array<Object>, stats: RenderStats}} Colors and statistics
+       */
+      const traceAll = (useAccelerationStructure) => {
+        raytracingSettings.useAccelerationStructure = useAccelerationStructure;
+        const stats = new RenderStats();
+        const colors = rays.map(ray => traceRay(ray, scene, BACKGROUND, 0, stats));
+        return { colors, stats };
+      };
+
+      const bruteForce = traceAll(false);
+      const bvh = traceAll(true);
+
+      expect(bvh.colors).toEqual(bruteForce.colors);
+      expect(bvh.stats.totalRays).toBe(bruteForce.stats.totalRays);
+      expect(bvh.stats.intersectionTests).toBeLessThan(bruteForce.stats.intersectionTests / 4);
+    });
+
+    it('should not require statistics', () => {
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 1, g: 0, b: 0 }, { reflection: 0.5 })));
+
+      expect(() => traceRay(new Ray(new Vector3(0, 0, 0), new Vector3(0, 0, 1)), scene, BACKGROUND)).not.toThrow();
+    });
+  });
+
+  describe('RenderStats', () => {
+    it('should merge counters but not phase times', () => {
+      const stats = new RenderStats();
+      stats.primaryRays = 10;
+      stats.maxDepth = 1;
+      stats.addPhaseTime('trace', 5);
+      stats.addPhaseTime('trace', 5);
+
+      const other = new RenderStats();
+      other.primaryRays = 5;
+      other.shadowRays = 7;
+      other.maxDepth = 3;
+      other.addPhaseTime('trace', 100);
+
+      stats.merge(other);
+
+      expect(stats.primaryRays).toBe(15);
+      expect(stats.shadowRays).toBe(7);
+      expect(stats.maxDepth).toBe(3);
+      expect(stats.phases).toEqual({ trace: 10 });
+      expect(stats.raysPerSecond).toBe(22 / 0.01);
+    });
+
+    it('should survive a round trip through JSON', () => {
+      const stats = new RenderStats();
+      stats.primaryRays = 4;
+      stats.reflectionRays = 2;
+      stats.intersectionTests = 30;
+      stats.addPhaseTime('setup', 1);
+      stats.addPhaseTime('trace', 2);
+
+      const copy = RenderStats.from(JSON.parse(JSON.stringify(stats)));
+
+      expect(copy).toBeInstanceOf(RenderStats);
+      expect(copy.toJSON()).toEqual(stats.toJSON());
+      expect(copy.toJSON()).toMatchObject({ totalRays: 6, raysPerSecond: 3000 });
+    });
+
+    it('should report no rays per second before anything is traced', () => {
+      expect(new RenderStats().raysPerSecond).toBe(0);
+    });
+  });
+
+  describe('formatRenderStats', () => {
+    it('should format counters, phases and throughput as rows', () => {
+      const stats = new RenderStats();
+      stats.primaryRays = 1234567;
+      stats.maxDepth = 2;
+      stats.addPhaseTime('trace', 1000);
+
+      const rows = Object.fromEntries(formatRenderStats(stats));
+
+      expect(rows['Primary rays']).toBe('1,234,567');
+      expect(rows['Max depth reached']).toBe('2');
+      expect(rows['Time: trace']).toBe('1000.0 ms');
+      expect(rows['Rays/sec']).toBe('1,234,567');
+    });
+  });
+});
@@ -4,6 +4,8 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
 import * as rendererModule from '../js/renderer.js';
 import * as gpuModule from '../js/gpu.js';
+import { WebGPUPresenter, Canvas2DPresenter } from '../js/presenter.js';
+import { Camera } from '../js/camera.js';
 
 // Mock the GPU module
 vi.mock('../js/gpu.js', () => ({
@@ -25,11 +27,18 @@ vi.mock('../js/gpu.js', () => ({
 
 // Mock the camera module
 vi.mock('../js/camera.js', () => ({
+  PROJECTIONS: ['perspective', 'orthographic', 'fisheye', 'equirectangular'],
   Camera: class Camera {
     constructor() {}
     generateRay() {
       return { origin: {}, direction: {} };
     }
+    hasProjectionMatrix() {
+      return true;
+    }
+    hasMotionBlur() {
+      return false;
+    }
   }
 }));
 
@@ -55,6 +64,7 @@ vi.mock('../js/raytracer.js', () => ({
   Vector3: class Vector3 {
     constructor() {}
   },
+  Geometry: class Geometry {},
   Sphere: class Sphere {
     constructor() {}
   },
@@ -88,6 +98,7 @@ vi.mock('../js/raytracer.js', () => ({
 
 describe('Renderer Module', () => {
   let mockGpu;
+  let presenter;
   let mockScene;
   let mockCamera;
   
@@ -110,6 +121,7 @@ describe('Renderer Module', () => {
       },
       presentationFormat: 'rgba8unorm'
     };
+    presenter = new WebGPUPresenter(mockGpu);
     
     // Create mock objects for scene and camera
     mockScene = { objects: [] };
@@ -137,7 +149,7 @@ describe('Renderer Module', () => {
     });
     
     it('should successfully render a preview', async () => {
-      const result = await rendererModule.renderPreview(mockGpu);
+      const result = await rendererModule.renderPreview(presenter);
       
       expect(gpuModule.createCommandEncoder).toHaveBeenCalledWith(mockGpu.device);
       expect(mockGpu.context.getCurrentTexture).toHaveBeenCalled();
@@ -148,7 +160,7 @@ describe('Renderer Module', () => {
     
     it('should use provided clear color', async () => {
       const clearColor = { r: 0.1, g: 0.2, b: 0.3, a: 1.0 };
-      await rendererModule.renderPreview(mockGpu, { clearColor });
+      await rendererModule.renderPreview(presenter, { clearColor });
       
       // Verify clearColor was passed to createClearPassDescriptor
       expect(gpuModule.createClearPassDescriptor).toHaveBeenCalledWith(
@@ -156,6 +168,63 @@ describe('Renderer Module', () => {
         clearColor
       );
     });
+    
+    it('should preview on the CPU without a GPU context', async () => {
+      vi.stubGlobal('ImageData', class ImageData {
+        constructor(data, width, height) {
+          Object.assign(this, { data, width, height });
+        }
+      });
+      const context = { putImageData: vi.fn() };
+      const canvas = { width: 10, height: 6, getContext: vi.fn(() => context) };
+      const { traceRay } = await import('../js/raytracer.js');
+      
+      const result = await rendererModule.renderPreview(new Canvas2DPresenter(canvas));
+      
+      expect(result).toBe(true);
+      // One ray per 4x4 block, scaled up to the whole canvas
+      expect(traceRay).toHaveBeenCalledTimes(3 * 2);
+      const image = context.putImageData.mock.calls[0][0];
+      expect([image.width, image.height]).toEqual([10, 6]);
+      expect(image.data.filter((value, i) => i % 4 === 3).every(alpha => alpha === 255)).toBe(true);
+      expect(gpuModule.createCommandEncoder).not.toHaveBeenCalled();
+      vi.unstubAllGlobals();
+    });
+    
+    it('should preview on the CPU for projections that cannot be rasterized', async () => {
+      const spy = vi.spyOn(Camera.prototype, 'hasProjectionMatrix').mockReturnValue(false);
+      const { traceRay } = await import('../js/raytracer.js');
+      
+      const result = await rendererModule.renderPreview(presenter);
+      
+      expect(result).toBe(true);
+      expect(traceRay).toHaveBeenCalledTimes(25 * 25);
+      expect(mockGpu.device.queue.writeTexture).toHaveBeenCalledWith(
+        expect.anything(), expect.any(Uint8ClampedArray), expect.anything(), { width: 100, height: 100 }
+      );
+      expect(gpuModule.createCommandEncoder).not.toHaveBeenCalled();
+      spy.mockRestore();
+    });
+  });
+  
+  describe('redrawLastFrame', () => {
+    it('should return false without a working GPU context', async () => {
+      expect(await rendererModule.redrawLastFrame(null)).toBe(false);
+      expect(await rendererModule.redrawLastFrame({ error: 'Device lost' })).toBe(false);
+    });
+    
+    it('should render the preview again on a new device', async () => {
+      await rendererModule.renderPreview(presenter);
+      // Device recovery replaces the device in the same GPU context
+      const newDevice = { queue: { submit: vi.fn(), writeTexture: vi.fn() } };
+      mockGpu.device = newDevice;
+      
+      const result = await rendererModule.redrawLastFrame(presenter);
+      
+      expect(result).toBe(true);
+      expect(gpuModule.createCommandEncoder).toHaveBeenLastCalledWith(newDevice);
+      expect(newDevice.queue.submit).toHaveBeenCalled();
+    });
   });
   
   describe('renderRaytrace', () => {
@@ -190,7 +259,7 @@ describe('Renderer Module', () => {
       const traceRaySpy = vi.spyOn(await import('../js/raytracer.js'), 'traceRay');
       
       // Run the function
-      const result = await rendererModule.renderRaytrace(gpu);
+      const result = await rendererModule.renderRaytrace(new WebGPUPresenter(gpu));
       
       // Verify results
       expect(result).toBe(true);
@@ -3,8 +3,10 @@
  */
 import { describe, it, expect, beforeEach } from 'vitest';
 import { Vector3 } from '../js/math.js';
-import { Scene, Sphere, Plane, Material } from '../js/raytracer.js';
+import { Scene, Sphere, Plane, Material, Light, Ray, computeRayIntersection } from '../js/raytracer.js';
 import { SceneManager } from '../js/scene-manager.js';
+import { Camera } from '../js/camera.js';
+import { Motion } from '../js/motion.js';
 
 describe('SceneManager Module', () => {
   let sceneManager;
@@ -66,6 +68,62 @@ describe('SceneManager Module', () => {
     });
   });
   
+  describe('Picking', () => {
+    let near;
+    let far;
+    
+    beforeEach(() => {
+      const material = new Material({ r: 1, g: 1, b: 1 });
+      near = sceneManager.addObject(new Sphere(new Vector3(2, 0, 5), 1, material));
+      far = sceneManager.addObject(new Sphere(new Vector3(2, 0, 10), 2, material));
+    });
+    
+    it('should pick the nearest object under a pixel', () => {
+      const camera = new Camera({ position: new Vector3(2, 0, 0), lookAt: new Vector3(2, 0, 1) });
+      
+      const picked = sceneManager.pickObject(camera, 50, 50, 100, 100);
+      expect(picked.id).toBe(near);
+      expect(picked.object).toBe(sceneManager.getObject(near));
+      expect(picked.intersection.distance).toBeCloseTo(4);
+      expect(sceneManager.pickObject(camera, 0, 0, 100, 100)).toBeNull();
+    });
+    
+    it('should pick through the objects behind a removed one', () => {
+      const camera = new Camera({ position: new Vector3(2, 0, 0), lookAt: new Vector3(2, 0, 1) });
+      sceneManager.removeObject(near);
+      
+      const picked = sceneManager.pickObject(camera, 50, 50, 100, 100);
+      expect(picked.id).toBe(far);
+      expect(picked.object).toBe(sceneManager.getObject(far));
+    });
+    
+    it('should follow the camera projection', () => {
+      // Seen from the origin the near sphere is 68 degrees off the view
+      // direction: inside a panorama, outside a narrow perspective view
+      const options = { position: new Vector3(0, 0, 0), lookAt: new Vector3(1, 0, 0), fov: 30 };
+      const perspective = new Camera(options);
+      const panorama = new Camera({ ...options, projection: 'equirectangular' });
+      const x = 180 + (Math.atan2(5, 2) * 180) / Math.PI;
+      
+      expect(sceneManager.pickObject(perspective, x, 90, 360, 180)).toBeNull();
+      expect(sceneManager.pickObject(panorama, x, 90, 360, 180).id).toBe(near);
+      
+      // An orthographic view picks by position, regardless of distance
+      const ortho = new Camera({ position: new Vector3(0, 0, 0), lookAt: new Vector3(0, 0, 1), projection: 'orthographic', viewWidth: 10 });
+      expect(sceneManager.pickObject(ortho, 30, 50, 100, 100).id).toBe(near);
+      expect(sceneManager.pickObject(ortho, 17, 50, 100, 100).id).toBe(far);
+    });
+    
+    it('should return a null ID for objects added to the scene directly', () => {
+      sceneManager.clearScene();
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 1, g: 1, b: 1 })));
+      
+      const picked = sceneManager.pickObject(new Camera({ lookAt: new Vector3(0, 0, 1) }), 5, 5, 10, 10);
+      expect(picked.id).toBeNull();
+      expect(picked.object).toBe(scene.objects[0]);
+    });
+  });
+  
   describe('Object transformations', () => {
     let sphereId;
     
@@ -101,6 +159,75 @@ describe('SceneManager Module', () => {
     });
   });
   
+  describe('Acceleration structure updates', () => {
+    let sphereId;
+    let sphere;
+    const ray = new Ray(new Vector3(0, 0, -10), new Vector3(0, 0, 1));
+    
+    beforeEach(() => {
+      sphere = new Sphere(new Vector3(0, 0, 0), 1, new Material({ r: 1, g: 0, b: 0 }));
+      sphereId = sceneManager.addObject(sphere);
+      sceneManager.addObject(new Sphere(new Vector3(5, 5, 5), 1, new Material({ r: 0, g: 1, b: 0 })));
+      sceneManager.addObject(new Plane(new Vector3(0, -3, 0), new Vector3(0, 1, 0), new Material({ r: 0, g: 0, b: 1 })));
+    });
+    
+    it('should refit the accelerator when an object moves', () => {
+      const accelerator = scene.getAccelerator();
+      
+      sceneManager.updateObjectPosition(sphereId, new Vector3(0, 10, 0));
+      
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(computeRayIntersection(ray, scene)).toBeNull();
+    });
+    
+    it('should refit the accelerator when a sphere is resized', () => {
+      const accelerator = scene.getAccelerator();
+      
+      sceneManager.updateSphereRadius(sphereId, 2);
+      
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(computeRayIntersection(ray, scene).distance).toBeCloseTo(8);
+    });
+    
+    it('should refit the accelerator for the whole motion of an object', () => {
+      const accelerator = scene.getAccelerator();
+      
+      sceneManager.updateObjectMotion(sphereId, Motion.linear([0, 10, 0]));
+      
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(computeRayIntersection(new Ray(new Vector3(0, 10, -10), new Vector3(0, 0, 1), 1), scene)).not.toBeNull();
+      expect(computeRayIntersection(new Ray(new Vector3(0, 10, -10), new Vector3(0, 0, 1), 0), scene)).toBeNull();
+    });
+    
+    it('should give objects the motion of their specification', () => {
+      const id = sceneManager.addObject({ type: 'sphere', motion: { keyframes: [{ time: 0, offset: [0, 0, 0] }, { time: 1, offset: [2, 0, 0] }] } });
+      
+      expect(sceneManager.getObject(id).motion.offsetAt(0.5)).toEqual(new Vector3(1, 0, 0));
+      expect(() => sceneManager.addObject({ type: 'sphere', motion: { keyframes: [{ time: 0, offset: 'left' }] } })).toThrow(/motion\.keyframes\[0\]\.offset/);
+    });
+    
+    it('should update the accelerator when objects are added and removed', () => {
+      const accelerator = scene.getAccelerator();
+      
+      sceneManager.removeObject(sphereId);
+      expect(computeRayIntersection(ray, scene)).toBeNull();
+      
+      sceneManager.addObject({ type: 'sphere', center: new Vector3(0, 0, 3), radius: 1 });
+      expect(computeRayIntersection(ray, scene).distance).toBeCloseTo(12);
+      expect(scene.getAccelerator()).toBe(accelerator);
+    });
+    
+    it('should empty the accelerator when the scene is cleared', () => {
+      const accelerator = scene.getAccelerator();
+      
+      sceneManager.clearScene();
+      
+      expect(scene.getAccelerator()).toBe(accelerator);
+      expect(accelerator.root).toBeNull();
+      expect(accelerator.unbounded.length).toBe(0);
+    });
+  });
+  
   describe('Material management', () => {
     let sphereId;
     
@@ -189,4 +316,84 @@ describe('SceneManager Module', () => {
       expect(rightWall.material.color.b).toBeLessThan(0.2);
     });
   });
-}); 
\ No newline at end of file
+  
+  describe('Light management', () => {
+    it('should give lights IDs', () => {
+      const light = sceneManager.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+      const other = sceneManager.addLight(new Light('point', { position: new Vector3(0, 5, 5) }), 'light_key');
+      
+      expect(sceneManager.getLightId(light)).toBe('light_1');
+      expect(sceneManager.getLight('light_key')).toBe(other);
+      expect(sceneManager.getLight('light_missing')).toBeNull();
+      expect(sceneManager.getLightId(new Light('point', { position: new Vector3(0, 0, 0) }))).toBeNull();
+      expect(() => sceneManager.addLight(new Light('point', { position: new Vector3(0, 0, 0) }), 'light_key')).toThrow(/already exists/);
+    });
+    
+    it('should update a light intensity', () => {
+      const light = sceneManager.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+      
+      expect(sceneManager.updateLightIntensity('light_1', 0.25)).toBe(true);
+      expect(light.intensity).toBe(0.25);
+      expect(sceneManager.updateLightIntensity('light_missing', 1)).toBe(false);
+    });
+    
+    it('should clear the lights', () => {
+      sceneManager.createCornellBox();
+      expect(sceneManager.getLight('light_1')).toBe(scene.lights[0]);
+      
+      sceneManager.clearLights();
+      expect(scene.lights).toHaveLength(0);
+      expect(sceneManager.getLight('light_1')).toBeNull();
+    });
+  });
+  
+  describe('Change listeners', () => {
+    it('should notify listeners of every scene edit', () => {
+      const changes = [];
+      sceneManager.addChangeListener(change => changes.push(change));
+      
+      const id = sceneManager.addObject({ type: 'sphere', center: new Vector3(0, 0, 5), radius: 1 });
+      sceneManager.updateObjectPosition(id, new Vector3(1, 0, 5));
+      sceneManager.updateSphereRadius(id, 2);
+      sceneManager.updateObjectColor(id, { r: 0, g: 1, b: 0 });
+      sceneManager.removeObject(id);
+      sceneManager.clearScene();
+      sceneManager.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+      sceneManager.updateLightIntensity('light_1', 0.5);
+      sceneManager.clearLights();
+      
+      expect(changes).toEqual([
+        { type: 'add', id },
+        { type: 'update', id },
+        { type: 'update', id },
+        { type: 'update', id },
+        { type: 'remove', id },
+        { type: 'clear' },
+        { type: 'light', id: 'light_1' },
+        { type: 'light', id: 'light_1' },
+        { type: 'light' }
+      ]);
+    });
+    
+    it('should stop notifying removed listeners', () => {
+      let calls = 0;
+      const remove = sceneManager.addChangeListener(() => calls++);
+      
+      sceneManager.notifyChange();
+      remove();
+      sceneManager.notifyChange();
+      
+      expect(calls).toBe(1);
+    });
+    
+    it('should not notify for edits that fail', () => {
+      let calls = 0;
+      sceneManager.addChangeListener(() => calls++);
+      
+      sceneManager.removeObject('obj_missing');
+      sceneManager.updateSphereRadius('obj_missing', 2);
+      
+      expect(calls).toBe(0);
+    });
+  });
+});
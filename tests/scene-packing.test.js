@@ -0,0 +1,413 @@
+/**
+ * Tests for packing scenes into typed arrays and back
+ */
+import { describe, it, expect } from 'vitest';
+import { Vector3, normalize } from '../js/math.js';
+import { Material, Sphere, Plane, Scene, Light, Geometry, raytracingSettings } from '../js/raytracer.js';
+import { Triangle, TriangleMesh } from '../js/mesh.js';
+import { CheckerboardTexture, GradientTexture, MarbleTexture, ImageTexture } from '../js/textures.js';
+import { Camera, PROJECTIONS } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import {
+  OBJECT_TYPE_SPHERE,
+  OBJECT_TYPE_PLANE,
+  OBJECT_TYPE_TRIANGLE,
+  OBJECT_TYPE_MESH,
+  OBJECT_WORDS,
+  ATTRIBUTE_NORMALS,
+  ATTRIBUTE_UVS,
+  VERTEX_FLOATS,
+  NO_TEXTURE,
+  MATERIAL_WORDS,
+  TEXTURE_TYPE_GRADIENT,
+  TEXTURE_TYPE_IMAGE,
+  TEXTURE_WORDS,
+  LIGHT_TYPE_POINT,
+  LIGHT_TYPE_DIRECTIONAL,
+  LIGHT_FLOATS,
+  RENDER_PARAMS_WORDS,
+  MAX_GPU_DEPTH,
+  packObjects,
+  packLights,
+  packScene,
+  packRenderParams,
+  unpackScene,
+  ScenePacker
+} from '../js/scene-packing.js';
+
+/**
+ * Create an image texture from raw pixels, without a canvas
+ * @param {number} width - Image width
+ * @param {number} height - Image height
+ * @param {Array<number>} pixels - RGBA bytes, row by row
+ * @returns {ImageTexture} The texture
+ */
+function createImageTexture(width, height, pixels) {
+  const texture = Object.create(ImageTexture.prototype);
+  return Object.assign(texture, {
+    image: { width, height },
+    repeat: false,
+    imageData: { width, height, data: new Uint8ClampedArray(pixels) }
+  });
+}
+
+describe('Scene packing', () => {
+  const red = new Material({ r: 1, g: 0, b: 0 }, { ambient: 0.2, diffuse: 0.6, specular: 0.4, shininess: 16, reflection: 0.5 });
+  const glass = new Material({ r: 0.9, g: 0.9, b: 1 }, { transparency: 0.8, refractiveIndex: 1.33 });
+
+  describe('packObjects', () => {
+    it('should pack spheres and planes with their material index', () => {
+      const objects = [
+        new Sphere(new Vector3(1, 2, 3), 0.5, red),
+        new Plane(new Vector3(0, -1, 0), new Vector3(0, 2, 0), glass),
+        new Sphere(new Vector3(-1, 0, 4), 2, red)
+      ];
+
+      const packed = packObjects(objects);
+      const words = new Uint32Array(packed.objects.buffer);
+
+      expect(packed.objectCount).toBe(3);
+      expect(packed.objects).toHaveLength(3 * OBJECT_WORDS);
+      expect(Array.from(words.subarray(0, 2))).toEqual([OBJECT_TYPE_SPHERE, 0]);
+      expect(Array.from(packed.objects.subarray(4, 8))).toEqual([1, 2, 3, 0.5]);
+      expect(Array.from(words.subarray(OBJECT_WORDS, OBJECT_WORDS + 2))).toEqual([OBJECT_TYPE_PLANE, 1]);
+      // The plane normal is stored normalized
+      expect(Array.from(packed.objects.subarray(OBJECT_WORDS + 4, OBJECT_WORDS + 11))).toEqual([0, -1, 0, 0, 0, 1, 0]);
+      expect(words[2 * OBJECT_WORDS + 1]).toBe(0);
+      expect(packed.skipped).toEqual([]);
+    });
+
+    it('should store shared materials once', () => {
+      const packed = packObjects([
+        new Sphere(new Vector3(0, 0, 0), 1, red),
+        new Sphere(new Vector3(3, 0, 0), 1, glass),
+        new Sphere(new Vector3(6, 0, 0), 1, red)
+      ]);
+
+      expect(packed.materialCount).toBe(2);
+      expect(packed.materials).toHaveLength(2 * MATERIAL_WORDS);
+      expect(Array.from(packed.materials.subarray(0, 10))).toEqual([
+        1, 0, 0, Math.fround(0.2),
+        Math.fround(0.6), Math.fround(0.4), 16, 0.5,
+        0, 1.5
+      ]);
+      expect(new Uint32Array(packed.materials.buffer)[10]).toBe(NO_TEXTURE);
+      expect(packed.materials[MATERIAL_WORDS + 8]).toBeCloseTo(0.8);
+      expect(packed.materials[MATERIAL_WORDS + 9]).toBeCloseTo(1.33);
+    });
+
+    it('should pack triangles and meshes into the vertex and index buffers', () => {
+      const triangle = new Triangle(new Vector3(0, 0, 0), new Vector3(1, 0, 0), new Vector3(0, 1, 0), red, {
+        uvs: [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0, v: 1 }]
+      });
+      const mesh = new TriangleMesh({
+        positions: [0, 0, 2, 1, 0, 2, 1, 1, 2, 0, 1, 2],
+        indices: [0, 1, 2, 0, 2, 3]
+      }, glass, { smooth: true });
+
+      const packed = packObjects([triangle, new Sphere(new Vector3(0, 0, 5), 1, red), mesh]);
+      const words = new Uint32Array(packed.objects.buffer);
+
+      expect(packed.vertexCount).toBe(7);
+      expect(packed.indexCount).toBe(9);
+      expect(Array.from(words.subarray(0, 4))).toEqual([OBJECT_TYPE_TRIANGLE, 0, 0, 3]);
+      expect(Array.from(words.subarray(12, 15))).toEqual([0, 3, ATTRIBUTE_UVS]);
+      const meshOffset = 2 * OBJECT_WORDS;
+      expect(Array.from(words.subarray(meshOffset, meshOffset + 4))).toEqual([OBJECT_TYPE_MESH, 1, 3, 4]);
+      expect(Array.from(words.subarray(meshOffset + 12, meshOffset + 15))).toEqual([3, 6, ATTRIBUTE_NORMALS]);
+
+      // Second triangle vertex: position, no normal, uv
+      expect(Array.from(packed.vertices.subarray(VERTEX_FLOATS, 2 * VERTEX_FLOATS))).toEqual([1, 0, 0, 0, 0, 0, 1, 0]);
+      // First mesh vertex: position, generated normal, no uv
+      expect(Array.from(packed.vertices.subarray(3 * VERTEX_FLOATS, 4 * VERTEX_FLOATS))).toEqual([0, 0, 2, 0, 0, 1, 0, 0]);
+      expect(Array.from(packed.indices.subarray(0, 9))).toEqual([0, 1, 2, 0, 1, 2, 0, 2, 3]);
+    });
+
+    it('should pack textures and image texels once per texture', () => {
+      const gradient = new GradientTexture({ r: 1, g: 0, b: 0 }, { r: 0, g: 0, b: 1 }, 'vertical');
+      const image = createImageTexture(2, 1, [255, 0, 0, 255, 0, 128, 255, 255]);
+      const packed = packObjects([
+        new Sphere(new Vector3(0, 0, 0), 1, new Material({ r: 1, g: 1, b: 1 }, { texture: gradient })),
+        new Sphere(new Vector3(3, 0, 0), 1, new Material({ r: 1, g: 1, b: 1 }, { texture: image })),
+        new Sphere(new Vector3(6, 0, 0), 1, new Material({ r: 0, g: 1, b: 1 }, { texture: gradient }))
+      ]);
+      const materialWords = new Uint32Array(packed.materials.buffer);
+      const textureWords = new Uint32Array(packed.textures.buffer);
+
+      expect(packed.textureCount).toBe(2);
+      expect([0, 1, 2].map(i => materialWords[i * MATERIAL_WORDS + 10])).toEqual([0, 1, 0]);
+      expect(Array.from(textureWords.subarray(0, 2))).toEqual([TEXTURE_TYPE_GRADIENT, 1]);
+      expect(Array.from(packed.textures.subarray(8, 11))).toEqual([1, 0, 0]);
+      expect(Array.from(packed.textures.subarray(12, 15))).toEqual([0, 0, 1]);
+      expect(Array.from(textureWords.subarray(TEXTURE_WORDS, TEXTURE_WORDS + 5))).toEqual([TEXTURE_TYPE_IMAGE, 0, 0, 2, 1]);
+      expect(Array.from(new Uint8Array(packed.texels.buffer))).toEqual([255, 0, 0, 255, 0, 128, 255, 255]);
+    });
+
+    it('should list objects it cannot pack', () => {
+      const custom = Object.assign(new Geometry(), { material: red });
+      const sphere = new Sphere(new Vector3(0, 0, 5), 1, glass);
+
+      const packed = packObjects([custom, sphere]);
+
+      expect(packed.objectCount).toBe(1);
+      expect(packed.skipped).toEqual([custom]);
+      // The skipped object's material is not needed
+      expect(packed.materialCount).toBe(1);
+      expect(packed.materials[3]).toBeCloseTo(glass.ambient);
+    });
+
+    it('should keep room for one record when there is nothing to pack', () => {
+      const packed = packScene(new Scene());
+
+      expect(packed.objectCount).toBe(0);
+      expect(packed.objects).toHaveLength(OBJECT_WORDS);
+      expect(packed.materials).toHaveLength(MATERIAL_WORDS);
+      expect(packed.vertices).toHaveLength(VERTEX_FLOATS);
+      expect(packed.texels).toHaveLength(1);
+      expect(packed.lights).toHaveLength(LIGHT_FLOATS);
+    });
+  });
+
+  describe('packLights', () => {
+    it('should pack point and directional lights', () => {
+      const packed = packLights([
+        new Light('point', { position: new Vector3(0, 5, 0), color: { r: 1, g: 0.5, b: 0.25 }, intensity: 0.8 }),
+        new Light('directional', { direction: new Vector3(0, -1, 0) })
+      ]);
+
+      expect(packed.lightCount).toBe(2);
+      expect(Array.from(packed.lights.subarray(0, LIGHT_FLOATS))).toEqual([
+        0, 5, 0, LIGHT_TYPE_POINT,
+        0, -1, 0, Math.fround(0.8),
+        1, 0.5, 0.25, 0
+      ]);
+      expect(packed.lights[LIGHT_FLOATS + 3]).toBe(LIGHT_TYPE_DIRECTIONAL);
+      expect(Array.from(packed.lights.subarray(LIGHT_FLOATS + 4, LIGHT_FLOATS + 8))).toEqual([0, -1, 0, 1]);
+    });
+  });
+
+  describe('unpackScene', () => {
+    it('should rebuild the scene from its packed form', () => {
+      const checker = new CheckerboardTexture({ r: 1, g: 1, b: 1 }, { r: 0, g: 0, b: 0 }, 4);
+      const marble = new MarbleTexture({ r: 0.9, g: 0.9, b: 0.9 }, { r: 0.2, g: 0.2, b: 0.3 }, 2, 5);
+      const floor = new Material({ r: 1, g: 1, b: 1 }, { texture: checker, reflection: 0.25 });
+      const stone = new Material({ r: 1, g: 1, b: 1 }, { texture: marble });
+      const scene = new Scene();
+      scene.addObject(new Plane(new Vector3(0, -1, 0), new Vector3(0, 1, 0), floor));
+      scene.addObject(new Sphere(new Vector3(1, 0, 4), 0.75, stone));
+      scene.addObject(new Triangle(new Vector3(0, 0, 3), new Vector3(1, 0, 3), new Vector3(0, 1, 3), stone, {
+        normals: [new Vector3(0, 0, -1), new Vector3(0, 0, -1), new Vector3(0, 0, -1)]
+      }));
+      scene.addObject(new TriangleMesh({
+        positions: [0, 0, 2, 1, 0, 2, 1, 1, 2],
+        indices: [0, 1, 2],
+        uvs: [0, 0, 1, 0, 1, 1]
+      }, floor));
+      scene.addLight(new Light('point', { position: new Vector3(0, 5, 0), intensity: 0.5 }));
+      scene.addLight(new Light('directional', { direction: new Vector3(0, -1, 1), color: { r: 1, g: 0.5, b: 0 } }));
+
+      const rebuilt = unpackScene(packScene(scene));
+      const [plane, sphere, triangle, mesh] = rebuilt.objects;
+
+      expect(rebuilt.objects).toHaveLength(4);
+      expect(plane).toBeInstanceOf(Plane);
+      expect(plane.normal).toEqual(new Vector3(0, 1, 0));
+      expect(sphere).toBeInstanceOf(Sphere);
+      expect(sphere.center).toEqual(new Vector3(1, 0, 4));
+      expect(sphere.radius).toBe(0.75);
+      expect(triangle).toBeInstanceOf(Triangle);
+      expect(triangle.v2).toEqual(new Vector3(0, 1, 3));
+      expect(triangle.normals[1]).toEqual(new Vector3(0, 0, -1));
+      expect(triangle.uvs).toBeNull();
+      expect(mesh).toBeInstanceOf(TriangleMesh);
+      expect(Array.from(mesh.positions)).toEqual([0, 0, 2, 1, 0, 2, 1, 1, 2]);
+      expect(Array.from(mesh.uvs)).toEqual([0, 0, 1, 0, 1, 1]);
+      expect(mesh.normals).toBeNull();
+
+      // Shared materials and textures stay shared
+      expect(mesh.material).toBe(plane.material);
+      expect(triangle.material).toBe(sphere.material);
+      expect(plane.material.reflection).toBe(0.25);
+      expect(plane.material.texture).toBeInstanceOf(CheckerboardTexture);
+      expect(plane.material.texture.getColorAtUV(0.1, 0.6)).toEqual(checker.getColorAtUV(0.1, 0.6));
+      expect(sphere.material.texture).toBeInstanceOf(MarbleTexture);
+      expect(sphere.material.texture.getColorAtUV(0.3, 0.7).r).toBeCloseTo(marble.getColorAtUV(0.3, 0.7).r, 5);
+
+      expect(rebuilt.lights).toHaveLength(2);
+      expect(rebuilt.lights[0]).toMatchObject({ type: 'point', position: new Vector3(0, 5, 0), intensity: 0.5 });
+      expect(rebuilt.lights[1]).toMatchObject({ type: 'directional', direction: new Vector3(0, -1, 1), color: { r: 1, g: 0.5, b: 0 } });
+    });
+
+    it('should rebuild image textures from their texels', () => {
+      const image = createImageTexture(2, 2, [255, 0, 0, 255, 0, 255, 0, 255, 0, 0, 255, 255, 255, 255, 255, 255]);
+      const scene = new Scene();
+      scene.addObject(new Sphere(new Vector3(0, 0, 0), 1, new Material({ r: 1, g: 1, b: 1 }, { texture: image })));
+
+      const texture = unpackScene(packScene(scene)).objects[0].material.texture;
+
+      expect(texture).toBeInstanceOf(ImageTexture);
+      expect(texture.repeat).toBe(false);
+      for (const [u, v] of [[0, 0], [1, 0], [0, 1], [1, 1]]) {
+        expect(texture.getColorAtUV(u, v)).toEqual(image.getColorAtUV(u, v));
+      }
+    });
+  });
+
+  describe('ScenePacker', () => {
+    /**
+     * Create a scene manager with two spheres sharing a material, a plane and a light
+     * @returns {{sceneManager: SceneManager, ids: Array<string>}} Manager and object IDs
+     */
+    function createManagedScene() {
+      const sceneManager = new SceneManager(new Scene());
+      const shared = new Material({ r: 1, g: 0, b: 0 });
+      const ids = [
+        sceneManager.addObject(new Sphere(new Vector3(0, 0, 5), 1, shared)),
+        sceneManager.addObject(new Plane(new Vector3(0, -1, 0), new Vector3(0, 1, 0), glass)),
+        sceneManager.addObject(new Sphere(new Vector3(2, 0, 5), 1, shared))
+      ];
+      sceneManager.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+      return { sceneManager, ids };
+    }
+
+    it('should start with every buffer dirty', () => {
+      const { sceneManager } = createManagedScene();
+      const packer = new ScenePacker(sceneManager.scene);
+
+      const ranges = packer.takeDirtyRanges();
+
+      expect(ranges.map(range => range.buffer)).toEqual(['objects', 'vertices', 'indices', 'materials', 'textures', 'texels', 'lights']);
+      expect(ranges.every(range => range.resized && range.start === 0)).toBe(true);
+      expect(ranges[0].end).toBe(3 * OBJECT_WORDS);
+      expect(packer.takeDirtyRanges()).toEqual([]);
+    });
+
+    it('should only mark the records an edit changed', () => {
+      const { sceneManager, ids } = createManagedScene();
+      const packer = new ScenePacker(sceneManager.scene);
+      packer.watch(sceneManager);
+      packer.takeDirtyRanges();
+
+      sceneManager.updateObjectPosition(ids[2], new Vector3(3, 1, 6));
+      sceneManager.updateSphereRadius(ids[0], 0.5);
+      sceneManager.updateObjectColor(ids[0], { r: 0, g: 1, b: 0 });
+
+      expect(packer.takeDirtyRanges()).toEqual([
+        { buffer: 'objects', start: 0, end: OBJECT_WORDS, resized: false },
+        { buffer: 'objects', start: 2 * OBJECT_WORDS, end: 3 * OBJECT_WORDS, resized: false },
+        { buffer: 'materials', start: 0, end: MATERIAL_WORDS, resized: false }
+      ]);
+      expect(Array.from(packer.packed.objects.subarray(2 * OBJECT_WORDS + 4, 2 * OBJECT_WORDS + 8))).toEqual([3, 1, 6, 1]);
+      expect(packer.packed.objects[7]).toBe(0.5);
+      expect(Array.from(packer.packed.materials.subarray(0, 3))).toEqual([0, 1, 0]);
+    });
+
+    it('should rewrite the lights in place unless their number changed', () => {
+      const { sceneManager } = createManagedScene();
+      const packer = new ScenePacker(sceneManager.scene);
+      packer.watch(sceneManager);
+      packer.takeDirtyRanges();
+
+      sceneManager.scene.lights[0].intensity = 0.25;
+      sceneManager.notifyChange({ type: 'light' });
+      expect(packer.takeDirtyRanges()).toEqual([{ buffer: 'lights', start: 0, end: LIGHT_FLOATS, resized: false }]);
+      expect(packer.packed.lights[7]).toBe(0.25);
+
+      sceneManager.addLight(new Light('directional', { direction: new Vector3(0, -1, 0) }));
+      expect(packer.takeDirtyRanges()).toEqual([{ buffer: 'lights', start: 0, end: 2 * LIGHT_FLOATS, resized: true }]);
+      expect(packer.packed.lightCount).toBe(2);
+    });
+
+    it('should repack the scene when objects or materials are added or removed', () => {
+      const { sceneManager, ids } = createManagedScene();
+      const packer = new ScenePacker(sceneManager.scene);
+      packer.watch(sceneManager);
+      packer.takeDirtyRanges();
+
+      sceneManager.updateObjectMaterial(ids[0], new Material({ r: 0, g: 0, b: 1 }));
+      expect(packer.packed.materialCount).toBe(3);
+      const ranges = packer.takeDirtyRanges();
+      expect(ranges.find(range => range.buffer === 'materials')).toMatchObject({ start: 0, end: 3 * MATERIAL_WORDS, resized: true });
+      // Buffers of the same size are rewritten without being replaced
+      expect(ranges.find(range => range.buffer === 'objects')).toMatchObject({ start: 0, end: 3 * OBJECT_WORDS, resized: false });
+
+      sceneManager.removeObject(ids[1]);
+      expect(packer.packed.objectCount).toBe(2);
+      expect(packer.takeDirtyRanges().find(range => range.buffer === 'objects').resized).toBe(true);
+
+      // Edits after the listener is gone leave the packed data alone
+      packer.destroy();
+      sceneManager.updateSphereRadius(ids[0], 3);
+      expect(packer.takeDirtyRanges()).toEqual([]);
+      expect(packer.isCurrent()).toBe(true);
+      sceneManager.scene.addObject(new Sphere(new Vector3(0, 0, 0), 1, glass));
+      expect(packer.isCurrent()).toBe(false);
+    });
+  });
+
+  describe('packRenderParams', () => {
+    const options = { width: 80, height: 60, objectCount: 3, lightCount: 2, backgroundColor: { r: 0.1, g: 0.2, b: 0.3 } };
+
+    it('should hold everything needed to rebuild the camera rays', () => {
+      const camera = new Camera({ position: new Vector3(1, 2, -8), lookAt: new Vector3(0, 0, 5), fov: 50, aspectRatio: 4 / 3 });
+      camera.tilt(10);
+      const data = packRenderParams(camera, raytracingSettings, options);
+
+      expect(data).toHaveLength(RENDER_PARAMS_WORDS);
+      const vector = offset => new Vector3(data[offset], data[offset + 1], data[offset + 2]);
+      for (const [x, y] of [[0, 0], [40, 30], [79, 59]]) {
+        const ndcX = (x / options.width) * 2 - 1;
+        const ndcY = 1 - (y / options.height) * 2;
+        const right = vector(4);
+        const up = vector(8);
+        const forward = vector(12);
+        const direction = normalize(new Vector3(
+          right.x * ndcX * data[3] + up.x * ndcY * data[7] + forward.x,
+          right.y * ndcX * data[3] + up.y * ndcY * data[7] + forward.y,
+          right.z * ndcX * data[3] + up.z * ndcY * data[7] + forward.z
+        ));
+        const ray = camera.generateRay(x, y, options.width, options.height);
+
+        expect(vector(0)).toEqual(new Vector3(Math.fround(1), Math.fround(2), Math.fround(-8)));
+        expect(direction.x).toBeCloseTo(ray.direction.x, 5);
+        expect(direction.y).toBeCloseTo(ray.direction.y, 5);
+        expect(direction.z).toBeCloseTo(ray.direction.z, 5);
+      }
+      expect(Array.from(data.subarray(16, 19))).toEqual([0.1, 0.2, 0.3].map(Math.fround));
+      expect(data[11]).toBe(0);
+    });
+
+    it('should pack the projection and its image extents', () => {
+      const fisheye = new Camera({ aspectRatio: 2, projection: 'fisheye', fisheyeFov: 120 });
+      const fisheyeData = packRenderParams(fisheye, raytracingSettings, options);
+      expect(fisheyeData[11]).toBe(PROJECTIONS.indexOf('fisheye'));
+      expect(fisheyeData[3]).toBeCloseTo((2 * Math.PI) / 3, 5);
+      expect(fisheyeData[7]).toBeCloseTo(Math.PI / 3, 5);
+
+      const ortho = new Camera({ aspectRatio: 2, projection: 'orthographic', viewWidth: 8 });
+      const orthoData = packRenderParams(ortho, raytracingSettings, options);
+      expect(orthoData[11]).toBe(PROJECTIONS.indexOf('orthographic'));
+      expect([orthoData[3], orthoData[7]]).toEqual([4, 2]);
+    });
+
+    it('should pack the image size, counts and settings', () => {
+      const camera = new Camera();
+      const settings = {
+        ...raytracingSettings,
+        enableShadows: false,
+        russianRoulette: true,
+        maxDepth: 50,
+        maxReflectionDepth: 2,
+        maxRefractionDepth: 7,
+        rouletteStartDepth: 1,
+        rouletteThreshold: 0.25
+      };
+
+      const data = packRenderParams(camera, settings, { ...options, firstRow: 32 });
+      const words = new Uint32Array(data.buffer);
+
+      expect(Array.from(words.subarray(20, 32))).toEqual([80, 60, 32, 3, 2, 0, 1, 1, MAX_GPU_DEPTH, 2, 7, 1]);
+      expect(data[32]).toBe(0.25);
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Tests for scene serialization and loading
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Scene, Material, Light, traceRay, raytracingSettings } from '../js/raytracer.js';
+import { Camera } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { GradientTexture, MarbleTexture } from '../js/textures.js';
+import { Timeline } from '../js/timeline.js';
+import { Motion } from '../js/motion.js';
+import {
+  SCENE_SCHEMA_VERSION,
+  serializeScene,
+  deserializeScene,
+  migrateScene
+} from '../js/scene-serializer.js';
+
+/**
+ * Render a small image of a scene
+ * @param {Scene} scene - Scene to render
+ * @param {Camera} camera - Camera to render from
+ * @returns {Array<Object>} Pixel colors in row-major order
+ */
+function renderImage(scene, camera) {
+  const size = 12;
+  const pixels = [];
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      pixels.push(traceRay(camera.generateRay(x, y, size, size), scene, { r: 0, g: 0, b: 0 }, 0));
+    }
+  }
+  return pixels;
+}
+
+/**
+ * Save a scene manager to JSON text and load it into a fresh one
+ * @param {SceneManager} sceneManager - Scene manager to round-trip
+ * @param {Object} options - Options for toJSON
+ * @returns {{sceneManager: SceneManager, result: Object, text: string}} The loaded manager,
+ * the fromJSON result and the saved text
+ */
+function roundTrip(sceneManager, options = {}) {
+  const text = JSON.stringify(sceneManager.toJSON(options));
+  const loaded = new SceneManager(new Scene());
+  const result = loaded.fromJSON(text);
+  return { sceneManager: loaded, result, text };
+}
+
+describe('Scene Serializer', () => {
+  let sceneManager;
+
+  beforeEach(() => {
+    sceneManager = new SceneManager(new Scene());
+  });
+
+  describe('round trip', () => {
+    it('should preserve the Cornell box exactly', () => {
+      sceneManager.createCornellBox();
+      const { sceneManager: loaded, text } = roundTrip(sceneManager);
+
+      expect(JSON.stringify(loaded.toJSON())).toBe(text);
+      expect(loaded.scene.objects).toHaveLength(sceneManager.scene.objects.length);
+      expect(loaded.scene.lights).toHaveLength(sceneManager.scene.lights.length);
+    });
+
+    it('should render an identical image after loading', () => {
+      sceneManager.createCornellBox();
+      const camera = new Camera({ position: new Vector3(0, 0, 0), lookAt: new Vector3(0, 0, 5) });
+      const { sceneManager: loaded } = roundTrip(sceneManager);
+
+      expect(renderImage(loaded.scene, camera)).toEqual(renderImage(sceneManager.scene, camera));
+    });
+
+    it('should preserve object IDs and continue the ID sequence', () => {
+      sceneManager.createDefaultScene();
+      const removedId = sceneManager.addObject({ type: 'sphere', center: new Vector3(3, 0, 0), radius: 1 });
+      sceneManager.removeObject(removedId);
+
+      const { sceneManager: loaded } = roundTrip(sceneManager);
+
+      expect([...loaded.objects.keys()]).toEqual([...sceneManager.objects.keys()]);
+      const newId = loaded.addObject({ type: 'sphere' });
+      expect(loaded.objects.size).toBe(sceneManager.objects.size + 1);
+      expect(newId).not.toBe(removedId);
+      expect(newId).toBe(sceneManager.addObject({ type: 'sphere' }));
+    });
+
+    it('should keep shared materials shared', () => {
+      const material = new Material({ r: 0.2, g: 0.4, b: 0.6 }, { reflection: 0.5 });
+      sceneManager.addObject({ type: 'sphere', center: new Vector3(0, 0, 5), material });
+      sceneManager.addObject({ type: 'sphere', center: new Vector3(2, 0, 5), material });
+
+      const data = sceneManager.toJSON();
+      expect(data.materials).toHaveLength(1);
+
+      const { sceneManager: loaded } = roundTrip(sceneManager);
+      const [a, b] = [...loaded.objects.values()];
+      expect(a.material).toBe(b.material);
+      expect(a.material.reflection).toBe(0.5);
+    });
+
+    it('should preserve triangles, meshes and procedural textures', () => {
+      const gradient = new GradientTexture({ r: 1, g: 0, b: 0 }, { r: 0, g: 0, b: 1 }, 'radial');
+      const marble = new MarbleTexture({ r: 1, g: 1, b: 1 }, { r: 0.2, g: 0.2, b: 0.2 }, 4, 7);
+      sceneManager.addObject({
+        type: 'triangle',
+        vertices: [new Vector3(0, 0, 1), new Vector3(1, 0, 1), new Vector3(0, 1, 1)],
+        uvs: [{ u: 0, v: 0 }, { u: 1, v: 0 }, { u: 0, v: 1 }],
+        material: new Material({ r: 1, g: 1, b: 1 }, { texture: gradient })
+      });
+      sceneManager.addObject({
+        type: 'mesh',
+        positions: [0, 0, 2, 1, 0, 2, 0, 1, 2, 1, 1, 2],
+        indices: [0, 1, 2, 1, 3, 2],
+        uvs: [0, 0, 1, 0, 0, 1, 1, 1],
+        material: new Material({ r: 1, g: 1, b: 1 }, { texture: marble }),
+        smooth: true
+      });
+
+      const { sceneManager: loaded, text } = roundTrip(sceneManager);
+      const [triangle, mesh] = [...loaded.objects.values()];
+
+      expect(triangle.uvs[1]).toEqual({ u: 1, v: 0 });
+      expect(triangle.material.texture).toBeInstanceOf(GradientTexture);
+      expect(triangle.material.texture.direction).toBe('radial');
+      expect(Array.from(mesh.indices)).toEqual([0, 1, 2, 1, 3, 2]);
+      expect(mesh.normals).not.toBeNull();
+      expect(mesh.material.texture).toBeInstanceOf(MarbleTexture);
+      expect(mesh.material.texture.turbulence).toBe(7);
+      expect(JSON.stringify(loaded.toJSON())).toBe(text);
+    });
+
+    it('should include the camera and render settings when given', () => {
+      sceneManager.createCornellBox();
+      const camera = new Camera({
+        position: new Vector3(1, 2, -3),
+        lookAt: new Vector3(0, 0, 5),
+        fov: 45,
+        aspectRatio: 16 / 9,
+        aperture: 0.1,
+        focusDistance: 6,
+        apertureBlades: 5,
+        projection: 'fisheye',
+        fisheyeFov: 200
+      });
+      const settings = { ...raytracingSettings, enableShadows: false, maxReflectionDepth: 7 };
+
+      const { result } = roundTrip(sceneManager, { camera, settings });
+
+      expect(result.camera).toBeInstanceOf(Camera);
+      expect(result.camera.position).toEqual(camera.position);
+      expect(result.camera.direction.x).toBeCloseTo(camera.direction.x);
+      expect(result.camera.direction.z).toBeCloseTo(camera.direction.z);
+      expect(result.camera.up.y).toBeCloseTo(camera.up.y);
+      expect(result.camera.fov).toBe(45);
+      expect(result.camera.aspectRatio).toBeCloseTo(16 / 9);
+      expect(result.camera.aperture).toBe(0.1);
+      expect(result.camera.focusDistance).toBe(6);
+      expect(result.camera.apertureBlades).toBe(5);
+      expect(result.camera.projection).toBe('fisheye');
+      expect(result.camera.fisheyeFov).toBe(200);
+      expect(result.camera.viewWidth).toBe(camera.viewWidth);
+      expect(result.settings).toEqual(settings);
+    });
+
+    it('should restore the camera orientation exactly', () => {
+      const camera = new Camera({ position: new Vector3(1, 2, -3), lookAt: new Vector3(0, 0, 5) });
+      camera.pan(33);
+      camera.tilt(-12);
+      camera.setYawPitchRoll(camera.yaw, camera.pitch, 20);
+
+      const { result } = roundTrip(sceneManager, { camera });
+
+      expect(result.camera.orientation).toEqual(camera.orientation);
+      expect(result.camera.generateRay(17, 5, 64, 48)).toEqual(camera.generateRay(17, 5, 64, 48));
+      expect(result.camera.roll).toBeCloseTo(20);
+    });
+
+    it('should derive the orientation of cameras saved without one', () => {
+      const camera = new Camera({ position: new Vector3(1, 2, -3), lookAt: new Vector3(4, 0, 5) });
+      const data = sceneManager.toJSON({ camera });
+      delete data.camera.orientation;
+
+      const { camera: loaded } = new SceneManager(new Scene()).fromJSON(data);
+
+      expect(loaded.direction.x).toBeCloseTo(camera.direction.x, 10);
+      expect(loaded.direction.z).toBeCloseTo(camera.direction.z, 10);
+      expect(loaded.up.y).toBeCloseTo(camera.up.y, 10);
+    });
+
+    it('should give cameras saved without lens, projection or shutter fields the defaults', () => {
+      const data = sceneManager.toJSON({ camera: new Camera({ fov: 45 }) });
+      const { position, direction, up, right, fov, aspectRatio } = data.camera;
+      data.camera = { position, direction, up, right, fov, aspectRatio };
+
+      const { camera: loaded } = new SceneManager(new Scene()).fromJSON(data);
+
+      expect(loaded).toMatchObject({ fov: 45, aperture: 0, apertureBlades: 0, projection: 'perspective', shutterOpen: 0, shutterClose: 0 });
+    });
+
+    it('should return null camera and settings when none were saved', () => {
+      const { result } = roundTrip(sceneManager);
+
+      expect(result.camera).toBeNull();
+      expect(result.settings).toBeNull();
+    });
+  });
+
+  describe('animation', () => {
+    it('should save light IDs and the timeline with the scene', () => {
+      sceneManager.createCornellBox();
+      const timeline = new Timeline({ duration: 3 })
+        .setKeyframe('obj_6', 'radius', 0, 1, 'easeOut')
+        .setKeyframe('obj_6', 'radius', 3, 2)
+        .setKeyframe('light_2', 'intensity', 1, 0.1);
+
+      const { sceneManager: loaded, result, text } = roundTrip(sceneManager, { timeline });
+
+      expect(JSON.parse(text).lights.map(light => light.id)).toEqual(['light_1', 'light_2', 'light_3']);
+      expect(loaded.getLight('light_2')).toBe(loaded.scene.lights[1]);
+      expect(result.timeline.toJSON()).toEqual(timeline.toJSON());
+
+      result.timeline.apply(loaded, 1.5);
+      expect(loaded.getObject('obj_6').radius).toBeCloseTo(1.75);
+      expect(loaded.getLight('light_2').intensity).toBeCloseTo(0.1);
+    });
+
+    it('should save object motion and the camera shutter', () => {
+      sceneManager.createCornellBox();
+      sceneManager.getObject('obj_6').motion = Motion.linear([1, 0, 0], 0, 0.5);
+      const camera = new Camera({ position: new Vector3(0, 0, -10), lookAt: new Vector3(0, 0, 0), shutterOpen: 0.1, shutterClose: 0.3 });
+
+      const { sceneManager: loaded, result } = roundTrip(sceneManager, { camera });
+
+      expect(loaded.getObject('obj_6').motion.toJSON()).toEqual({
+        keyframes: [{ time: 0, offset: [0, 0, 0] }, { time: 0.5, offset: [1, 0, 0] }]
+      });
+      expect(loaded.getObject('obj_1').motion).toBeNull();
+      expect(result.camera.shutterOpen).toBe(0.1);
+      expect(result.camera.shutterClose).toBe(0.3);
+      expect(serializeScene(loaded).objects[0].motion).toBeUndefined();
+    });
+
+    it('should give IDs to lights saved without one', () => {
+      const data = serializeScene(sceneManager);
+      data.lights = [
+        { type: 'point', position: [0, 5, 0], color: { r: 1, g: 1, b: 1 }, intensity: 1 },
+        { id: 'light_4', type: 'point', position: [0, 5, 5], color: { r: 1, g: 1, b: 1 }, intensity: 1 }
+      ];
+
+      const result = sceneManager.fromJSON(data);
+
+      expect(result.timeline).toBeNull();
+      expect(sceneManager.getLightId(sceneManager.scene.lights[0])).toBe('light_5');
+      expect(sceneManager.getLightId(sceneManager.scene.lights[1])).toBe('light_4');
+      sceneManager.addLight(new Light('point', { position: new Vector3(0, 0, 0) }));
+      expect(sceneManager.getLight('light_6')).not.toBeNull();
+    });
+  });
+
+  describe('loading', () => {
+    it('should replace the current objects and lights', () => {
+      const saved = new SceneManager(new Scene());
+      saved.createDefaultScene();
+      saved.addLight(new Light('point', { position: new Vector3(0, 5, 0) }));
+
+      sceneManager.createCornellBox();
+      sceneManager.fromJSON(saved.toJSON());
+
+      expect(sceneManager.scene.objects).toHaveLength(4);
+      expect(sceneManager.scene.lights).toHaveLength(1);
+    });
+
+    it('should drop image textures with a warning when no resolver is given', () => {
+      const data = serializeScene(sceneManager);
+      data.materials.push({
+        color: { r: 1, g: 1, b: 1 },
+        texture: { type: 'image', url: 'wood.png', repeat: true }
+      });
+      data.objects.push({ id: 'obj_1', type: 'sphere', center: [0, 0, 5], radius: 1, material: 0 });
+
+      const result = sceneManager.fromJSON(data);
+
+      expect(sceneManager.getObject('obj_1').material.texture).toBeUndefined();
+      expect(result.warnings).toHaveLength(1);
+      expect(result.warnings[0]).toMatch(/wood\.png/);
+    });
+
+    it('should leave the scene untouched when the document is invalid', () => {
+      sceneManager.createDefaultScene();
+      const data = sceneManager.toJSON();
+      data.objects[1].type = 'torus';
+
+      expect(() => sceneManager.fromJSON(data)).toThrow(/objects\[1\]: unknown object type "torus"/);
+      expect(sceneManager.scene.objects).toHaveLength(4);
+    });
+  });
+
+  describe('versioning', () => {
+    it('should stamp documents with the current version', () => {
+      expect(serializeScene(sceneManager).version).toBe(SCENE_SCHEMA_VERSION);
+    });
+
+    it('should reject documents from a newer version', () => {
+      const data = { ...serializeScene(sceneManager), version: SCENE_SCHEMA_VERSION + 1 };
+
+      expect(() => deserializeScene(data)).toThrow(/newer than the supported version/);
+    });
+
+    it('should reject documents without a valid version', () => {
+      expect(() => migrateScene({ objects: [] })).toThrow(/Unsupported scene version/);
+      expect(() => migrateScene({ version: '1' })).toThrow(/Unsupported scene version/);
+      expect(() => migrateScene(null)).toThrow(/must be an object/);
+    });
+
+    it('should pass current documents through unchanged', () => {
+      const data = serializeScene(sceneManager);
+
+      expect(migrateScene(data)).toBe(data);
+    });
+  });
+});
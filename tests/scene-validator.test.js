@@ -0,0 +1,300 @@
+/**
+ * Tests for scene validation
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Scene, Sphere, Plane, Light, Material } from '../js/raytracer.js';
+import { SceneManager } from '../js/scene-manager.js';
+import {
+  validateScene,
+  validateObject,
+  validateLight,
+  SceneValidationError
+} from '../js/scene-validator.js';
+
+/**
+ * Find the error reported for a path
+ * @param {Object} result - Validation result
+ * @param {string} path - JSON path
+ * @returns {Object|undefined} The matching error
+ */
+function errorAt(result, path) {
+  return result.errors.find(error => error.path === path);
+}
+
+describe('Scene Validator', () => {
+  describe('validateObject', () => {
+    it('should accept valid specifications and geometry', () => {
+      expect(validateObject({ type: 'sphere', center: new Vector3(0, 0, 5), radius: 1 }).valid).toBe(true);
+      expect(validateObject({ type: 'sphere' }).valid).toBe(true);
+      expect(validateObject(new Plane(new Vector3(0, 0, 0), new Vector3(0, 1, 0), new Material({ r: 1, g: 1, b: 1 }))).valid).toBe(true);
+    });
+
+    it('should reject negative and zero radii', () => {
+      expect(errorAt(validateObject({ type: 'sphere', radius: -1 }), 'radius').message).toMatch(/greater than 0/);
+      expect(errorAt(validateObject({ type: 'sphere', radius: 0 }), 'radius')).toBeDefined();
+    });
+
+    it('should reject zero-length plane normals', () => {
+      const result = validateObject({ type: 'plane', normal: new Vector3(0, 0, 0) });
+
+      expect(result.valid).toBe(false);
+      expect(errorAt(result, 'normal').message).toMatch(/zero-length/);
+    });
+
+    it('should reject NaN colors with the path of the channel', () => {
+      const material = new Material({ r: 1, g: NaN, b: 0 });
+      const result = validateObject({ type: 'sphere', material });
+
+      expect(errorAt(result, 'material.color.g').message).toMatch(/finite number/);
+    });
+
+    it('should warn about out-of-range coefficients', () => {
+      const material = new Material({ r: 1, g: 1, b: 1 }, { reflection: 1.5 });
+      const result = validateObject({ type: 'sphere', material });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toContainEqual(expect.objectContaining({ path: 'material.reflection' }));
+    });
+
+    it('should check mesh indices and attribute lengths', () => {
+      const result = validateObject({
+        type: 'mesh',
+        positions: [0, 0, 0, 1, 0, 0, 0, 1, 0],
+        indices: [0, 1, 3],
+        uvs: [0, 0, 1, 0]
+      });
+
+      expect(errorAt(result, 'indices[2]').message).toMatch(/out of range/);
+      expect(errorAt(result, 'uvs').message).toMatch(/2 entries but there are 3 vertices/);
+    });
+
+    it('should warn about degenerate triangles', () => {
+      const result = validateObject({
+        type: 'triangle',
+        vertices: [new Vector3(0, 0, 0), new Vector3(1, 1, 1), new Vector3(2, 2, 2)]
+      });
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings[0].message).toMatch(/degenerate/);
+    });
+
+    it('should reject unknown object types', () => {
+      expect(validateObject({ type: 'torus' }).errors[0].message).toMatch(/unknown object type "torus"/);
+    });
+  });
+
+  describe('validateLight', () => {
+    it('should reject point lights without a position', () => {
+      const result = validateLight(new Light('point', { intensity: 1 }));
+
+      expect(errorAt(result, 'position').message).toMatch(/must be a vector/);
+    });
+
+    it('should reject directional lights with a zero direction', () => {
+      const result = validateLight(new Light('directional', { direction: new Vector3(0, 0, 0) }));
+
+      expect(errorAt(result, 'direction')).toBeDefined();
+    });
+
+    it('should reject unknown types and negative intensities', () => {
+      const result = validateLight({ type: 'area', intensity: -1 });
+
+      expect(errorAt(result, 'type')).toBeDefined();
+      expect(errorAt(result, 'intensity')).toBeDefined();
+    });
+  });
+
+  describe('validateScene', () => {
+    it('should report paths for objects and lights in a live scene', () => {
+      const scene = new Scene();
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 1, g: 0, b: 0 })));
+      scene.addObject(new Sphere(new Vector3(0, 0, 5), -2, new Material({ r: 1, g: 0, b: 0 })));
+      scene.addLight(new Light('point', {}));
+
+      const result = validateScene(scene);
+
+      expect(result.valid).toBe(false);
+      expect(errorAt(result, 'objects[1].radius')).toBeDefined();
+      expect(errorAt(result, 'lights[0].position')).toBeDefined();
+    });
+
+    it('should validate a serialized scene document', () => {
+      const sceneManager = new SceneManager(new Scene());
+      sceneManager.createCornellBox();
+      const data = sceneManager.toJSON();
+
+      expect(validateScene(data)).toEqual({ valid: true, errors: [], warnings: [] });
+
+      data.objects[0].normal = [0, 0, 0];
+      data.objects[1].material = 99;
+      data.objects[2].id = data.objects[0].id;
+      data.materials[0].color.r = null;
+
+      const result = validateScene(data);
+      expect(errorAt(result, 'objects[0].normal')).toBeDefined();
+      expect(errorAt(result, 'objects[1].material').message).toMatch(/does not exist/);
+      expect(errorAt(result, 'objects[2].id').message).toMatch(/duplicate/);
+      expect(errorAt(result, 'materials[0].color.r')).toBeDefined();
+    });
+
+    it('should check the camera lens of a scene document', () => {
+      const sceneManager = new SceneManager(new Scene());
+      const data = sceneManager.toJSON();
+      data.camera = {
+        position: [0, 0, 0],
+        direction: [0, 0, 1],
+        up: [0, 1, 0],
+        fov: 60,
+        aspectRatio: 1,
+        aperture: 0.2,
+        focusDistance: 5,
+        apertureBlades: 6
+      };
+
+      expect(validateScene(data).valid).toBe(true);
+
+      data.camera.aperture = -1;
+      data.camera.focusDistance = 0;
+      const result = validateScene(data);
+      expect(errorAt(result, 'camera.aperture')).toBeDefined();
+      expect(errorAt(result, 'camera.focusDistance')).toBeDefined();
+    });
+
+    it('should check the camera projection of a scene document', () => {
+      const sceneManager = new SceneManager(new Scene());
+      const data = sceneManager.toJSON();
+      data.camera = {
+        position: [0, 0, 0],
+        direction: [0, 0, 1],
+        up: [0, 1, 0],
+        fov: 60,
+        aspectRatio: 1,
+        projection: 'orthographic',
+        viewWidth: 12,
+        fisheyeFov: 180
+      };
+
+      expect(validateScene(data).valid).toBe(true);
+
+      data.camera.projection = 'cylindrical';
+      data.camera.viewWidth = 0;
+      data.camera.fisheyeFov = 400;
+      const result = validateScene(data);
+      expect(errorAt(result, 'camera.projection').message).toMatch(/unknown projection/);
+      expect(errorAt(result, 'camera.viewWidth')).toBeDefined();
+      expect(errorAt(result, 'camera.fisheyeFov').message).toMatch(/360/);
+    });
+
+    it('should check the camera orientation of a scene document', () => {
+      const sceneManager = new SceneManager(new Scene());
+      const data = sceneManager.toJSON();
+      data.camera = { position: [0, 0, 0], direction: [0, 0, 1], up: [0, 1, 0], fov: 60, aspectRatio: 1, orientation: [0, 1, 0, 0] };
+
+      expect(validateScene(data).valid).toBe(true);
+
+      data.camera.orientation = [0, 0, 0, 0];
+      expect(errorAt(validateScene(data), 'camera.orientation').message).toMatch(/zero quaternion/);
+      data.camera.orientation = [0, 1, 0];
+      expect(errorAt(validateScene(data), 'camera.orientation').message).toMatch(/must be a quaternion/);
+      data.camera.orientation = [0, NaN, 0, 1];
+      expect(errorAt(validateScene(data), 'camera.orientation[1]')).toBeDefined();
+    });
+
+    it('should check object motion and the camera shutter of a scene document', () => {
+      const sceneManager = new SceneManager(new Scene());
+      sceneManager.createCornellBox();
+      const data = sceneManager.toJSON();
+      data.objects[6].motion = { keyframes: [{ time: 0, offset: [0, 0, 0] }, { time: 1, offset: [1, 0, 0] }] };
+      data.camera = { position: [0, 0, 0], direction: [0, 0, 1], up: [0, 1, 0], fov: 60, aspectRatio: 1, shutterOpen: 0, shutterClose: 0.5 };
+
+      expect(validateScene(data).valid).toBe(true);
+
+      data.objects[6].motion.keyframes[1].offset = [1, null, 0];
+      data.objects[5].motion = [];
+      data.camera.shutterOpen = 1;
+      const result = validateScene(data);
+      expect(errorAt(result, 'objects[6].motion.keyframes[1].offset[1]')).toBeDefined();
+      expect(errorAt(result, 'objects[5].motion').message).toMatch(/keyframes array/);
+      expect(errorAt(result, 'camera.shutterClose').message).toMatch(/earlier than shutterOpen/);
+    });
+
+    it('should check light IDs and the timeline of a scene document', () => {
+      const sceneManager = new SceneManager(new Scene());
+      sceneManager.createCornellBox();
+      const data = sceneManager.toJSON();
+      data.timeline = {
+        duration: 4,
+        tracks: [
+          { target: 'obj_6', property: 'position', keyframes: [{ time: 0, value: [0, 0, 5], easing: 'easeIn' }] },
+          { target: 'light_1', property: 'intensity', keyframes: [{ time: 1, value: 0.5 }] }
+        ]
+      };
+
+      expect(validateScene(data).valid).toBe(true);
+
+      data.lights[1].id = 'obj_1';
+      data.timeline.duration = 0;
+      data.timeline.tracks.push(
+        { target: 'obj_1', property: 'radius', keyframes: [] },
+        { target: 'light_1', property: 'color', keyframes: [] },
+        { target: 'obj_99', property: 'mass', keyframes: [{ time: 'later', value: 1, easing: 'bounce' }] }
+      );
+      data.timeline.tracks[1].keyframes[0].value = -1;
+      const result = validateScene(data);
+      expect(errorAt(result, 'lights[1].id').message).toMatch(/duplicate/);
+      expect(errorAt(result, 'timeline.duration')).toBeDefined();
+      expect(errorAt(result, 'timeline.tracks[1].keyframes[0].value')).toBeDefined();
+      expect(errorAt(result, 'timeline.tracks[2].property').message).toMatch(/cannot be animated on a plane/);
+      expect(errorAt(result, 'timeline.tracks[3].property').message).toMatch(/cannot be animated on a light/);
+      expect(errorAt(result, 'timeline.tracks[4].property').message).toMatch(/unknown property "mass"/);
+      expect(errorAt(result, 'timeline.tracks[4].target').message).toMatch(/no object or light/);
+      expect(errorAt(result, 'timeline.tracks[4].keyframes[0].time')).toBeDefined();
+      expect(errorAt(result, 'timeline.tracks[4].keyframes[0].easing').message).toMatch(/unknown easing/);
+    });
+
+    it('should warn when the scene has no lights', () => {
+      const result = validateScene(new Scene());
+
+      expect(result.valid).toBe(true);
+      expect(result.warnings).toContainEqual(expect.objectContaining({ path: 'lights' }));
+    });
+  });
+
+  describe('SceneManager integration', () => {
+    let sceneManager;
+
+    beforeEach(() => {
+      sceneManager = new SceneManager(new Scene());
+    });
+
+    it('should reject invalid specifications without inserting them', () => {
+      expect(() => sceneManager.addObject({ type: 'sphere', radius: -1 })).toThrow(SceneValidationError);
+      expect(sceneManager.scene.objects).toHaveLength(0);
+      expect(sceneManager.objects.size).toBe(0);
+    });
+
+    it('should expose the errors on the thrown error', () => {
+      try {
+        sceneManager.addObject({ type: 'plane', normal: new Vector3(0, 0, 0) });
+        expect.unreachable();
+      } catch (error) {
+        expect(error).toBeInstanceOf(SceneValidationError);
+        expect(error.errors[0].path).toBe('normal');
+        expect(error.message).toMatch(/normal: must not be a zero-length vector/);
+      }
+    });
+
+    it('should reject invalid lights', () => {
+      expect(() => sceneManager.addLight(new Light('point', {}))).toThrow(/position/);
+      expect(sceneManager.scene.lights).toHaveLength(0);
+    });
+
+    it('should reject invalid documents in fromJSON', () => {
+      const data = sceneManager.toJSON();
+      data.lights.push({ type: 'point', position: null, color: { r: 1, g: 1, b: 1 }, intensity: 1 });
+
+      expect(() => sceneManager.fromJSON(data)).toThrow(/lights\[0\]\.position/);
+    });
+  });
+});
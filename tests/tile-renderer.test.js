@@ -0,0 +1,362 @@
+/**
+ * Tests for tiled rendering, the render worker and the worker pool
+ */
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Scene, Sphere, Material, traceRay, raytracingSettings } from '../js/raytracer.js';
+import { Motion } from '../js/motion.js';
+import { Camera } from '../js/camera.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { createTiles, renderTile, blitTile } from '../js/tile-renderer.js';
+import { createRenderWorkerHandler } from '../js/render-worker.js';
+import { RenderWorkerPool } from '../js/render-pool.js';
+import { renderRaytrace, getLastRenderStats } from '../js/renderer.js';
+import { WebGPUPresenter } from '../js/presenter.js';
+import { RenderStats } from '../js/render-stats.js';
+
+const WIDTH = 40;
+const HEIGHT = 30;
+const BACKGROUND = { r: 0.1, g: 0.1, b: 0.2 };
+
+/**
+ * Create a worker stand-in that runs the render worker handler in-process,
+ * delivering messages asynchronously like a real worker
+ * @returns {Object} Worker-like object
+ */
+function createInProcessWorker() {
+  const worker = {
+    onmessage: null,
+    onerror: null,
+    terminated: false,
+    received: [],
+    postMessage(message) {
+      worker.received.push(message.type);
+      // Messages are copied on their way to a real worker
+      const copy = JSON.parse(JSON.stringify(message));
+      setTimeout(() => handleMessage(copy), 0);
+    },
+    terminate() {
+      worker.terminated = true;
+    }
+  };
+  const handleMessage = createRenderWorkerHandler((reply) => {
+    setTimeout(() => worker.onmessage && worker.onmessage({ data: reply }), 0);
+  });
+  return worker;
+}
+
+/**
+ * Render a whole image on the main thread without tiles
+ * @param {Scene} scene - Scene to render
+ * @param {Camera} camera - Camera to render from
+ * @returns {Uint8ClampedArray} RGBA pixels
+ */
+function renderReference(scene, camera) {
+  const image = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let y = 0; y < HEIGHT; y++) {
+    for (let x = 0; x < WIDTH; x++) {
+      const color = traceRay(camera.generateRay(x, y, WIDTH, HEIGHT), scene, BACKGROUND, 0);
+      const index = (y * WIDTH + x) * 4;
+      image[index] = Math.floor(color.r * 255);
+      image[index + 1] = Math.floor(color.g * 255);
+      image[index + 2] = Math.floor(color.b * 255);
+      image[index + 3] = 255;
+    }
+  }
+  return image;
+}
+
+describe('Tiled rendering', () => {
+  let sceneManager;
+  let camera;
+
+  beforeEach(() => {
+    sceneManager = new SceneManager(new Scene());
+    sceneManager.createCornellBox();
+    camera = new Camera({
+      position: new Vector3(0, 0, -10),
+      lookAt: new Vector3(0, 0, 5),
+      up: new Vector3(0, 1, 0),
+      fov: 60,
+      aspectRatio: WIDTH / HEIGHT
+    });
+  });
+
+  describe('createTiles', () => {
+    it('should cover every pixel exactly once', () => {
+      const tiles = createTiles(WIDTH, HEIGHT, 16);
+      const coverage = new Uint8Array(WIDTH * HEIGHT);
+
+      for (const tile of tiles) {
+        for (let y = tile.y; y < tile.y + tile.height; y++) {
+          for (let x = tile.x; x < tile.x + tile.width; x++) {
+            coverage[y * WIDTH + x]++;
+          }
+        }
+      }
+
+      expect(tiles).toHaveLength(6);
+      expect(tiles.map(tile => tile.index)).toEqual([0, 1, 2, 3, 4, 5]);
+      expect(tiles[2]).toEqual({ index: 2, x: 32, y: 0, width: 8, height: 16 });
+      expect(coverage.every(count => count === 1)).toBe(true);
+    });
+  });
+
+  describe('renderTile', () => {
+    it('should assemble into the same image as a full render', () => {
+      const image = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+      const options = { imageWidth: WIDTH, imageHeight: HEIGHT, backgroundColor: BACKGROUND };
+
+      for (const tile of createTiles(WIDTH, HEIGHT, 16)) {
+        blitTile(image, WIDTH, tile, renderTile(tile, sceneManager.scene, camera, options));
+      }
+
+      expect(image).toEqual(renderReference(sceneManager.scene, camera));
+    });
+
+    it('should average rays over the shutter interval for motion blur', () => {
+      const scene = new Scene();
+      const sphere = new Sphere(new Vector3(-3, 0, 5), 1, new Material({ r: 1, g: 0, b: 0 }, { ambient: 1, diffuse: 0, specular: 0 }));
+      // Passes in front of the camera during the middle third of the shutter
+      sphere.motion = Motion.linear([6, 0, 0]);
+      scene.addObject(sphere);
+      const blurCamera = new Camera({ position: new Vector3(0, 0, 0), lookAt: new Vector3(0, 0, 5), shutterClose: 1 });
+      const tile = { index: 0, x: 4, y: 4, width: 1, height: 1 };
+      const options = { imageWidth: 9, imageHeight: 9, backgroundColor: { r: 0, g: 0, b: 0 } };
+
+      const blurred = renderTile(tile, scene, blurCamera, options);
+      expect(blurred[0]).toBeGreaterThan(0);
+      expect(blurred[0]).toBeLessThan(128);
+      // A single ray sees the sphere mid-shutter
+      expect(renderTile(tile, scene, blurCamera, { ...options, timeSamples: 1 })[0]).toBe(255);
+      // Cameras without motion blur keep one ray per pixel
+      const stats = new RenderStats();
+      renderTile(tile, scene, new Camera({ position: new Vector3(0, 0, 0), lookAt: new Vector3(0, 0, 5) }), { ...options, stats });
+      expect(stats.primaryRays).toBe(1);
+    });
+  });
+
+  describe('render worker', () => {
+    it('should render tiles of the scene it was sent', () => {
+      const replies = [];
+      const handleMessage = createRenderWorkerHandler(message => replies.push(message));
+      const tile = createTiles(WIDTH, HEIGHT, 16)[4];
+      const scene = sceneManager.toJSON({ camera, settings: raytracingSettings });
+
+      handleMessage({ type: 'init', renderId: 1, scene, width: WIDTH, height: HEIGHT, backgroundColor: BACKGROUND });
+      handleMessage({ type: 'tile', renderId: 1, tile });
+
+      const options = { imageWidth: WIDTH, imageHeight: HEIGHT, backgroundColor: BACKGROUND };
+      expect(replies).toHaveLength(1);
+      expect(replies[0]).toMatchObject({ type: 'tile', renderId: 1, tile });
+      expect(replies[0].pixels).toEqual(renderTile(tile, sceneManager.scene, camera, options));
+    });
+
+    it('should report tiles sent before the scene', () => {
+      const replies = [];
+      const handleMessage = createRenderWorkerHandler(message => replies.push(message));
+
+      handleMessage({ type: 'tile', renderId: 3, tile: createTiles(WIDTH, HEIGHT)[0] });
+
+      expect(replies[0]).toMatchObject({ type: 'error', renderId: 3 });
+      expect(replies[0].message).toMatch(/before its scene/);
+    });
+  });
+
+  describe('RenderWorkerPool', () => {
+    /**
+     * Render the test scene with a pool of in-process workers
+     * @param {number} size - Number of workers
+     * @returns {Promise<{image: Uint8ClampedArray, workers: Array<Object>, order: Array<number>, stats: RenderStats}>}
+     */
+    async function renderWithPool(size) {
+      const workers = [];
+      const pool = new RenderWorkerPool({
+        size,
+        createWorker: () => {
+          const worker = createInProcessWorker();
+          workers.push(worker);
+          return worker;
+        }
+      });
+      const image = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+      const order = [];
+      const stats = new RenderStats();
+
+      await pool.render({
+        scene: sceneManager.toJSON({ camera, settings: raytracingSettings }),
+        width: WIDTH,
+        height: HEIGHT,
+        tiles: createTiles(WIDTH, HEIGHT, 8),
+        backgroundColor: BACKGROUND,
+        onTile: (tile, pixels, tileStats) => {
+          order.push(tile.index);
+          blitTile(image, WIDTH, tile, pixels);
+          stats.merge(tileStats);
+        }
+      });
+      pool.terminate();
+
+      return { image, workers, order, stats };
+    }
+
+    it('should produce the same image for any number of workers', async () => {
+      const reference = renderReference(sceneManager.scene, camera);
+
+      for (const size of [1, 2, 4]) {
+        const { image, workers, order } = await renderWithPool(size);
+
+        expect(workers).toHaveLength(size);
+        expect(order.slice().sort((a, b) => a - b)).toEqual(createTiles(WIDTH, HEIGHT, 8).map(tile => tile.index));
+        expect(image).toEqual(reference);
+      }
+    });
+
+    it('should report the same statistics as rendering on the main thread', async () => {
+      const expected = new RenderStats();
+      const options = { imageWidth: WIDTH, imageHeight: HEIGHT, backgroundColor: BACKGROUND, stats: expected };
+      for (const tile of createTiles(WIDTH, HEIGHT, 8)) {
+        renderTile(tile, sceneManager.scene, camera, options);
+      }
+
+      const { stats } = await renderWithPool(2);
+
+      expect(stats.primaryRays).toBe(WIDTH * HEIGHT);
+      expect(stats.toJSON()).toEqual(expected.toJSON());
+    });
+
+    it('should send the scene to each worker once', async () => {
+      const { workers } = await renderWithPool(2);
+
+      for (const worker of workers) {
+        expect(worker.received.filter(type => type === 'init')).toHaveLength(1);
+        expect(worker.received.filter(type => type === 'tile').length).toBeGreaterThan(1);
+        expect(worker.terminated).toBe(true);
+      }
+    });
+
+    it('should reject when a worker reports an error', async () => {
+      const pool = new RenderWorkerPool({ size: 2, createWorker: createInProcessWorker });
+      const scene = sceneManager.toJSON();
+
+      await expect(pool.render({
+        scene,
+        width: WIDTH,
+        height: HEIGHT,
+        tiles: createTiles(WIDTH, HEIGHT, 8),
+        backgroundColor: BACKGROUND,
+        onTile: () => {}
+      })).rejects.toThrow(/no camera/);
+      expect(pool.workers).toHaveLength(0);
+    });
+
+    it('should not start more workers than there are tiles', async () => {
+      const pool = new RenderWorkerPool({ size: 8, createWorker: createInProcessWorker });
+
+      await pool.render({
+        scene: sceneManager.toJSON({ camera }),
+        width: WIDTH,
+        height: HEIGHT,
+        tiles: createTiles(WIDTH, HEIGHT, 32),
+        backgroundColor: BACKGROUND,
+        onTile: () => {}
+      });
+
+      expect(pool.workers).toHaveLength(2);
+    });
+
+    it('should stop handing out tiles when aborted', async () => {
+      const pool = new RenderWorkerPool({ size: 2, createWorker: createInProcessWorker });
+      const controller = new AbortController();
+      const delivered = [];
+
+      const render = pool.render({
+        scene: sceneManager.toJSON({ camera }),
+        width: WIDTH,
+        height: HEIGHT,
+        tiles: createTiles(WIDTH, HEIGHT, 8),
+        backgroundColor: BACKGROUND,
+        onTile: (tile) => {
+          delivered.push(tile.index);
+          controller.abort();
+        },
+        signal: controller.signal
+      });
+
+      await expect(render).rejects.toMatchObject({ name: 'AbortError' });
+      expect(delivered).toHaveLength(1);
+      expect(pool.activeRender).toBe(null);
+      expect(pool.workers).toHaveLength(2);
+    });
+  });
+
+  describe('renderRaytrace', () => {
+    /**
+     * Create a GPU context stand-in for a small canvas
+     * @returns {Object} GPU context with a writeTexture spy
+     */
+    function createGpu() {
+      return {
+        device: { queue: { writeTexture: vi.fn() } },
+        context: {
+          canvas: { width: 24, height: 16 },
+          getCurrentTexture: vi.fn(() => ({}))
+        }
+      };
+    }
+
+    beforeEach(() => {
+      document.body.innerHTML = '<div id="status"></div>';
+    });
+
+    it('should report progress for every tile', async () => {
+      const gpu = createGpu();
+      const events = [];
+
+      const result = await renderRaytrace(new WebGPUPresenter(gpu), { tileSize: 8, onProgress: event => events.push(event) });
+
+      expect(result).toBe(true);
+      expect(events).toHaveLength(6);
+      expect(events.map(event => event.tilesDone)).toEqual([1, 2, 3, 4, 5, 6]);
+      expect(events[5]).toMatchObject({ totalTiles: 6, rowsDone: 16, totalRows: 16, progress: 1 });
+      expect(events[5].eta).toBeCloseTo(0);
+      expect(events.every(event => event.elapsed >= 0 && event.eta >= 0)).toBe(true);
+    });
+
+    it('should keep the statistics of the render', async () => {
+      const result = await renderRaytrace(new WebGPUPresenter(createGpu()), { tileSize: 8 });
+      const stats = getLastRenderStats();
+
+      expect(result).toBe(true);
+      expect(stats.primaryRays).toBe(24 * 16);
+      expect(stats.shadowRays).toBeGreaterThan(0);
+      expect(stats.intersectionTests).toBeGreaterThan(stats.primaryRays);
+      expect(Object.keys(stats.phases).sort()).toEqual(['present', 'trace']);
+      expect(stats.raysPerSecond).toBeGreaterThan(0);
+    });
+
+    it('should leave the partial image and report cancellation', async () => {
+      const gpu = createGpu();
+      const controller = new AbortController();
+
+      const result = await renderRaytrace(new WebGPUPresenter(gpu), {
+        tileSize: 8,
+        signal: controller.signal,
+        onProgress: ({ tilesDone }) => {
+          if (tilesDone === 2) controller.abort();
+        }
+      });
+
+      expect(result).toBe(false);
+      expect(document.getElementById('status').textContent).toMatch(/cancelled .*33% rendered/);
+
+      const calls = gpu.device.queue.writeTexture.mock.calls;
+      const image = calls[calls.length - 1][1];
+      const width = 24;
+      // The first two tiles are rendered, the last one was never started
+      expect(image[3]).toBe(255);
+      expect(image[(0 * width + 8) * 4 + 3]).toBe(255);
+      expect(image[(15 * width + 23) * 4 + 3]).toBe(0);
+    });
+  });
+});
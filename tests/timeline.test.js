@@ -0,0 +1,160 @@
+/**
+ * Tests for the animation timeline
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { Vector3 } from '../js/math.js';
+import { Scene, Sphere, Plane, Material, Light } from '../js/raytracer.js';
+import { SceneManager } from '../js/scene-manager.js';
+import { Track, Timeline, EASINGS } from '../js/timeline.js';
+
+describe('Timeline', () => {
+  let sceneManager;
+  let sphereId;
+  let planeId;
+  let light;
+
+  beforeEach(() => {
+    sceneManager = new SceneManager(new Scene());
+    sphereId = sceneManager.addObject(new Sphere(new Vector3(0, 0, 5), 1, new Material({ r: 1, g: 0, b: 0 })));
+    planeId = sceneManager.addObject(new Plane(new Vector3(0, -1, 0), new Vector3(0, 1, 0), new Material({ r: 1, g: 1, b: 1 })));
+    light = sceneManager.addLight(new Light('point', { position: new Vector3(0, 5, 0), intensity: 1 }));
+  });
+
+  describe('Track', () => {
+    it('should interpolate between keyframes and hold at the ends', () => {
+      const track = new Track(sphereId, 'radius').setKeyframe(2, 3).setKeyframe(0, 1);
+
+      expect(track.keyframes.map(keyframe => keyframe.time)).toEqual([0, 2]);
+      expect(track.evaluate(1)).toBeCloseTo(2);
+      expect(track.evaluate(-1)).toBe(1);
+      expect(track.evaluate(5)).toBe(3);
+    });
+
+    it('should interpolate vectors and colors', () => {
+      const position = new Track(sphereId, 'position').setKeyframe(0, [0, 0, 0]).setKeyframe(1, new Vector3(2, 4, 6));
+      const color = new Track(sphereId, 'color').setKeyframe(0, { r: 0, g: 0, b: 0 }).setKeyframe(1, { r: 1, g: 0.5, b: 0 });
+
+      expect(position.evaluate(0.5)).toEqual(new Vector3(1, 2, 3));
+      expect(color.evaluate(0.5)).toEqual({ r: 0.5, g: 0.25, b: 0 });
+    });
+
+    it('should shape the change with the easing of the earlier keyframe', () => {
+      const track = new Track(sphereId, 'radius').setKeyframe(0, 1, 'easeIn').setKeyframe(1, 2, 'step').setKeyframe(2, 3);
+
+      expect(track.evaluate(0.5)).toBeCloseTo(1 + EASINGS.easeIn(0.5));
+      expect(track.evaluate(1.9)).toBe(2);
+      expect(EASINGS.easeInOut(0.5)).toBeCloseTo(0.5);
+      expect(EASINGS.easeOut(0.5)).toBeGreaterThan(0.5);
+    });
+
+    it('should replace a keyframe at the same time', () => {
+      const track = new Track(sphereId, 'radius').setKeyframe(1, 2).setKeyframe(1, 4);
+
+      expect(track.keyframes).toHaveLength(1);
+      expect(track.evaluate(1)).toBe(4);
+      expect(track.removeKeyframe(1)).toBe(true);
+      expect(track.evaluate(1)).toBeNull();
+    });
+
+    it('should reject invalid properties, values and easings', () => {
+      expect(() => new Track(sphereId, 'mass')).toThrow(/Cannot animate "mass"/);
+      expect(() => new Track(sphereId, 'toString')).toThrow(/Cannot animate/);
+      expect(() => new Track(sphereId, 'radius').setKeyframe(0, -1)).toThrow(/greater than 0/);
+      expect(() => new Track(sphereId, 'position').setKeyframe(0, [1, 2])).toThrow(/vector/);
+      expect(() => new Track(sphereId, 'radius').setKeyframe(0, 1, 'bounce')).toThrow(/Unknown easing/);
+      expect(() => new Track(sphereId, 'radius').setKeyframe(NaN, 1)).toThrow(/time/);
+    });
+  });
+
+  it('should apply values through the scene manager', () => {
+    const lightId = sceneManager.getLightId(light);
+    const timeline = new Timeline()
+      .setKeyframe(sphereId, 'position', 0, [0, 0, 5])
+      .setKeyframe(sphereId, 'position', 2, [2, 0, 5])
+      .setKeyframe(sphereId, 'radius', 0, 1)
+      .setKeyframe(sphereId, 'radius', 2, 2)
+      .setKeyframe(planeId, 'color', 0, { r: 1, g: 1, b: 1 })
+      .setKeyframe(planeId, 'color', 2, { r: 0, g: 0, b: 1 })
+      .setKeyframe(lightId, 'intensity', 0, 1)
+      .setKeyframe(lightId, 'intensity', 2, 0);
+    const changes = [];
+    sceneManager.addChangeListener(change => changes.push(change));
+
+    expect(timeline.apply(sceneManager, 1)).toEqual([]);
+
+    const sphere = sceneManager.getObject(sphereId);
+    expect(sphere.center).toEqual(new Vector3(1, 0, 5));
+    expect(sphere.radius).toBeCloseTo(1.5);
+    expect(sceneManager.getObject(planeId).material.color).toEqual({ r: 0.5, g: 0.5, b: 1 });
+    expect(light.intensity).toBeCloseTo(0.5);
+    expect(changes).toContainEqual({ type: 'update', id: sphereId });
+    expect(changes).toContainEqual({ type: 'light', id: lightId });
+  });
+
+  it('should turn position tracks into motion over an interval', () => {
+    const timeline = new Timeline()
+      .setKeyframe(sphereId, 'position', 0, [0, 0, 5])
+      .setKeyframe(sphereId, 'position', 2, [2, 0, 5], 'step')
+      .setKeyframe(sphereId, 'position', 4, [4, 0, 5])
+      .setKeyframe(sphereId, 'radius', 0, 1)
+      .setKeyframe(sphereId, 'radius', 4, 3)
+      .setKeyframe(planeId, 'position', 0, [0, -1, 0]);
+    const sphere = sceneManager.getObject(sphereId);
+
+    expect(timeline.applyInterval(sceneManager, 1, 3, 4)).toEqual([]);
+    expect(sphere.center).toEqual(new Vector3(1, 0, 5));
+    expect(sphere.radius).toBeCloseTo(1.5);
+    expect(sphere.motion.keyframes.map(keyframe => keyframe.time)).toEqual([1, 1.5, 2, 2.5, 3]);
+    expect(sphere.motion.offsetAt(1.5)).toEqual(new Vector3(0.5, 0, 0));
+    // The step easing holds the position from 2 s on
+    expect(sphere.motion.offsetAt(3)).toEqual(new Vector3(1, 0, 0));
+    expect(sceneManager.getObject(planeId).motion).toBeNull();
+
+    timeline.applyInterval(sceneManager, 2, 2);
+    expect(sphere.center).toEqual(new Vector3(2, 0, 5));
+    expect(sphere.motion).toBeNull();
+  });
+
+  it('should report tracks whose object is gone', () => {
+    const timeline = new Timeline().setKeyframe(sphereId, 'radius', 0, 2);
+    sceneManager.removeObject(sphereId);
+
+    expect(timeline.apply(sceneManager, 0)).toEqual([`${sphereId}.radius`]);
+  });
+
+  it('should key the current state of an object or light', () => {
+    const timeline = new Timeline();
+
+    expect(timeline.recordKeyframes(sceneManager, sphereId, 0)).toEqual(['position', 'radius', 'color']);
+    expect(timeline.recordKeyframes(sceneManager, planeId, 0)).toEqual(['position', 'color']);
+    expect(timeline.recordKeyframes(sceneManager, sceneManager.getLightId(light), 0)).toEqual(['intensity']);
+    expect(timeline.recordKeyframes(sceneManager, 'obj_missing', 0)).toEqual([]);
+
+    // Keyed values are copies, so later edits do not change them
+    sceneManager.getObject(sphereId).material.color.r = 0;
+    expect(timeline.getTrack(sphereId, 'color').evaluate(0).r).toBe(1);
+  });
+
+  it('should round-trip through JSON', () => {
+    const timeline = new Timeline({ duration: 8 })
+      .setKeyframe(sphereId, 'position', 0, [0, 0, 5], 'easeInOut')
+      .setKeyframe(sphereId, 'position', 4, [0, 3, 5])
+      .setKeyframe(sphereId, 'color', 1, { r: 0, g: 1, b: 0 });
+
+    const copy = Timeline.fromJSON(JSON.parse(JSON.stringify(timeline)));
+
+    expect(copy.duration).toBe(8);
+    expect(copy.toJSON()).toEqual(timeline.toJSON());
+    expect(copy.toJSON().tracks[0].keyframes[0]).toEqual({ time: 0, value: [0, 0, 5], easing: 'easeInOut' });
+    expect(copy.getTrack(sphereId, 'position').evaluate(2).y).toBeCloseTo(1.5);
+  });
+
+  it('should manage tracks', () => {
+    const timeline = new Timeline();
+
+    expect(timeline.addTrack(sphereId, 'radius')).toBe(timeline.addTrack(sphereId, 'radius'));
+    expect(timeline.evaluate(0)).toEqual([]);
+    expect(timeline.removeTrack(sphereId, 'radius')).toBe(true);
+    expect(timeline.getTrack(sphereId, 'radius')).toBeNull();
+  });
+});